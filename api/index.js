@@ -25,10 +25,25 @@ const chatRoutes = require('../routes/chats');
 const supplierRegistrationRoutes = require('../routes/supplierRegistration');
 const producerRegistrationRoutes = require('../routes/producerRegistration');
 const attendeeRoutes = require('../routes/attendees');
+const promoCodeRoutes = require('../routes/promoCodes');
+const waitlistRoutes = require('../routes/waitlist');
+const refundRoutes = require('../routes/refunds');
+const paymentRoutes = require('../routes/payments');
+const seatMapRoutes = require('../routes/seatMaps');
+const inventoryPoolRoutes = require('../routes/inventoryPools');
+const addOnRoutes = require('../routes/addOns');
+const attendeePortalRoutes = require('../routes/attendeePortal');
+const eventSeriesRoutes = require('../routes/eventSeries');
+const sessionRoutes = require('../routes/sessions');
+const speakerRoutes = require('../routes/speakers');
+const eventTemplateRoutes = require('../routes/eventTemplates');
+const eventTeamRoutes = require('../routes/eventTeams');
 
 const { errorHandler } = require('../middleware/errorHandler');
 const { connectDB } = require('../config/database');
 const socketService = require('../services/socketService');
+const { startTicketHoldSweeper } = require('../services/ticketHoldSweeper');
+const { startTicketSalesScheduler } = require('../services/ticketSalesScheduler');
 
 const app = express();
 const server = http.createServer(app);
@@ -70,7 +85,15 @@ app.use('/api/', limiter);
 app.use(cors());
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are verified against the exact bytes the provider signed
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression middleware
@@ -122,6 +145,19 @@ app.use('/api/chats', chatRoutes);
 app.use('/api/supplier-registration', supplierRegistrationRoutes);
 app.use('/api/producer-registration', producerRegistrationRoutes);
 app.use('/api/attendees', attendeeRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/seat-maps', seatMapRoutes);
+app.use('/api/inventory-pools', inventoryPoolRoutes);
+app.use('/api/add-ons', addOnRoutes);
+app.use('/api/attendee-portal', attendeePortalRoutes);
+app.use('/api/event-series', eventSeriesRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/speakers', speakerRoutes);
+app.use('/api/event-templates', eventTemplateRoutes);
+app.use('/api/event-teams', eventTeamRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -138,6 +174,8 @@ app.use(errorHandler);
 if (!process.env.VERCEL) {
   // Local development with full WebSocket support
   socketService.initialize(server);
+  startTicketHoldSweeper();
+  startTicketSalesScheduler();
   server.listen(PORT, () => {
     console.log(`🚀 Pic Backend server running on port ${PORT}`);
     console.log(`📊 Environment: ${config.NODE_ENV}`);
@@ -41,6 +41,38 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Protect attendee portal routes - verify the session token issued for a magic link.
+// Attendees have no User account; the token carries the email they signed in with.
+const protectAttendee = (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no token'
+    });
+  }
+
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Staff tokens don't open the portal
+    if (decoded.scope !== 'attendee_portal' || !decoded.email) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, token failed'
+      });
+    }
+
+    req.attendeeEmail = decoded.email;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Your sign-in link session has expired. Please request a new link.'
+    });
+  }
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -152,6 +184,7 @@ const checkOwnership = (resourceModel) => {
 
 module.exports = {
   protect,
+  protectAttendee,
   authorize,
   requireApprovedSupplier,
   checkOwnership
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Extra an event sells alongside admission (parking, drink vouchers, meal upgrades,
+// merchandise), with its own price and stock. Bought per booking, see Attendee.addOns.
+const addOnSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Add-on name is required'],
+    trim: true,
+    maxlength: [100, 'Add-on name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  category: {
+    type: String,
+    enum: ['parking', 'drink', 'meal', 'merchandise', 'other'],
+    default: 'other'
+  },
+  price: {
+    amount: {
+      type: Number,
+      required: [true, 'Price amount is required'],
+      min: [0, 'Price cannot be negative']
+    },
+    currency: {
+      type: String,
+      enum: ['ILS', 'USD', 'EUR'],
+      default: 'ILS'
+    }
+  },
+  stock: {
+    total: {
+      type: Number,
+      required: [true, 'Stock is required'],
+      min: [0, 'Stock cannot be negative']
+    },
+    sold: {
+      type: Number,
+      default: 0,
+      min: [0, 'Sold quantity cannot be negative']
+    }
+  },
+  maxPerBooking: {
+    type: Number,
+    default: 10,
+    min: [1, 'Maximum per booking must be at least 1']
+  },
+  // Hidden from buyers and not for sale; bookings keep what they bought
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+addOnSchema.index({ eventId: 1, isActive: 1 });
+
+// Virtual for stock not yet sold
+addOnSchema.virtual('remaining').get(function() {
+  return Math.max(0, this.stock.total - this.stock.sold);
+});
+
+// Static method to atomically sell add-ons if enough stock remains
+addOnSchema.statics.sellAtomically = function(addOnId, quantity) {
+  return this.findOneAndUpdate(
+    {
+      _id: addOnId,
+      isActive: true,
+      $expr: { $gte: [{ $subtract: ['$stock.total', '$stock.sold'] }, quantity] }
+    },
+    { $inc: { 'stock.sold': quantity } },
+    { new: true }
+  );
+};
+
+// Static method to atomically return sold add-ons to stock (cancellations, rollbacks)
+addOnSchema.statics.returnSoldAtomically = function(addOnId, quantity) {
+  return this.findOneAndUpdate(
+    { _id: addOnId, 'stock.sold': { $gte: quantity } },
+    { $inc: { 'stock.sold': -quantity } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AddOn', addOnSchema);
@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Admissions already used, treating pre-partial-check-in bookings flagged checkedIn as fully admitted
+const ADMITTED_COUNT_EXPR = {
+  $ifNull: ['$admittedCount', { $cond: ['$checkedIn', '$ticketQuantity', 0] }]
+};
+
+// Guests on the booking who have been checked in individually
+const GUEST_ADMITTED_EXPR = {
+  $size: { $filter: { input: { $ifNull: ['$guests', []] }, as: 'guest', cond: { $eq: ['$$guest.checkedIn', true] } } }
+};
+
+// Pipeline expression that merges `fields` into one guest of the guests array
+const updateGuestExpr = (guestReference, fields) => ({
+  $map: {
+    input: { $ifNull: ['$guests', []] },
+    as: 'guest',
+    in: {
+      $cond: [
+        { $eq: ['$$guest.guestReference', { $literal: guestReference }] },
+        { $mergeObjects: ['$$guest', { $literal: fields }] },
+        '$$guest'
+      ]
+    }
+  }
+});
+
+// Version prefix of the signed QR payload
+const QR_PAYLOAD_PREFIX = 'PIC1';
+
+// Ticket QR codes are signed with TICKET_QR_SECRET, else JWT_SECRET. There is no built-in
+// fallback: a secret anyone can read would let them forge tickets.
+if (!process.env.TICKET_QR_SECRET && !process.env.JWT_SECRET) {
+  throw new Error('TICKET_QR_SECRET or JWT_SECRET environment variable must be set to sign ticket QR codes');
+}
+
+const getQrSigningSecret = () => process.env.TICKET_QR_SECRET || process.env.JWT_SECRET;
 
 const attendeeSchema = new mongoose.Schema({
   eventId: {
@@ -68,6 +105,10 @@ const attendeeSchema = new mongoose.Schema({
     required: true,
     min: [0, 'Total amount cannot be negative']
   },
+  // Pricing tier in effect when the booking was made
+  priceTier: {
+    type: String
+  },
   // Booking Status
   bookingStatus: {
     type: String,
@@ -85,15 +126,166 @@ const attendeeSchema = new mongoose.Schema({
     unique: true,
     required: true
   },
-  // QR Code for ticket verification
+  // Shared by every booking created in the same checkout
+  orderReference: {
+    type: String,
+    index: true
+  },
+  // Promo code applied at checkout
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    index: true
+  },
+  promoCode: {
+    type: String
+  },
+  // Set on the checkout's bookings once its promo code use was given back
+  promoReleasedAt: Date,
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount amount cannot be negative']
+  },
+  // Donation added at checkout, charged with the tickets but kept out of totalAmount
+  // (ticket revenue). A checkout's donation is recorded on its first booking.
+  donationAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Donation amount cannot be negative']
+  },
+  // Named guests on a group booking, one per admission. The booking holder is the purchaser;
+  // each guest gets their own reference, QR code and e-ticket.
+  guests: {
+    type: [{
+      guestReference: {
+        type: String,
+        required: true
+      },
+      fullName: {
+        type: String,
+        required: [true, 'Guest name is required'],
+        trim: true,
+        maxlength: [100, 'Full name cannot exceed 100 characters']
+      },
+      email: {
+        type: String,
+        required: [true, 'Guest email is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+      },
+      phone: {
+        type: String,
+        trim: true
+      },
+      age: {
+        type: Number,
+        required: [true, 'Guest age is required'],
+        min: [1, 'Age must be at least 1'],
+        max: [150, 'Age cannot exceed 150']
+      },
+      gender: {
+        type: String,
+        enum: ['male', 'female', 'other', 'prefer-not-to-say']
+      },
+      qrCode: String,
+      checkedIn: {
+        type: Boolean,
+        default: false
+      },
+      checkedInAt: Date
+    }],
+    validate: {
+      validator: function(guests) {
+        return guests.length === 0 || guests.length === this.ticketQuantity;
+      },
+      message: 'A group booking needs one guest per ticket'
+    }
+  },
+  // Extras bought with this booking (see AddOn), priced at checkout. Their amount is
+  // charged with the tickets but kept out of totalAmount, in addOnsAmount.
+  addOns: [{
+    addOnId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AddOn',
+      required: true
+    },
+    name: String,
+    category: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Add-on quantity must be at least 1']
+    },
+    unitPrice: {
+      type: Number,
+      min: [0, 'Add-on price cannot be negative']
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Add-on amount cannot be negative']
+    },
+    // Handed over at the venue so far
+    redeemedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Redeemed quantity cannot be negative']
+    },
+    redemptions: [{
+      quantity: Number,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  }],
+  addOnsAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Add-ons amount cannot be negative']
+  },
+  // Agenda sessions this booking is registered for; each takes one seat per admission
+  sessionRegistrations: [{
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EventSession',
+      required: true
+    },
+    seats: {
+      type: Number,
+      min: [1, 'Seats must be at least 1']
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Reserved seats sold with this booking (see Seat), one per admission
+  seats: [{
+    seatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seat'
+    },
+    seatKey: String,
+    section: String,
+    row: String,
+    number: String
+  }],
+  // Signed QR payload for ticket verification (see generateQrPayload)
   qrCode: {
     type: String
   },
-  // Check-in Information
+  // Check-in Information (checkedIn is true once every admission has been used)
   checkedIn: {
     type: Boolean,
     default: false
   },
+  // First admission time and staff member
   checkedInAt: {
     type: Date
   },
@@ -101,6 +293,96 @@ const attendeeSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Number of people admitted so far, out of ticketQuantity
+  admittedCount: {
+    type: Number,
+    min: [0, 'Admitted count cannot be negative'],
+    default: 0
+  },
+  // Transfer offered to someone else, waiting for them to accept
+  pendingTransfer: {
+    recipientName: String,
+    recipientEmail: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    requestedAt: Date,
+    expiresAt: Date
+  },
+  // Everyone who held this booking before the current holder, oldest first
+  previousHolders: [{
+    fullName: String,
+    email: String,
+    phone: String,
+    bookingReference: String,
+    transferredAt: Date
+  }],
+  // Every check-in and undo, with who did it and when
+  checkInLog: [{
+    action: {
+      type: String,
+      enum: ['check_in', 'undo'],
+      required: true
+    },
+    count: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    method: {
+      type: String,
+      enum: ['manual', 'scan'],
+      default: 'manual'
+    },
+    // Set when the entry admitted or undid one named guest
+    guestReference: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }],
+  // Where a public checkout came from, for purchase limits per device and fraud review
+  registrationIp: {
+    type: String
+  },
+  deviceFingerprint: {
+    type: String
+  },
+  // Set when the checkout tripped velocity checks; the organizer clears or confirms it
+  fraudReview: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    reasons: [String],
+    status: {
+      type: String,
+      enum: ['pending', 'cleared', 'confirmed']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: {
+      type: String,
+      maxlength: [500, 'Review note cannot exceed 500 characters']
+    }
+  },
+  // Answers to the event's custom registration questions, keyed by field key
+  registrationAnswers: {
+    type: mongoose.Schema.Types.Mixed
+  },
   // Additional Information
   specialRequirements: {
     type: String,
@@ -124,6 +406,10 @@ const attendeeSchema = new mongoose.Schema({
   },
   refundedAt: {
     type: Date
+  },
+  refundAmount: {
+    type: Number,
+    min: [0, 'Refund amount cannot be negative']
   }
 }, {
   timestamps: true,
@@ -134,7 +420,14 @@ const attendeeSchema = new mongoose.Schema({
 // Indexes for better query performance
 attendeeSchema.index({ eventId: 1, bookingStatus: 1 });
 attendeeSchema.index({ email: 1, eventId: 1 });
+attendeeSchema.index({ 'sessionRegistrations.sessionId': 1 });
+attendeeSchema.index({ eventId: 1, phone: 1 });
+attendeeSchema.index({ eventId: 1, deviceFingerprint: 1 }, { sparse: true });
+attendeeSchema.index({ eventId: 1, 'fraudReview.flagged': 1 });
 attendeeSchema.index({ bookingReference: 1 });
+attendeeSchema.index({ 'pendingTransfer.tokenHash': 1 }, { sparse: true });
+attendeeSchema.index({ 'previousHolders.bookingReference': 1 }, { sparse: true });
+attendeeSchema.index({ 'guests.guestReference': 1 }, { sparse: true });
 attendeeSchema.index({ registeredAt: -1 });
 
 // Virtual for event details
@@ -153,6 +446,35 @@ attendeeSchema.virtual('ticket', {
   justOne: true
 });
 
+// Virtual for printable seat labels, e.g. "Orchestra A-12"
+attendeeSchema.virtual('seatLabels').get(function() {
+  return (this.seats || []).map(seat => `${seat.section} ${seat.row}-${seat.number}`);
+});
+
+// Virtual for admissions not yet used
+attendeeSchema.virtual('remainingAdmissions').get(function() {
+  return Math.max(0, this.ticketQuantity - (this.admittedCount || 0));
+});
+
+// Pre-validate middleware to (re)sign the QR payloads; also runs for insertMany.
+// Guests are numbered after the booking reference and admit one person each.
+attendeeSchema.pre('validate', function(next) {
+  if (!this.qrCode || this.isModified('bookingReference') || this.isModified('eventId') || this.isModified('ticketQuantity')) {
+    this.qrCode = this.generateQrPayload();
+  }
+
+  this.guests.forEach((guest, index) => {
+    if (!guest.guestReference) {
+      guest.guestReference = `${this.bookingReference}-${index + 1}`;
+    }
+    if (!guest.qrCode || this.isModified('eventId')) {
+      guest.qrCode = this.constructor.buildQrPayload(guest.guestReference, this.eventId?._id || this.eventId, 1);
+    }
+  });
+
+  next();
+});
+
 // Pre-save middleware to update timestamps
 attendeeSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -176,6 +498,60 @@ attendeeSchema.statics.generateBookingReference = async function() {
   return `${prefix}-${timestamp}-${random}`;
 };
 
+// Static method to generate a reference shared by one checkout's bookings
+attendeeSchema.statics.generateOrderReference = function() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `OR-${timestamp}-${random}`;
+};
+
+// Static method to compute the HMAC signature for a booking's QR payload
+attendeeSchema.statics.signQrFields = function(bookingReference, eventId, quantity) {
+  return crypto
+    .createHmac('sha256', getQrSigningSecret())
+    .update(`${bookingReference}|${eventId}|${quantity}`)
+    .digest('base64url');
+};
+
+// Static method to build the signed QR payload: PIC1:<bookingReference>:<eventId>:<quantity>:<signature>
+attendeeSchema.statics.buildQrPayload = function(bookingReference, eventId, quantity) {
+  const signature = this.signQrFields(bookingReference, eventId.toString(), quantity);
+  return [QR_PAYLOAD_PREFIX, bookingReference, eventId.toString(), quantity, signature].join(':');
+};
+
+// Static method to hash a transfer token for storage and lookups
+attendeeSchema.statics.hashTransferToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to parse and verify a scanned QR payload.
+// Returns { bookingReference, eventId, quantity } or null if tampered/malformed.
+attendeeSchema.statics.verifyQrPayload = function(payload) {
+  const parts = String(payload || '').trim().split(':');
+  if (parts.length !== 5 || parts[0] !== QR_PAYLOAD_PREFIX) {
+    return null;
+  }
+
+  const [, bookingReference, eventId, quantityText, signature] = parts;
+  const quantity = parseInt(quantityText);
+  if (!bookingReference || !mongoose.Types.ObjectId.isValid(eventId) || !(quantity > 0)) {
+    return null;
+  }
+
+  const expected = Buffer.from(this.signQrFields(bookingReference, eventId, quantity));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return { bookingReference, eventId, quantity };
+};
+
+// Static method to find the booking behind a booking or guest reference
+attendeeSchema.statics.findByReference = function(reference) {
+  return this.findOne({ $or: [{ bookingReference: reference }, { 'guests.guestReference': reference }] });
+};
+
 // Static method to find attendees by event
 attendeeSchema.statics.findByEvent = function(eventId, status = null) {
   const query = { eventId };
@@ -196,54 +572,322 @@ attendeeSchema.statics.getEventStatistics = async function(eventId) {
         _id: '$bookingStatus',
         count: { $sum: 1 },
         totalTickets: { $sum: '$ticketQuantity' },
-        totalRevenue: { $sum: '$totalAmount' }
+        totalRevenue: { $sum: '$totalAmount' },
+        totalDonations: { $sum: { $ifNull: ['$donationAmount', 0] } },
+        totalAddOnRevenue: { $sum: { $ifNull: ['$addOnsAmount', 0] } },
+        donationCount: { $sum: { $cond: [{ $gt: ['$donationAmount', 0] }, 1, 0] } },
+        flaggedForReview: { $sum: { $cond: [{ $eq: ['$fraudReview.status', 'pending'] }, 1, 0] } }
       }
     }
   ]);
   
+  // Ticket revenue, add-on sales and donations are reported separately
   const result = {
     totalAttendees: 0,
     confirmedAttendees: 0,
     cancelledAttendees: 0,
     totalTicketsSold: 0,
     totalRevenue: 0,
+    totalDonations: 0,
+    donationCount: 0,
+    totalAddOnRevenue: 0,
+    flaggedForReview: 0,
     checkedInCount: 0
   };
   
   stats.forEach(stat => {
     result.totalAttendees += stat.count;
     result.totalTicketsSold += stat.totalTickets;
+    result.flaggedForReview += stat.flaggedForReview;
     
     if (stat._id === 'confirmed') {
       result.confirmedAttendees = stat.count;
       result.totalRevenue = stat.totalRevenue;
+      result.totalDonations = stat.totalDonations;
+      result.donationCount = stat.donationCount;
+      result.totalAddOnRevenue = stat.totalAddOnRevenue;
     } else if (stat._id === 'cancelled') {
       result.cancelledAttendees = stat.count;
     }
   });
   
-  // Get checked-in count
-  const checkedIn = await this.countDocuments({ eventId, checkedIn: true });
-  result.checkedInCount = checkedIn;
+  // Checked-in figures count admitted people, not bookings
+  const [admissions] = await this.aggregate([
+    { $match: { eventId: new mongoose.Types.ObjectId(eventId), bookingStatus: 'confirmed' } },
+    {
+      $group: {
+        _id: null,
+        admittedPeople: { $sum: ADMITTED_COUNT_EXPR },
+        fullyCheckedInBookings: { $sum: { $cond: ['$checkedIn', 1, 0] } },
+        partiallyCheckedInBookings: {
+          $sum: { $cond: [{ $and: [{ $not: ['$checkedIn'] }, { $gt: [ADMITTED_COUNT_EXPR, 0] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  result.checkedInCount = admissions?.admittedPeople || 0;
+  result.fullyCheckedInBookings = admissions?.fullyCheckedInBookings || 0;
+  result.partiallyCheckedInBookings = admissions?.partiallyCheckedInBookings || 0;
   
   return result;
 };
 
-// Method to check in attendee
-attendeeSchema.methods.checkIn = function(userId) {
-  if (this.checkedIn) {
-    throw new Error('Attendee already checked in');
+// Method to build this booking's signed QR payload
+attendeeSchema.methods.generateQrPayload = function() {
+  return this.constructor.buildQrPayload(this.bookingReference, this.eventId?._id || this.eventId, this.ticketQuantity);
+};
+
+// Method to record the organizer's review of a booking flagged as suspicious
+attendeeSchema.methods.reviewFraudFlag = async function(userId, status, note) {
+  if (!this.fraudReview?.flagged) {
+    const error = new Error('Booking has not been flagged for review');
+    error.statusCode = 400;
+    throw error;
   }
-  
+
+  this.fraudReview.status = status;
+  this.fraudReview.reviewedBy = userId;
+  this.fraudReview.reviewedAt = new Date();
+  this.fraudReview.note = note;
+  return this.save();
+};
+
+// Method to get a named guest by reference, or null
+attendeeSchema.methods.getGuest = function(guestReference) {
+  return (guestReference && this.guests.find(guest => guest.guestReference === guestReference)) || null;
+};
+
+// Method to get the seat labels a ticket covers: a guest sits in the seat matching their place in the booking
+attendeeSchema.methods.getSeatLabels = function(guest = null) {
+  if (!guest) {
+    return this.seatLabels;
+  }
+  const index = this.guests.findIndex(g => g.guestReference === guest.guestReference);
+  return this.seatLabels[index] ? [this.seatLabels[index]] : [];
+};
+
+// Method to generate a transfer token; the raw token goes in the email, only the hash is stored
+attendeeSchema.methods.createTransferToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.pendingTransfer.tokenHash = this.constructor.hashTransferToken(token);
+  return token;
+};
+
+// Static method to admit `count` people on a booking, or one named guest when
+// `guestReference` is given. The update only applies while enough admissions remain
+// (and the guest is not yet in), so concurrent scans can't over-admit. Returns the updated doc or null.
+attendeeSchema.statics.admitAtomically = function(attendeeId, count, userId, method = 'manual', guestReference = null) {
+  const now = new Date();
+  const logEntry = { _id: new mongoose.Types.ObjectId(), action: 'check_in', count, method, by: userId, at: now };
+
+  const filter = {
+    _id: attendeeId,
+    bookingStatus: 'confirmed',
+    $expr: { $lte: [{ $add: [ADMITTED_COUNT_EXPR, count] }, '$ticketQuantity'] }
+  };
+  const fields = {
+    admittedCount: { $add: [ADMITTED_COUNT_EXPR, count] },
+    checkInLog: { $concatArrays: [{ $ifNull: ['$checkInLog', []] }, [logEntry]] },
+    checkedInAt: { $ifNull: ['$checkedInAt', now] },
+    checkedInBy: { $ifNull: ['$checkedInBy', userId] },
+    updatedAt: now
+  };
+
+  if (guestReference) {
+    logEntry.guestReference = guestReference;
+    filter.guests = { $elemMatch: { guestReference, checkedIn: { $ne: true } } };
+    fields.guests = updateGuestExpr(guestReference, { checkedIn: true, checkedInAt: now });
+  }
+
+  return this.findOneAndUpdate(
+    filter,
+    [
+      { $set: fields },
+      { $set: { checkedIn: { $gte: ['$admittedCount', '$ticketQuantity'] } } }
+    ],
+    { new: true }
+  );
+};
+
+// Static method to undo `count` admissions on a booking, or one named guest's admission
+// when `guestReference` is given. Admissions of individually checked-in guests can only be
+// undone by guest reference. Returns the updated doc, or null if there is not enough to undo.
+attendeeSchema.statics.undoAdmissionAtomically = function(attendeeId, count, userId, reason, guestReference = null) {
+  const now = new Date();
+  const logEntry = { _id: new mongoose.Types.ObjectId(), action: 'undo', count, method: 'manual', by: userId, at: now };
+  if (reason) logEntry.reason = reason;
+
+  const filter = {
+    _id: attendeeId,
+    $expr: { $gte: [{ $subtract: [ADMITTED_COUNT_EXPR, count] }, GUEST_ADMITTED_EXPR] }
+  };
+  const fields = {
+    admittedCount: { $subtract: [ADMITTED_COUNT_EXPR, count] },
+    checkInLog: { $concatArrays: [{ $ifNull: ['$checkInLog', []] }, [logEntry]] },
+    updatedAt: now
+  };
+
+  if (guestReference) {
+    logEntry.guestReference = guestReference;
+    filter.$expr = { $gte: [ADMITTED_COUNT_EXPR, count] };
+    filter.guests = { $elemMatch: { guestReference, checkedIn: true } };
+    fields.guests = updateGuestExpr(guestReference, { checkedIn: false, checkedInAt: null });
+  }
+
+  return this.findOneAndUpdate(
+    filter,
+    [
+      { $set: fields },
+      {
+        $set: {
+          checkedIn: { $gte: ['$admittedCount', '$ticketQuantity'] },
+          checkedInAt: { $cond: [{ $gt: ['$admittedCount', 0] }, '$checkedInAt', '$$REMOVE'] },
+          checkedInBy: { $cond: [{ $gt: ['$admittedCount', 0] }, '$checkedInBy', '$$REMOVE'] }
+        }
+      }
+    ],
+    { new: true }
+  );
+};
+
+// Method to check in attendee; admits every remaining admission unless `count` is given,
+// or just the named guest when `guestReference` is given. Resolves to the updated document.
+attendeeSchema.methods.checkIn = async function(userId, count = null, method = 'manual', guestReference = null) {
   if (this.bookingStatus !== 'confirmed') {
-    throw new Error('Only confirmed bookings can be checked in');
+    const error = new Error('Only confirmed bookings can be checked in');
+    error.statusCode = 400;
+    throw error;
   }
-  
-  this.checkedIn = true;
-  this.checkedInAt = new Date();
-  this.checkedInBy = userId;
-  
-  return this.save();
+
+  const guest = this.getGuest(guestReference);
+  if (guestReference && !guest) {
+    const error = new Error('Guest not found on this booking');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (guest?.checkedIn) {
+    const error = new Error(`${guest.fullName} is already checked in`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const remaining = this.checkedIn && !this.admittedCount ? 0 : this.remainingAdmissions;
+  if (remaining === 0) {
+    const error = new Error('Attendee already checked in');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const admitting = guest ? 1 : count || remaining;
+  if (admitting > remaining) {
+    const error = new Error(`Only ${remaining} of ${this.ticketQuantity} admissions remain on this booking`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const updated = await this.constructor.admitAtomically(this._id, admitting, userId, method, guest?.guestReference);
+  if (!updated) {
+    const error = new Error('Booking was checked in by someone else. Please refresh and try again.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return updated;
+};
+
+// Method to undo a mistaken check-in; undoes every admission unless `count` is given,
+// or just the named guest's when `guestReference` is given. Resolves to the updated document.
+attendeeSchema.methods.undoCheckIn = async function(userId, count = null, reason = null, guestReference = null) {
+  const admitted = this.admittedCount || (this.checkedIn ? this.ticketQuantity : 0);
+  if (admitted === 0) {
+    const error = new Error('Attendee is not checked in');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const guest = this.getGuest(guestReference);
+  if (guestReference && !guest) {
+    const error = new Error('Guest not found on this booking');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (guest && !guest.checkedIn) {
+    const error = new Error(`${guest.fullName} is not checked in`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Guests checked in by name are undone by name, so their flags stay in step with the count
+  const undoable = guest ? 1 : admitted - this.guests.filter(g => g.checkedIn).length;
+  const undoing = guest ? 1 : count || undoable;
+  if (undoing > undoable || undoing === 0) {
+    const error = new Error(undoable === admitted
+      ? `Only ${admitted} admission(s) have been checked in on this booking`
+      : `Only ${undoable} admission(s) can be undone without a guest reference`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const updated = await this.constructor.undoAdmissionAtomically(this._id, undoing, userId, reason, guest?.guestReference);
+  if (!updated) {
+    const error = new Error('Booking check-in changed. Please refresh and try again.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return updated;
+};
+
+// Method to record add-ons handed over at the venue; redeems all that remain unless
+// `quantity` is given. Resolves to the updated document.
+attendeeSchema.methods.redeemAddOn = async function(addOnId, userId, quantity = null) {
+  if (this.bookingStatus !== 'confirmed') {
+    const error = new Error(`Booking is ${this.bookingStatus}; add-ons can't be redeemed`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const line = this.addOns.find(item => item.addOnId.toString() === addOnId.toString());
+  if (!line) {
+    const error = new Error('This booking did not buy that add-on');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const remaining = line.quantity - (line.redeemedQuantity || 0);
+  const redeeming = quantity || remaining;
+  if (remaining === 0 || redeeming > remaining) {
+    const error = new Error(remaining === 0
+      ? `${line.name} has already been redeemed`
+      : `Only ${remaining} of ${line.quantity} ${line.name} remain to redeem`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Only applies while nobody else redeemed from this line meanwhile
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      bookingStatus: 'confirmed',
+      addOns: { $elemMatch: { _id: line._id, redeemedQuantity: line.redeemedQuantity || 0 } }
+    },
+    {
+      $inc: { 'addOns.$.redeemedQuantity': redeeming },
+      $push: { 'addOns.$.redemptions': { quantity: redeeming, by: userId, at: new Date() } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const error = new Error('Add-on was redeemed by someone else. Please refresh and try again.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return updated;
 };
 
 // Method to cancel booking
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use magic link that signs an attendee in to the self-service portal.
+// Attendees have no User account, so the email address is their identity.
+const attendeeLoginLinkSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  // Only the hash is stored; the raw token goes in the email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  usedAt: {
+    type: Date
+  },
+  requestedIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Spent and expired links are removed a day after they expire
+attendeeLoginLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Static method to hash a login token for storage and lookups
+attendeeLoginLinkSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create a link for an email; returns the raw token
+attendeeLoginLinkSchema.statics.issue = async function(email, expiresAt, requestedIp) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    email,
+    tokenHash: this.hashToken(token),
+    expiresAt,
+    requestedIp
+  });
+  return token;
+};
+
+// Static method to atomically use up a link if it is still unused and unexpired
+attendeeLoginLinkSchema.statics.consumeAtomically = function(token) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { tokenHash: this.hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AttendeeLoginLink', attendeeLoginLinkSchema);
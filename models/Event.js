@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const timezoneService = require('../services/timezoneService');
 
 const eventSchema = new mongoose.Schema({
   name: {
@@ -25,12 +26,13 @@ const eventSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Start date is required'],
     validate: {
+      // Compared as calendar days in the event's timezone
       validator: function(value) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const startDate = new Date(value);
-        startDate.setHours(0, 0, 0, 0);
-        return startDate >= today;
+        const timezone = timezoneService.isValidTimezone(this.timezone)
+          ? this.timezone
+          : timezoneService.defaultTimezone;
+        return timezoneService.getCalendarDate(value, timezone) >=
+          timezoneService.getLocalDate(new Date(), timezone);
       },
       message: 'Start date must be today or in the future'
     }
@@ -63,6 +65,19 @@ const eventSchema = new mongoose.Schema({
       message: 'End time must be in valid format (HH:MM or HH:MM AM/PM)'
     }
   },
+  // IANA timezone the dates and times above are local to
+  timezone: {
+    type: String,
+    default: () => timezoneService.defaultTimezone,
+    validate: {
+      validator: value => timezoneService.isValidTimezone(value),
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
+  // Start and end as UTC instants, derived from the local dates, times and timezone
+  // on validate; don't set them by hand
+  startsAt: Date,
+  endsAt: Date,
   location: {
     address: {
       type: String,
@@ -205,6 +220,52 @@ const eventSchema = new mongoose.Schema({
     required: [true, 'Producer ID is required']
   },
 
+  // Other users who help run the event; what each role may do is in eventPermissionService.
+  // Invitations count once accepted.
+  team: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['co_producer', 'box_office', 'viewer'],
+      required: [true, 'Team role is required']
+    },
+    status: {
+      type: String,
+      enum: ['invited', 'active'],
+      default: 'invited'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    acceptedAt: Date
+  }],
+
+  // Set on occurrences of a recurring event series
+  series: {
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EventSeries'
+    },
+    // Position in the recurrence, skipped dates included
+    index: Number,
+    // Date the recurrence scheduled this occurrence for
+    originalStartDate: Date,
+    // Edited on its own ("this occurrence only")
+    isException: {
+      type: Boolean,
+      default: false
+    }
+  },
+
   status: {
     type: String,
     enum: ['draft', 'approved', 'rejected', 'completed'],
@@ -216,6 +277,8 @@ const eventSchema = new mongoose.Schema({
     default: false
   },
 
+  // Summary of the event's ticket inventory. Once the event has Ticket documents it is
+  // derived from them and their capacity pools by updateTicketInfo(); don't set it by hand.
   ticketInfo: {
     availableTickets: {
       type: Number,
@@ -248,6 +311,84 @@ const eventSchema = new mongoose.Schema({
     }
   },
 
+  // Optional donation buyers can add at checkout, e.g. for charity events.
+  // Donations are reported apart from ticket revenue.
+  donations: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Amounts offered as quick choices; any amount of at least `minimum` is accepted
+    suggestedAmounts: [{
+      type: Number,
+      min: [0, 'Suggested donation cannot be negative']
+    }],
+    minimum: {
+      type: Number,
+      default: 1,
+      min: [0, 'Minimum donation cannot be negative']
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Donation message cannot exceed 500 characters']
+    }
+  },
+
+  // Anti-scalping limits on public checkout, across all of a buyer's bookings
+  // for this event (see fraudService)
+  antiFraud: {
+    maxTicketsPerEmail: {
+      type: Number,
+      min: [1, 'Limit must be at least 1']
+    },
+    maxTicketsPerPhone: {
+      type: Number,
+      min: [1, 'Limit must be at least 1']
+    },
+    maxTicketsPerDevice: {
+      type: Number,
+      min: [1, 'Limit must be at least 1']
+    },
+    // Every checkout must pass the verification challenge, not just suspicious ones
+    requireChallenge: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Custom registration questions, in display order. Answers are stored on each
+  // Attendee under registrationAnswers, keyed by field key.
+  registrationForm: [{
+    key: {
+      type: String,
+      required: [true, 'Field key is required'],
+      match: [/^[a-z][a-z0-9_]{0,49}$/, 'Field key must be lowercase letters, digits and underscores']
+    },
+    label: {
+      type: String,
+      required: [true, 'Field label is required'],
+      trim: true,
+      maxlength: [200, 'Field label cannot exceed 200 characters']
+    },
+    type: {
+      type: String,
+      enum: ['text', 'textarea', 'number', 'email', 'phone', 'date', 'select', 'multiselect', 'checkbox'],
+      required: [true, 'Field type is required']
+    },
+    // A required checkbox must be ticked, e.g. a consent statement
+    required: {
+      type: Boolean,
+      default: false
+    },
+    // Choices for select and multiselect fields
+    options: [String],
+    helpText: {
+      type: String,
+      maxlength: [300, 'Help text cannot exceed 300 characters']
+    }
+  }],
+
   // ✅ NEW: Bank Details Section
   bankDetails: {
     bankName: {
@@ -346,6 +487,8 @@ eventSchema.index({ producerId: 1 });
 eventSchema.index({ status: 1 });
 eventSchema.index({ startDate: 1 });
 eventSchema.index({ endDate: 1 });
+eventSchema.index({ startsAt: 1 });
+eventSchema.index({ endsAt: 1 });
 eventSchema.index({ category: 1 });
 eventSchema.index({ language: 1 });
 eventSchema.index({ 'location.city': 1 });
@@ -355,6 +498,8 @@ eventSchema.index({ featured: 1, status: 1 });
 eventSchema.index({ 'suppliers.supplierId': 1 });
 eventSchema.index({ 'suppliers.serviceId': 1 });
 eventSchema.index({ 'suppliers.status': 1 });
+eventSchema.index({ 'team.userId': 1 });
+eventSchema.index({ 'series.seriesId': 1, startDate: 1 });
 
 // Compound indexes for better query performance
 eventSchema.index({ status: 1, isPublic: 1, startDate: 1 });
@@ -380,7 +525,21 @@ eventSchema.virtual('remainingTickets').get(function() {
 
 // Virtual for event status
 eventSchema.virtual('isUpcoming').get(function() {
-  return this.startDate > new Date();
+  return (this.startsAt || this.startDate) > new Date();
+});
+
+// Virtual for the start and end in the event's own timezone and in UTC
+eventSchema.virtual('schedule').get(function() {
+  if (!this.startsAt || !this.endsAt) {
+    return null;
+  }
+
+  const timezone = this.timezone || timezoneService.defaultTimezone;
+  return {
+    timezone,
+    start: timezoneService.describe(this.startsAt, timezone),
+    end: timezoneService.describe(this.endsAt, timezone)
+  };
 });
 
 // Virtual for full image URL
@@ -431,6 +590,14 @@ eventSchema.virtual('budgetUtilization').get(function() {
   };
 });
 
+// Keep the UTC instants in step with the local dates, times and timezone
+eventSchema.pre('validate', function(next) {
+  const { startsAt, endsAt } = this.constructor.getInstants(this);
+  this.startsAt = startsAt;
+  this.endsAt = endsAt;
+  next();
+});
+
 // Pre-save middleware to hash password and update metadata
 eventSchema.pre('save', async function(next) {
   this.metadata.updatedAt = new Date();
@@ -469,10 +636,48 @@ eventSchema.pre('save', async function(next) {
 // Static method to find upcoming events
 eventSchema.statics.findUpcoming = function() {
   return this.find({
-    startDate: { $gt: new Date() },
+    startsAt: { $gt: new Date() },
     status: 'published',
     isPublic: true
-  }).sort({ startDate: 1 });
+  }).sort({ startsAt: 1 });
+};
+
+// Static method to combine local dates and times in a timezone into UTC instants.
+// An end time before the start time on the same day means the event runs past midnight.
+eventSchema.statics.getInstants = function({ startDate, endDate, startTime, endTime, timezone }) {
+  const zone = timezoneService.isValidTimezone(timezone) ? timezone : timezoneService.defaultTimezone;
+  const start = timezoneService.parseTime(startTime);
+  const end = timezoneService.parseTime(endTime);
+  if (!startDate || !endDate || !start || !end) {
+    return { startsAt: undefined, endsAt: undefined };
+  }
+
+  const startDay = timezoneService.getCalendarDay(startDate, zone);
+  const endDay = timezoneService.getCalendarDay(endDate, zone);
+  const startsAt = timezoneService.toUtc(startDay, start, zone);
+  let endsAt = timezoneService.toUtc(endDay, end, zone);
+
+  const sameDay = startDay.year === endDay.year && startDay.month === endDay.month && startDay.day === endDay.day;
+  if (sameDay && endsAt <= startsAt) {
+    const nextDay = new Date(Date.UTC(endDay.year, endDay.month - 1, endDay.day + 1));
+    endsAt = timezoneService.toUtc(
+      { year: nextDay.getUTCFullYear(), month: nextDay.getUTCMonth() + 1, day: nextDay.getUTCDate() },
+      end,
+      zone
+    );
+  }
+
+  return { startsAt, endsAt };
+};
+
+// Methods to get the start and end instants, falling back to the bare dates on
+// events saved before instants were derived
+eventSchema.methods.getStartInstant = function() {
+  return this.startsAt || this.startDate;
+};
+
+eventSchema.methods.getEndInstant = function() {
+  return this.endsAt || this.endDate;
 };
 
 // Static method to find events by category
@@ -687,6 +892,42 @@ eventSchema.methods.updateBudgetAllocation = function(allocations) {
   return this.save();
 };
 
+// Method to derive ticketInfo from the event's ticket documents and capacity pools.
+// A pool caps the tickets drawing from it, so capacity is each pool's capacity (at most
+// its tickets' allocations) plus the allocation of every ticket outside a pool.
+eventSchema.methods.updateTicketInfo = async function() {
+  const Ticket = mongoose.model('Ticket');
+  const InventoryPool = mongoose.model('InventoryPool');
+  const tickets = await Ticket.find({ eventId: this._id }).select('quantity price poolId status');
+
+  // Events with embedded (string) ticket types keep their manual counters
+  if (tickets.length === 0) {
+    return this;
+  }
+
+  const pools = await InventoryPool.find({ eventId: this._id });
+  const allocationOf = (list) => list.reduce((sum, t) => sum + (t.quantity?.available || 0), 0);
+
+  const availableTickets = allocationOf(tickets.filter(t => !t.poolId)) + pools.reduce((sum, pool) =>
+    sum + Math.min(pool.capacity, allocationOf(tickets.filter(t => t.poolId?.equals(pool._id)))), 0);
+  const soldTickets = tickets.reduce((sum, t) => sum + (t.quantity?.sold || 0), 0);
+  const reservedTickets = tickets.reduce((sum, t) => sum + (t.quantity?.reserved || 0), 0);
+
+  const prices = tickets.filter(t => t.status !== 'cancelled').map(t => t.price.amount);
+  const priceRange = prices.length > 0
+    ? { min: Math.min(...prices), max: Math.max(...prices) }
+    : this.ticketInfo?.priceRange;
+  const isFree = prices.length > 0 ? priceRange.max === 0 : this.ticketInfo?.isFree;
+
+  const ticketInfo = { availableTickets, soldTickets, reservedTickets, priceRange, isFree };
+
+  // updateOne avoids re-running the startDate validator on past events
+  await this.constructor.updateOne({ _id: this._id }, { $set: { ticketInfo } });
+
+  this.ticketInfo = ticketInfo;
+  return this;
+};
+
 // Method to compare password for private events
 eventSchema.methods.comparePassword = async function(candidatePassword) {
   if (!this.password) {
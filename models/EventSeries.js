@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const timezoneService = require('../services/timezoneService');
+
+// A recurring event. Every occurrence is a regular Event (with its own tickets and
+// attendees) pointing back here through event.series; the series keeps the recurrence
+// rule and the details the occurrences share, so "all future occurrences" edits can
+// be applied to them and the schedule can be reproduced.
+const eventSeriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Series name is required'],
+    trim: true,
+    maxlength: [200, 'Series name cannot be more than 200 characters']
+  },
+  producerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Producer ID is required']
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: [true, 'Recurrence frequency is required']
+    },
+    // Every `interval` days, weeks or months
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, 'Interval must be at least 1']
+    },
+    // Weekly series only: 0 (Sunday) to 6 (Saturday)
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // End after this many occurrences (skipped dates included, as in iCalendar)...
+    count: {
+      type: Number,
+      min: [1, 'Count must be at least 1']
+    },
+    // ...or on this date
+    until: Date,
+    // Dates the series skips
+    exceptions: [Date]
+  },
+  // First occurrence; later ones keep its times and length
+  firstStartDate: {
+    type: Date,
+    required: [true, 'First start date is required']
+  },
+  durationDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startTime: String,
+  endTime: String,
+  // IANA timezone of the occurrences' dates and times
+  timezone: {
+    type: String,
+    default: () => timezoneService.defaultTimezone
+  },
+  // Details every occurrence shares
+  template: {
+    description: String,
+    image: String,
+    category: String,
+    language: String,
+    location: {
+      address: String,
+      city: String,
+      coordinates: {
+        lat: Number,
+        lng: Number
+      }
+    },
+    requiredServices: [String],
+    // Supplier requests each occurrence gets
+    suppliers: [{
+      supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      serviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service'
+      },
+      selectedPackageId: mongoose.Schema.Types.ObjectId,
+      packageDetails: {
+        name: String,
+        description: String,
+        price: Number,
+        features: [String],
+        duration: Number
+      },
+      requestedPrice: Number,
+      notes: String,
+      priority: String
+    }],
+    tags: [String]
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active'
+  },
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+eventSeriesSchema.index({ producerId: 1, status: 1 });
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// One slot on an event's agenda (talk, workshop, panel...). Attendees with a confirmed
+// booking can register for sessions, see Attendee.sessionRegistrations.
+const eventSessionSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Session title is required'],
+    trim: true,
+    maxlength: [200, 'Session title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  type: {
+    type: String,
+    enum: ['talk', 'keynote', 'workshop', 'panel', 'break', 'networking', 'other'],
+    default: 'talk'
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  room: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Room cannot exceed 100 characters']
+  },
+  track: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Track cannot exceed 100 characters']
+  },
+  speakers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Speaker'
+  }],
+  // Seats attendees can register for; null means no limit
+  capacity: {
+    type: Number,
+    default: null,
+    min: [1, 'Capacity must be at least 1']
+  },
+  registeredCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Registered count cannot be negative']
+  },
+  // Cancelled sessions leave the agenda but keep their registrations on record
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+eventSessionSchema.index({ eventId: 1, status: 1, startTime: 1 });
+eventSessionSchema.index({ speakers: 1 });
+
+// Virtual for seats still free; null when the session has no limit
+eventSessionSchema.virtual('remaining').get(function() {
+  if (this.capacity === null || this.capacity === undefined) {
+    return null;
+  }
+  return Math.max(0, this.capacity - this.registeredCount);
+});
+
+// Breaks and the like are on the agenda but nobody registers for them
+eventSessionSchema.virtual('isRegistrable').get(function() {
+  return this.status === 'scheduled' && this.type !== 'break';
+});
+
+// Static method to atomically take seats in a session if enough are free
+eventSessionSchema.statics.registerAtomically = function(sessionId, seats) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      status: 'scheduled',
+      type: { $ne: 'break' },
+      $or: [
+        { capacity: null },
+        { $expr: { $lte: [{ $add: ['$registeredCount', seats] }, '$capacity'] } }
+      ]
+    },
+    { $inc: { registeredCount: seats } },
+    { new: true }
+  );
+};
+
+// Static method to atomically give seats back (unregistering, cancelled bookings)
+eventSessionSchema.statics.releaseAtomically = function(sessionId, seats) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, registeredCount: { $gte: seats } },
+    { $inc: { registeredCount: -seats } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('EventSession', eventSessionSchema);
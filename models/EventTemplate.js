@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// A producer's saved event setup to start new events from: the event details, ticket
+// types and supplier requests, without dates, bookings or sales. Stored in the shape
+// POST /api/events accepts (see eventTemplateService.applyTemplate).
+const eventTemplateSchema = new mongoose.Schema({
+  producerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Producer ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [200, 'Template name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Template description cannot exceed 1000 characters']
+  },
+  // Event the template was last saved from
+  sourceEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  event: {
+    description: String,
+    image: String,
+    category: String,
+    language: String,
+    location: {
+      address: String,
+      city: String,
+      coordinates: {
+        lat: Number,
+        lng: Number
+      }
+    },
+    requiredServices: [String],
+    startTime: String,
+    endTime: String,
+    timezone: String,
+    // Days from the start date to the end date
+    durationDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    isPublic: Boolean,
+    donations: mongoose.Schema.Types.Mixed,
+    antiFraud: mongoose.Schema.Types.Mixed,
+    registrationForm: mongoose.Schema.Types.Mixed,
+    tags: [String]
+  },
+  tickets: [{
+    title: String,
+    description: String,
+    type: { type: String },
+    price: {
+      amount: Number,
+      currency: String
+    },
+    // Only sold-count tiers; dated tiers belong to one event
+    pricingTiers: [{
+      name: String,
+      price: Number,
+      maxSold: Number
+    }],
+    quantity: Number,
+    restrictions: mongoose.Schema.Types.Mixed,
+    transferPolicy: {
+      allowed: Boolean
+    }
+  }],
+  suppliers: [{
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service'
+    },
+    selectedPackageId: mongoose.Schema.Types.ObjectId,
+    packageDetails: {
+      name: String,
+      description: String,
+      price: Number,
+      features: [String],
+      duration: Number
+    },
+    requestedPrice: Number,
+    notes: String,
+    priority: String
+  }],
+  timesUsed: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+eventTemplateSchema.index({ producerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EventTemplate', eventTemplateSchema);
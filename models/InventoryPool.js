@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Shared capacity several ticket types of an event sell from, e.g. the venue's
+// standing area sold as Regular, Student and Early Bird. A pooled ticket can only be
+// sold while both its own allocation and the pool have room.
+const inventoryPoolSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Pool name is required'],
+    trim: true,
+    maxlength: [100, 'Pool name cannot exceed 100 characters']
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Pool capacity is required'],
+    min: [0, 'Pool capacity cannot be negative']
+  },
+  // Totals across the pool's ticket types, kept in step by the Ticket atomic statics
+  sold: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sold quantity cannot be negative']
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved quantity cannot be negative']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+inventoryPoolSchema.index({ eventId: 1, name: 1 }, { unique: true });
+
+// Virtual for capacity not yet sold or held
+inventoryPoolSchema.virtual('remaining').get(function() {
+  return Math.max(0, this.capacity - this.sold - this.reserved);
+});
+
+// Static method to atomically take `quantity` places as 'sold' or 'reserved' if the pool has room
+inventoryPoolSchema.statics.takeAtomically = function(poolId, quantity, counter = 'sold') {
+  return this.findOneAndUpdate(
+    {
+      _id: poolId,
+      $expr: { $gte: [{ $subtract: ['$capacity', { $add: ['$sold', '$reserved'] }] }, quantity] }
+    },
+    { $inc: { [counter]: quantity } },
+    { new: true }
+  );
+};
+
+// Static method to atomically give back places taken as 'sold' or 'reserved'
+inventoryPoolSchema.statics.giveBackAtomically = function(poolId, quantity, counter = 'sold') {
+  return this.findOneAndUpdate(
+    { _id: poolId, [counter]: { $gte: quantity } },
+    { $inc: { [counter]: -quantity } },
+    { new: true }
+  );
+};
+
+// Static method to atomically turn reserved places into sold ones
+inventoryPoolSchema.statics.sellReservedAtomically = function(poolId, quantity) {
+  return this.findOneAndUpdate(
+    { _id: poolId, reserved: { $gte: quantity } },
+    { $inc: { reserved: -quantity, sold: quantity } },
+    { new: true }
+  );
+};
+
+// Static method to atomically turn sold places back into reserved ones (undoing sellReservedAtomically)
+inventoryPoolSchema.statics.unsellReservedAtomically = function(poolId, quantity) {
+  return this.findOneAndUpdate(
+    { _id: poolId, sold: { $gte: quantity } },
+    { $inc: { sold: -quantity, reserved: quantity } },
+    { new: true }
+  );
+};
+
+// Static method to atomically change capacity, never below what is already sold or held
+inventoryPoolSchema.statics.resizeAtomically = function(poolId, capacity) {
+  return this.findOneAndUpdate(
+    { _id: poolId, $expr: { $lte: [{ $add: ['$sold', '$reserved'] }, capacity] } },
+    { $set: { capacity } },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('InventoryPool', inventoryPoolSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  // One payment per checkout; shared with the bookings it pays for
+  orderReference: {
+    type: String,
+    required: [true, 'Order reference is required'],
+    unique: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required'],
+    index: true
+  },
+  attendeeIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendee'
+  }],
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    enum: ['ILS', 'USD', 'EUR'],
+    default: 'ILS'
+  },
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required']
+  },
+  // The provider's id for the payment intent
+  providerPaymentId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  checkoutUrl: String,
+  status: {
+    type: String,
+    enum: ['requires_payment', 'authorized', 'succeeded', 'failed', 'expired', 'partially_refunded', 'refunded'],
+    default: 'requires_payment'
+  },
+  failureReason: String,
+  // Unpaid payments past this time are cancelled and their tickets released
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  authorizedAt: Date,
+  capturedAt: Date,
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    providerRefundId: String,
+    refundRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefundRequest'
+    },
+    reason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Provider webhook event ids already handled, so redeliveries are ignored
+  processedEvents: {
+    type: [String],
+    select: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+paymentSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for what can still be refunded
+paymentSchema.virtual('refundableAmount').get(function() {
+  if (!['succeeded', 'partially_refunded'].includes(this.status)) return 0;
+  return Math.max(0, this.amount - (this.refundedAmount || 0));
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Promo code cannot exceed 50 characters'],
+    match: [/^[A-Z0-9_-]+$/, 'Promo code may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  producerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Producer ID is required']
+  },
+  // Empty list means the code applies to every ticket type of the event
+  ticketIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  }],
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  maxUses: {
+    type: Number,
+    min: [1, 'Maximum uses must be at least 1'],
+    default: null
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Used count cannot be negative']
+  },
+  perEmailLimit: {
+    type: Number,
+    min: [1, 'Per-email limit must be at least 1'],
+    default: null
+  },
+  minQuantity: {
+    type: Number,
+    min: [1, 'Minimum quantity must be at least 1'],
+    default: 1
+  },
+  validFrom: Date,
+  validUntil: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Codes are unique within an event
+promoCodeSchema.index({ eventId: 1, code: 1 }, { unique: true });
+promoCodeSchema.index({ producerId: 1 });
+
+// Percentage discounts cannot exceed 100%
+promoCodeSchema.path('discountValue').validate(function(value) {
+  return this.discountType !== 'percentage' || value <= 100;
+}, 'Percentage discount cannot exceed 100%');
+
+// Virtual for remaining uses
+promoCodeSchema.virtual('remainingUses').get(function() {
+  if (!this.maxUses) return null;
+  return Math.max(this.maxUses - this.usedCount, 0);
+});
+
+// Static method to find a code for an event (case-insensitive input)
+promoCodeSchema.statics.findByCode = function(eventId, code) {
+  return this.findOne({ eventId, code: String(code).trim().toUpperCase() });
+};
+
+// Static method to atomically consume one use, respecting maxUses
+promoCodeSchema.statics.redeemAtomically = function(promoCodeId) {
+  return this.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      isActive: true,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give back a use (failed or cancelled registration)
+promoCodeSchema.statics.releaseRedemption = function(promoCodeId) {
+  return this.updateOne(
+    { _id: promoCodeId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
+
+// Method to check whether the code applies to a ticket document
+promoCodeSchema.methods.appliesToTicket = function(ticketId) {
+  if (!this.ticketIds || this.ticketIds.length === 0) return true;
+  if (!ticketId) return false;
+  return this.ticketIds.some(id => id.toString() === ticketId.toString());
+};
+
+// Method to check whether the code can be used for a booking.
+// `lines` is [{ ticketId, quantity, amount }]; returns an error message or null.
+promoCodeSchema.methods.getIneligibilityReason = async function(lines, email) {
+  const now = new Date();
+
+  if (!this.isActive) {
+    return 'This promo code is no longer active';
+  }
+  if (this.validFrom && now < this.validFrom) {
+    return 'This promo code is not valid yet';
+  }
+  if (this.validUntil && now > this.validUntil) {
+    return 'This promo code has expired';
+  }
+  if (this.maxUses && this.usedCount >= this.maxUses) {
+    return 'This promo code has reached its usage limit';
+  }
+
+  const eligibleQuantity = lines
+    .filter(line => this.appliesToTicket(line.ticketId))
+    .reduce((sum, line) => sum + line.quantity, 0);
+
+  if (eligibleQuantity === 0) {
+    return 'This promo code does not apply to the selected tickets';
+  }
+  if (eligibleQuantity < (this.minQuantity || 1)) {
+    return `This promo code requires at least ${this.minQuantity} eligible tickets`;
+  }
+
+  if (this.perEmailLimit && email) {
+    const Attendee = mongoose.model('Attendee');
+    const previousBookings = await Attendee.distinct('orderReference', {
+      promoCodeId: this._id,
+      email: email.toLowerCase(),
+      bookingStatus: { $ne: 'cancelled' }
+    });
+    if (previousBookings.length >= this.perEmailLimit) {
+      return 'You have already used this promo code the maximum number of times';
+    }
+  }
+
+  return null;
+};
+
+// Method to split the discount across booking lines.
+// Returns an array of discount amounts aligned with `lines`.
+promoCodeSchema.methods.calculateLineDiscounts = function(lines) {
+  if (this.discountType === 'percentage') {
+    return lines.map(line => this.appliesToTicket(line.ticketId)
+      ? Math.round(line.amount * this.discountValue) / 100
+      : 0);
+  }
+
+  // Fixed amount is taken off the whole order, never below zero per line
+  let remaining = this.discountValue;
+  return lines.map(line => {
+    if (!this.appliesToTicket(line.ticketId) || remaining <= 0) return 0;
+    const discount = Math.min(line.amount, remaining);
+    remaining -= discount;
+    return discount;
+  });
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
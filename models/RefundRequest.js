@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const refundRequestSchema = new mongoose.Schema({
+  attendeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendee',
+    required: [true, 'Attendee ID is required'],
+    index: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  },
+  bookingReference: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  ticketQuantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Who opened the request: the attendee themselves or event staff
+  requestedBy: {
+    type: String,
+    enum: ['attendee', 'producer', 'admin'],
+    default: 'attendee'
+  },
+  requestedByUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // Refund policy outcome when the request was opened
+  paidAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  feeAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundableAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundDeadline: Date,
+  // Amount actually refunded; staff may override the policy amount up to what was paid
+  refundedAmount: {
+    type: Number,
+    min: 0
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Decision note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+refundRequestSchema.index({ eventId: 1, status: 1, createdAt: -1 });
+
+// Only one open request per booking
+refundRequestSchema.index(
+  { attendeeId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'one_pending_per_attendee' }
+);
+
+module.exports = mongoose.model('RefundRequest', refundRequestSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One public checkout attempt (registration, hold or hold confirmation), kept briefly
+// so fraudService can spot bursts from the same IP address or device
+const registrationAttemptSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  ip: {
+    type: String,
+    index: true
+  },
+  // Client-computed device fingerprint sent in the X-Device-Fingerprint header
+  deviceFingerprint: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  ticketQuantity: {
+    type: Number,
+    default: 0
+  },
+  outcome: {
+    type: String,
+    enum: ['allowed', 'challenged', 'blocked'],
+    default: 'allowed'
+  }
+}, {
+  timestamps: true
+});
+
+// Attempts only matter for the velocity window; drop them after a day
+registrationAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('RegistrationAttempt', registrationAttemptSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// Live state of one seat on an event's seat map. Every change of state is a conditional
+// update, so two buyers can never hold or buy the same seat.
+const seatSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  seatMapId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SeatMap'
+  },
+  // <section key>-<row>-<number>, unique per event
+  seatKey: {
+    type: String,
+    required: [true, 'Seat key is required']
+  },
+  section: String,
+  row: String,
+  number: String,
+  zone: String,
+  // Ticket type the seat is sold as
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  },
+  accessible: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['available', 'held', 'sold', 'blocked'],
+    default: 'available'
+  },
+  // Checkout hold the seat is reserved for, until heldUntil
+  holdReference: String,
+  heldUntil: Date,
+  // Booking the seat was sold to
+  attendeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendee'
+  }
+}, {
+  timestamps: true
+});
+
+seatSchema.index({ eventId: 1, seatKey: 1 }, { unique: true });
+seatSchema.index({ holdReference: 1 }, { sparse: true });
+seatSchema.index({ attendeeId: 1 }, { sparse: true });
+
+// Virtual for the label printed on tickets, e.g. "Orchestra A-12"
+seatSchema.virtual('label').get(function() {
+  return `${this.section} ${this.row}-${this.number}`;
+});
+
+// Take seats one by one with `update`, only where they are still available.
+// If any seat is taken, give back the ones already taken and throw a 409.
+const takeSeats = async (Seat, eventId, seatKeys, update, undo) => {
+  const taken = [];
+
+  for (const seatKey of seatKeys) {
+    const seat = await Seat.findOneAndUpdate(
+      { eventId, seatKey, status: 'available' },
+      update,
+      { new: true }
+    );
+
+    if (!seat) {
+      if (taken.length > 0) {
+        await Seat.updateMany({ _id: { $in: taken.map(s => s._id) } }, undo);
+      }
+      const error = new Error(`Seat ${seatKey} is no longer available. Please choose another seat.`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    taken.push(seat);
+  }
+
+  return taken;
+};
+
+const RELEASE_UPDATE = {
+  $set: { status: 'available' },
+  $unset: { holdReference: 1, heldUntil: 1, attendeeId: 1 }
+};
+
+// Static method to hold available seats for a checkout hold, all or none
+seatSchema.statics.holdAtomically = function(eventId, seatKeys, holdReference, heldUntil) {
+  return takeSeats(this, eventId, seatKeys, { $set: { status: 'held', holdReference, heldUntil } }, RELEASE_UPDATE);
+};
+
+// Static method to sell available seats straight to a booking, all or none
+seatSchema.statics.sellAtomically = function(eventId, seatKeys, attendeeId) {
+  return takeSeats(this, eventId, seatKeys, { $set: { status: 'sold', attendeeId } }, RELEASE_UPDATE);
+};
+
+// Static method to sell seats held by a checkout hold to a booking.
+// Returns the seats sold; seats the hold no longer has are left out.
+seatSchema.statics.sellHeldAtomically = async function(holdReference, seatKeys, attendeeId) {
+  await this.updateMany(
+    { holdReference, seatKey: { $in: seatKeys }, status: 'held' },
+    { $set: { status: 'sold', attendeeId }, $unset: { holdReference: 1, heldUntil: 1 } }
+  );
+  return this.find({ attendeeId, seatKey: { $in: seatKeys }, status: 'sold' });
+};
+
+// Static method to give seats sold from a checkout hold back to the hold
+seatSchema.statics.returnToHold = function(attendeeId, holdReference, heldUntil) {
+  return this.updateMany(
+    { attendeeId, status: 'sold' },
+    { $set: { status: 'held', holdReference, heldUntil }, $unset: { attendeeId: 1 } }
+  );
+};
+
+// Static method to free the seats of a checkout hold
+seatSchema.statics.releaseHold = function(holdReference) {
+  return this.updateMany({ holdReference, status: 'held' }, RELEASE_UPDATE);
+};
+
+// Static method to free the seats sold to a booking
+seatSchema.statics.releaseForAttendee = function(attendeeId) {
+  return this.updateMany({ attendeeId, status: 'sold' }, RELEASE_UPDATE);
+};
+
+module.exports = mongoose.model('Seat', seatSchema);
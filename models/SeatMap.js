@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+// Venue layout for a reserved-seating event. Live seat state lives in Seat documents,
+// one per seat, created from this layout by syncSeats().
+const seatMapSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required'],
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Seat map name cannot exceed 100 characters']
+  },
+  // Price zones: every seat in a zone is sold as the zone's ticket type, at its price
+  zones: [{
+    key: {
+      type: String,
+      required: [true, 'Zone key is required']
+    },
+    name: {
+      type: String,
+      required: [true, 'Zone name is required'],
+      trim: true
+    },
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: [true, 'Zone ticket is required']
+    },
+    color: String
+  }],
+  sections: [{
+    key: {
+      type: String,
+      required: [true, 'Section key is required']
+    },
+    name: {
+      type: String,
+      required: [true, 'Section name is required'],
+      trim: true
+    },
+    rows: [{
+      label: {
+        type: String,
+        required: [true, 'Row label is required']
+      },
+      seats: [{
+        number: {
+          type: String,
+          required: [true, 'Seat number is required']
+        },
+        zone: {
+          type: String,
+          required: [true, 'Seat zone is required']
+        },
+        // Drawing position, in the client's map units
+        x: Number,
+        y: Number,
+        accessible: {
+          type: Boolean,
+          default: false
+        },
+        // Never sold, e.g. house seats or a camera position
+        blocked: {
+          type: Boolean,
+          default: false
+        }
+      }]
+    }]
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for total number of seats on the map
+seatMapSchema.virtual('totalSeats').get(function() {
+  return (this.sections || []).reduce((sum, section) =>
+    sum + section.rows.reduce((rowSum, row) => rowSum + row.seats.length, 0), 0);
+});
+
+// Static method to build the key a seat is booked by: <section>-<row>-<number>
+seatMapSchema.statics.buildSeatKey = function(sectionKey, rowLabel, seatNumber) {
+  return `${sectionKey}-${rowLabel}-${seatNumber}`;
+};
+
+// Method to list every seat on the map with its key, zone and ticket type
+seatMapSchema.methods.listSeats = function() {
+  const zones = new Map(this.zones.map(zone => [zone.key, zone]));
+  const seats = [];
+
+  for (const section of this.sections) {
+    for (const row of section.rows) {
+      for (const seat of row.seats) {
+        seats.push({
+          seatKey: this.constructor.buildSeatKey(section.key, row.label, seat.number),
+          section: section.name,
+          row: row.label,
+          number: seat.number,
+          zone: seat.zone,
+          ticketId: zones.get(seat.zone)?.ticketId,
+          accessible: seat.accessible,
+          blocked: seat.blocked
+        });
+      }
+    }
+  }
+
+  return seats;
+};
+
+// Method to check whether a ticket type is sold by seat on this map
+seatMapSchema.methods.isSeatedTicket = function(ticketId) {
+  return this.zones.some(zone => zone.ticketId.toString() === ticketId.toString());
+};
+
+// Method to bring the event's Seat documents in line with the layout. Seats that are
+// held or sold keep their state and can't be removed; free seats follow the new layout.
+seatMapSchema.methods.syncSeats = async function() {
+  const Seat = mongoose.model('Seat');
+  const layout = this.listSeats();
+  const layoutKeys = new Set(layout.map(seat => seat.seatKey));
+
+  const taken = await Seat.find({
+    eventId: this.eventId,
+    seatKey: { $nin: [...layoutKeys] },
+    status: { $in: ['held', 'sold'] }
+  }).select('seatKey');
+  if (taken.length > 0) {
+    const error = new Error(`Seats already held or sold can't be removed: ${taken.map(seat => seat.seatKey).join(', ')}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  await Seat.deleteMany({ eventId: this.eventId, seatKey: { $nin: [...layoutKeys] } });
+
+  if (layout.length > 0) {
+    await Seat.bulkWrite(layout.map(seat => ({
+      updateOne: {
+        filter: { eventId: this.eventId, seatKey: seat.seatKey },
+        update: {
+          $set: {
+            seatMapId: this._id,
+            section: seat.section,
+            row: seat.row,
+            number: seat.number,
+            zone: seat.zone,
+            ticketId: seat.ticketId,
+            accessible: seat.accessible
+          },
+          $setOnInsert: { status: seat.blocked ? 'blocked' : 'available' }
+        },
+        upsert: true
+      }
+    })));
+
+    // Block or unblock seats nobody holds
+    await Seat.updateMany(
+      { eventId: this.eventId, seatKey: { $in: layout.filter(s => s.blocked).map(s => s.seatKey) }, status: 'available' },
+      { $set: { status: 'blocked' } }
+    );
+    await Seat.updateMany(
+      { eventId: this.eventId, seatKey: { $in: layout.filter(s => !s.blocked).map(s => s.seatKey) }, status: 'blocked' },
+      { $set: { status: 'available' } }
+    );
+  }
+};
+
+module.exports = mongoose.model('SeatMap', seatMapSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Speaker profile a producer keeps and assigns to sessions across their events
+const speakerSchema = new mongoose.Schema({
+  producerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Producer ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Speaker name is required'],
+    trim: true,
+    maxlength: [100, 'Speaker name cannot exceed 100 characters']
+  },
+  jobTitle: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Job title cannot exceed 100 characters']
+  },
+  company: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Company cannot exceed 100 characters']
+  },
+  bio: {
+    type: String,
+    maxlength: [2000, 'Bio cannot exceed 2000 characters']
+  },
+  photo: {
+    type: String,
+    default: null
+  },
+  // For the organizer only; never shown on the public agenda
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  links: {
+    website: String,
+    linkedin: String,
+    twitter: String
+  },
+  // Retired profiles leave the producer's speaker list; sessions keep them
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+speakerSchema.index({ producerId: 1, isActive: 1 });
+
+module.exports = mongoose.model('Speaker', speakerSchema);
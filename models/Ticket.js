@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const InventoryPool = require('./InventoryPool');
 
 const ticketSchema = new mongoose.Schema({
   eventId: {
@@ -45,8 +46,46 @@ const ticketSchema = new mongoose.Schema({
       type: Number,
       min: [0, 'Discount cannot be negative'],
       max: [100, 'Discount cannot exceed 100%']
+    },
+    // Pay-what-you-want only: the lowest amount accepted and the amount offered by default
+    minimum: {
+      type: Number,
+      min: [0, 'Minimum price cannot be negative']
+    },
+    suggested: {
+      type: Number,
+      min: [0, 'Suggested price cannot be negative']
     }
   },
+  // 'fixed' charges the price (and pricing tiers); 'pay_what_you_want' lets the buyer
+  // choose an amount per ticket of at least price.minimum
+  pricingMode: {
+    type: String,
+    enum: ['fixed', 'pay_what_you_want'],
+    default: 'fixed'
+  },
+  // Ordered price schedule; the first tier whose date window and sold-count
+  // cap both match is charged, otherwise the base price applies
+  pricingTiers: [{
+    name: {
+      type: String,
+      required: [true, 'Tier name is required'],
+      trim: true,
+      maxlength: [100, 'Tier name cannot exceed 100 characters']
+    },
+    price: {
+      type: Number,
+      required: [true, 'Tier price is required'],
+      min: [0, 'Tier price cannot be negative']
+    },
+    startDate: Date,
+    endDate: Date,
+    // Tier applies while fewer than this many tickets are taken (sold + reserved)
+    maxSold: {
+      type: Number,
+      min: [1, 'Tier sold limit must be at least 1']
+    }
+  }],
   quantity: {
     total: {
       type: Number,
@@ -69,6 +108,12 @@ const ticketSchema = new mongoose.Schema({
       min: [0, 'Reserved quantity cannot be negative']
     }
   },
+  // Shared capacity this ticket type also sells from (see InventoryPool)
+  poolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryPool',
+    default: null
+  },
   status: {
     type: String,
     enum: ['draft', 'active', 'paused', 'sold_out', 'expired', 'cancelled'],
@@ -131,7 +176,12 @@ const ticketSchema = new mongoose.Schema({
       required: [true, 'Sales end date is required']
     },
     earlyBirdEndDate: Date,
-    lastMinuteStartDate: Date
+    lastMinuteStartDate: Date,
+    // Drafts go on sale by themselves at startDate; off keeps them drafts until activated by hand
+    autoPublish: {
+      type: Boolean,
+      default: true
+    }
   },
   refundPolicy: {
     allowed: {
@@ -149,6 +199,13 @@ const ticketSchema = new mongoose.Schema({
       min: [0, 'Refund fee cannot be negative']
     }
   },
+  transferPolicy: {
+    // Whether holders may hand these tickets to someone else
+    allowed: {
+      type: Boolean,
+      default: true
+    }
+  },
   imageForPdf: {
     type: String,
     default: null
@@ -164,7 +221,11 @@ const ticketSchema = new mongoose.Schema({
     },
     activatedAt: Date,
     pausedAt: Date,
-    soldOutAt: Date
+    soldOutAt: Date,
+    // Set when sales closed at their end date, so moving the end date later can reopen them
+    expiredAt: Date,
+    // Status the ticket had when sales closed (e.g. paused), restored if they reopen
+    statusBeforeExpiry: String
   }
 }, {
   timestamps: true,
@@ -185,9 +246,10 @@ ticketSchema.index({ 'price.amount': 1 });
 // Compound indexes for common queries
 ticketSchema.index({ eventId: 1, status: 1 });
 ticketSchema.index({ eventId: 1, type: 1 });
+ticketSchema.index({ poolId: 1 }, { sparse: true });
 ticketSchema.index({ status: 1, 'validity.isActive': 1 });
 
-// Virtual for remaining quantity
+// Virtual for remaining quantity of the ticket's own allocation (see getRemainingQuantity for pooled tickets)
 ticketSchema.virtual('remainingQuantity').get(function() {
   return this.quantity.available - this.quantity.sold - this.quantity.reserved;
 });
@@ -198,6 +260,11 @@ ticketSchema.virtual('soldPercentage').get(function() {
   return Math.round((this.quantity.sold / this.quantity.total) * 100);
 });
 
+// Virtual for whether buyers choose what they pay
+ticketSchema.virtual('isPayWhatYouWant').get(function() {
+  return this.pricingMode === 'pay_what_you_want';
+});
+
 // Virtual for current price (with discount)
 ticketSchema.virtual('currentPrice').get(function() {
   if (this.price.discount > 0) {
@@ -206,6 +273,17 @@ ticketSchema.virtual('currentPrice').get(function() {
   return this.price.amount;
 });
 
+// Virtual for the price a buyer is charged right now for a single ticket
+ticketSchema.virtual('effectivePrice').get(function() {
+  return this.quotePrice(1).unitPrice;
+});
+
+// Virtual for the name of the pricing tier in effect right now
+ticketSchema.virtual('activePricingTier').get(function() {
+  const tier = this.getPricingTier();
+  return tier ? tier.name : null;
+});
+
 // Virtual for savings amount
 ticketSchema.virtual('savingsAmount').get(function() {
   if (this.price.originalPrice && this.price.originalPrice > this.price.amount) {
@@ -261,6 +339,29 @@ ticketSchema.virtual('eventProducer', {
   options: { select: 'producerId' }
 });
 
+// Pay-what-you-want tickets need a minimum; the suggested amount defaults to the price
+// and is mirrored into price.amount, so listings and price ranges show it
+ticketSchema.pre('validate', function(next) {
+  if (this.pricingMode !== 'pay_what_you_want') {
+    return next();
+  }
+
+  if (this.price.minimum === undefined || this.price.minimum === null) {
+    this.invalidate('price.minimum', 'Pay-what-you-want tickets need a minimum price');
+    return next();
+  }
+
+  if (this.price.suggested === undefined || this.price.suggested === null) {
+    this.price.suggested = Math.max(this.price.amount || 0, this.price.minimum);
+  }
+  if (this.price.suggested < this.price.minimum) {
+    this.invalidate('price.suggested', 'Suggested price cannot be lower than the minimum');
+  }
+  this.price.amount = this.price.suggested;
+
+  next();
+});
+
 // Pre-save middleware to update metadata
 ticketSchema.pre('save', function(next) {
   this.metadata.updatedAt = new Date();
@@ -300,6 +401,65 @@ ticketSchema.post('save', async function() {
   }
 });
 
+// Statuses the sales schedule moves a ticket out of when sales close
+const CLOSABLE_STATUSES = ['draft', 'active', 'paused', 'sold_out'];
+
+// Static method to move tickets along their sales schedule: drafts go on sale at
+// sales.startDate, tickets still selling close at the end of their sales window or
+// validity (see getSalesEndDate), and tickets closed by the schedule go back to the
+// status they had if the end date moved later. Returns the tickets that changed.
+ticketSchema.statics.applySalesSchedule = async function(now = new Date()) {
+  const candidates = await this.find({
+    $or: [
+      { status: 'draft', 'sales.autoPublish': { $ne: false }, 'sales.startDate': { $lte: now } },
+      {
+        status: { $in: CLOSABLE_STATUSES },
+        $or: [{ 'sales.endDate': { $lt: now } }, { 'validity.endDate': { $lt: now } }]
+      },
+      {
+        status: 'expired',
+        'metadata.expiredAt': { $exists: true },
+        'sales.endDate': { $gte: now },
+        'validity.endDate': { $gte: now }
+      }
+    ]
+  });
+
+  const changed = [];
+  for (const ticket of candidates) {
+    const status = ticket.getScheduledStatus(now);
+    if (!status) continue;
+
+    const $set = { status, 'metadata.updatedAt': now };
+    const $unset = {};
+    if (ticket.status === 'expired') {
+      $unset['metadata.expiredAt'] = 1;
+      $unset['metadata.statusBeforeExpiry'] = 1;
+    }
+    if (status === 'active') {
+      $set['metadata.activatedAt'] = ticket.metadata?.activatedAt || now;
+    } else if (status === 'expired') {
+      $set['metadata.expiredAt'] = now;
+      $set['metadata.statusBeforeExpiry'] = ticket.status;
+    }
+
+    // Skip tickets whose status changed since they were read (e.g. a producer paused one)
+    const updated = await this.findOneAndUpdate(
+      { _id: ticket._id, status: ticket.status },
+      { $set, $unset },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    if (status === 'active' || status === 'sold_out') {
+      await this.syncSoldOutStatus(updated._id);
+    }
+    changed.push(updated);
+  }
+
+  return changed;
+};
+
 // Static method to find active tickets
 ticketSchema.statics.findActive = function() {
   return this.find({
@@ -313,6 +473,44 @@ ticketSchema.statics.findByEvent = function(eventId) {
   return this.find({ eventId }).sort({ 'price.amount': 1 });
 };
 
+// Static method to build the ticket document for a ticket type given inline when an event
+// is created or duplicated, in either the simple (numeric price and quantity) or the detailed shape
+ticketSchema.statics.buildForEvent = function(event, ticket) {
+  const priceAmount = typeof ticket.price === 'number' ? ticket.price : ticket.price.amount;
+  const currency = ticket.currency || (typeof ticket.price === 'object' ? ticket.price.currency : 'ILS');
+  const quantity = typeof ticket.quantity === 'number' ? ticket.quantity : ticket.quantity.total;
+
+  return {
+    eventId: event._id,
+    eventName: event.name,
+    title: ticket.title,
+    description: ticket.description || '',
+    type: ticket.type,
+    price: { amount: priceAmount, currency, minimum: ticket.price?.minimum, suggested: ticket.price?.suggested },
+    pricingMode: ticket.pricingMode || 'fixed',
+    pricingTiers: ticket.pricingTiers || [],
+    quantity: {
+      total: quantity,
+      available: quantity,
+      sold: 0,
+      reserved: 0
+    },
+    status: 'active',
+    validity: {
+      startDate: event.getStartInstant(),
+      endDate: event.getEndInstant(),
+      isActive: true
+    },
+    sales: {
+      startDate: ticket.sales?.startDate || new Date(),
+      endDate: ticket.sales?.endDate || event.getEndInstant()
+    },
+    restrictions: ticket.restrictions || { maxPerPerson: 10 },
+    refundPolicy: ticket.refundPolicy || { allowed: true, deadline: 7, fee: 0 },
+    transferPolicy: ticket.transferPolicy || { allowed: true }
+  };
+};
+
 // Static method to find tickets by type
 ticketSchema.statics.findByType = function(type) {
   return this.find({
@@ -322,6 +520,49 @@ ticketSchema.statics.findByType = function(type) {
   }).sort({ 'price.amount': 1 });
 };
 
+// Method to get when sales end: the end of the sales window, or earlier if the
+// ticket stops being valid before then
+ticketSchema.methods.getSalesEndDate = function() {
+  const endDates = [this.sales?.endDate, this.validity?.endDate].filter(Boolean);
+  return endDates.length > 0 ? new Date(Math.min(...endDates.map(date => date.getTime()))) : null;
+};
+
+// Method to get the status the sales schedule puts the ticket in at `at`, or null to leave it
+ticketSchema.methods.getScheduledStatus = function(at = new Date()) {
+  const { startDate, autoPublish } = this.sales || {};
+  const endDate = this.getSalesEndDate();
+  if (!startDate || !endDate) {
+    return null;
+  }
+
+  if (at > endDate) {
+    if (this.status === 'draft' && autoPublish === false) return null;
+    return CLOSABLE_STATUSES.includes(this.status) ? 'expired' : null;
+  }
+
+  if (at >= startDate) {
+    if (this.status === 'draft' && autoPublish !== false) return 'active';
+    if (this.status === 'expired' && this.metadata?.expiredAt) return this.metadata.statusBeforeExpiry || 'active';
+  }
+
+  return null;
+};
+
+// Method to check a purchase falls within the ticket's sales window; returns the problem or null
+ticketSchema.methods.getSalesWindowViolation = function(at = new Date()) {
+  const { startDate, endDate } = this.sales || {};
+  if (startDate && at < startDate) {
+    return `Sales for ${this.title} open on ${startDate.toISOString()}`;
+  }
+  if (endDate && at > endDate) {
+    return `Sales for ${this.title} closed on ${endDate.toISOString()}`;
+  }
+  if (this.validity?.endDate && at > this.validity.endDate) {
+    return `${this.title} tickets stopped being valid on ${this.validity.endDate.toISOString()}`;
+  }
+  return null;
+};
+
 // Method to reserve tickets
 ticketSchema.methods.reserveTickets = function(quantity) {
   if (quantity > this.quantity.available - this.quantity.sold - this.quantity.reserved) {
@@ -352,6 +593,265 @@ ticketSchema.methods.sellTickets = function(quantity) {
   return this.save();
 };
 
+// Take `quantity` from a ticket's pool once the ticket itself has been updated.
+// If the pool has no room, reverse the ticket update with `undo` and return null.
+const takeFromPool = async (Ticket, ticket, quantity, counter, undo) => {
+  if (!ticket?.poolId) {
+    return ticket;
+  }
+
+  const pool = await InventoryPool.takeAtomically(ticket.poolId, quantity, counter);
+  if (!pool) {
+    await Ticket.updateOne({ _id: ticket._id }, undo);
+    return null;
+  }
+
+  return ticket;
+};
+
+// Static method to atomically reserve tickets if enough remain, in the ticket and its pool
+ticketSchema.statics.reserveAtomically = async function(ticketId, quantity) {
+  const ticket = await this.findOneAndUpdate(
+    {
+      _id: ticketId,
+      status: 'active',
+      $expr: {
+        $gte: [
+          { $subtract: ['$quantity.available', { $add: ['$quantity.sold', '$quantity.reserved'] }] },
+          quantity
+        ]
+      }
+    },
+    { $inc: { 'quantity.reserved': quantity } },
+    { new: true }
+  );
+
+  return takeFromPool(this, ticket, quantity, 'reserved', { $inc: { 'quantity.reserved': -quantity } });
+};
+
+// Static method to atomically release previously reserved tickets
+ticketSchema.statics.releaseReservedAtomically = async function(ticketId, quantity) {
+  const ticket = await this.findOneAndUpdate(
+    { _id: ticketId, 'quantity.reserved': { $gte: quantity } },
+    { $inc: { 'quantity.reserved': -quantity } },
+    { new: true }
+  );
+
+  if (ticket?.poolId) {
+    await InventoryPool.giveBackAtomically(ticket.poolId, quantity, 'reserved');
+  }
+  return ticket;
+};
+
+// Static method to atomically turn reserved tickets into sold tickets
+ticketSchema.statics.sellReservedAtomically = async function(ticketId, quantity) {
+  const ticket = await this.findOneAndUpdate(
+    { _id: ticketId, 'quantity.reserved': { $gte: quantity } },
+    { $inc: { 'quantity.reserved': -quantity, 'quantity.sold': quantity } },
+    { new: true }
+  );
+
+  if (ticket?.poolId) {
+    await InventoryPool.sellReservedAtomically(ticket.poolId, quantity);
+  }
+  return ticket;
+};
+
+// Static method to atomically turn sold tickets back into reserved ones, undoing
+// sellReservedAtomically when a hold's checkout fails after it
+ticketSchema.statics.unsellReservedAtomically = async function(ticketId, quantity) {
+  const ticket = await this.findOneAndUpdate(
+    { _id: ticketId, 'quantity.sold': { $gte: quantity } },
+    { $inc: { 'quantity.sold': -quantity, 'quantity.reserved': quantity } },
+    { new: true }
+  );
+
+  if (ticket?.poolId) {
+    await InventoryPool.unsellReservedAtomically(ticket.poolId, quantity);
+  }
+  return ticket;
+};
+
+// Static method to atomically sell tickets if enough remain (no prior reservation), in the ticket and its pool
+ticketSchema.statics.sellAtomically = async function(ticketId, quantity) {
+  const ticket = await this.findOneAndUpdate(
+    {
+      _id: ticketId,
+      status: 'active',
+      $expr: {
+        $gte: [
+          { $subtract: ['$quantity.available', { $add: ['$quantity.sold', '$quantity.reserved'] }] },
+          quantity
+        ]
+      }
+    },
+    { $inc: { 'quantity.sold': quantity } },
+    { new: true }
+  );
+
+  return takeFromPool(this, ticket, quantity, 'sold', { $inc: { 'quantity.sold': -quantity } });
+};
+
+// Static method to atomically return sold tickets to the pool (cancellations, rollbacks)
+ticketSchema.statics.returnSoldAtomically = async function(ticketId, quantity) {
+  const ticket = await this.findOneAndUpdate(
+    { _id: ticketId, 'quantity.sold': { $gte: quantity } },
+    { $inc: { 'quantity.sold': -quantity } },
+    { new: true }
+  );
+
+  if (ticket?.poolId) {
+    await InventoryPool.giveBackAtomically(ticket.poolId, quantity, 'sold');
+  }
+  return ticket;
+};
+
+// Static method to flip status between active and sold_out after atomic updates
+// (findOneAndUpdate bypasses the pre-save hook). A ticket is sold out when its own
+// allocation or its pool is, so every ticket type in the pool is synced together.
+ticketSchema.statics.syncSoldOutStatus = async function(ticketId) {
+  const ticket = await this.findById(ticketId).select('poolId');
+  if (!ticket) {
+    return;
+  }
+
+  const pool = ticket.poolId ? await InventoryPool.findById(ticket.poolId) : null;
+  const poolSoldOut = Boolean(pool && pool.sold >= pool.capacity);
+  const filter = pool ? { poolId: pool._id } : { _id: ticket._id };
+
+  await this.updateMany(
+    {
+      ...filter,
+      status: 'active',
+      ...(poolSoldOut ? {} : { $expr: { $gte: ['$quantity.sold', '$quantity.available'] } })
+    },
+    { $set: { status: 'sold_out', 'metadata.soldOutAt': new Date() } }
+  );
+
+  if (!poolSoldOut) {
+    await this.updateMany(
+      { ...filter, status: 'sold_out', $expr: { $lt: ['$quantity.sold', '$quantity.available'] } },
+      { $set: { status: 'active' } }
+    );
+  }
+};
+
+// Method to get how many tickets can still be taken, given the ticket's pool when
+// it has one (pass the pool if already loaded)
+ticketSchema.methods.getRemainingQuantity = async function(pool) {
+  if (!this.poolId) {
+    return this.remainingQuantity;
+  }
+
+  const loaded = pool === undefined ? await InventoryPool.findById(this.poolId) : pool;
+  return loaded ? Math.min(this.remainingQuantity, loaded.remaining) : this.remainingQuantity;
+};
+
+// Method to find the pricing tier for the ticket at a given position in the sales order
+ticketSchema.methods.getPricingTier = function(position, at = new Date()) {
+  if (!this.pricingTiers || this.pricingTiers.length === 0) return null;
+
+  const taken = position !== undefined
+    ? position
+    : (this.quantity?.sold || 0) + (this.quantity?.reserved || 0);
+
+  return this.pricingTiers.find(tier => {
+    if (tier.startDate && at < tier.startDate) return false;
+    if (tier.endDate && at > tier.endDate) return false;
+    if (tier.maxSold && taken >= tier.maxSold) return false;
+    return true;
+  }) || null;
+};
+
+// Method to price a purchase of `quantity` tickets. Each admission is priced
+// by its own position, so a purchase can straddle a sold-count tier boundary.
+// Pay-what-you-want tickets are priced at `chosenAmount` each, or the suggested amount.
+ticketSchema.methods.quotePrice = function(quantity = 1, at = new Date(), chosenAmount) {
+  if (this.isPayWhatYouWant) {
+    const unitPrice = chosenAmount ?? this.price.suggested ?? this.price.amount;
+    return {
+      unitPrice,
+      total: Math.round(unitPrice * quantity * 100) / 100,
+      tier: null,
+      breakdown: [{ tier: null, unitPrice, quantity }]
+    };
+  }
+
+  const start = (this.quantity?.sold || 0) + (this.quantity?.reserved || 0);
+  const breakdown = [];
+  let total = 0;
+
+  for (let i = 0; i < quantity; i++) {
+    const tier = this.getPricingTier(start + i, at);
+    const unitPrice = tier ? tier.price : this.currentPrice;
+    const tierName = tier ? tier.name : null;
+    total += unitPrice;
+
+    const last = breakdown[breakdown.length - 1];
+    if (last && last.tier === tierName && last.unitPrice === unitPrice) {
+      last.quantity += 1;
+    } else {
+      breakdown.push({ tier: tierName, unitPrice, quantity: 1 });
+    }
+  }
+
+  total = Math.round(total * 100) / 100;
+
+  return {
+    unitPrice: breakdown.length === 1 ? breakdown[0].unitPrice : Math.round((total / quantity) * 100) / 100,
+    total,
+    tier: breakdown.length > 0 ? breakdown[0].tier : null,
+    breakdown
+  };
+};
+
+// Method to check an amount a buyer chose to pay per ticket; returns a message, or null if it is fine
+ticketSchema.methods.getChosenPriceViolation = function(amount) {
+  if (amount === undefined || amount === null) {
+    return null;
+  }
+  if (!this.isPayWhatYouWant) {
+    return `${this.title} has a fixed price`;
+  }
+  if (amount < this.price.minimum) {
+    return `The minimum price for ${this.title} is ${this.price.minimum} ${this.price.currency}`;
+  }
+  return null;
+};
+
+// Method to work out the refund for a booking under this ticket's refund policy.
+// Refunds close `deadline` days before the event starts; `fee` is charged per admission.
+ticketSchema.methods.calculateRefund = function(amountPaid, quantity, eventStartDate, at = new Date()) {
+  const policy = this.refundPolicy || {};
+  const deadlineDays = policy.deadline ?? 0;
+  const refundDeadline = new Date(new Date(eventStartDate).getTime() - deadlineDays * 24 * 60 * 60 * 1000);
+  const feeAmount = Math.min(amountPaid, (policy.fee || 0) * quantity);
+
+  const result = {
+    eligible: true,
+    reason: null,
+    refundDeadline,
+    paidAmount: amountPaid,
+    feeAmount,
+    refundableAmount: Math.round((amountPaid - feeAmount) * 100) / 100
+  };
+
+  if (policy.allowed === false) {
+    return { ...result, eligible: false, reason: 'Tickets of this type are non-refundable', refundableAmount: 0 };
+  }
+
+  if (at > refundDeadline) {
+    return {
+      ...result,
+      eligible: false,
+      reason: `Refunds closed ${deadlineDays} day(s) before the event`,
+      refundableAmount: 0
+    };
+  }
+
+  return result;
+};
+
 // Method to update price
 ticketSchema.methods.updatePrice = function(newAmount, newDiscount = 0) {
   this.price.amount = newAmount;
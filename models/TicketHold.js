@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const ticketHoldSchema = new mongoose.Schema({
+  holdReference: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required'],
+    index: true
+  },
+  items: [{
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: true
+    },
+    ticketType: String,
+    ticketTitle: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Hold quantity must be at least 1']
+    },
+    unitPrice: {
+      type: Number,
+      min: [0, 'Unit price cannot be negative'],
+      default: 0
+    },
+    // Line total as quoted when the hold was placed (tiers can make it differ from unitPrice * quantity)
+    amount: {
+      type: Number,
+      min: [0, 'Amount cannot be negative']
+    },
+    priceTier: String,
+    // Reserved seats held with this item, by seat key
+    seats: [String]
+  }],
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'confirmed', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  // Set when the hold is a waitlist claim offer
+  waitlistEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry'
+  },
+  // Outcome of the anti-fraud screen run when the hold was placed, carried to the bookings on confirm
+  screening: {
+    screenedAt: Date,
+    registrationIp: String,
+    deviceFingerprint: String,
+    fraudReasons: [String]
+  },
+  attendeeIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendee'
+  }],
+  confirmedAt: Date,
+  releasedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for the sweeper and lookups
+ticketHoldSchema.index({ status: 1, expiresAt: 1 });
+ticketHoldSchema.index({ eventId: 1, status: 1 });
+
+// Virtual for total quantity held
+ticketHoldSchema.virtual('totalQuantity').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// Virtual for total amount of the hold
+ticketHoldSchema.virtual('totalAmount').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + (item.amount ?? item.quantity * (item.unitPrice || 0)), 0);
+});
+
+// Virtual for whether the hold can still be confirmed
+ticketHoldSchema.virtual('isExpired').get(function() {
+  return this.status === 'active' && this.expiresAt <= new Date();
+});
+
+// Static method to generate unique hold reference
+ticketHoldSchema.statics.generateHoldReference = function() {
+  return `HL-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+};
+
+// Static method to place a hold: reserves every item (and its seats) atomically, rolling back on failure
+ticketHoldSchema.statics.placeHold = async function({ eventId, items, email, expiresInMinutes, waitlistEntryId = null, screening = undefined }) {
+  const Ticket = mongoose.model('Ticket');
+  const holdReference = this.generateHoldReference();
+  const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  const reserved = [];
+
+  const rollback = async () => {
+    for (const done of reserved) {
+      await Ticket.releaseReservedAtomically(done.ticketId, done.quantity);
+    }
+    if (items.some(item => item.seats?.length)) {
+      await mongoose.model('Seat').releaseHold(holdReference);
+    }
+  };
+
+  for (const item of items) {
+    const ticket = await Ticket.reserveAtomically(item.ticketId, item.quantity);
+    if (!ticket) {
+      await rollback();
+      const error = new Error(`Not enough tickets available for ${item.ticketTitle || item.ticketId}`);
+      error.statusCode = 409;
+      throw error;
+    }
+    reserved.push(item);
+
+    if (item.seats?.length) {
+      try {
+        await mongoose.model('Seat').holdAtomically(eventId, item.seats, holdReference, expiresAt);
+      } catch (error) {
+        await rollback();
+        throw error;
+      }
+    }
+  }
+
+  let hold;
+  try {
+    hold = await this.create({
+      holdReference,
+      eventId,
+      items,
+      email,
+      waitlistEntryId,
+      screening,
+      expiresAt
+    });
+  } catch (error) {
+    await rollback();
+    throw error;
+  }
+
+  await mongoose.model('Event').findById(eventId).then(event => event?.updateTicketInfo());
+
+  return hold;
+};
+
+// Static method to release all expired holds (optionally for a single event).
+// Returns the holds that were released.
+ticketHoldSchema.statics.releaseExpired = async function(eventId = null) {
+  const filter = { status: 'active', expiresAt: { $lte: new Date() } };
+  if (eventId) {
+    filter.eventId = eventId;
+  }
+
+  const holds = await this.find(filter).limit(500);
+  const released = [];
+
+  for (const hold of holds) {
+    if (await hold.release('expired')) {
+      released.push(hold);
+    }
+  }
+
+  return released;
+};
+
+// Method to release the hold's reserved tickets back to the pool.
+// Returns false if another request already confirmed or released it.
+ticketHoldSchema.methods.release = async function(reason = 'released') {
+  const Ticket = mongoose.model('Ticket');
+
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'active' },
+    { $set: { status: reason, releasedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  for (const item of claimed.items) {
+    await Ticket.releaseReservedAtomically(item.ticketId, item.quantity);
+  }
+
+  if (claimed.items.some(item => item.seats?.length)) {
+    await mongoose.model('Seat').releaseHold(claimed.holdReference);
+  }
+
+  await mongoose.model('Event').findById(claimed.eventId).then(event => event?.updateTicketInfo());
+
+  this.status = claimed.status;
+  this.releasedAt = claimed.releasedAt;
+  return true;
+};
+
+module.exports = mongoose.model('TicketHold', ticketHoldSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: [true, 'Ticket ID is required']
+  },
+  fullName: {
+    type: String,
+    required: [true, 'Full name is required'],
+    trim: true,
+    maxlength: [100, 'Full name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled', 'removed'],
+    default: 'waiting'
+  },
+  // Current claim offer (a time-limited ticket hold)
+  offer: {
+    holdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TicketHold'
+    },
+    holdReference: String,
+    claimToken: {
+      type: String,
+      select: false
+    },
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  offerCount: {
+    type: Number,
+    default: 0
+  },
+  claimedAt: Date,
+  removedAt: Date,
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Queue order is creation order per ticket type
+waitlistEntrySchema.index({ ticketId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ eventId: 1, status: 1 });
+waitlistEntrySchema.index({ email: 1, ticketId: 1 });
+waitlistEntrySchema.index({ 'offer.claimToken': 1 });
+
+// Static method to hash a claim token for storage and lookups
+waitlistEntrySchema.statics.hashClaimToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to get an entry's 1-based position among waiting entries
+waitlistEntrySchema.statics.getPosition = async function(entry) {
+  if (entry.status !== 'waiting') return null;
+  const ahead = await this.countDocuments({
+    ticketId: entry.ticketId,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+  return ahead + 1;
+};
+
+// Method to generate a claim token; the raw token goes in the email, only the hash is stored
+waitlistEntrySchema.methods.createClaimToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.offer.claimToken = this.constructor.hashClaimToken(token);
+  return token;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
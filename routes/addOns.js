@@ -0,0 +1,285 @@
+const express = require('express');
+const Joi = require('joi');
+const AddOn = require('../models/AddOn');
+const Attendee = require('../models/Attendee');
+const Event = require('../models/Event');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const createAddOnSchema = Joi.object({
+  eventId: Joi.string().hex().length(24).required(),
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().max(500).allow('').optional(),
+  category: Joi.string().valid('parking', 'drink', 'meal', 'merchandise', 'other').default('other'),
+  price: Joi.object({
+    amount: Joi.number().min(0).precision(2).required(),
+    currency: Joi.string().valid('ILS', 'USD', 'EUR').default('ILS')
+  }).required(),
+  stock: Joi.number().integer().min(0).required(),
+  maxPerBooking: Joi.number().integer().min(1).default(10),
+  isActive: Joi.boolean().default(true),
+  sortOrder: Joi.number().integer().default(0)
+});
+
+const updateAddOnSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  description: Joi.string().max(500).allow('').optional(),
+  category: Joi.string().valid('parking', 'drink', 'meal', 'merchandise', 'other').optional(),
+  price: Joi.object({
+    amount: Joi.number().min(0).precision(2).optional(),
+    currency: Joi.string().valid('ILS', 'USD', 'EUR').optional()
+  }).optional(),
+  stock: Joi.number().integer().min(0).optional(),
+  maxPerBooking: Joi.number().integer().min(1).optional(),
+  isActive: Joi.boolean().optional(),
+  sortOrder: Joi.number().integer().optional()
+}).min(1);
+
+// Check the current user manages the event (admins manage everything)
+const canManageEvent = (user, event) =>
+  user.role === 'admin' || event.producerId.toString() === user._id.toString();
+
+// Load an add-on the current user may manage
+const loadManagedAddOn = async (req, res) => {
+  const addOn = await AddOn.findById(req.params.id);
+  if (!addOn) {
+    res.status(404).json({
+      success: false,
+      message: 'Add-on not found'
+    });
+    return null;
+  }
+
+  const event = await Event.findById(addOn.eventId);
+  if (!event || !canManageEvent(req.user, event)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage add-ons for this event'
+    });
+    return null;
+  }
+
+  return addOn;
+};
+
+// @desc    Get the add-ons on sale for an event
+// @route   GET /api/add-ons/event/:eventId
+// @access  Public
+router.get('/event/:eventId', async (req, res) => {
+  try {
+    const addOns = await AddOn.find({ eventId: req.params.eventId, isActive: true })
+      .select('name description category price stock maxPerBooking sortOrder')
+      .sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: addOns.map(addOn => ({
+        _id: addOn._id,
+        name: addOn.name,
+        description: addOn.description,
+        category: addOn.category,
+        price: addOn.price,
+        maxPerBooking: addOn.maxPerBooking,
+        remaining: addOn.remaining
+      }))
+    });
+  } catch (error) {
+    console.error('Get add-ons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching add-ons'
+    });
+  }
+});
+
+// @desc    Get an event's full add-on catalog with sales and redemption totals
+// @route   GET /api/add-ons/event/:eventId/manage
+// @access  Private (Producer/Admin only)
+router.get('/event/:eventId/manage', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage add-ons for this event'
+      });
+    }
+
+    const [addOns, totals] = await Promise.all([
+      AddOn.find({ eventId: event._id }).sort({ sortOrder: 1, name: 1 }),
+      Attendee.aggregate([
+        { $match: { eventId: event._id, bookingStatus: 'confirmed', 'addOns.0': { $exists: true } } },
+        { $unwind: '$addOns' },
+        {
+          $group: {
+            _id: '$addOns.addOnId',
+            quantity: { $sum: '$addOns.quantity' },
+            redeemed: { $sum: { $ifNull: ['$addOns.redeemedQuantity', 0] } },
+            revenue: { $sum: '$addOns.amount' }
+          }
+        }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: addOns.map(addOn => {
+        const sold = totals.find(total => total._id.equals(addOn._id));
+        return {
+          ...addOn.toObject({ virtuals: true }),
+          confirmed: {
+            quantity: sold?.quantity || 0,
+            redeemed: sold?.redeemed || 0,
+            revenue: sold?.revenue || 0
+          }
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get add-on catalog error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching add-ons'
+    });
+  }
+});
+
+// @desc    Add an add-on to an event's catalog
+// @route   POST /api/add-ons
+// @access  Private (Producer/Admin only)
+router.post('/', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = createAddOnSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const event = await Event.findById(value.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage add-ons for this event'
+      });
+    }
+
+    const { stock, ...addOnData } = value;
+    const addOn = await AddOn.create({
+      ...addOnData,
+      stock: { total: stock, sold: 0 }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: addOn
+    });
+  } catch (error) {
+    console.error('Create add-on error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating add-on'
+    });
+  }
+});
+
+// @desc    Update an add-on; stock can't drop below what is already sold
+// @route   PUT /api/add-ons/:id
+// @access  Private (Producer/Admin only)
+router.put('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = updateAddOnSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const addOn = await loadManagedAddOn(req, res);
+    if (!addOn) return;
+
+    const { stock, price, ...updates } = value;
+    const $set = { ...updates };
+    if (price?.amount !== undefined) $set['price.amount'] = price.amount;
+    if (price?.currency !== undefined) $set['price.currency'] = price.currency;
+
+    // Conditional on sales so far, so a concurrent checkout can't oversell the new stock
+    const filter = { _id: addOn._id };
+    if (stock !== undefined) {
+      $set['stock.total'] = stock;
+      filter['stock.sold'] = { $lte: stock };
+    }
+
+    const updated = await AddOn.findOneAndUpdate(filter, { $set }, { new: true, runValidators: true });
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: `Stock cannot be lower than the ${addOn.stock.sold} already sold`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Update add-on error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating add-on'
+    });
+  }
+});
+
+// @desc    Remove an add-on; ones already sold are taken off sale instead
+// @route   DELETE /api/add-ons/:id
+// @access  Private (Producer/Admin only)
+router.delete('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const addOn = await loadManagedAddOn(req, res);
+    if (!addOn) return;
+
+    if (addOn.stock.sold > 0) {
+      await AddOn.updateOne({ _id: addOn._id }, { $set: { isActive: false } });
+      return res.json({
+        success: true,
+        message: 'Add-on has sales, so it was taken off sale instead of deleted'
+      });
+    }
+
+    await AddOn.deleteOne({ _id: addOn._id });
+
+    res.json({
+      success: true,
+      message: 'Add-on deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete add-on error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting add-on'
+    });
+  }
+});
+
+module.exports = router;
@@ -712,7 +712,7 @@ router.get('/orders', async (req, res) => {
 
     // Execute query with pagination
     const orders = await Order.find(filter)
-      .populate('eventId', 'name startDate endDate location')
+      .populate('eventId', 'name startDate endDate startsAt endsAt timezone location')
       .populate('serviceId', 'name category')
       .populate('supplierId', 'name companyName')
       .populate('producerId', 'name companyName')
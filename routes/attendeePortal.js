@@ -0,0 +1,443 @@
+const express = require('express');
+const Joi = require('joi');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const attendeePortalService = require('../services/attendeePortalService');
+const refundService = require('../services/refundService');
+const transferService = require('../services/transferService');
+const sessionService = require('../services/sessionService');
+const ticketPdfService = require('../services/ticketPdfService');
+const { protectAttendee } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const requestLinkSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const signInSchema = Joi.object({
+  token: Joi.string().hex().length(64).required()
+});
+
+const updateDetailsSchema = Joi.object({
+  fullName: Joi.string().min(2).max(100).optional(),
+  phone: Joi.string().optional(),
+  gender: Joi.string().valid('male', 'female', 'other', 'prefer-not-to-say').optional(),
+  specialRequirements: Joi.string().max(500).allow('').optional()
+}).min(1);
+
+const refundRequestSchema = Joi.object({
+  reason: Joi.string().trim().max(500).optional()
+});
+
+const startTransferSchema = Joi.object({
+  recipient: Joi.object({
+    fullName: Joi.string().min(2).max(100).required(),
+    email: Joi.string().email().required()
+  }).required()
+});
+
+const sessionRegistrationSchema = Joi.object({
+  sessionId: Joi.string().hex().length(24).required()
+});
+
+const pdfQuerySchema = Joi.object({
+  // Re-download one named guest's ticket instead of the booking's
+  guest: Joi.string().trim().max(100).optional()
+});
+
+// Answer with a service error's status code, or a generic message for anything unexpected
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// @desc    Email a sign-in link to an attendee
+// @route   POST /api/attendee-portal/login-link
+// @access  Public
+router.post('/login-link', async (req, res) => {
+  try {
+    const { error, value } = requestLinkSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    await attendeePortalService.requestLink(value.email, req.ip);
+
+    // Don't reveal whether the email has any bookings
+    res.json({
+      success: true,
+      message: 'If there are bookings for that email, a sign-in link has been sent to it'
+    });
+  } catch (error) {
+    console.error('Request attendee sign-in link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending sign-in link'
+    });
+  }
+});
+
+// @desc    Use a sign-in link and start a portal session
+// @route   POST /api/attendee-portal/login
+// @access  Public (sign-in token)
+router.post('/login', async (req, res) => {
+  try {
+    const { error, value } = signInSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const session = await attendeePortalService.signIn(value.token);
+
+    res.json({
+      success: true,
+      message: 'Signed in successfully',
+      data: session
+    });
+  } catch (error) {
+    console.error('Attendee sign-in error:', error);
+    sendError(res, error, 'Error signing in');
+  }
+});
+
+// @desc    Get all of the signed-in attendee's bookings across events
+// @route   GET /api/attendee-portal/bookings
+// @access  Private (Attendee portal session)
+router.get('/bookings', protectAttendee, async (req, res) => {
+  try {
+    const bookings = await attendeePortalService.listBookings(req.attendeeEmail);
+
+    res.json({
+      success: true,
+      count: bookings.length,
+      data: bookings
+    });
+  } catch (error) {
+    console.error('Get attendee bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching bookings'
+    });
+  }
+});
+
+// @desc    Get one of the signed-in attendee's bookings
+// @route   GET /api/attendee-portal/bookings/:bookingReference
+// @access  Private (Attendee portal session)
+router.get('/bookings/:bookingReference', protectAttendee, async (req, res) => {
+  try {
+    const attendee = await attendeePortalService.getBooking(req.attendeeEmail, req.params.bookingReference);
+    await attendee.populate([
+      { path: 'eventId', select: 'name description startDate endDate startsAt endsAt timezone location image status' },
+      { path: 'ticketId', select: 'title type price description features transferPolicy refundPolicy' },
+      { path: 'sessionRegistrations.sessionId', select: 'title type startTime endTime room track status' }
+    ]);
+
+    res.json({
+      success: true,
+      data: attendeePortalService.toPortalView(attendee)
+    });
+  } catch (error) {
+    console.error('Get attendee booking error:', error);
+    sendError(res, error, 'Error fetching booking details');
+  }
+});
+
+// @desc    Update the holder's details on a booking
+// @route   PUT /api/attendee-portal/bookings/:bookingReference
+// @access  Private (Attendee portal session)
+router.put('/bookings/:bookingReference', protectAttendee, async (req, res) => {
+  try {
+    const { error, value } = updateDetailsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await attendeePortalService.getBooking(req.attendeeEmail, req.params.bookingReference);
+    const updated = await attendeePortalService.updateDetails(attendee, value);
+
+    res.json({
+      success: true,
+      message: 'Booking details updated',
+      data: attendeePortalService.toPortalView(updated)
+    });
+  } catch (error) {
+    console.error('Update attendee booking error:', error);
+    sendError(res, error, 'Error updating booking details');
+  }
+});
+
+// @desc    Download the PDF e-ticket for a booking, or for one of its named guests
+// @route   GET /api/attendee-portal/bookings/:bookingReference/pdf?guest=
+// @access  Private (Attendee portal session)
+router.get('/bookings/:bookingReference/pdf', protectAttendee, async (req, res) => {
+  try {
+    const { error, value } = pdfQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await attendeePortalService.getBooking(req.attendeeEmail, req.params.bookingReference);
+
+    if (attendee.bookingStatus === 'cancelled') {
+      return res.status(410).json({
+        success: false,
+        message: 'This booking has been cancelled'
+      });
+    }
+
+    if (attendee.paymentStatus === 'pending') {
+      return res.status(402).json({
+        success: false,
+        message: 'Tickets are issued once payment is complete'
+      });
+    }
+
+    const guest = value.guest ? attendee.getGuest(value.guest) : null;
+    if (value.guest && !guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found on this booking'
+      });
+    }
+
+    const event = await Event.findById(attendee.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Bookings created before QR signing have no payload yet
+    if (!attendee.qrCode) {
+      await attendee.save();
+    }
+
+    const ticket = attendee.ticketId ? await Ticket.findById(attendee.ticketId) : null;
+    const pdf = await ticketPdfService.generateTicketPdf(attendee, event, ticket, guest);
+    const reference = guest ? guest.guestReference : attendee.bookingReference;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="ticket-${reference}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Download attendee ticket error:', error);
+    sendError(res, error, 'Error generating ticket PDF');
+  }
+});
+
+// @desc    Preview the refund for a booking under its ticket's refund policy
+// @route   GET /api/attendee-portal/bookings/:bookingReference/refund-quote
+// @access  Private (Attendee portal session)
+router.get('/bookings/:bookingReference/refund-quote', protectAttendee, async (req, res) => {
+  try {
+    const attendee = await attendeePortalService.getBooking(req.attendeeEmail, req.params.bookingReference);
+
+    const blockingReason = refundService.getBlockingReason(attendee);
+    const quote = await refundService.quote(attendee);
+
+    res.json({
+      success: true,
+      data: {
+        ...quote,
+        eligible: !blockingReason && quote.eligible,
+        reason: blockingReason || quote.reason,
+        refundableAmount: blockingReason ? 0 : quote.refundableAmount
+      }
+    });
+  } catch (error) {
+    console.error('Get attendee refund quote error:', error);
+    sendError(res, error, 'Error calculating refund');
+  }
+});
+
+// @desc    Request a refund for a booking
+// @route   POST /api/attendee-portal/bookings/:bookingReference/refund-request
+// @access  Private (Attendee portal session)
+router.post('/bookings/:bookingReference/refund-request', protectAttendee, async (req, res) => {
+  try {
+    const { error, value } = refundRequestSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await attendeePortalService.getBooking(req.attendeeEmail, req.params.bookingReference);
+    const request = await refundService.openRequest(attendee, { reason: value.reason });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund request submitted. The organizer will review it shortly.',
+      data: request
+    });
+  } catch (error) {
+    console.error('Attendee refund request error:', error);
+    sendError(res, error, 'Error requesting refund');
+  }
+});
+
+// @desc    Offer a booking to someone else
+// @route   POST /api/attendee-portal/bookings/:bookingReference/transfer
+// @access  Private (Attendee portal session)
+router.post('/bookings/:bookingReference/transfer', protectAttendee, async (req, res) => {
+  try {
+    const { error, value } = startTransferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await attendeePortalService.getBooking(req.attendeeEmail, req.params.bookingReference);
+    const updated = await transferService.startTransfer(attendee, value.recipient);
+
+    res.json({
+      success: true,
+      message: `Transfer link sent to ${updated.pendingTransfer.recipientEmail}. Your tickets stay valid until it is accepted.`,
+      data: {
+        bookingReference: updated.bookingReference,
+        recipientName: updated.pendingTransfer.recipientName,
+        recipientEmail: updated.pendingTransfer.recipientEmail,
+        expiresAt: updated.pendingTransfer.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Attendee start transfer error:', error);
+    sendError(res, error, 'Error starting transfer');
+  }
+});
+
+// @desc    Cancel a pending transfer
+// @route   DELETE /api/attendee-portal/bookings/:bookingReference/transfer
+// @access  Private (Attendee portal session)
+router.delete('/bookings/:bookingReference/transfer', protectAttendee, async (req, res) => {
+  try {
+    const attendee = await attendeePortalService.getBooking(req.attendeeEmail, req.params.bookingReference);
+
+    const cancelled = await transferService.cancelTransfer(attendee);
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending transfer for this booking'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled. The link no longer works.'
+    });
+  } catch (error) {
+    console.error('Attendee cancel transfer error:', error);
+    sendError(res, error, 'Error cancelling transfer');
+  }
+});
+
+// @desc    Register a booking for an agenda session
+// @route   POST /api/attendee-portal/bookings/:bookingReference/sessions
+// @access  Private (Attendee portal session)
+router.post('/bookings/:bookingReference/sessions', protectAttendee, async (req, res) => {
+  try {
+    const { error, value } = sessionRegistrationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await attendeePortalService.getBooking(req.attendeeEmail, req.params.bookingReference);
+    const updated = await sessionService.register(attendee, value.sessionId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Registered for the session',
+      data: { sessionRegistrations: updated.sessionRegistrations }
+    });
+  } catch (error) {
+    console.error('Attendee session registration error:', error);
+    sendError(res, error, 'Error registering for session');
+  }
+});
+
+// @desc    Drop a booking's registration for an agenda session
+// @route   DELETE /api/attendee-portal/bookings/:bookingReference/sessions/:sessionId
+// @access  Private (Attendee portal session)
+router.delete('/bookings/:bookingReference/sessions/:sessionId', protectAttendee, async (req, res) => {
+  try {
+    const { error } = sessionRegistrationSchema.validate({ sessionId: req.params.sessionId });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await attendeePortalService.getBooking(req.attendeeEmail, req.params.bookingReference);
+    const updated = await sessionService.unregister(attendee, req.params.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Session registration cancelled',
+      data: { sessionRegistrations: updated.sessionRegistrations }
+    });
+  } catch (error) {
+    console.error('Attendee session unregistration error:', error);
+    sendError(res, error, 'Error cancelling session registration');
+  }
+});
+
+// @desc    Cancel a free booking; paid bookings go through a refund request
+// @route   POST /api/attendee-portal/bookings/:bookingReference/cancel
+// @access  Private (Attendee portal session)
+router.post('/bookings/:bookingReference/cancel', protectAttendee, async (req, res) => {
+  try {
+    const attendee = await attendeePortalService.getBooking(req.attendeeEmail, req.params.bookingReference);
+    const cancelled = await attendeePortalService.cancelBooking(attendee);
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled. Your tickets are no longer valid.',
+      data: {
+        bookingReference: cancelled.bookingReference,
+        bookingStatus: cancelled.bookingStatus,
+        cancelledAt: cancelled.cancelledAt
+      }
+    });
+  } catch (error) {
+    console.error('Attendee cancel booking error:', error);
+    sendError(res, error, 'Error cancelling booking');
+  }
+});
+
+module.exports = router;
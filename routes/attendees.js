@@ -1,20 +1,101 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const Joi = require('joi');
+const QRCode = require('qrcode');
 const Attendee = require('../models/Attendee');
 const Ticket = require('../models/Ticket');
 const Event = require('../models/Event');
+const TicketHold = require('../models/TicketHold');
+const SeatMap = require('../models/SeatMap');
+const Seat = require('../models/Seat');
+const PromoCode = require('../models/PromoCode');
+const waitlistService = require('../services/waitlistService');
+const ticketPdfService = require('../services/ticketPdfService');
+const refundService = require('../services/refundService');
+const inventoryService = require('../services/inventoryService');
+const paymentService = require('../services/paymentService');
+const transferService = require('../services/transferService');
+const attendeeExportService = require('../services/attendeeExportService');
+const seatingService = require('../services/seatingService');
+const addOnService = require('../services/addOnService');
+const fraudService = require('../services/fraudService');
+const eventPermissionService = require('../services/eventPermissionService');
+const { releaseStaleInventory } = require('../services/ticketHoldSweeper');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Validation schema for a named guest on a group booking
+const guestSchema = Joi.object({
+  fullName: Joi.string().min(2).max(100).required(),
+  email: Joi.string().email().required(),
+  phone: Joi.string().optional(),
+  age: Joi.number().min(1).max(150).required(),
+  gender: Joi.string().valid('male', 'female', 'other', 'prefer-not-to-say').optional()
+});
+
+// Validation schema for the reserved seats chosen with a ticket line
+const seatSelectionSchema = Joi.array().items(Joi.string().trim().max(50)).unique().length(Joi.ref('quantity')).optional();
+
+// Amount per ticket a buyer chooses for pay-what-you-want tickets
+const chosenAmountSchema = Joi.number().min(0).precision(2).optional();
+
+// Donation added to a checkout, for events that accept them
+const donationSchema = Joi.number().min(0).precision(2).optional();
+
+// Token from the verification challenge, sent when a checkout was asked to pass one
+const challengeTokenSchema = Joi.string().trim().max(4000).optional();
+
+// Validation schema for an add-on bought with a booking
+const addOnRequestSchema = Joi.object({
+  addOnId: Joi.string().hex().length(24).required(),
+  quantity: Joi.number().integer().min(1).default(1)
+});
+
 // Validation schema for attendee registration
 const registerAttendeeSchema = Joi.object({
   eventId: Joi.string().required(),
   tickets: Joi.array().items(Joi.object({
     ticketId: Joi.string().required(),
-    quantity: Joi.number().min(1).required()
+    quantity: Joi.number().min(1).required(),
+    // One guest per ticket; without them the buyer is the only named attendee
+    guests: Joi.array().items(guestSchema).length(Joi.ref('quantity')).optional(),
+    // One seat per ticket, by seat key, for ticket types sold from the event's seat map
+    seats: seatSelectionSchema,
+    amount: chosenAmountSchema,
+    // Extras from the event's add-on catalog, bought with this booking
+    addOns: Joi.array().items(addOnRequestSchema).unique('addOnId').optional()
+  })).min(1).required(),
+  attendeeInfo: Joi.object({
+    fullName: Joi.string().min(2).max(100).required(),
+    email: Joi.string().email().required(),
+    phone: Joi.string().required(),
+    age: Joi.number().min(1).max(150).required(),
+    gender: Joi.string().valid('male', 'female', 'other', 'prefer-not-to-say').required()
+  }).required(),
+  // Answers to the event's custom registration questions, checked against its form
+  answers: Joi.object().unknown(true).optional(),
+  specialRequirements: Joi.string().max(500).optional(),
+  promoCode: Joi.string().trim().max(50).optional(),
+  donation: donationSchema,
+  challengeToken: challengeTokenSchema
+});
+
+// Validation schema for placing a ticket hold
+const createHoldSchema = Joi.object({
+  eventId: Joi.string().hex().length(24).required(),
+  tickets: Joi.array().items(Joi.object({
+    ticketId: Joi.string().hex().length(24).required(),
+    quantity: Joi.number().min(1).required(),
+    seats: seatSelectionSchema,
+    amount: chosenAmountSchema
   })).min(1).required(),
+  email: Joi.string().email().optional(),
+  challengeToken: challengeTokenSchema
+});
+
+// Validation schema for confirming a ticket hold
+const confirmHoldSchema = Joi.object({
   attendeeInfo: Joi.object({
     fullName: Joi.string().min(2).max(100).required(),
     email: Joi.string().email().required(),
@@ -22,9 +103,292 @@ const registerAttendeeSchema = Joi.object({
     age: Joi.number().min(1).max(150).required(),
     gender: Joi.string().valid('male', 'female', 'other', 'prefer-not-to-say').required()
   }).required(),
-  specialRequirements: Joi.string().max(500).optional()
+  // Named guests, each tagged with the held ticket they use
+  guests: Joi.array().items(guestSchema.keys({ ticketId: Joi.string().required() })).optional(),
+  // Add-ons, each tagged with the held ticket whose booking they go on
+  addOns: Joi.array().items(addOnRequestSchema.keys({ ticketId: Joi.string().hex().length(24).required() })).optional(),
+  answers: Joi.object().unknown(true).optional(),
+  specialRequirements: Joi.string().max(500).optional(),
+  promoCode: Joi.string().trim().max(50).optional(),
+  donation: donationSchema,
+  challengeToken: challengeTokenSchema
+});
+
+// Validation schema for scanning a ticket QR code
+const scanTicketSchema = Joi.object({
+  payload: Joi.string().trim().max(500).required(),
+  eventId: Joi.string().hex().length(24).required(),
+  count: Joi.number().integer().min(1).optional()
+});
+
+// Validation schema for redeeming a booking's add-ons at the venue
+const redeemAddOnSchema = Joi.object({
+  quantity: Joi.number().integer().min(1).optional()
+});
+
+// Validation schema for reviewing a booking flagged as suspicious
+const fraudReviewSchema = Joi.object({
+  status: Joi.string().valid('cleared', 'confirmed').required(),
+  note: Joi.string().trim().max(500).allow('').optional()
+});
+
+// Validation schemas for checking in and undoing admissions
+const checkInSchema = Joi.object({
+  count: Joi.number().integer().min(1).optional(),
+  guestReference: Joi.string().trim().max(100).optional()
+});
+
+const undoCheckInSchema = Joi.object({
+  count: Joi.number().integer().min(1).optional(),
+  reason: Joi.string().trim().max(200).optional(),
+  guestReference: Joi.string().trim().max(100).optional()
+});
+
+// Validation schema for the attendee export
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'csv', 'xlsx').default('json'),
+  status: Joi.string().valid('pending', 'confirmed', 'cancelled', 'refunded', 'all').default('confirmed'),
+  ticketType: Joi.string().trim().max(100).optional(),
+  ticketId: Joi.string().hex().length(24).optional(),
+  checkedIn: Joi.string().valid('true', 'false', 'partial').optional(),
+  columns: Joi.string().max(2000).optional()
+});
+
+// Validation schemas for attendee refund self-service
+const refundQuoteSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const refundRequestSchema = Joi.object({
+  email: Joi.string().email().required(),
+  reason: Joi.string().trim().max(500).optional()
+});
+
+// Validation schemas for ticket transfers
+const startTransferSchema = Joi.object({
+  email: Joi.string().email().required(),
+  recipient: Joi.object({
+    fullName: Joi.string().min(2).max(100).required(),
+    email: Joi.string().email().required()
+  }).required()
 });
 
+const cancelTransferSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const acceptTransferSchema = Joi.object({
+  fullName: Joi.string().min(2).max(100).required(),
+  phone: Joi.string().required(),
+  age: Joi.number().min(1).max(150).required(),
+  gender: Joi.string().valid('male', 'female', 'other', 'prefer-not-to-say').required()
+});
+
+// How long a checkout hold keeps tickets reserved
+const HOLD_DURATION_MINUTES = parseInt(process.env.TICKET_HOLD_MINUTES) || 10;
+
+// Paid checkouts stay pending until the payment provider confirms them. Free events
+// (ticketInfo.isFree) price every ticket at 0, so they never reach the payment step.
+const awaitPayment = (attendees) => {
+  attendees.forEach(attendee => {
+    attendee.bookingStatus = 'pending';
+    attendee.paymentStatus = 'pending';
+  });
+};
+
+// Start the provider payment for a paid checkout. Returns what the client needs to pay,
+// or null when nothing is owed (the route then sends the e-tickets, see sendETicketsAfter).
+const settleCheckout = async (attendees, { orderReference, eventId, amount, email }) => {
+  if (amount <= 0) {
+    return null;
+  }
+
+  // Checkouts are checked to use one currency (see getCurrencyViolation)
+  const ticket = await Ticket.findOne({ _id: { $in: attendees.map(a => a.ticketId).filter(Boolean) } }).select('price');
+
+  let payment;
+  try {
+    payment = await paymentService.createPayment({
+      orderReference,
+      eventId,
+      attendees,
+      amount,
+      currency: ticket?.price?.currency || 'ILS',
+      email
+    });
+  } catch (error) {
+    await paymentService.releaseUnpaidBookings(attendees.map(a => a._id));
+    throw error;
+  }
+
+  return {
+    provider: payment.provider,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    clientSecret: payment.clientSecret,
+    checkoutUrl: payment.checkoutUrl,
+    expiresAt: payment.expiresAt
+  };
+};
+
+// Render and mail a free checkout's e-tickets once the response has gone out, so a slow or
+// failing mail server can't hold up or fail the checkout. sendETickets logs its own errors.
+const sendETicketsAfter = (res, attendees) => {
+  res.once('finish', () => {
+    ticketPdfService.sendETickets(attendees).catch(error => {
+      console.error('Failed to deliver e-tickets:', error);
+    });
+  });
+};
+
+// Build the validation schema for an event's custom registration questions.
+// Answers to fields no longer on the form are dropped.
+const buildAnswersSchema = (fields = []) => Joi.object(Object.fromEntries(fields.map(field => {
+  let rule;
+  switch (field.type) {
+    case 'textarea':
+      rule = Joi.string().trim().max(2000);
+      break;
+    case 'number':
+      rule = Joi.number();
+      break;
+    case 'email':
+      rule = Joi.string().trim().email();
+      break;
+    case 'phone':
+      rule = Joi.string().trim().pattern(/^\+?[0-9\s\-()]{6,20}$/).messages({ 'string.pattern.base': '{{#label}} must be a valid phone number' });
+      break;
+    case 'date':
+      rule = Joi.date().iso();
+      break;
+    case 'select':
+      rule = Joi.string().valid(...field.options);
+      break;
+    case 'multiselect':
+      rule = Joi.array().items(Joi.string().valid(...field.options)).unique();
+      if (field.required) rule = rule.min(1);
+      break;
+    case 'checkbox':
+      rule = Joi.boolean();
+      if (field.required) rule = rule.valid(true).messages({ 'any.only': '{{#label}} must be accepted' });
+      break;
+    default:
+      rule = Joi.string().trim().max(500);
+  }
+
+  rule = rule.label(field.label);
+  return [field.key, field.required ? rule.required() : rule.allow(null, '').optional()];
+}))).options({ stripUnknown: true });
+
+// Check answers against an event's registration form.
+// Returns { answers } when valid, otherwise { errors }.
+const validateRegistrationAnswers = (event, answers = {}) => {
+  if (!event.registrationForm?.length) {
+    return { answers: undefined };
+  }
+
+  const { error, value } = buildAnswersSchema(event.registrationForm).validate(answers, { abortEarly: false });
+  return error ? { errors: error.details.map(detail => detail.message) } : { answers: value };
+};
+
+// Check someone's age against a ticket's age limits; returns the problem or null.
+// Guests are named in the message so the buyer knows whose details to fix.
+const getAgeLimitViolation = (ticket, age, guestName = null) => {
+  const { min, max } = ticket.restrictions?.ageLimit || {};
+  const forGuest = guestName ? ` (guest ${guestName} is ${age})` : '';
+  if (min && age < min) {
+    return `Minimum age requirement for ${ticket.title} is ${min} years${forGuest}`;
+  }
+  if (max && age > max) {
+    return `Maximum age limit for ${ticket.title} is ${max} years${forGuest}`;
+  }
+  return null;
+};
+
+// Check a checkout's donation against the event's donation settings; returns the problem or null
+const getDonationViolation = (event, donation) => {
+  if (!donation) {
+    return null;
+  }
+  if (!event.donations?.enabled) {
+    return 'This event does not accept donations';
+  }
+  if (donation < (event.donations.minimum ?? 0)) {
+    return `The minimum donation is ${event.donations.minimum}`;
+  }
+  return null;
+};
+
+// One checkout is paid in one currency, so every ticket type in it must be priced in the
+// same one; returns the problem or null
+const getCurrencyViolation = (tickets) => {
+  const currencies = new Set(tickets.filter(Boolean).map(ticket => ticket.price?.currency || 'ILS'));
+  if (currencies.size > 1) {
+    return `Tickets priced in different currencies (${[...currencies].join(', ')}) must be bought separately`;
+  }
+  return null;
+};
+
+// Run the anti-fraud screen for a public checkout. Refused checkouts are answered here,
+// with the challenge to show when one is needed, and null is returned.
+const screenCheckout = async (req, res, { event, lines, email, phone, challengeToken, screened }) => {
+  try {
+    return await fraudService.screenCheckout({
+      event,
+      lines,
+      email,
+      phone,
+      context: fraudService.getRequestContext(req, challengeToken),
+      screened
+    });
+  } catch (screenError) {
+    if (!screenError.statusCode) throw screenError;
+    res.status(screenError.statusCode).json({
+      success: false,
+      message: screenError.message,
+      ...(screenError.challenge && { challengeRequired: true, challenge: screenError.challenge })
+    });
+    return null;
+  }
+};
+
+// Look up a promo code and check it against unsaved attendee bookings.
+// Returns { promo } when usable, otherwise { message } describing why not.
+const resolvePromoCode = async (eventId, code, attendees, email) => {
+  const promo = await PromoCode.findByCode(eventId, code);
+  if (!promo) {
+    return { message: 'Invalid promo code' };
+  }
+
+  const lines = attendees.map(a => ({
+    ticketId: a.ticketId,
+    quantity: a.ticketQuantity,
+    amount: a.totalAmount
+  }));
+
+  const reason = await promo.getIneligibilityReason(lines, email);
+  return reason ? { message: reason } : { promo };
+};
+
+// Apply a promo code's discount to unsaved attendee bookings; returns the total discount
+const applyPromoDiscount = (promo, attendees) => {
+  const discounts = promo.calculateLineDiscounts(attendees.map(a => ({
+    ticketId: a.ticketId,
+    quantity: a.ticketQuantity,
+    amount: a.totalAmount
+  })));
+
+  attendees.forEach((attendee, index) => {
+    attendee.promoCodeId = promo._id;
+    attendee.promoCode = promo.code;
+    attendee.discountAmount = discounts[index];
+    attendee.totalAmount = Math.max(attendee.totalAmount - discounts[index], 0);
+  });
+
+  return discounts.reduce((sum, discount) => sum + discount, 0);
+};
+
 // @desc    Register attendee and book tickets (Public - No authentication required)
 // @route   POST /api/attendees/register
 // @access  Public
@@ -40,7 +404,7 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    const { eventId, tickets, attendeeInfo, specialRequirements } = value;
+    const { eventId, tickets, attendeeInfo, answers, specialRequirements, promoCode, donation = 0, challengeToken } = value;
 
     // Verify event exists and is public
     const event = await Event.findById(eventId);
@@ -53,20 +417,42 @@ router.post('/register', async (req, res) => {
 
   
     // Check if event has ended
-    if (new Date(event.endDate) < new Date()) {
+    if (event.getEndInstant() < new Date()) {
       return res.status(400).json({
         success: false,
         message: 'This event has already ended'
       });
     }
 
+    const registration = validateRegistrationAnswers(event, answers);
+    if (registration.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: registration.errors
+      });
+    }
+
+    const donationViolation = getDonationViolation(event, donation);
+    if (donationViolation) {
+      return res.status(400).json({
+        success: false,
+        message: donationViolation
+      });
+    }
+
+    // Free up tickets and seats from stale holds and unpaid checkouts before checking availability
+    await releaseStaleInventory(eventId);
+    const seatMap = await SeatMap.findOne({ eventId });
+
     // Process each ticket type
+    const orderReference = Attendee.generateOrderReference();
     const registeredAttendees = [];
     const ticketUpdates = [];
     let totalAmount = 0;
 
     for (const ticketRequest of tickets) {
-      const { ticketId, quantity } = ticketRequest;
+      const { ticketId, quantity, guests = [], seats: seatKeys = [], amount, addOns: addOnRequests = [] } = ticketRequest;
 
       // Check if ticketId is a valid MongoDB ObjectId format
       const isValidObjectId = mongoose.Types.ObjectId.isValid(ticketId) && 
@@ -76,6 +462,8 @@ router.post('/register', async (req, res) => {
       let isEmbeddedTicket = false;
       let ticketType = ticketId;
       let ticketPrice = 0;
+      let ticketTotal = 0;
+      let priceTier = null;
       let ticketName = ticketId;
 
       // Only try to find ticket document if ticketId is a valid ObjectId
@@ -93,6 +481,13 @@ router.post('/register', async (req, res) => {
           });
         }
 
+        if (amount !== undefined) {
+          return res.status(400).json({
+            success: false,
+            message: `${ticketId} has a fixed price`
+          });
+        }
+
         // Handle embedded ticket scenario
         isEmbeddedTicket = true;
         ticketType = ticketId; // ticketId is actually the ticket type/name
@@ -105,6 +500,7 @@ router.post('/register', async (req, res) => {
         } else {
           ticketPrice = event.ticketInfo.priceRange?.min || 0;
         }
+        ticketTotal = ticketPrice * quantity;
         
         // Check if enough tickets are available (for embedded tickets)
         const remainingTickets = (event.ticketInfo.availableTickets || 0) - 
@@ -135,8 +531,17 @@ router.post('/register', async (req, res) => {
           });
         }
 
-        // Check if enough tickets are available
-        const availableTickets = ticket.quantity.available - ticket.quantity.sold - ticket.quantity.reserved;
+        // The schedule job closes sales at the end date, but the window itself is what counts
+        const salesWindowViolation = ticket.getSalesWindowViolation();
+        if (salesWindowViolation) {
+          return res.status(400).json({
+            success: false,
+            message: salesWindowViolation
+          });
+        }
+
+        // Check if enough tickets are available, in the ticket and any pool it shares
+        const availableTickets = await ticket.getRemainingQuantity();
         if (quantity > availableTickets) {
           return res.status(400).json({
             success: false,
@@ -152,31 +557,51 @@ router.post('/register', async (req, res) => {
           });
         }
 
-        // Check age restrictions
-        if (ticket.restrictions && ticket.restrictions.ageLimit) {
-          const { min, max } = ticket.restrictions.ageLimit;
-          if (min && attendeeInfo.age < min) {
-            return res.status(400).json({
-              success: false,
-              message: `Minimum age requirement for ${ticket.title} is ${min} years`
-            });
-          }
-          if (max && attendeeInfo.age > max) {
-            return res.status(400).json({
-              success: false,
-              message: `Maximum age limit for ${ticket.title} is ${max} years`
-            });
-          }
+        // Check age restrictions for whoever will use the tickets: each named guest, else the buyer
+        const ageViolation = guests.length > 0
+          ? guests.map(guest => getAgeLimitViolation(ticket, guest.age, guest.fullName)).find(Boolean)
+          : getAgeLimitViolation(ticket, attendeeInfo.age);
+        if (ageViolation) {
+          return res.status(400).json({
+            success: false,
+            message: ageViolation
+          });
+        }
+
+        // Pay-what-you-want tickets take the buyer's amount, if at least the minimum
+        const priceViolation = ticket.getChosenPriceViolation(amount);
+        if (priceViolation) {
+          return res.status(400).json({
+            success: false,
+            message: priceViolation
+          });
         }
 
         ticketType = ticket.type;
-        ticketPrice = ticket.price.amount;
+        // Price on the server from the ticket's tier schedule
+        const quote = ticket.quotePrice(quantity, undefined, amount);
+        ticketPrice = quote.unitPrice;
+        ticketTotal = quote.total;
+        priceTier = quote.tier;
         ticketName = ticket.title;
       }
 
-      // Calculate amount
-      const ticketTotal = ticketPrice * quantity;
-      totalAmount += ticketTotal;
+      let seats;
+      let addOnLines;
+      try {
+        seats = await seatingService.validateSelection(seatMap, ticket, seatKeys);
+        addOnLines = await addOnService.buildLines(eventId, addOnRequests);
+      } catch (selectionError) {
+        if (!selectionError.statusCode) throw selectionError;
+        return res.status(selectionError.statusCode).json({
+          success: false,
+          message: selectionError.message
+        });
+      }
+      const addOnsAmount = addOnService.getAmount(addOnLines);
+
+      // Calculate amount; add-ons are charged with the tickets but kept off the ticket total
+      totalAmount += ticketTotal + addOnsAmount;
 
       // Generate unique booking reference
       const bookingReference = await Attendee.generateBookingReference();
@@ -195,9 +620,16 @@ router.post('/register', async (req, res) => {
         ticketQuantity: quantity,
         ticketPrice: ticketPrice,
         totalAmount: ticketTotal,
+        priceTier,
         bookingReference,
+        orderReference,
         bookingStatus: 'confirmed',
         paymentStatus: 'completed',
+        guests,
+        seats: seatingService.toBookingSeats(seats),
+        addOns: addOnLines,
+        addOnsAmount,
+        registrationAnswers: registration.answers,
         specialRequirements: specialRequirements || ''
       });
 
@@ -207,229 +639,1696 @@ router.post('/register', async (req, res) => {
       ticketUpdates.push({
         ticket,
         quantity,
-        isEmbedded: isEmbeddedTicket
+        isEmbedded: isEmbeddedTicket,
+        attendee,
+        seatKeys
       });
     }
 
-    // Save all attendees
-    const savedAttendees = await Attendee.insertMany(registeredAttendees);
+    const currencyViolation = getCurrencyViolation(ticketUpdates.map(update => update.ticket));
+    if (currencyViolation) {
+      return res.status(400).json({
+        success: false,
+        message: currencyViolation
+      });
+    }
+
+    // Purchase limits across the buyer's earlier bookings, velocity checks and the challenge
+    const screening = await screenCheckout(req, res, {
+      event,
+      lines: ticketUpdates.map(({ ticket, quantity }) => ({ ticket, quantity })),
+      email: attendeeInfo.email,
+      phone: attendeeInfo.phone,
+      challengeToken
+    });
+    if (!screening) return;
+    registeredAttendees.forEach(attendee => attendee.set(screening));
+
+    // Validate and apply promo code
+    let promo = null;
+    let discountTotal = 0;
+    if (promoCode) {
+      const resolved = await resolvePromoCode(eventId, promoCode, registeredAttendees, attendeeInfo.email);
+      if (!resolved.promo) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.message
+        });
+      }
+
+      promo = resolved.promo;
+      discountTotal = applyPromoDiscount(promo, registeredAttendees);
+      totalAmount -= discountTotal;
+    }
+
+    // The donation is charged with the tickets but kept off their totals
+    registeredAttendees[0].donationAmount = donation;
+    totalAmount += donation;
+
+    if (totalAmount > 0) {
+      awaitPayment(registeredAttendees);
+    }
+
+    // Atomically take inventory for ticket documents so two buyers can't
+    // both pass the availability check for the last seats
+    const soldUpdates = [];
+    const addOnLines = registeredAttendees.flatMap(attendee => attendee.addOns);
+    let addOnsSold = false;
+    const rollbackReservation = async () => {
+      for (const done of soldUpdates) {
+        await Ticket.returnSoldAtomically(done.ticket._id, done.quantity);
+        if (done.seatKeys.length > 0) {
+          await Seat.releaseForAttendee(done.attendee._id);
+        }
+      }
+      if (addOnsSold) {
+        await addOnService.returnLines(addOnLines);
+      }
+      if (promo) {
+        await PromoCode.releaseRedemption(promo._id);
+      }
+    };
+
+    if (promo && !(await PromoCode.redeemAtomically(promo._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This promo code has reached its usage limit'
+      });
+    }
 
-    // Update ticket quantities
-    console.log('=== UPDATING TICKET QUANTITIES ===');
     for (const update of ticketUpdates) {
       const { ticket, quantity, isEmbedded } = update;
-      
-      if (!isEmbedded && ticket) {
-        console.log(`Updating ticket ${ticket._id}: Current sold = ${ticket.quantity.sold}, Adding ${quantity}`);
-        
-        // Update separate ticket document
-        ticket.quantity.sold += quantity;
-        
-        // Auto-update status to sold_out if no tickets remaining
-        const remaining = ticket.quantity.available - ticket.quantity.sold - ticket.quantity.reserved;
-        console.log(`Remaining tickets after update: ${remaining}`);
-        
-        if (remaining <= 0) {
-          ticket.status = 'sold_out';
-          if (!ticket.metadata) {
-            ticket.metadata = {};
-          }
-          ticket.metadata.soldOutAt = new Date();
-          console.log(`Ticket ${ticket._id} marked as SOLD OUT`);
+      if (isEmbedded || !ticket) {
+        continue;
+      }
+
+      const soldTicket = await Ticket.sellAtomically(ticket._id, quantity);
+      if (!soldTicket) {
+        await rollbackReservation();
+        return res.status(409).json({
+          success: false,
+          message: `Not enough tickets available for ${ticket.title}. Please try again.`
+        });
+      }
+      soldUpdates.push(update);
+
+      if (update.seatKeys.length > 0) {
+        try {
+          await Seat.sellAtomically(eventId, update.seatKeys, update.attendee._id);
+        } catch (seatError) {
+          await rollbackReservation();
+          if (!seatError.statusCode) throw seatError;
+          return res.status(seatError.statusCode).json({
+            success: false,
+            message: seatError.message
+          });
         }
-        
-        await ticket.save();
-        console.log(`Ticket ${ticket._id} saved successfully. New sold count: ${ticket.quantity.sold}`);
-      } else if (isEmbedded) {
-        console.log(`Skipping embedded ticket update for quantity ${quantity}`);
       }
     }
 
-    // Update event ticket info
-    console.log('=== UPDATING EVENT TICKET INFO ===');
-    const updatedEvent = await Event.findById(eventId);
-    if (updatedEvent && updatedEvent.ticketInfo) {
-      // Calculate total sold tickets from all ticket documents
-      const allTickets = await Ticket.find({ eventId });
-      console.log(`Found ${allTickets.length} ticket documents for event ${eventId}`);
-      
-      if (allTickets.length > 0) {
-        const totalSold = allTickets.reduce((sum, t) => sum + (t.quantity?.sold || 0), 0);
-        console.log(`Total sold tickets across all types: ${totalSold}`);
-        updatedEvent.ticketInfo.soldTickets = totalSold;
-      } else {
-        // Use embedded ticket info if no separate tickets
-        const totalTicketsSold = ticketUpdates.reduce((sum, update) => sum + update.quantity, 0);
-        updatedEvent.ticketInfo.soldTickets = (updatedEvent.ticketInfo.soldTickets || 0) + totalTicketsSold;
-        console.log(`Updated embedded ticket sold count: ${updatedEvent.ticketInfo.soldTickets}`);
-      }
-      
-      await updatedEvent.save();
-      console.log('Event ticketInfo updated successfully');
+    try {
+      await addOnService.sellLines(addOnLines);
+      addOnsSold = true;
+    } catch (addOnError) {
+      await rollbackReservation();
+      if (!addOnError.statusCode) throw addOnError;
+      return res.status(addOnError.statusCode).json({
+        success: false,
+        message: addOnError.message
+      });
+    }
+
+    // Save all attendees
+    let savedAttendees;
+    try {
+      savedAttendees = await Attendee.insertMany(registeredAttendees);
+    } catch (insertError) {
+      await rollbackReservation();
+      throw insertError;
+    }
+
+    // Mark ticket types that just sold out
+    for (const { ticket } of soldUpdates) {
+      await Ticket.syncSoldOutStatus(ticket._id);
+    }
+
+    // Event ticket info is derived from the ticket documents and their pools;
+    // embedded ticket types only have the event's own sold counter
+    const embeddedSold = ticketUpdates
+      .filter(update => update.isEmbedded)
+      .reduce((sum, update) => sum + update.quantity, 0);
+    if (embeddedSold > 0) {
+      await Event.updateOne({ _id: eventId }, { $inc: { 'ticketInfo.soldTickets': embeddedSold } });
+    }
+    await event.updateTicketInfo();
+
+    const payment = await settleCheckout(savedAttendees, {
+      orderReference,
+      eventId,
+      amount: totalAmount,
+      email: attendeeInfo.email
+    });
+
+    if (!payment) {
+      sendETicketsAfter(res, savedAttendees);
+    }
+
+    // Populate attendee details for response
+    const populatedAttendees = await Attendee.find({
+      _id: { $in: savedAttendees.map(a => a._id) }
+    })
+    .populate('ticketId', 'title type price description')
+    .populate('eventId', 'name startDate endDate startsAt endsAt timezone location');
+
+    res.status(201).json({
+      success: true,
+      message: payment
+        ? 'Your tickets are reserved. Complete payment to confirm your booking.'
+        : 'Registration successful! Your tickets have been booked.',
+      data: {
+        attendees: populatedAttendees,
+        totalAmount,
+        discountAmount: discountTotal,
+        donationAmount: donation,
+        addOnsAmount: savedAttendees.reduce((sum, a) => sum + a.addOnsAmount, 0),
+        promoCode: promo ? promo.code : null,
+        orderReference,
+        bookingReferences: savedAttendees.map(a => a.bookingReference),
+        payment
+      }
+    });
+
+  } catch (error) {
+    console.error('Attendee registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error registering attendee',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Hold tickets for checkout (Public - No authentication required)
+// @route   POST /api/attendees/hold
+// @access  Public
+router.post('/hold', async (req, res) => {
+  try {
+    const { error, value } = createHoldSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { eventId, tickets, email, challengeToken } = value;
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.getEndInstant() < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has already ended'
+      });
+    }
+
+    // Free up stale holds and unpaid checkouts for this event before checking availability
+    await releaseStaleInventory(eventId);
+
+    const seatMap = await SeatMap.findOne({ eventId });
+
+    const items = [];
+    const lines = [];
+    for (const { ticketId, quantity, seats: seatKeys = [], amount } of tickets) {
+      const ticket = await Ticket.findById(ticketId);
+
+      if (!ticket || ticket.eventId.toString() !== eventId) {
+        return res.status(404).json({
+          success: false,
+          message: `Ticket ${ticketId} not found for this event`
+        });
+      }
+
+      if (ticket.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: `Ticket ${ticket.title} is not available for purchase (Status: ${ticket.status})`
+        });
+      }
+
+      const salesWindowViolation = ticket.getSalesWindowViolation();
+      if (salesWindowViolation) {
+        return res.status(400).json({
+          success: false,
+          message: salesWindowViolation
+        });
+      }
+
+      if (ticket.restrictions && ticket.restrictions.maxPerPerson && quantity > ticket.restrictions.maxPerPerson) {
+        return res.status(400).json({
+          success: false,
+          message: `Maximum ${ticket.restrictions.maxPerPerson} tickets allowed per person for ${ticket.title}`
+        });
+      }
+
+      const priceViolation = ticket.getChosenPriceViolation(amount);
+      if (priceViolation) {
+        return res.status(400).json({
+          success: false,
+          message: priceViolation
+        });
+      }
+
+      // Checked here for a clear message; placeHold takes the seats atomically
+      await seatingService.validateSelection(seatMap, ticket, seatKeys);
+
+      const quote = ticket.quotePrice(quantity, undefined, amount);
+      items.push({
+        ticketId: ticket._id,
+        ticketType: ticket.type,
+        ticketTitle: ticket.title,
+        quantity,
+        unitPrice: quote.unitPrice,
+        amount: quote.total,
+        priceTier: quote.tier,
+        seats: seatKeys
+      });
+      lines.push({ ticket, quantity });
+    }
+
+    const currencyViolation = getCurrencyViolation(lines.map(line => line.ticket));
+    if (currencyViolation) {
+      return res.status(400).json({
+        success: false,
+        message: currencyViolation
+      });
+    }
+
+    // Holds take tickets off sale too, so they are screened like checkouts
+    const screening = await screenCheckout(req, res, { event, lines, email, challengeToken });
+    if (!screening) return;
+
+    const hold = await TicketHold.placeHold({
+      eventId,
+      items,
+      email,
+      expiresInMinutes: HOLD_DURATION_MINUTES,
+      screening: {
+        screenedAt: new Date(),
+        registrationIp: screening.registrationIp,
+        deviceFingerprint: screening.deviceFingerprint,
+        fraudReasons: screening.fraudReview?.reasons || []
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Tickets held for ${HOLD_DURATION_MINUTES} minutes`,
+      data: {
+        holdId: hold.holdReference,
+        expiresAt: hold.expiresAt,
+        items: hold.items,
+        totalAmount: hold.totalAmount
+      }
+    });
+
+  } catch (error) {
+    console.error('Create ticket hold error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error holding tickets',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get ticket hold status
+// @route   GET /api/attendees/hold/:holdId
+// @access  Public
+router.get('/hold/:holdId', async (req, res) => {
+  try {
+    const hold = await TicketHold.findOne({ holdReference: req.params.holdId });
+
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hold not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        holdId: hold.holdReference,
+        eventId: hold.eventId,
+        status: hold.isExpired ? 'expired' : hold.status,
+        expiresAt: hold.expiresAt,
+        items: hold.items,
+        totalAmount: hold.totalAmount
+      }
+    });
+
+  } catch (error) {
+    console.error('Get ticket hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching hold',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Confirm a ticket hold and create the attendee bookings
+// @route   POST /api/attendees/hold/:holdId/confirm
+// @access  Public
+router.post('/hold/:holdId/confirm', async (req, res) => {
+  try {
+    const { error, value } = confirmHoldSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { attendeeInfo, guests = [], addOns = [], answers, specialRequirements, promoCode, donation = 0, challengeToken } = value;
+
+    const hold = await TicketHold.findOne({ holdReference: req.params.holdId });
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hold not found'
+      });
+    }
+
+    if (hold.status !== 'active' || hold.isExpired) {
+      return res.status(410).json({
+        success: false,
+        message: hold.status === 'confirmed'
+          ? 'This hold has already been confirmed'
+          : 'This hold has expired. Please select your tickets again.'
+      });
+    }
+
+    const event = await Event.findById(hold.eventId).select('registrationForm donations antiFraud');
+    const registration = validateRegistrationAnswers(event || {}, answers);
+    if (registration.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: registration.errors
+      });
+    }
+
+    const donationViolation = getDonationViolation(event || {}, donation);
+    if (donationViolation) {
+      return res.status(400).json({
+        success: false,
+        message: donationViolation
+      });
+    }
+
+    // Named guests must cover every ticket of the types they are given for
+    const guestsByItem = hold.items.map(item => guests
+      .filter(guest => guest.ticketId === item.ticketId.toString())
+      .map(({ ticketId: _ticketId, ...guest }) => guest));
+    if (guestsByItem.flat().length !== guests.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every guest must use a ticket from this hold'
+      });
+    }
+
+    const partlyNamed = hold.items.find((item, index) =>
+      guestsByItem[index].length > 0 && guestsByItem[index].length !== item.quantity);
+    if (partlyNamed) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide one guest per ticket: ${partlyNamed.quantity} guests for ${partlyNamed.ticketTitle}`
+      });
+    }
+
+    // Add-ons go on the booking of the held ticket they are tagged with
+    const addOnRequestsByItem = hold.items.map(item => addOns
+      .filter(addOn => addOn.ticketId === item.ticketId.toString())
+      .map(({ ticketId: _ticketId, ...addOn }) => addOn));
+    if (addOnRequestsByItem.flat().length !== addOns.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every add-on must go with a ticket from this hold'
+      });
+    }
+
+    if (addOnRequestsByItem.some(requests => new Set(requests.map(r => r.addOnId)).size !== requests.length)) {
+      return res.status(400).json({
+        success: false,
+        message: 'List each add-on once per ticket'
+      });
+    }
+
+    const addOnLinesByItem = [];
+    try {
+      for (const requests of addOnRequestsByItem) {
+        addOnLinesByItem.push(await addOnService.buildLines(hold.eventId, requests));
+      }
+    } catch (addOnError) {
+      if (!addOnError.statusCode) throw addOnError;
+      return res.status(addOnError.statusCode).json({
+        success: false,
+        message: addOnError.message
+      });
+    }
+
+    // Check age restrictions before claiming the hold: each named guest, else the buyer
+    const tickets = await Ticket.find({ _id: { $in: hold.items.map(item => item.ticketId) } });
+    for (const [index, item] of hold.items.entries()) {
+      const ticket = tickets.find(t => t._id.equals(item.ticketId));
+      if (!ticket) continue;
+
+      const ageViolation = guestsByItem[index].length > 0
+        ? guestsByItem[index].map(guest => getAgeLimitViolation(ticket, guest.age, guest.fullName)).find(Boolean)
+        : getAgeLimitViolation(ticket, attendeeInfo.age);
+      if (ageViolation) {
+        return res.status(400).json({
+          success: false,
+          message: ageViolation
+        });
+      }
+    }
+
+    // Limits by email and phone can only be checked now the buyer is known. Holds placed
+    // through /hold were screened then, so this checkout is not counted a second time;
+    // waitlist offers were not, and get the full screen here.
+    const screening = await screenCheckout(req, res, {
+      event: event || { _id: hold.eventId },
+      lines: hold.items.map(item => ({
+        ticket: tickets.find(t => t._id.equals(item.ticketId)),
+        quantity: item.quantity
+      })),
+      email: attendeeInfo.email,
+      phone: attendeeInfo.phone,
+      challengeToken,
+      screened: hold.screening?.screenedAt ? hold.screening : null
+    });
+    if (!screening) return;
+
+    // Build bookings up front so the promo code can be checked before claiming
+    const orderReference = Attendee.generateOrderReference();
+    const registeredAttendees = [];
+    for (const [index, item] of hold.items.entries()) {
+      registeredAttendees.push(new Attendee({
+        eventId: hold.eventId,
+        ticketId: item.ticketId,
+        fullName: attendeeInfo.fullName,
+        email: attendeeInfo.email,
+        phone: attendeeInfo.phone,
+        age: attendeeInfo.age,
+        gender: attendeeInfo.gender,
+        ticketType: item.ticketType,
+        ticketTitle: item.ticketTitle,
+        ticketQuantity: item.quantity,
+        ticketPrice: item.unitPrice,
+        totalAmount: item.amount ?? item.unitPrice * item.quantity,
+        priceTier: item.priceTier,
+        bookingReference: await Attendee.generateBookingReference(),
+        orderReference,
+        bookingStatus: 'confirmed',
+        paymentStatus: 'completed',
+        guests: guestsByItem[index],
+        addOns: addOnLinesByItem[index],
+        addOnsAmount: addOnService.getAmount(addOnLinesByItem[index]),
+        registrationAnswers: registration.answers,
+        specialRequirements: specialRequirements || '',
+        ...screening
+      }));
+    }
+
+    let promo = null;
+    let discountTotal = 0;
+    if (promoCode) {
+      const resolved = await resolvePromoCode(hold.eventId, promoCode, registeredAttendees, attendeeInfo.email);
+      if (!resolved.promo) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.message
+        });
+      }
+
+      promo = resolved.promo;
+      discountTotal = applyPromoDiscount(promo, registeredAttendees);
+
+      if (!(await PromoCode.redeemAtomically(promo._id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'This promo code has reached its usage limit'
+        });
+      }
+    }
+
+    // Add-ons and the donation are charged with the tickets but kept off their totals
+    registeredAttendees[0].donationAmount = donation;
+    const totalAmount = registeredAttendees.reduce((sum, a) => sum + a.totalAmount + a.addOnsAmount, 0) + donation;
+    if (totalAmount > 0) {
+      awaitPayment(registeredAttendees);
+    }
+
+    const addOnLines = addOnLinesByItem.flat();
+    try {
+      await addOnService.sellLines(addOnLines);
+    } catch (addOnError) {
+      if (promo) {
+        await PromoCode.releaseRedemption(promo._id);
+      }
+      if (!addOnError.statusCode) throw addOnError;
+      return res.status(addOnError.statusCode).json({
+        success: false,
+        message: addOnError.message
+      });
+    }
+
+    // Claim the hold atomically so it can't be confirmed twice or swept meanwhile
+    const claimed = await TicketHold.findOneAndUpdate(
+      { _id: hold._id, status: 'active', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'confirmed', confirmedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      await addOnService.returnLines(addOnLines);
+      if (promo) {
+        await PromoCode.releaseRedemption(promo._id);
+      }
+      return res.status(410).json({
+        success: false,
+        message: 'This hold has expired. Please select your tickets again.'
+      });
+    }
+
+    // Items whose reserved tickets were moved to sold, and those not reached yet
+    const soldItems = [];
+    let unsoldItems = [...claimed.items];
+
+    const returnCheckoutExtras = async () => {
+      await addOnService.returnLines(addOnLines);
+      if (promo) {
+        await PromoCode.releaseRedemption(promo._id);
+      }
+    };
+
+    // If the bookings can't be saved, the hold goes back to active with its tickets and
+    // seats reserved again, so the buyer can retry before it expires
+    const rollbackConfirmation = async () => {
+      for (const item of soldItems) {
+        await Ticket.unsellReservedAtomically(item.ticketId, item.quantity);
+      }
+      for (const [index, item] of claimed.items.entries()) {
+        if (item.seats?.length) {
+          await Seat.returnToHold(registeredAttendees[index]._id, claimed.holdReference, claimed.expiresAt);
+        }
+      }
+      await TicketHold.updateOne(
+        { _id: claimed._id, status: 'confirmed' },
+        { $set: { status: 'active' }, $unset: { confirmedAt: 1 } }
+      );
+      await returnCheckoutExtras();
+    };
+
+    // If the hold no longer has what it reserved, it can't be confirmed or retried: give
+    // back what this confirmation took and what the hold still reserves, and release it
+    const abandonConfirmation = async () => {
+      for (const item of soldItems) {
+        await Ticket.returnSoldAtomically(item.ticketId, item.quantity);
+      }
+      for (const item of unsoldItems) {
+        await Ticket.releaseReservedAtomically(item.ticketId, item.quantity);
+      }
+      for (const [index, item] of claimed.items.entries()) {
+        if (item.seats?.length) {
+          await Seat.releaseForAttendee(registeredAttendees[index]._id);
+        }
+      }
+      if (claimed.items.some(item => item.seats?.length)) {
+        await Seat.releaseHold(claimed.holdReference);
+      }
+      await TicketHold.updateOne(
+        { _id: claimed._id, status: 'confirmed' },
+        { $set: { status: 'released', releasedAt: new Date() }, $unset: { confirmedAt: 1 } }
+      );
+      await returnCheckoutExtras();
+      for (const item of claimed.items) {
+        await Ticket.syncSoldOutStatus(item.ticketId);
+      }
+      await Event.findById(claimed.eventId).then(event => event?.updateTicketInfo());
+    };
+
+    const reservationLost = () => {
+      const lostError = new Error('The held tickets are no longer reserved. Please select your tickets again.');
+      lostError.statusCode = 409;
+      return lostError;
+    };
+
+    let savedAttendees;
+    try {
+      for (const [index, item] of claimed.items.entries()) {
+        unsoldItems = claimed.items.slice(index + 1);
+        if (!(await Ticket.sellReservedAtomically(item.ticketId, item.quantity))) {
+          // Its reservation is gone, so only the items after it still hold theirs
+          throw reservationLost();
+        }
+        soldItems.push(item);
+
+        // Held seats pass to the booking, in the order they were chosen
+        if (item.seats?.length) {
+          const attendee = registeredAttendees[index];
+          const seats = await Seat.sellHeldAtomically(claimed.holdReference, item.seats, attendee._id);
+          if (seats.length !== item.seats.length) {
+            throw reservationLost();
+          }
+          attendee.seats = seatingService.toBookingSeats(item.seats
+            .map(seatKey => seats.find(seat => seat.seatKey === seatKey)));
+        }
+      }
+
+      savedAttendees = await Attendee.insertMany(registeredAttendees);
+    } catch (confirmError) {
+      if (!confirmError.statusCode) {
+        await rollbackConfirmation();
+        throw confirmError;
+      }
+
+      await abandonConfirmation();
+      return res.status(confirmError.statusCode).json({
+        success: false,
+        message: confirmError.message
+      });
+    }
+
+    claimed.attendeeIds = savedAttendees.map(a => a._id);
+    await claimed.save();
+    await waitlistService.markClaimed(claimed);
+
+    for (const item of claimed.items) {
+      await Ticket.syncSoldOutStatus(item.ticketId);
+    }
+    await Event.findById(claimed.eventId).then(event => event?.updateTicketInfo());
+
+    const payment = await settleCheckout(savedAttendees, {
+      orderReference,
+      eventId: claimed.eventId,
+      amount: totalAmount,
+      email: attendeeInfo.email
+    });
+
+    if (!payment) {
+      sendETicketsAfter(res, savedAttendees);
+    }
+
+    const populatedAttendees = await Attendee.find({
+      _id: { $in: savedAttendees.map(a => a._id) }
+    })
+    .populate('ticketId', 'title type price description')
+    .populate('eventId', 'name startDate endDate startsAt endsAt timezone location');
+
+    res.status(201).json({
+      success: true,
+      message: payment
+        ? 'Your tickets are reserved. Complete payment to confirm your booking.'
+        : 'Registration successful! Your tickets have been booked.',
+      data: {
+        attendees: populatedAttendees,
+        totalAmount,
+        discountAmount: discountTotal,
+        donationAmount: donation,
+        addOnsAmount: savedAttendees.reduce((sum, a) => sum + a.addOnsAmount, 0),
+        promoCode: promo ? promo.code : null,
+        orderReference,
+        bookingReferences: savedAttendees.map(a => a.bookingReference),
+        payment
+      }
+    });
+
+  } catch (error) {
+    console.error('Confirm ticket hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming hold',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Release a ticket hold before it expires
+// @route   DELETE /api/attendees/hold/:holdId
+// @access  Public
+router.delete('/hold/:holdId', async (req, res) => {
+  try {
+    const hold = await TicketHold.findOne({ holdReference: req.params.holdId });
+
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hold not found'
+      });
+    }
+
+    const released = await hold.release('released');
+    if (!released) {
+      return res.status(400).json({
+        success: false,
+        message: 'This hold is no longer active'
+      });
+    }
+
+    await waitlistService.handleReleasedHolds([hold]);
+
+    res.json({
+      success: true,
+      message: 'Hold released successfully'
+    });
+
+  } catch (error) {
+    console.error('Release ticket hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing hold',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get all attendees for an event (Producer only)
+// @route   GET /api/attendees/event/:eventId
+// @access  Private (Producer only)
+router.get('/event/:eventId', protect, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      search,
+      ticketType,
+      checkedIn,
+      flagged
+    } = req.query;
+
+    // Verify event exists
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check if user may see this event's attendees (producer, co-producer, box office or admin)
+    if (!eventPermissionService.can(event, req.user, 'attendees.view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view attendees for this event'
+      });
+    }
+
+    // Build filter
+    const filter = { eventId };
+
+    if (status) {
+      filter.bookingStatus = status;
+    }
+
+    if (ticketType) {
+      filter.ticketType = ticketType;
+    }
+
+    if (checkedIn === 'partial') {
+      filter.checkedIn = false;
+      filter.admittedCount = { $gt: 0 };
+    } else if (checkedIn !== undefined) {
+      filter.checkedIn = checkedIn === 'true';
+    }
+
+    // Bookings anti-fraud checks flagged; 'pending' leaves out ones already reviewed
+    if (flagged === 'true') {
+      filter['fraudReview.flagged'] = true;
+    } else if (flagged === 'pending') {
+      filter['fraudReview.status'] = 'pending';
+    }
+
+    if (search) {
+      const searchRegex = { $regex: search, $options: 'i' };
+      filter.$or = [
+        { fullName: searchRegex },
+        { email: searchRegex },
+        { phone: searchRegex },
+        { bookingReference: searchRegex }
+      ];
+    }
+
+    // Execute query with pagination
+    const attendees = await Attendee.find(filter)
+      .populate('ticketId', 'title type price description')
+      .sort({ registeredAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    // Get total count
+    const total = await Attendee.countDocuments(filter);
+
+    // Get event statistics
+    const statistics = await Attendee.getEventStatistics(eventId);
+
+    res.json({
+      success: true,
+      data: attendees,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalAttendees: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      },
+      statistics
+    });
+
+  } catch (error) {
+    console.error('Get attendees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attendees',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get attendee by booking reference
+// @route   GET /api/attendees/booking/:bookingReference
+// @access  Public
+router.get('/booking/:bookingReference', async (req, res) => {
+  try {
+    const { bookingReference } = req.params;
+
+    const attendee = await Attendee.findOne({ bookingReference })
+      .populate('ticketId', 'title type price description features')
+      .populate('eventId', 'name description startDate endDate startsAt endsAt timezone location image');
+
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: attendee
+    });
+
+  } catch (error) {
+    console.error('Get attendee by booking reference error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching booking details',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the ticket QR code for a booking as PNG or SVG
+// @route   GET /api/attendees/booking/:bookingReference/qr?format=png|svg
+// @access  Public (also accepts a guest reference)
+router.get('/booking/:bookingReference/qr', async (req, res) => {
+  try {
+    const format = req.query.format === 'svg' ? 'svg' : 'png';
+
+    const attendee = await Attendee.findByReference(req.params.bookingReference);
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (attendee.bookingStatus === 'cancelled') {
+      return res.status(410).json({
+        success: false,
+        message: 'This booking has been cancelled'
+      });
+    }
+
+    if (attendee.paymentStatus === 'pending') {
+      return res.status(402).json({
+        success: false,
+        message: 'Tickets are issued once payment is complete'
+      });
+    }
+
+    // Bookings created before QR signing have no payload yet
+    if (!attendee.qrCode) {
+      await attendee.save();
+    }
+
+    const guest = attendee.getGuest(req.params.bookingReference);
+    const qrCode = guest ? guest.qrCode : attendee.qrCode;
+    const options = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+
+    if (format === 'svg') {
+      const svg = await QRCode.toString(qrCode, { ...options, type: 'svg' });
+      res.set('Content-Type', 'image/svg+xml');
+      return res.send(svg);
+    }
+
+    const png = await QRCode.toBuffer(qrCode, { ...options, type: 'png' });
+    res.set('Content-Type', 'image/png');
+    res.send(png);
+
+  } catch (error) {
+    console.error('Get booking QR code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating QR code',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Download the PDF e-ticket for a booking
+// @route   GET /api/attendees/booking/:bookingReference/pdf
+// @access  Public (also accepts a guest reference)
+router.get('/booking/:bookingReference/pdf', async (req, res) => {
+  try {
+    const attendee = await Attendee.findByReference(req.params.bookingReference);
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (attendee.bookingStatus === 'cancelled') {
+      return res.status(410).json({
+        success: false,
+        message: 'This booking has been cancelled'
+      });
+    }
+
+    if (attendee.paymentStatus === 'pending') {
+      return res.status(402).json({
+        success: false,
+        message: 'Tickets are issued once payment is complete'
+      });
+    }
+
+    const event = await Event.findById(attendee.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!attendee.qrCode) {
+      await attendee.save();
+    }
+
+    const guest = attendee.getGuest(req.params.bookingReference);
+    const ticket = attendee.ticketId ? await Ticket.findById(attendee.ticketId) : null;
+    const pdf = await ticketPdfService.generateTicketPdf(attendee, event, ticket, guest);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="ticket-${req.params.bookingReference}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Get booking PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating ticket PDF',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Preview the refund for a booking under its ticket's refund policy
+// @route   GET /api/attendees/booking/:bookingReference/refund-quote?email=
+// @access  Public (booking reference + email)
+router.get('/booking/:bookingReference/refund-quote', async (req, res) => {
+  try {
+    const { error, value } = refundQuoteSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await Attendee.findOne({
+      bookingReference: req.params.bookingReference,
+      email: value.email.toLowerCase()
+    });
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const blockingReason = refundService.getBlockingReason(attendee);
+    const quote = await refundService.quote(attendee);
+
+    res.json({
+      success: true,
+      data: {
+        ...quote,
+        eligible: !blockingReason && quote.eligible,
+        reason: blockingReason || quote.reason,
+        refundableAmount: blockingReason ? 0 : quote.refundableAmount
+      }
+    });
+
+  } catch (error) {
+    console.error('Get refund quote error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error calculating refund',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Request a refund for a booking
+// @route   POST /api/attendees/booking/:bookingReference/refund-request
+// @access  Public (booking reference + email)
+router.post('/booking/:bookingReference/refund-request', async (req, res) => {
+  try {
+    const { error, value } = refundRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await Attendee.findOne({
+      bookingReference: req.params.bookingReference,
+      email: value.email.toLowerCase()
+    });
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const request = await refundService.openRequest(attendee, { reason: value.reason });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund request submitted. The organizer will review it shortly.',
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Request refund error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error requesting refund',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Offer a booking to someone else
+// @route   POST /api/attendees/booking/:bookingReference/transfer
+// @access  Public (booking reference + email)
+router.post('/booking/:bookingReference/transfer', async (req, res) => {
+  try {
+    const { error, value } = startTransferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await Attendee.findOne({
+      bookingReference: req.params.bookingReference,
+      email: value.email.toLowerCase()
+    });
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const updated = await transferService.startTransfer(attendee, value.recipient);
+
+    res.json({
+      success: true,
+      message: `Transfer link sent to ${updated.pendingTransfer.recipientEmail}. Your tickets stay valid until it is accepted.`,
+      data: {
+        bookingReference: updated.bookingReference,
+        recipientName: updated.pendingTransfer.recipientName,
+        recipientEmail: updated.pendingTransfer.recipientEmail,
+        expiresAt: updated.pendingTransfer.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Start transfer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error starting transfer',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Cancel a pending transfer
+// @route   DELETE /api/attendees/booking/:bookingReference/transfer
+// @access  Public (booking reference + email)
+router.delete('/booking/:bookingReference/transfer', async (req, res) => {
+  try {
+    const { error, value } = cancelTransferSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await Attendee.findOne({
+      bookingReference: req.params.bookingReference,
+      email: value.email.toLowerCase()
+    });
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const cancelled = await transferService.cancelTransfer(attendee);
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending transfer for this booking'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled. The link no longer works.'
+    });
+
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling transfer',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the booking offered by a transfer link
+// @route   GET /api/attendees/transfers/:token
+// @access  Public (transfer token)
+router.get('/transfers/:token', async (req, res) => {
+  try {
+    const attendee = await transferService.findByToken(req.params.token);
+    await attendee.populate([
+      { path: 'eventId', select: 'name startDate endDate startsAt endsAt timezone location image' },
+      { path: 'ticketId', select: 'title type restrictions.ageLimit' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        from: attendee.fullName,
+        recipientName: attendee.pendingTransfer.recipientName,
+        recipientEmail: attendee.pendingTransfer.recipientEmail,
+        expiresAt: attendee.pendingTransfer.expiresAt,
+        event: attendee.eventId,
+        ticket: attendee.ticketId || { title: attendee.ticketTitle, type: attendee.ticketType },
+        ticketQuantity: attendee.ticketQuantity
+      }
+    });
+
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching transfer',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Accept a transfer and take over the booking
+// @route   POST /api/attendees/transfers/:token/accept
+// @access  Public (transfer token)
+router.post('/transfers/:token/accept', async (req, res) => {
+  try {
+    const { error, value } = acceptTransferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await transferService.acceptTransfer(req.params.token, value);
+
+    res.json({
+      success: true,
+      message: 'Transfer accepted. Your tickets have been sent to your email.',
+      data: {
+        bookingReference: attendee.bookingReference,
+        fullName: attendee.fullName,
+        email: attendee.email,
+        ticketQuantity: attendee.ticketQuantity
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept transfer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error accepting transfer',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Scan a ticket QR code and check the attendee in
+// @route   POST /api/attendees/scan
+// @access  Private (Producer/Admin only)
+router.post('/scan', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = scanTicketSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    // Only the event's team may learn anything about the codes scanned at it
+    const event = await Event.findById(value.eventId).select('producerId team');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!eventPermissionService.can(event, req.user, 'attendees.checkIn')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to check in attendees for this event'
+      });
+    }
+
+    const scanned = Attendee.verifyQrPayload(value.payload);
+    if (!scanned) {
+      return res.status(400).json({
+        success: false,
+        result: 'invalid_signature',
+        message: 'QR code is not a valid ticket'
+      });
+    }
+
+    if (scanned.eventId !== value.eventId) {
+      return res.status(409).json({
+        success: false,
+        result: 'wrong_event',
+        message: 'This ticket is for a different event',
+        data: { bookingReference: scanned.bookingReference }
+      });
+    }
+
+    const attendee = await Attendee.findByReference(scanned.bookingReference)
+      .populate('ticketId', 'title type');
+
+    if (!attendee || !attendee.eventId.equals(event._id)) {
+      // Old QR codes of transferred bookings must not get anyone in
+      const transferred = await Attendee.findOne({ 'previousHolders.bookingReference': scanned.bookingReference })
+        .select('eventId');
+      if (transferred && transferred.eventId.toString() === value.eventId) {
+        return res.status(409).json({
+          success: false,
+          result: 'transferred',
+          message: 'This ticket was transferred to someone else and is no longer valid',
+          data: { bookingReference: scanned.bookingReference }
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        result: 'not_found',
+        message: 'Booking not found'
+      });
+    }
+
+    // Group bookings: a guest's code admits that guest only
+    const guest = attendee.getGuest(scanned.bookingReference);
+
+    // A valid signature over stale details means the booking changed after the code was issued
+    if ((guest ? guest.qrCode : attendee.qrCode) !== value.payload) {
+      return res.status(409).json({
+        success: false,
+        result: 'outdated_code',
+        message: 'This QR code has been replaced. Ask the attendee for their latest ticket.',
+        data: { bookingReference: attendee.bookingReference }
+      });
+    }
+
+    const summary = {
+      attendeeId: attendee._id,
+      bookingReference: attendee.bookingReference,
+      guestReference: guest?.guestReference,
+      fullName: guest ? guest.fullName : attendee.fullName,
+      bookedBy: guest ? attendee.fullName : undefined,
+      ticket: attendee.ticketId?.title,
+      seats: attendee.getSeatLabels(guest),
+      addOns: addOnService.summarize(attendee),
+      ticketQuantity: attendee.ticketQuantity,
+      admittedCount: attendee.admittedCount,
+      remainingAdmissions: attendee.remainingAdmissions
+    };
+
+    if (attendee.bookingStatus !== 'confirmed') {
+      return res.status(409).json({
+        success: false,
+        result: attendee.bookingStatus === 'pending' ? 'payment_pending' : 'cancelled',
+        message: `Booking is ${attendee.bookingStatus} and cannot be checked in`,
+        data: summary
+      });
     }
-    console.log('=== TICKET UPDATE COMPLETE ===');
 
-    // Populate attendee details for response
-    const populatedAttendees = await Attendee.find({
-      _id: { $in: savedAttendees.map(a => a._id) }
-    })
-    .populate('ticketId', 'title type price description')
-    .populate('eventId', 'name startDate endDate location');
+    // Admit everyone left on the booking unless the scanner says how many are at the gate.
+    // The conditional update stops two devices scanning the same code from over-admitting.
+    const remaining = attendee.checkedIn && !attendee.admittedCount ? 0 : attendee.remainingAdmissions;
+    const count = guest ? 1 : value.count || remaining;
+    const checkedIn = remaining > 0 && count <= remaining && !guest?.checkedIn
+      ? await Attendee.admitAtomically(attendee._id, count, req.user._id, 'scan', guest?.guestReference)
+      : null;
+
+    if (!checkedIn) {
+      const current = await Attendee.findById(attendee._id).populate('checkedInBy', 'name');
+      const currentGuest = current.getGuest(guest?.guestReference);
+      const currentRemaining = current.checkedIn ? 0 : current.remainingAdmissions;
+      const details = {
+        ...summary,
+        admittedCount: current.checkedIn ? current.ticketQuantity : current.admittedCount,
+        remainingAdmissions: currentRemaining,
+        checkedInAt: currentGuest ? currentGuest.checkedInAt : current.checkedInAt,
+        checkedInBy: current.checkedInBy?.name
+      };
+
+      if (currentRemaining === 0 || currentGuest?.checkedIn) {
+        return res.status(409).json({
+          success: false,
+          result: 'already_checked_in',
+          message: 'Ticket has already been scanned',
+          data: details
+        });
+      }
 
-    res.status(201).json({
+      return res.status(409).json({
+        success: false,
+        result: 'exceeds_remaining',
+        message: `Only ${currentRemaining} of ${current.ticketQuantity} admissions remain on this booking`,
+        data: details
+      });
+    }
+
+    res.json({
       success: true,
-      message: 'Registration successful! Your tickets have been booked.',
+      result: checkedIn.checkedIn ? 'checked_in' : 'partially_checked_in',
+      message: guest
+        ? `${guest.fullName} admitted (${checkedIn.admittedCount} of ${checkedIn.ticketQuantity} on the booking)`
+        : `${count} of ${checkedIn.ticketQuantity} admitted`,
       data: {
-        attendees: populatedAttendees,
-        totalAmount,
-        bookingReferences: savedAttendees.map(a => a.bookingReference)
+        ...summary,
+        admitted: count,
+        admittedCount: checkedIn.admittedCount,
+        remainingAdmissions: checkedIn.remainingAdmissions,
+        checkedInAt: checkedIn.checkedInAt
       }
     });
 
   } catch (error) {
-    console.error('Attendee registration error:', error);
+    console.error('Scan ticket error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error registering attendee',
+      message: 'Error scanning ticket',
       error: error.message
     });
   }
 });
 
-// @desc    Get all attendees for an event (Producer only)
-// @route   GET /api/attendees/event/:eventId
-// @access  Private (Producer only)
-router.get('/event/:eventId', protect, async (req, res) => {
+// @desc    Check in attendee (Producer/Admin only)
+// @route   PUT /api/attendees/:id/check-in
+// @access  Private (Producer/Admin only)
+router.put('/:id/check-in', protect, authorize('producer', 'admin'), async (req, res) => {
   try {
-    const { eventId } = req.params;
-    const {
-      page = 1,
-      limit = 20,
-      status,
-      search,
-      ticketType,
-      checkedIn
-    } = req.query;
+    const { error, value } = checkInSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
 
-    // Verify event exists
-    const event = await Event.findById(eventId);
-    if (!event) {
+    const attendee = await Attendee.findById(req.params.id)
+      .populate('eventId', 'producerId team');
+
+    if (!attendee) {
       return res.status(404).json({
         success: false,
-        message: 'Event not found'
+        message: 'Attendee not found'
       });
     }
 
-    // Check if user is the producer of this event
-    if (req.user.role === 'producer' && event.producerId.toString() !== req.user._id.toString()) {
+    // Check if user may check in for this event (producer, co-producer, box office or admin)
+    if (!eventPermissionService.can(attendee.eventId, req.user, 'attendees.checkIn')) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to view attendees for this event'
+        message: 'Not authorized to check in attendees for this event'
       });
     }
 
-    // Build filter
-    const filter = { eventId };
+    const updated = await attendee.checkIn(req.user._id, value.count, 'manual', value.guestReference);
 
-    if (status) {
-      filter.bookingStatus = status;
+    res.json({
+      success: true,
+      message: updated.checkedIn
+        ? 'Attendee checked in successfully'
+        : `${updated.admittedCount} of ${updated.ticketQuantity} admissions checked in`,
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Error checking in attendee',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Redeem a booking's add-on at the venue, e.g. hand over a parking pass (Producer/Admin only)
+// @route   PUT /api/attendees/:id/add-ons/:addOnId/redeem
+// @access  Private (Producer/Admin only)
+router.put('/:id/add-ons/:addOnId/redeem', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = redeemAddOnSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
     }
 
-    if (ticketType) {
-      filter.ticketType = ticketType;
+    const attendee = await Attendee.findById(req.params.id)
+      .populate('eventId', 'producerId team');
+
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendee not found'
+      });
     }
 
-    if (checkedIn !== undefined) {
-      filter.checkedIn = checkedIn === 'true';
+    if (!eventPermissionService.can(attendee.eventId, req.user, 'attendees.checkIn')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to redeem add-ons for this event'
+      });
     }
 
-    if (search) {
-      const searchRegex = { $regex: search, $options: 'i' };
-      filter.$or = [
-        { fullName: searchRegex },
-        { email: searchRegex },
-        { phone: searchRegex },
-        { bookingReference: searchRegex }
-      ];
+    const updated = await attendee.redeemAddOn(req.params.addOnId, req.user._id, value.quantity);
+
+    res.json({
+      success: true,
+      message: 'Add-on redeemed successfully',
+      data: {
+        attendeeId: updated._id,
+        bookingReference: updated.bookingReference,
+        addOns: addOnService.summarize(updated)
+      }
+    });
+
+  } catch (error) {
+    console.error('Redeem add-on error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error redeeming add-on',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Undo a mistaken check-in (Producer/Admin only)
+// @route   PUT /api/attendees/:id/undo-check-in
+// @access  Private (Producer/Admin only)
+router.put('/:id/undo-check-in', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = undoCheckInSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
     }
 
-    // Execute query with pagination
-    const attendees = await Attendee.find(filter)
-      .populate('ticketId', 'title type price description')
-      .sort({ registeredAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
+    const attendee = await Attendee.findById(req.params.id)
+      .populate('eventId', 'producerId team');
 
-    // Get total count
-    const total = await Attendee.countDocuments(filter);
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendee not found'
+      });
+    }
 
-    // Get event statistics
-    const statistics = await Attendee.getEventStatistics(eventId);
+    if (!eventPermissionService.can(attendee.eventId, req.user, 'attendees.checkIn')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage check-ins for this event'
+      });
+    }
+
+    const updated = await attendee.undoCheckIn(req.user._id, value.count, value.reason, value.guestReference);
 
     res.json({
       success: true,
-      data: attendees,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalAttendees: total,
-        hasNextPage: page * limit < total,
-        hasPrevPage: page > 1
-      },
-      statistics
+      message: `Check-in undone. ${updated.admittedCount} of ${updated.ticketQuantity} admissions now checked in`,
+      data: updated
     });
 
   } catch (error) {
-    console.error('Get attendees error:', error);
-    res.status(500).json({
+    console.error('Undo check-in error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error fetching attendees',
+      message: error.message || 'Error undoing check-in',
       error: error.message
     });
   }
 });
 
-// @desc    Get attendee by booking reference
-// @route   GET /api/attendees/booking/:bookingReference
-// @access  Public
-router.get('/booking/:bookingReference', async (req, res) => {
+// @desc    Get the check-in history of a booking (Producer/Admin only)
+// @route   GET /api/attendees/:id/check-in-log
+// @access  Private (Producer/Admin only)
+router.get('/:id/check-in-log', protect, authorize('producer', 'admin'), async (req, res) => {
   try {
-    const { bookingReference } = req.params;
-
-    const attendee = await Attendee.findOne({ bookingReference })
-      .populate('ticketId', 'title type price description features')
-      .populate('eventId', 'name description startDate endDate location image');
+    const attendee = await Attendee.findById(req.params.id)
+      .select('eventId bookingReference fullName ticketQuantity admittedCount checkedIn checkInLog guests')
+      .populate('eventId', 'producerId team')
+      .populate('checkInLog.by', 'name email');
 
     if (!attendee) {
       return res.status(404).json({
         success: false,
-        message: 'Booking not found'
+        message: 'Attendee not found'
+      });
+    }
+
+    if (!eventPermissionService.can(attendee.eventId, req.user, 'attendees.checkIn')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view check-ins for this event'
       });
     }
 
     res.json({
       success: true,
-      data: attendee
+      data: {
+        bookingReference: attendee.bookingReference,
+        fullName: attendee.fullName,
+        ticketQuantity: attendee.ticketQuantity,
+        admittedCount: attendee.admittedCount,
+        remainingAdmissions: attendee.remainingAdmissions,
+        guests: attendee.guests.map(guest => ({
+          guestReference: guest.guestReference,
+          fullName: guest.fullName,
+          checkedIn: guest.checkedIn,
+          checkedInAt: guest.checkedInAt
+        })),
+        log: attendee.checkInLog
+      }
     });
 
   } catch (error) {
-    console.error('Get attendee by booking reference error:', error);
+    console.error('Get check-in log error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching booking details',
+      message: 'Error fetching check-in log',
       error: error.message
     });
   }
 });
 
-// @desc    Check in attendee (Producer/Admin only)
-// @route   PUT /api/attendees/:id/check-in
+// @desc    Clear or confirm a booking flagged by anti-fraud checks (Producer/Admin only)
+// @route   PUT /api/attendees/:id/fraud-review
 // @access  Private (Producer/Admin only)
-router.put('/:id/check-in', protect, authorize('producer', 'admin'), async (req, res) => {
+router.put('/:id/fraud-review', protect, authorize('producer', 'admin'), async (req, res) => {
   try {
+    const { error, value } = fraudReviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
     const attendee = await Attendee.findById(req.params.id)
-      .populate('eventId', 'producerId');
+      .populate('eventId', 'producerId team');
 
     if (!attendee) {
       return res.status(404).json({
@@ -438,28 +2337,33 @@ router.put('/:id/check-in', protect, authorize('producer', 'admin'), async (req,
       });
     }
 
-    // Check if user is authorized (producer of the event or admin)
-    if (req.user.role === 'producer' && 
-        attendee.eventId.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(attendee.eventId, req.user, 'attendees.manage')) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to check in attendees for this event'
+        message: 'Not authorized to review bookings for this event'
       });
     }
 
-    await attendee.checkIn(req.user._id);
+    // Confirming only records the decision; cancelling the booking is a separate step
+    const updated = await attendee.reviewFraudFlag(req.user._id, value.status, value.note);
 
     res.json({
       success: true,
-      message: 'Attendee checked in successfully',
-      data: attendee
+      message: value.status === 'cleared'
+        ? 'Booking cleared'
+        : 'Booking marked as fraudulent. Cancel it to release its tickets.',
+      data: {
+        attendeeId: updated._id,
+        bookingReference: updated.bookingReference,
+        fraudReview: updated.fraudReview
+      }
     });
 
   } catch (error) {
-    console.error('Check-in error:', error);
-    res.status(500).json({
+    console.error('Review flagged booking error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Error checking in attendee',
+      message: error.statusCode ? error.message : 'Error reviewing booking',
       error: error.message
     });
   }
@@ -471,8 +2375,7 @@ router.put('/:id/check-in', protect, authorize('producer', 'admin'), async (req,
 router.put('/:id/cancel', protect, authorize('producer', 'admin'), async (req, res) => {
   try {
     const attendee = await Attendee.findById(req.params.id)
-      .populate('eventId', 'producerId')
-      .populate('ticketId');
+      .populate('eventId', 'producerId team');
 
     if (!attendee) {
       return res.status(404).json({
@@ -482,40 +2385,42 @@ router.put('/:id/cancel', protect, authorize('producer', 'admin'), async (req, r
     }
 
     // Check if user is authorized
-    if (req.user.role === 'producer' && 
-        attendee.eventId.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(attendee.eventId, req.user, 'attendees.manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to cancel bookings for this event'
       });
     }
 
-    await attendee.cancelBooking();
-
-    // Return tickets to available pool
-    const ticket = attendee.ticketId;
-    if (ticket) {
-      ticket.quantity.sold -= attendee.ticketQuantity;
-      
-      // Update status if it was sold out
-      if (ticket.status === 'sold_out') {
-        ticket.status = 'active';
-      }
-      
-      await ticket.save();
+    // The checkout's payment decides these: it confirms them, or its failure or expiry releases them
+    if (attendee.paymentStatus === 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Bookings can be cancelled once payment is complete'
+      });
     }
 
-    // Update event ticket info
-    const event = await Event.findById(attendee.eventId._id);
-    if (event && event.ticketInfo) {
-      event.ticketInfo.soldTickets -= attendee.ticketQuantity;
-      await event.save();
+    // Conditional, so two concurrent cancels can't both put the tickets back
+    const now = new Date();
+    const cancelled = await Attendee.findOneAndUpdate(
+      { _id: attendee._id, bookingStatus: { $nin: ['cancelled', 'refunded'] }, paymentStatus: { $ne: 'pending' } },
+      { $set: { bookingStatus: 'cancelled', cancelledAt: now, updatedAt: now } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Booking is already cancelled'
+      });
     }
 
+    // Return tickets to available pool and update event ticket info
+    await inventoryService.releaseBooking(cancelled);
+
     res.json({
       success: true,
       message: 'Booking cancelled successfully',
-      data: attendee
+      data: cancelled
     });
 
   } catch (error) {
@@ -545,7 +2450,7 @@ router.get('/event/:eventId/statistics', protect, authorize('producer', 'admin')
     }
 
     // Check authorization
-    if (req.user.role === 'producer' && event.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(event, req.user, 'analytics.view')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view statistics for this event'
@@ -563,7 +2468,8 @@ router.get('/event/:eventId/statistics', protect, authorize('producer', 'admin')
           _id: '$ticketType',
           count: { $sum: 1 },
           totalTickets: { $sum: '$ticketQuantity' },
-          revenue: { $sum: '$totalAmount' }
+          revenue: { $sum: '$totalAmount' },
+          donations: { $sum: { $ifNull: ['$donationAmount', 0] } }
         }
       }
     ]);
@@ -610,11 +2516,20 @@ router.get('/event/:eventId/statistics', protect, authorize('producer', 'admin')
   }
 });
 
-// @desc    Export attendees list (Producer only)
-// @route   GET /api/attendees/event/:eventId/export
+// @desc    Export attendees as JSON, CSV or XLSX (Producer only)
+// @route   GET /api/attendees/event/:eventId/export?format=json|csv|xlsx&status=&ticketType=&ticketId=&checkedIn=&columns=
 // @access  Private (Producer only)
 router.get('/event/:eventId/export', protect, authorize('producer', 'admin'), async (req, res) => {
   try {
+    const { error, value } = exportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
     const { eventId } = req.params;
 
     // Verify event and authorization
@@ -626,50 +2541,86 @@ router.get('/event/:eventId/export', protect, authorize('producer', 'admin'), as
       });
     }
 
-    if (req.user.role === 'producer' && event.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(event, req.user, 'attendees.export')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to export attendees for this event'
       });
     }
 
-    // Get all confirmed attendees
-    const attendees = await Attendee.find({
-      eventId,
-      bookingStatus: 'confirmed'
-    })
-    .populate('ticketId', 'title type price')
-    .sort({ registeredAt: -1 });
-
-    // Format data for export
-    const exportData = attendees.map(attendee => ({
-      'Booking Reference': attendee.bookingReference,
-      'Full Name': attendee.fullName,
-      'Email': attendee.email,
-      'Phone': attendee.phone,
-      'Age': attendee.age,
-      'Gender': attendee.gender,
-      'Ticket Type': attendee.ticketId?.title || attendee.ticketType,
-      'Quantity': attendee.ticketQuantity,
-      'Price': attendee.ticketPrice,
-      'Total Amount': attendee.totalAmount,
-      'Registered At': attendee.registeredAt.toISOString(),
-      'Checked In': attendee.checkedIn ? 'Yes' : 'No',
-      'Checked In At': attendee.checkedInAt ? attendee.checkedInAt.toISOString() : 'N/A',
-      'Special Requirements': attendee.specialRequirements || 'None'
-    }));
+    const availableColumns = await attendeeExportService.getColumns(event);
+    const columns = attendeeExportService.selectColumns(
+      availableColumns,
+      value.columns?.split(',').map(key => key.trim()).filter(Boolean)
+    );
+
+    const cursor = attendeeExportService.openCursor(attendeeExportService.buildFilter(eventId, value));
+    const filename = `attendees-${event.name}-${new Date().toISOString().slice(0, 10)}`.replace(/[\\/:*?"<>|]+/g, '-');
+
+    if (value.format === 'csv') {
+      res.attachment(`${filename}.csv`);
+      res.type('text/csv; charset=utf-8');
+      return await attendeeExportService.streamCsv(res, cursor, columns);
+    }
+
+    if (value.format === 'xlsx') {
+      res.attachment(`${filename}.xlsx`);
+      return await attendeeExportService.streamXlsx(res, cursor, columns, {
+        rightToLeft: ['he', 'ar'].includes(event.language)
+      });
+    }
+
+    res.type('application/json; charset=utf-8');
+    await attendeeExportService.streamJson(res, cursor, columns);
+
+  } catch (error) {
+    console.error('Export attendees error:', error);
+
+    // Part of the file has gone out; cut the download short rather than append JSON to it
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error exporting attendees',
+      error: error.message
+    });
+  }
+});
+
+// @desc    List the columns an attendee export can include (Producer only)
+// @route   GET /api/attendees/event/:eventId/export/columns
+// @access  Private (Producer only)
+router.get('/event/:eventId/export/columns', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!eventPermissionService.can(event, req.user, 'attendees.export')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export attendees for this event'
+      });
+    }
+
+    const columns = await attendeeExportService.getColumns(event);
 
     res.json({
       success: true,
-      data: exportData,
-      count: exportData.length
+      data: columns.map(column => ({ key: column.key, header: column.header, default: !column.hidden }))
     });
 
   } catch (error) {
-    console.error('Export attendees error:', error);
+    console.error('Get export columns error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error exporting attendees',
+      message: 'Error fetching export columns',
       error: error.message
     });
   }
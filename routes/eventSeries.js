@@ -0,0 +1,203 @@
+const express = require('express');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const eventSeriesService = require('../services/eventSeriesService');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Series are created through POST /api/events with a `recurrence`, and occurrences are
+// edited through PUT /api/events/:id?scope=this|future
+
+// Check the current user manages the series (admins manage everything)
+const canManageSeries = (user, series) =>
+  user.role === 'admin' || series.producerId.toString() === user._id.toString();
+
+// Load a series the current user may manage
+const loadManagedSeries = async (req, res) => {
+  const series = await EventSeries.findById(req.params.id);
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      message: 'Event series not found'
+    });
+    return null;
+  }
+
+  if (!canManageSeries(req.user, series)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this event series'
+    });
+    return null;
+  }
+
+  return series;
+};
+
+// @desc    Get the current producer's event series with occurrence counts
+// @route   GET /api/event-series/my-series
+// @access  Private (Producer only)
+router.get('/my-series', protect, authorize('producer'), async (req, res) => {
+  try {
+    const series = await EventSeries.find({ producerId: req.user._id }).sort({ createdAt: -1 });
+
+    const counts = await Event.aggregate([
+      { $match: { 'series.seriesId': { $in: series.map(s => s._id) } } },
+      {
+        $group: {
+          _id: '$series.seriesId',
+          occurrences: { $sum: 1 },
+          upcoming: { $sum: { $cond: [{ $gt: ['$startsAt', new Date()] }, 1, 0] } },
+          ticketsSold: { $sum: '$ticketInfo.soldTickets' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      count: series.length,
+      data: series.map(s => {
+        const count = counts.find(c => c._id.equals(s._id));
+        return {
+          ...s.toObject(),
+          occurrences: count?.occurrences || 0,
+          upcoming: count?.upcoming || 0,
+          ticketsSold: count?.ticketsSold || 0
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get my event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching event series'
+    });
+  }
+});
+
+// @desc    Get an event series and its upcoming public occurrences
+// @route   GET /api/event-series/:id
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id)
+      .select('name recurrence firstStartDate startTime endTime status template.description template.image template.category template.location');
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event series not found'
+      });
+    }
+
+    const occurrences = await Event.find({
+      'series.seriesId': series._id,
+      isPublic: true,
+      endsAt: { $gte: new Date() }
+    })
+      .select('name image startDate endDate startTime endTime timezone startsAt endsAt location ticketInfo status series')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      data: { series, occurrences }
+    });
+  } catch (error) {
+    console.error('Get event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching event series'
+    });
+  }
+});
+
+// @desc    Get an event series with every occurrence, past ones included
+// @route   GET /api/event-series/:id/manage
+// @access  Private (Producer/Admin only)
+router.get('/:id/manage', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const series = await loadManagedSeries(req, res);
+    if (!series) return;
+
+    const occurrences = await Event.find({ 'series.seriesId': series._id })
+      .select('name startDate endDate startTime endTime timezone startsAt endsAt status isPublic ticketInfo series')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      data: { series, occurrences }
+    });
+  } catch (error) {
+    console.error('Get event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching event series'
+    });
+  }
+});
+
+// @desc    Remove one occurrence from a series (skips its date)
+// @route   DELETE /api/event-series/:id/occurrences/:eventId
+// @access  Private (Producer/Admin only)
+router.delete('/:id/occurrences/:eventId', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const series = await loadManagedSeries(req, res);
+    if (!series) return;
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    await eventSeriesService.skipOccurrence(series, event);
+
+    res.json({
+      success: true,
+      message: 'Occurrence removed from the series'
+    });
+  } catch (error) {
+    console.error('Skip event series occurrence error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error removing occurrence'
+    });
+  }
+});
+
+// @desc    End a series, removing its upcoming occurrences that have no bookings
+// @route   DELETE /api/event-series/:id
+// @access  Private (Producer/Admin only)
+router.delete('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const series = await loadManagedSeries(req, res);
+    if (!series) return;
+
+    if (series.status === 'ended') {
+      return res.status(400).json({
+        success: false,
+        message: 'This event series has already ended'
+      });
+    }
+
+    const { removed, kept } = await eventSeriesService.endSeries(series);
+
+    res.json({
+      success: true,
+      message: kept.length > 0
+        ? `Series ended. ${removed} upcoming occurrences removed; ${kept.length} with bookings were kept.`
+        : `Series ended. ${removed} upcoming occurrences removed.`,
+      data: { removed, kept }
+    });
+  } catch (error) {
+    console.error('End event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error ending event series'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require('express');
+const Joi = require('joi');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const eventPermissionService = require('../services/eventPermissionService');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const inviteMemberSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid(...eventPermissionService.teamRoles).required()
+});
+
+const updateMemberSchema = Joi.object({
+  role: Joi.string().valid(...eventPermissionService.teamRoles).required()
+});
+
+const MEMBER_FIELDS = 'name email companyName profileImage';
+
+// Load an event the current user has a permission on
+const loadEventWith = async (req, res, permission) => {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (!eventPermissionService.can(event, req.user, permission)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage the team of this event'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// @desc    Get the current user's pending event team invitations
+// @route   GET /api/event-teams/invitations
+// @access  Private (Producer only)
+router.get('/invitations', protect, authorize('producer'), async (req, res) => {
+  try {
+    const events = await Event.find({ team: { $elemMatch: { userId: req.user._id, status: 'invited' } } })
+      .populate('producerId', 'name companyName')
+      .select('name startDate endDate startsAt endsAt timezone location producerId team')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: events.map(event => {
+        const member = event.team.find(m => m.userId.equals(req.user._id));
+        return {
+          event: {
+            _id: event._id,
+            name: event.name,
+            schedule: event.schedule,
+            location: event.location,
+            producer: event.producerId
+          },
+          role: member.role,
+          invitedAt: member.invitedAt
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get team invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team invitations'
+    });
+  }
+});
+
+// @desc    Get an event's team, and the current user's role and permissions on it
+// @route   GET /api/event-teams/:eventId
+// @access  Private (Producer/Admin only)
+router.get('/:eventId', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const event = await loadEventWith(req, res, 'event.view');
+    if (!event) return;
+
+    await event.populate([
+      { path: 'producerId', select: MEMBER_FIELDS },
+      { path: 'team.userId', select: MEMBER_FIELDS }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        producer: event.producerId,
+        team: event.team,
+        myRole: eventPermissionService.getRole(event, req.user),
+        permissions: eventPermissionService.getPermissions(event, req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get event team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching event team'
+    });
+  }
+});
+
+// @desc    Invite a producer account to the event's team
+// @route   POST /api/event-teams/:eventId/members
+// @access  Private (Event producer/Admin only)
+router.post('/:eventId/members', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = inviteMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const event = await loadEventWith(req, res, 'team.manage');
+    if (!event) return;
+
+    // Team members sign in with a producer account, like the event's producer
+    const invitee = await User.findOne({ email: value.email.toLowerCase(), role: 'producer', isActive: true });
+    if (!invitee) {
+      return res.status(404).json({
+        success: false,
+        message: 'No producer account found with that email'
+      });
+    }
+
+    if (event.producerId.equals(invitee._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The event producer is already in charge of this event'
+      });
+    }
+
+    // Conditional on the user not being on the team, so two invitations can't both land
+    const updated = await Event.findOneAndUpdate(
+      { _id: event._id, 'team.userId': { $ne: invitee._id } },
+      {
+        $push: {
+          team: { userId: invitee._id, role: value.role, status: 'invited', invitedBy: req.user._id, invitedAt: new Date() }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This user is already on the team or invited'
+      });
+    }
+
+    try {
+      await emailService.sendEventTeamInvitationEmail(invitee, event, req.user, value.role);
+    } catch (err) {
+      console.error('Failed to send team invitation email:', err);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: updated.team.find(m => m.userId.equals(invitee._id)),
+      message: 'Invitation sent successfully'
+    });
+  } catch (error) {
+    console.error('Invite team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error inviting team member'
+    });
+  }
+});
+
+// @desc    Accept an invitation to the event's team
+// @route   POST /api/event-teams/:eventId/accept
+// @access  Private (Producer only)
+router.post('/:eventId/accept', protect, authorize('producer'), async (req, res) => {
+  try {
+    const updated = await Event.findOneAndUpdate(
+      { _id: req.params.eventId, team: { $elemMatch: { userId: req.user._id, status: 'invited' } } },
+      { $set: { 'team.$.status': 'active', 'team.$.acceptedAt': new Date() } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        eventId: updated._id,
+        role: eventPermissionService.getRole(updated, req.user),
+        permissions: eventPermissionService.getPermissions(updated, req.user)
+      },
+      message: 'You have joined the event team'
+    });
+  } catch (error) {
+    console.error('Accept team invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting team invitation'
+    });
+  }
+});
+
+// @desc    Change a team member's role
+// @route   PUT /api/event-teams/:eventId/members/:userId
+// @access  Private (Event producer/Admin only)
+router.put('/:eventId/members/:userId', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = updateMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const event = await loadEventWith(req, res, 'team.manage');
+    if (!event) return;
+
+    const updated = await Event.findOneAndUpdate(
+      { _id: event._id, 'team.userId': req.params.userId },
+      { $set: { 'team.$.role': value.role } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updated.team.find(m => m.userId.toString() === req.params.userId)
+    });
+  } catch (error) {
+    console.error('Update team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating team member'
+    });
+  }
+});
+
+// @desc    Remove a team member or withdraw an invitation. Members can remove themselves,
+//          which is also how an invitation is declined.
+// @route   DELETE /api/event-teams/:eventId/members/:userId
+// @access  Private (Event producer/Admin, or the member themselves)
+router.delete('/:eventId/members/:userId', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user._id.toString();
+
+    let event;
+    if (isSelf) {
+      event = await Event.findById(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+    } else {
+      event = await loadEventWith(req, res, 'team.manage');
+      if (!event) return;
+    }
+
+    const { modifiedCount } = await Event.updateOne(
+      { _id: event._id, 'team.userId': req.params.userId },
+      { $pull: { team: { userId: req.params.userId } } }
+    );
+    if (modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You have left the event team' : 'Team member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing team member'
+    });
+  }
+});
+
+module.exports = router;
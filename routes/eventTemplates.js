@@ -0,0 +1,209 @@
+const express = require('express');
+const Joi = require('joi');
+const Event = require('../models/Event');
+const EventTemplate = require('../models/EventTemplate');
+const eventTemplateService = require('../services/eventTemplateService');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const createTemplateSchema = Joi.object({
+  name: Joi.string().trim().max(200).required(),
+  description: Joi.string().max(1000).allow('').optional(),
+  // Event whose setup, ticket types and supplier requests the template keeps
+  eventId: Joi.string().hex().length(24).required()
+});
+
+const updateTemplateSchema = Joi.object({
+  name: Joi.string().trim().max(200).optional(),
+  description: Joi.string().max(1000).allow('').optional(),
+  // Save the template again from this event
+  eventId: Joi.string().hex().length(24).optional()
+}).min(1);
+
+// Check the current user owns the template (admins manage everything)
+const canManageTemplate = (user, template) =>
+  user.role === 'admin' || template.producerId.toString() === user._id.toString();
+
+// Load a template the current user may manage
+const loadManagedTemplate = async (req, res) => {
+  const template = await EventTemplate.findById(req.params.id);
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Event template not found'
+    });
+    return null;
+  }
+
+  if (!canManageTemplate(req.user, template)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this event template'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+// Load the event a template is saved from; it has to belong to the template's producer
+const loadSourceEvent = async (eventId, producerId, res) => {
+  const event = await Event.findById(eventId);
+  if (!event || event.producerId.toString() !== producerId.toString()) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+  return event;
+};
+
+// @desc    Get the current producer's event templates
+// @route   GET /api/event-templates/my-templates
+// @access  Private (Producer only)
+router.get('/my-templates', protect, authorize('producer'), async (req, res) => {
+  try {
+    const templates = await EventTemplate.find({ producerId: req.user._id })
+      .select('name description event.category event.durationDays sourceEventId timesUsed lastUsedAt createdAt updatedAt')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Get event templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching event templates'
+    });
+  }
+});
+
+// @desc    Get an event template
+// @route   GET /api/event-templates/:id
+// @access  Private (Producer/Admin only)
+router.get('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const template = await loadManagedTemplate(req, res);
+    if (!template) return;
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Get event template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching event template'
+    });
+  }
+});
+
+// @desc    Save one of the producer's events as a template
+// @route   POST /api/event-templates
+// @access  Private (Producer only)
+router.post('/', protect, authorize('producer'), async (req, res) => {
+  try {
+    const { error, value } = createTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const event = await loadSourceEvent(value.eventId, req.user._id, res);
+    if (!event) return;
+
+    const template = await EventTemplate.create({
+      producerId: req.user._id,
+      name: value.name,
+      description: value.description,
+      ...await eventTemplateService.captureEvent(event)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Create event template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating event template'
+    });
+  }
+});
+
+// @desc    Rename an event template or save it again from an event
+// @route   PUT /api/event-templates/:id
+// @access  Private (Producer/Admin only)
+router.put('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = updateTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const template = await loadManagedTemplate(req, res);
+    if (!template) return;
+
+    const { eventId, ...details } = value;
+    template.set(details);
+
+    if (eventId) {
+      const event = await loadSourceEvent(eventId, template.producerId, res);
+      if (!event) return;
+      template.set(await eventTemplateService.captureEvent(event));
+    }
+
+    await template.save();
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Update event template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating event template'
+    });
+  }
+});
+
+// @desc    Delete an event template; events created from it are not affected
+// @route   DELETE /api/event-templates/:id
+// @access  Private (Producer/Admin only)
+router.delete('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const template = await loadManagedTemplate(req, res);
+    if (!template) return;
+
+    await EventTemplate.deleteOne({ _id: template._id });
+
+    res.json({
+      success: true,
+      message: 'Event template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete event template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting event template'
+    });
+  }
+});
+
+module.exports = router;
@@ -13,7 +13,13 @@ const {
   requireApprovedSupplier,
 } = require("../middleware/auth");
 const Ticket = require("../models/Ticket");
+const InventoryPool = require("../models/InventoryPool");
 const emailService = require("../services/emailService");
+const eventSeriesService = require("../services/eventSeriesService");
+const eventTemplateService = require("../services/eventTemplateService");
+const eventPermissionService = require("../services/eventPermissionService");
+const sessionService = require("../services/sessionService");
+const timezoneService = require("../services/timezoneService");
 const router = express.Router();
 
 // Ensure upload folder exists
@@ -37,6 +43,57 @@ const storage = multer.diskStorage({
 const upload = multer({ storage });
 
 // Enhanced validation schemas
+
+// IANA timezone the event's dates and times are in, e.g. "Europe/London"
+const timezoneSchema = Joi.string()
+  .custom((value, helpers) =>
+    timezoneService.isValidTimezone(value) ? value : helpers.error("any.invalid")
+  )
+  .messages({
+    "any.invalid": "Timezone must be a valid IANA timezone (e.g., Europe/London)",
+  });
+
+// Donation buyers can add at checkout
+const donationsSchema = Joi.object({
+  enabled: Joi.boolean().required(),
+  suggestedAmounts: Joi.array()
+    .items(Joi.number().positive().precision(2))
+    .max(6)
+    .unique()
+    .optional(),
+  minimum: Joi.number().min(0).precision(2).optional(),
+  message: Joi.string().trim().max(500).allow("").optional(),
+});
+
+// Anti-scalping limits on public checkout
+const antiFraudSchema = Joi.object({
+  maxTicketsPerEmail: Joi.number().integer().min(1).allow(null).optional(),
+  maxTicketsPerPhone: Joi.number().integer().min(1).allow(null).optional(),
+  maxTicketsPerDevice: Joi.number().integer().min(1).allow(null).optional(),
+  requireChallenge: Joi.boolean().optional(),
+});
+
+// Repeats the event as a series; every occurrence gets its own tickets and attendees
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid("daily", "weekly", "monthly").required(),
+  interval: Joi.number().integer().min(1).max(52).default(1),
+  // 0 (Sunday) to 6 (Saturday); defaults to the weekday of startDate
+  daysOfWeek: Joi.when("frequency", {
+    is: "weekly",
+    then: Joi.array()
+      .items(Joi.number().integer().min(0).max(6))
+      .min(1)
+      .unique()
+      .optional(),
+    otherwise: Joi.forbidden(),
+  }),
+  // End after `count` occurrences or on `until`
+  count: Joi.number().integer().min(1).optional(),
+  until: Joi.date().optional(),
+  // Dates to skip
+  exceptions: Joi.array().items(Joi.date()).max(100).optional(),
+}).xor("count", "until");
+
 const timePattern24 = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/; // HH:MM 24h
 const timePattern12 = /^(0?[1-9]|1[0-2]):[0-5][0-9]\s?(AM|PM|am|pm)$/; // HH:MM AM/PM
 const timePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/; // HH:MM 24h
@@ -62,6 +119,7 @@ const createEventSchema = Joi.object({
   endTime: Joi.string().pattern(timePattern).required().messages({
     "string.pattern.base": "End time must be in HH:MM format (e.g., 18:00)",
   }),
+  timezone: timezoneSchema.optional(),
 
   location: Joi.object({
     address: Joi.string().required(),
@@ -153,6 +211,12 @@ const createEventSchema = Joi.object({
     isFree: Joi.boolean().optional(),
   }).optional(),
 
+  donations: donationsSchema.optional(),
+  antiFraud: antiFraudSchema.optional(),
+  recurrence: recurrenceSchema.optional(),
+  // Saved event template to start from; fields given here override the template's
+  templateId: Joi.string().hex().length(24).optional(),
+
   tickets: Joi.array()
     .items(
       Joi.alternatives().try(
@@ -174,6 +238,17 @@ const createEventSchema = Joi.object({
             originalPrice: Joi.number().min(0).optional().allow(null),
             discount: Joi.number().min(0).max(100).optional().allow(null),
           }).required(),
+          pricingTiers: Joi.array()
+            .items(
+              Joi.object({
+                name: Joi.string().max(100).required(),
+                price: Joi.number().min(0).required(),
+                startDate: Joi.date().optional(),
+                endDate: Joi.date().optional(),
+                maxSold: Joi.number().integer().min(1).optional(),
+              }).or("startDate", "endDate", "maxSold")
+            )
+            .optional(),
           quantity: Joi.alternatives()
             .try(
               Joi.number().min(0).required(),
@@ -194,6 +269,14 @@ const createEventSchema = Joi.object({
             requiresId: Joi.boolean().optional(),
             specialRequirements: Joi.string().optional(),
           }).optional(),
+          transferPolicy: Joi.object({
+            allowed: Joi.boolean().optional(),
+          }).optional(),
+          // Sales window; defaults to on sale now until the event ends
+          sales: Joi.object({
+            startDate: Joi.date().optional(),
+            endDate: Joi.date().optional(),
+          }).optional(),
         })
       )
     )
@@ -303,6 +386,8 @@ const updateEventSchema = Joi.object({
         "End time must be in valid format (HH:MM 24h or HH:MM AM/PM)",
     }),
 
+  timezone: timezoneSchema.optional(),
+
   suppliers: Joi.array()
     .items(
       Joi.alternatives().try(
@@ -365,6 +450,8 @@ const updateEventSchema = Joi.object({
     }).optional(),
     isFree: Joi.boolean().optional(),
   }).optional(),
+  donations: donationsSchema.optional(),
+  antiFraud: antiFraudSchema.optional(),
 
 
     bankDetails: Joi.object({
@@ -433,6 +520,104 @@ const verifyPasswordSchema = Joi.object({
   }),
 });
 
+// Custom registration questions; answers are validated in routes/attendees.js
+const registrationFieldSchema = Joi.object({
+  key: Joi.string()
+    .pattern(/^[a-z][a-z0-9_]{0,49}$/)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "Field key must start with a letter and use only lowercase letters, digits and underscores",
+    }),
+  label: Joi.string().trim().min(1).max(200).required(),
+  type: Joi.string()
+    .valid(
+      "text",
+      "textarea",
+      "number",
+      "email",
+      "phone",
+      "date",
+      "select",
+      "multiselect",
+      "checkbox"
+    )
+    .required(),
+  required: Joi.boolean().default(false),
+  options: Joi.when("type", {
+    is: Joi.valid("select", "multiselect"),
+    then: Joi.array()
+      .items(Joi.string().trim().min(1).max(100))
+      .min(1)
+      .unique()
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+  helpText: Joi.string().trim().max(300).allow("").optional(),
+});
+
+// New dates for a copy of an event; the end date defaults to the original's length
+const duplicateEventSchema = Joi.object({
+  startDate: Joi.date().required().messages({
+    "date.base": "Start date must be a valid date",
+    "any.required": "Start date is required",
+  }),
+  endDate: Joi.date().min(Joi.ref("startDate")).optional(),
+  name: Joi.string().min(2).max(200).optional(),
+  password: Joi.string().min(6).optional().messages({
+    "string.min": "Password must be at least 6 characters long",
+  }),
+});
+
+const registrationFormSchema = Joi.object({
+  fields: Joi.array()
+    .items(registrationFieldSchema)
+    .max(50)
+    .unique("key")
+    .required(),
+});
+
+// Load a newly created event with its producer, suppliers, services and tickets
+const populateCreatedEvent = (eventId) =>
+  Event.findById(eventId)
+    .populate("producerId", "name companyName profileImage email phone")
+    .populate(
+      "suppliers.supplierId",
+      "name companyName profileImage email phone supplierDetails"
+    )
+    .populate(
+      "suppliers.serviceId",
+      "title description price category subcategories tags availability location experience rating portfolio packages featured"
+    )
+    .populate("tickets");
+
+// Tell the producer the event was created and invite its suppliers
+const sendEventCreatedEmails = async (producer, populatedEvent) => {
+  try {
+    await emailService.sendEventCreatedEmail(producer, populatedEvent);
+  } catch (err) {
+    console.error("Failed to send event created email", err);
+  }
+
+  for (const supplierEntry of populatedEvent.suppliers) {
+    if (supplierEntry.supplierId && supplierEntry.serviceId) {
+      try {
+        await emailService.sendEventInvitationEmail(
+          supplierEntry.supplierId,
+          populatedEvent,
+          producer,
+          supplierEntry.serviceId
+        );
+      } catch (err) {
+        console.error(
+          `Failed to send invitation email to supplier ${supplierEntry.supplierId._id}:`,
+          err
+        );
+      }
+    }
+  }
+};
+
 // @desc    Create new event with multiple suppliers and services
 // @route   POST /api/events
 // @access  Private (Producers only)
@@ -444,9 +629,16 @@ router.post(
   async (req, res) => {
     try {
       // Parse form data (handle FormData or JSON)
-      const eventData = req.body.data ? JSON.parse(req.body.data) : req.body;
+      let eventData = req.body.data ? JSON.parse(req.body.data) : req.body;
       console.log("Parsed Event Data:", eventData);
 
+      // ✅ Start from a saved template: its details fill whatever the request leaves out
+      let template = null;
+      if (eventData.templateId) {
+        template = await eventTemplateService.getUsableTemplate(eventData.templateId, req.user);
+        eventData = eventTemplateService.applyTemplate(template, eventData);
+      }
+
       // ✅ Validate request body
       const { error, value } = createEventSchema.validate(eventData, { abortEarly: false });
       if (error) {
@@ -545,6 +737,10 @@ router.post(
         ...value,
         producerId: req.user._id,
       };
+      delete eventToCreate.templateId;
+      if (template?.event?.registrationForm?.length) {
+        eventToCreate.registrationForm = template.event.registrationForm;
+      }
 
       // ✅ Handle image
       if (req.file) {
@@ -566,50 +762,38 @@ router.post(
       const ticketsToCreate = eventToCreate.tickets || [];
       delete eventToCreate.tickets;
 
+      const { recurrence } = eventToCreate;
+      delete eventToCreate.recurrence;
+
+      // ✅ Recurring event: create the series with all of its occurrences. Emails go out
+      // once, for the first occurrence, instead of once per occurrence.
+      if (recurrence) {
+        const { series, occurrences } = await eventSeriesService.createSeries({
+          eventData: eventToCreate,
+          tickets: ticketsToCreate,
+          recurrence,
+        });
+
+        if (template) await eventTemplateService.recordUse(template);
+
+        const firstOccurrence = await populateCreatedEvent(occurrences[0]._id);
+        await sendEventCreatedEmails(req.user, firstOccurrence);
+
+        return res.status(201).json({
+          success: true,
+          data: { series, occurrences },
+          message: `Event series created with ${occurrences.length} occurrences`,
+        });
+      }
+
       // Create event
       const event = await Event.create(eventToCreate);
 
       // ✅ Create tickets (support both simple and detailed structure)
       if (ticketsToCreate.length > 0) {
-        const ticketDocs = ticketsToCreate.map((ticket) => {
-          const priceAmount =
-            typeof ticket.price === "number"
-              ? ticket.price
-              : ticket.price.amount;
-          const currency =
-            ticket.currency ||
-            (typeof ticket.price === "object" ? ticket.price.currency : "ILS");
-
-          const quantity =
-            typeof ticket.quantity === "number"
-              ? ticket.quantity
-              : ticket.quantity.total;
-
-          return {
-            eventId: event._id,
-            eventName: event.name,
-            title: ticket.title,
-            description: ticket.description || "",
-            type: ticket.type,
-            price: { amount: priceAmount, currency },
-            quantity: {
-              total: quantity,
-              available: quantity,
-              sold: 0,
-              reserved: 0,
-            },
-            status: "active",
-            validity: {
-              startDate: event.startDate,
-              endDate: event.endDate,
-              isActive: true,
-            },
-            sales: { startDate: event.startDate, endDate: event.endDate },
-            restrictions:
-              ticket.restrictions || { maxPerPerson: 10 },
-            refundPolicy: { allowed: true, deadline: 7, fee: 0 },
-          };
-        });
+        const ticketDocs = ticketsToCreate.map((ticket) =>
+          Ticket.buildForEvent(event, ticket)
+        );
         await Ticket.insertMany(ticketDocs);
       }
 
@@ -631,43 +815,13 @@ router.post(
         );
       }
 
+      if (template) await eventTemplateService.recordUse(template);
+
       // ✅ Populate event for response
-      const populatedEvent = await Event.findById(event._id)
-        .populate("producerId", "name companyName profileImage email phone")
-        .populate(
-          "suppliers.supplierId",
-          "name companyName profileImage email phone supplierDetails"
-        )
-        .populate(
-          "suppliers.serviceId",
-          "title description price category subcategories tags availability location experience rating portfolio packages featured"
-        )
-        .populate("tickets");
+      const populatedEvent = await populateCreatedEvent(event._id);
 
       // ✅ Send emails
-      try {
-        await emailService.sendEventCreatedEmail(req.user, populatedEvent);
-      } catch (err) {
-        console.error("Failed to send event created email", err);
-      }
-
-      for (const supplierEntry of populatedEvent.suppliers) {
-        if (supplierEntry.supplierId && supplierEntry.serviceId) {
-          try {
-            await emailService.sendEventInvitationEmail(
-              supplierEntry.supplierId,
-              populatedEvent,
-              req.user,
-              supplierEntry.serviceId
-            );
-          } catch (err) {
-            console.error(
-              `Failed to send invitation email to supplier ${supplierEntry.supplierId._id}:`,
-              err
-            );
-          }
-        }
-      }
+      await sendEventCreatedEmails(req.user, populatedEvent);
 
       res.status(201).json({
         success: true,
@@ -678,19 +832,86 @@ router.post(
     } catch (err) {
       console.error("Create event error:", err);
       res
-        .status(500)
+        .status(err.statusCode || 500)
         .json({
           success: false,
-          message: "Error creating event",
+          message: err.statusCode ? err.message : "Error creating event",
           error: err.message,
         });
     }
   }
 );
 
+// @desc    Duplicate an event to new dates with its tickets and supplier requests,
+//          starting over with no sales or attendees
+// @route   POST /api/events/:id/duplicate
+// @access  Private (Event producer/co-producer/Admin only)
+router.post(
+  "/:id/duplicate",
+  protect,
+  authorize("producer", "admin"),
+  async (req, res) => {
+    try {
+      const { error, value } = duplicateEventSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const source = await Event.findById(req.params.id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
+
+      if (!eventPermissionService.can(source, req.user, "event.edit")) {
+        return res.status(403).json({
+          success: false,
+          message: "Not authorized to duplicate this event",
+        });
+      }
+
+      const event = await eventTemplateService.duplicateEvent(source, value);
+
+      const populatedEvent = await populateCreatedEvent(event._id);
+      // The copy belongs to the original's producer, whoever made it
+      const producer = source.producerId.equals(req.user._id)
+        ? req.user
+        : await User.findById(source.producerId);
+      await sendEventCreatedEmails(producer, populatedEvent);
+
+      res.status(201).json({
+        success: true,
+        data: populatedEvent,
+        message: "Event duplicated successfully",
+      });
+    } catch (error) {
+      console.error("Duplicate event error:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : "Error duplicating event",
+      });
+    }
+  }
+);
+
 // @desc    Add multiple suppliers with multiple services to existing event
 // @route   POST /api/events/:id/suppliers
-// @access  Private (Event producer only)
+// @access  Private (Event producer/co-producer only)
 router.post("/:id/suppliers", protect, async (req, res) => {
   try {
     const { error, value } = addSuppliersSchema.validate(req.body);
@@ -710,7 +931,7 @@ router.post("/:id/suppliers", protect, async (req, res) => {
       });
     }
 
-    if (event.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(event, req.user, "suppliers.manage")) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to modify this event",
@@ -846,7 +1067,7 @@ router.post("/:id/suppliers", protect, async (req, res) => {
 
 // @desc    Update supplier service status with bulk operations
 // @route   PUT /api/events/:id/suppliers/bulk-status
-// @access  Private (Event producer only)
+// @access  Private (Event producer/co-producer only)
 router.put("/:id/suppliers/bulk-status", protect, async (req, res) => {
   try {
     const { updates } = req.body; // Array of {supplierId, serviceId, status}
@@ -866,7 +1087,7 @@ router.put("/:id/suppliers/bulk-status", protect, async (req, res) => {
       });
     }
 
-    if (event.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(event, req.user, "suppliers.manage")) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to modify this event",
@@ -935,7 +1156,7 @@ router.put("/:id/suppliers/bulk-status", protect, async (req, res) => {
 
 // @desc    Remove supplier service from event
 // @route   DELETE /api/events/:id/suppliers/:supplierId/:serviceId
-// @access  Private (Event producer only)
+// @access  Private (Event producer/co-producer only)
 router.delete(
   "/:id/suppliers/:supplierId/:serviceId",
   protect,
@@ -949,7 +1170,7 @@ router.delete(
         });
       }
 
-      if (event.producerId.toString() !== req.user._id.toString()) {
+      if (!eventPermissionService.can(event, req.user, "suppliers.manage")) {
         return res.status(403).json({
           success: false,
           message: "Not authorized to modify this event",
@@ -1169,7 +1390,7 @@ router.get("/:id/suppliers", async (req, res) => {
 
 // @desc    Get supplier recommendations for event
 // @route   GET /api/events/:id/supplier-recommendations
-// @access  Private (Event producer only)
+// @access  Private (Event producer/co-producer only)
 router.get("/:id/supplier-recommendations", protect, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
@@ -1180,7 +1401,7 @@ router.get("/:id/supplier-recommendations", protect, async (req, res) => {
       });
     }
 
-    if (event.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(event, req.user, "suppliers.manage")) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to access this event",
@@ -1250,7 +1471,8 @@ router.get("/:id/supplier-recommendations", protect, async (req, res) => {
   }
 });
 
-// @desc    Get all events created by the current logged-in producer with full details
+// @desc    Get the current logged-in producer's events with full details: the events they
+//          created and those they are on the team of, each with their role and permissions
 // @route   GET /api/events/my-events
 // @access  Private (Producer only)
 router.get("/my-events", protect, authorize("producer"), async (req, res) => {
@@ -1280,10 +1502,9 @@ router.get("/my-events", protect, authorize("producer"), async (req, res) => {
       sortOrder,
     });
 
-    // Build filter for events created by this producer
-    const filter = {
-      producerId: producerId,
-    };
+    // Build filter for events this producer created or is on the team of
+    const accessFilter = eventPermissionService.getEventFilter(req.user, "event.view");
+    const filter = { ...accessFilter };
 
     // Add status filter
     if (status) {
@@ -1305,11 +1526,16 @@ router.get("/my-events", protect, authorize("producer"), async (req, res) => {
     // Add search filter
     if (search) {
       const searchRegex = { $regex: search, $options: "i" };
-      filter.$or = [
-        { name: searchRegex },
-        { description: searchRegex },
-        { "location.address": searchRegex },
-        { "location.city": searchRegex },
+      // Under $and, so it doesn't replace the $or of the access filter
+      filter.$and = [
+        {
+          $or: [
+            { name: searchRegex },
+            { description: searchRegex },
+            { "location.address": searchRegex },
+            { "location.city": searchRegex },
+          ],
+        },
       ];
     }
 
@@ -1344,6 +1570,10 @@ router.get("/my-events", protect, authorize("producer"), async (req, res) => {
     const enhancedEvents = events.map((event) => {
       const eventObj = event.toObject({ virtuals: true });
 
+      // What the producer may do on the event: "owner", or their team role
+      eventObj.myRole = eventPermissionService.getRole(event, req.user);
+      eventObj.permissions = eventPermissionService.getPermissions(event, req.user);
+
       // Ensure all array fields are properly initialized to prevent frontend errors
       eventObj.suppliers = eventObj.suppliers || [];
       eventObj.requiredServices = eventObj.requiredServices || [];
@@ -1506,14 +1736,14 @@ router.get("/my-events", protect, authorize("producer"), async (req, res) => {
       eventObj.groupedSuppliersArray = Object.values(eventObj.groupedSuppliers);
 
       // Add event status indicators
+      const startsAt = new Date(eventObj.startsAt || eventObj.startDate);
+      const endsAt = new Date(eventObj.endsAt || eventObj.endDate);
       eventObj.statusIndicators = {
-        isUpcoming: new Date(eventObj.startDate) > new Date(),
-        isPast: new Date(eventObj.endDate) < new Date(),
-        isActive:
-          new Date() >= new Date(eventObj.startDate) &&
-          new Date() <= new Date(eventObj.endDate),
+        isUpcoming: startsAt > new Date(),
+        isPast: endsAt < new Date(),
+        isActive: new Date() >= startsAt && new Date() <= endsAt,
         daysUntilEvent: Math.ceil(
-          (new Date(eventObj.startDate) - new Date()) / (1000 * 60 * 60 * 24)
+          (startsAt - new Date()) / (1000 * 60 * 60 * 24)
         ),
         duration: Math.ceil(
           (new Date(eventObj.endDate) - new Date(eventObj.startDate)) /
@@ -1527,8 +1757,8 @@ router.get("/my-events", protect, authorize("producer"), async (req, res) => {
     // Get total count for pagination - FIXED: Use the same filter that was used for the query
     const totalFilteredEvents = await Event.countDocuments(filter);
 
-    // Calculate overall statistics for the producer
-    const allProducerEvents = await Event.find({ producerId });
+    // Calculate overall statistics across the producer's events
+    const allProducerEvents = await Event.find(accessFilter);
     const overallStats = {
       totalEvents: allProducerEvents.length,
       draftEvents: allProducerEvents.filter((e) => e.status === "draft").length,
@@ -1539,10 +1769,10 @@ router.get("/my-events", protect, authorize("producer"), async (req, res) => {
       rejectedEvents: allProducerEvents.filter((e) => e.status === "rejected")
         .length,
       upcomingEvents: allProducerEvents.filter(
-        (e) => new Date(e.startDate) > new Date()
+        (e) => e.getStartInstant() > new Date()
       ).length,
       pastEvents: allProducerEvents.filter(
-        (e) => new Date(e.endDate) < new Date()
+        (e) => e.getEndInstant() < new Date()
       ).length,
     };
 
@@ -1625,9 +1855,9 @@ router.get("/", async (req, res) => {
     const filter = { isPublic: true };
 
     // Filter out past events by default (only show current and future events)
-    // Past events are those where endDate is before current date
+    // Past events are those that ended (endsAt) before now
     if (includePastEvents !== "true") {
-      filter.endDate = { $gte: new Date() };
+      filter.endsAt = { $gte: new Date() };
     }
 
     if (category) filter.category = category;
@@ -1772,8 +2002,8 @@ router.get("/:id", async (req, res) => {
 
     // Add event status indicators
     const now = new Date();
-    const eventStartDate = new Date(eventData.startDate);
-    const eventEndDate = new Date(eventData.endDate);
+    const eventStartDate = event.getStartInstant();
+    const eventEndDate = event.getEndInstant();
 
     eventData.eventStatus = {
       isUpcoming: eventStartDate > now,
@@ -1915,7 +2145,7 @@ router.get("/:id", async (req, res) => {
     })
       .populate("producerId", "name companyName profileImage")
       .select(
-        "name description image startDate endDate location category ticketInfo views featured"
+        "name description image startDate endDate startsAt endsAt timezone location category ticketInfo views featured"
       )
       .sort({ startDate: 1, featured: -1 })
       .limit(5);
@@ -1937,6 +2167,36 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// @desc    Get an event's agenda: sessions in time order with speakers and free seats
+// @route   GET /api/events/:id/agenda
+// @access  Public
+router.get("/:id/agenda", async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select(
+      "name startDate endDate startTime endTime timezone startsAt endsAt location"
+    );
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    const agenda = await sessionService.getAgenda(event._id);
+
+    res.json({
+      success: true,
+      data: { event, ...agenda },
+    });
+  } catch (error) {
+    console.error("Get event agenda error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching agenda",
+    });
+  }
+});
+
 // @desc    Get all events for a specific supplier
 // @route   GET /api/events/supplier/:supplierId
 // @access  Private (Supplier only)
@@ -2007,11 +2267,16 @@ router.get("/supplier/:supplierId", protect, async (req, res) => {
     // Add search filter (search in name, description, location)
     if (search) {
       const searchRegex = { $regex: search, $options: "i" };
-      filter.$or = [
-        { name: searchRegex },
-        { description: searchRegex },
-        { "location.address": searchRegex },
-        { "location.city": searchRegex },
+      // Under $and, so it doesn't replace the $or of the access filter
+      filter.$and = [
+        {
+          $or: [
+            { name: searchRegex },
+            { description: searchRegex },
+            { "location.address": searchRegex },
+            { "location.city": searchRegex },
+          ],
+        },
       ];
     }
 
@@ -2056,8 +2321,8 @@ router.get("/supplier/:supplierId", protect, async (req, res) => {
 
         // Add event date status indicators
         const now = new Date();
-        const eventStartDate = new Date(eventObj.startDate);
-        const eventEndDate = new Date(eventObj.endDate);
+        const eventStartDate = new Date(eventObj.startsAt || eventObj.startDate);
+        const eventEndDate = new Date(eventObj.endsAt || eventObj.endDate);
 
         eventObj.eventDateStatus = {
           isPastEvent: eventEndDate < now,
@@ -2144,9 +2409,10 @@ router.get("/supplier/:supplierId", protect, async (req, res) => {
   }
 });
 
-// @desc    Update event created by producer
-// @route   PUT /api/events/:id
-// @access  Private (Producer only - own events)
+// @desc    Update event created by producer. For an occurrence of an event series,
+//          ?scope=future applies the edit to it and every later occurrence.
+// @route   PUT /api/events/:id?scope=this|future
+// @access  Private (Event producer/co-producer only)
 router.put("/:id", protect, authorize("producer"), async (req, res) => {
   try {
     // Validate input
@@ -2166,6 +2432,14 @@ router.put("/:id", protect, authorize("producer"), async (req, res) => {
 
     console.log("Validated value:", JSON.stringify(value, null, 2));
 
+    const scope = req.query.scope || "this";
+    if (!["this", "future"].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'scope must be "this" or "future"',
+      });
+    }
+
     // Find the event
     const event = await Event.findById(req.params.id);
     if (!event) {
@@ -2177,12 +2451,18 @@ router.put("/:id", protect, authorize("producer"), async (req, res) => {
 
     console.log("Found event:", event._id);
 
-    // Check if the current user is the producer who created this event
-    if (event.producerId.toString() !== req.user._id.toString()) {
+    if (scope === "future" && !event.series?.seriesId) {
+      return res.status(400).json({
+        success: false,
+        message: "Only occurrences of an event series can be edited with scope=future",
+      });
+    }
+
+    // Check the current user may edit this event (its producer or a co-producer)
+    if (!eventPermissionService.can(event, req.user, "event.edit")) {
       return res.status(403).json({
         success: false,
-        message:
-          "Not authorized to update this event. You can only update events you created.",
+        message: "Not authorized to update this event",
       });
     }
 
@@ -2358,6 +2638,11 @@ router.put("/:id", protect, authorize("producer"), async (req, res) => {
 
       // Delete existing tickets for this event
       await Ticket.deleteMany({ eventId: req.params.id });
+      // The recreated tickets start outside any pool, so pools start empty again
+      await InventoryPool.updateMany(
+        { eventId: req.params.id },
+        { $set: { sold: 0, reserved: 0 } }
+      );
       console.log("Deleted existing tickets");
 
       // Create new ticket documents
@@ -2396,13 +2681,13 @@ router.put("/:id", protect, authorize("producer"), async (req, res) => {
           },
           status: "active",
           validity: {
-            startDate: updatedEvent.startDate,
-            endDate: updatedEvent.endDate,
+            startDate: updatedEvent.getStartInstant(),
+            endDate: updatedEvent.getEndInstant(),
             isActive: true,
           },
           sales: {
-            startDate: updatedEvent.startDate,
-            endDate: updatedEvent.endDate,
+            startDate: ticket.sales?.startDate || new Date(),
+            endDate: ticket.sales?.endDate || updatedEvent.getEndInstant(),
           },
           restrictions: {
             maxPerPerson: 10,
@@ -2420,32 +2705,11 @@ router.put("/:id", protect, authorize("producer"), async (req, res) => {
         `Created ${createdTickets.length} new tickets for event ${updatedEvent._id}`
       );
 
-      // Update event's ticketInfo based on created tickets
-      const totalTickets = ticketsToUpdate.reduce((sum, t) => {
-        const qty =
-          typeof t.quantity === "number" ? t.quantity : t.quantity.total;
-        return sum + qty;
-      }, 0);
-      const prices = ticketsToUpdate.map((t) =>
-        typeof t.price === "number" ? t.price : t.price.amount
-      );
-
-      updatedEvent.ticketInfo = {
-        availableTickets: totalTickets,
-        soldTickets: 0,
-        reservedTickets: 0,
-        priceRange: {
-          min: Math.min(...prices),
-          max: Math.max(...prices),
-        },
-        isFree: Math.min(...prices) === 0,
-      };
-
-      await updatedEvent.save();
+      // Event ticketInfo is derived from the created tickets
+      await updatedEvent.updateTicketInfo();
+      const { availableTickets, priceRange } = updatedEvent.ticketInfo;
       console.log(
-        `Updated event ticketInfo: ${totalTickets} total tickets, price range: ${Math.min(
-          ...prices
-        )} - ${Math.max(...prices)}`
+        `Updated event ticketInfo: ${availableTickets} total tickets, price range: ${priceRange.min} - ${priceRange.max}`
       );
     }
 
@@ -2515,6 +2779,20 @@ router.put("/:id", protect, authorize("producer"), async (req, res) => {
       console.log("No new suppliers to add");
     }
 
+    // Occurrences of a series: the edit applies to this one only, or to every later one too
+    let updatedOccurrences = 0;
+    if (updatedEvent.series?.seriesId) {
+      if (scope === "future") {
+        updatedOccurrences = await eventSeriesService.applyToFutureOccurrences(
+          updatedEvent,
+          Object.keys(value),
+          transformedSuppliers
+        );
+      } else {
+        await eventSeriesService.markException(updatedEvent);
+      }
+    }
+
     // Populate and return the updated event with full details
     console.log("Populating event data...");
     const populatedEvent = await Event.findById(req.params.id)
@@ -2540,7 +2818,11 @@ router.put("/:id", protect, authorize("producer"), async (req, res) => {
     res.json({
       success: true,
       data: populatedEvent,
-      message: "Event updated successfully with suppliers and services",
+      ...(scope === "future" && { updatedOccurrences }),
+      message:
+        scope === "future"
+          ? `Event and ${updatedOccurrences} later occurrences updated successfully`
+          : "Event updated successfully with suppliers and services",
     });
   } catch (error) {
     console.error("Update event error:", error);
@@ -2567,8 +2849,8 @@ router.delete("/:id", protect, authorize("producer"), async (req, res) => {
       });
     }
 
-    // Check if the current user is the producer who created this event
-    if (event.producerId.toString() !== req.user._id.toString()) {
+    // Only the producer who created this event can delete it
+    if (!eventPermissionService.can(event, req.user, "event.delete")) {
       return res.status(403).json({
         success: false,
         message:
@@ -2617,7 +2899,7 @@ router.get("/orders", protect, requireApprovedSupplier, async (req, res) => {
     console.log("supplierId--->", supplierId);
 
     const orders = await Order.find({ supplierId })
-      .populate("eventId", "name startDate endDate location")
+      .populate("eventId", "name startDate endDate startsAt endsAt timezone location")
       .populate("producerId", "name companyName profileImage")
       .sort({ createdAt: -1 });
 
@@ -2635,6 +2917,60 @@ router.get("/orders", protect, requireApprovedSupplier, async (req, res) => {
   }
 });
 
+// @desc    Replace the custom registration questions of an event
+// @route   PUT /api/events/:id/registration-form
+// @access  Private (Event producer/co-producer only)
+router.put(
+  "/:id/registration-form",
+  protect,
+  authorize("producer"),
+  async (req, res) => {
+    try {
+      const { error, value } = registrationFormSchema.validate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.details.map((detail) => detail.message),
+        });
+      }
+
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
+
+      if (!eventPermissionService.can(event, req.user, "event.edit")) {
+        return res.status(403).json({
+          success: false,
+          message: "Not authorized to update this event",
+        });
+      }
+
+      // Answers already given to removed fields stay on the bookings and in the export
+      event.registrationForm = value.fields;
+      await event.save();
+
+      res.json({
+        success: true,
+        message: "Registration form updated successfully",
+        data: event.registrationForm,
+      });
+    } catch (error) {
+      console.error("Update registration form error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating registration form",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // @desc    Verify password for private event
 // @route   POST /api/events/:id/verify-password
 // @access  Public
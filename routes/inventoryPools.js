@@ -0,0 +1,244 @@
+const express = require('express');
+const Joi = require('joi');
+const InventoryPool = require('../models/InventoryPool');
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const inventoryService = require('../services/inventoryService');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const createPoolSchema = Joi.object({
+  eventId: Joi.string().hex().length(24).required(),
+  name: Joi.string().trim().max(100).required(),
+  capacity: Joi.number().integer().min(0).required(),
+  // Ticket types to draw from the pool straight away
+  ticketIds: Joi.array().items(Joi.string().hex().length(24)).unique().default([])
+});
+
+const updatePoolSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  capacity: Joi.number().integer().min(0).optional(),
+  // Replaces the pool's ticket types: listed ones are moved in, others moved out
+  ticketIds: Joi.array().items(Joi.string().hex().length(24)).unique().optional()
+}).min(1);
+
+// Check the current user manages the event (admins manage everything)
+const canManageEvent = (user, event) =>
+  user.role === 'admin' || event.producerId.toString() === user._id.toString();
+
+// Load a pool the current user may manage
+const loadManagedPool = async (req, res) => {
+  const pool = await InventoryPool.findById(req.params.id);
+  if (!pool) {
+    res.status(404).json({
+      success: false,
+      message: 'Inventory pool not found'
+    });
+    return null;
+  }
+
+  const event = await Event.findById(pool.eventId);
+  if (!event || !canManageEvent(req.user, event)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage inventory for this event'
+    });
+    return null;
+  }
+
+  return pool;
+};
+
+// Move the listed ticket types into the pool and every other type out of it
+const setPoolTickets = async (pool, ticketIds) => {
+  const tickets = await Ticket.find({ _id: { $in: ticketIds }, eventId: pool.eventId });
+  if (tickets.length !== ticketIds.length) {
+    const error = new Error('Every ticket must belong to the pool\'s event');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const leaving = await Ticket.find({ poolId: pool._id, _id: { $nin: ticketIds } });
+  for (const ticket of leaving) {
+    await inventoryService.assignTicketToPool(ticket, null);
+  }
+  for (const ticket of tickets) {
+    await inventoryService.assignTicketToPool(ticket, pool._id);
+  }
+};
+
+// @desc    Get an event's inventory pools with their ticket types
+// @route   GET /api/inventory-pools/event/:eventId
+// @access  Private (Producer/Admin only)
+router.get('/event/:eventId', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage inventory for this event'
+      });
+    }
+
+    const pools = await InventoryPool.find({ eventId: event._id }).sort({ createdAt: 1 });
+    const data = [];
+    for (const pool of pools) {
+      data.push(await inventoryService.getPoolSummary(pool));
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get inventory pools error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inventory pools'
+    });
+  }
+});
+
+// @desc    Create an inventory pool
+// @route   POST /api/inventory-pools
+// @access  Private (Producer/Admin only)
+router.post('/', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = createPoolSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const event = await Event.findById(value.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage inventory for this event'
+      });
+    }
+
+    if (await InventoryPool.exists({ eventId: event._id, name: value.name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'An inventory pool with this name already exists for this event'
+      });
+    }
+
+    const pool = await InventoryPool.create({
+      eventId: event._id,
+      name: value.name,
+      capacity: value.capacity
+    });
+
+    try {
+      await setPoolTickets(pool, value.ticketIds);
+    } catch (assignError) {
+      await inventoryService.deletePool(pool);
+      throw assignError;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await inventoryService.getPoolSummary(await InventoryPool.findById(pool._id))
+    });
+  } catch (error) {
+    console.error('Create inventory pool error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating inventory pool'
+    });
+  }
+});
+
+// @desc    Update an inventory pool's name, capacity or ticket types
+// @route   PUT /api/inventory-pools/:id
+// @access  Private (Producer/Admin only)
+router.put('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = updatePoolSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const pool = await loadManagedPool(req, res);
+    if (!pool) return;
+
+    if (value.name && value.name !== pool.name) {
+      if (await InventoryPool.exists({ eventId: pool.eventId, name: value.name })) {
+        return res.status(400).json({
+          success: false,
+          message: 'An inventory pool with this name already exists for this event'
+        });
+      }
+      await InventoryPool.updateOne({ _id: pool._id }, { $set: { name: value.name } });
+    }
+
+    if (value.capacity !== undefined) {
+      await inventoryService.resizePool(pool, value.capacity);
+    }
+
+    if (value.ticketIds) {
+      await setPoolTickets(pool, value.ticketIds);
+    }
+
+    res.json({
+      success: true,
+      data: await inventoryService.getPoolSummary(await InventoryPool.findById(pool._id))
+    });
+  } catch (error) {
+    console.error('Update inventory pool error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating inventory pool'
+    });
+  }
+});
+
+// @desc    Delete an inventory pool; its ticket types keep only their own allocations
+// @route   DELETE /api/inventory-pools/:id
+// @access  Private (Producer/Admin only)
+router.delete('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const pool = await loadManagedPool(req, res);
+    if (!pool) return;
+
+    await inventoryService.deletePool(pool);
+
+    res.json({
+      success: true,
+      message: 'Inventory pool deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete inventory pool error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting inventory pool'
+    });
+  }
+});
+
+module.exports = router;
@@ -110,7 +110,7 @@ router.post('/', protect, authorize('producer'), async (req, res) => {
 
     // Populate related data
     await order.populate([
-      { path: 'eventId', select: 'name startDate endDate location' },
+      { path: 'eventId', select: 'name startDate endDate startsAt endsAt timezone location' },
       { path: 'serviceId', select: 'name category price' },
       { path: 'supplierId', select: 'name companyName profileImage' }
     ]);
@@ -170,7 +170,7 @@ router.get('/', protect, async (req, res) => {
 
     // Execute query with pagination
     const orders = await Order.find(filter)
-      .populate('eventId', 'name startDate endDate location')
+      .populate('eventId', 'name startDate endDate startsAt endsAt timezone location')
       .populate('serviceId', 'name category price')
       .populate('supplierId', 'name companyName profileImage')
       .populate('producerId', 'name companyName profileImage')
@@ -209,7 +209,7 @@ router.get('/', protect, async (req, res) => {
 router.get('/:id', protect, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
-      .populate('eventId', 'name startDate endDate location description')
+      .populate('eventId', 'name startDate endDate startsAt endsAt timezone location description')
       .populate('serviceId', 'name category price description')
       .populate('supplierId', 'name companyName profileImage phone')
       .populate('producerId', 'name companyName profileImage phone');
@@ -304,7 +304,7 @@ router.put('/:id', protect, async (req, res) => {
       value,
       { new: true, runValidators: true }
     ).populate([
-      { path: 'eventId', select: 'name startDate endDate location' },
+      { path: 'eventId', select: 'name startDate endDate startsAt endsAt timezone location' },
       { path: 'serviceId', select: 'name category price' },
       { path: 'supplierId', select: 'name companyName profileImage' },
       { path: 'producerId', select: 'name companyName profileImage' }
@@ -414,7 +414,7 @@ router.put('/:id/confirm', protect, authorize('supplier'), async (req, res) => {
 
     // Populate related data
     await order.populate([
-      { path: 'eventId', select: 'name startDate endDate location' },
+      { path: 'eventId', select: 'name startDate endDate startsAt endsAt timezone location' },
       { path: 'serviceId', select: 'name category price' },
       { path: 'supplierId', select: 'name companyName profileImage' },
       { path: 'producerId', select: 'name companyName profileImage' }
@@ -482,7 +482,7 @@ router.put('/:id/complete', protect, async (req, res) => {
 
     // Populate related data
     await order.populate([
-      { path: 'eventId', select: 'name startDate endDate location' },
+      { path: 'eventId', select: 'name startDate endDate startsAt endsAt timezone location' },
       { path: 'serviceId', select: 'name category price' },
       { path: 'supplierId', select: 'name companyName profileImage' },
       { path: 'producerId', select: 'name companyName profileImage' }
@@ -0,0 +1,157 @@
+const express = require('express');
+const Joi = require('joi');
+const Payment = require('../models/Payment');
+const paymentService = require('../services/paymentService');
+
+const router = express.Router();
+
+// Validation schemas
+const paymentStatusSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const mockCompleteSchema = Joi.object({
+  outcome: Joi.string().valid('success', 'decline').default('success')
+});
+
+// @desc    Receive a payment provider webhook
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signature verified by the provider adapter)
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    // Providers that aren't configured (e.g. the sandbox in production) have no webhook
+    if (!paymentService.hasProvider(req.params.provider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const accepted = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+    if (!accepted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    res.json({ success: true, received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error processing payment webhook',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the payment status of an order
+// @route   GET /api/payments/order/:orderReference?email=
+// @access  Public (order reference + email)
+router.get('/order/:orderReference', async (req, res) => {
+  try {
+    const { error, value } = paymentStatusSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const payment = await Payment.findOne({
+      orderReference: req.params.orderReference,
+      email: value.email.toLowerCase()
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        orderReference: payment.orderReference,
+        status: payment.status,
+        amount: payment.amount,
+        currency: payment.currency,
+        refundedAmount: payment.refundedAmount,
+        failureReason: payment.failureReason,
+        expiresAt: payment.expiresAt,
+        checkoutUrl: payment.status === 'requires_payment' ? payment.checkoutUrl : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Get payment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payment status',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Complete or decline a mock payment, as the sandbox checkout page would
+// @route   POST /api/payments/mock/:providerPaymentId/complete
+// @access  Public (disabled in production)
+router.post('/mock/:providerPaymentId/complete', async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const { error, value } = mockCompleteSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const payment = await Payment.findOne({ provider: 'mock', providerPaymentId: req.params.providerPaymentId });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Go through the signed webhook path, exactly as a real delivery would
+    const provider = paymentService.getProvider('mock');
+    const webhook = provider.buildWebhook({
+      type: value.outcome === 'success' ? 'payment.authorized' : 'payment.failed',
+      providerPaymentId: payment.providerPaymentId,
+      amount: payment.amount,
+      failureReason: value.outcome === 'decline' ? 'Card declined (sandbox)' : undefined
+    });
+    await paymentService.handleWebhook('mock', Buffer.from(webhook.body), webhook.headers);
+
+    const updated = await Payment.findById(payment._id);
+
+    res.json({
+      success: true,
+      data: {
+        orderReference: updated.orderReference,
+        status: updated.status,
+        failureReason: updated.failureReason
+      }
+    });
+  } catch (error) {
+    console.error('Mock payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error completing mock payment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
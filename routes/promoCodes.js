@@ -0,0 +1,420 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const PromoCode = require('../models/PromoCode');
+const Attendee = require('../models/Attendee');
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const createPromoCodeSchema = Joi.object({
+  eventId: Joi.string().required(),
+  code: Joi.string().trim().max(50).pattern(/^[A-Za-z0-9_-]+$/).required().messages({
+    'string.pattern.base': 'Promo code may only contain letters, numbers, dashes and underscores'
+  }),
+  description: Joi.string().max(500).allow('').optional(),
+  ticketIds: Joi.array().items(Joi.string().hex().length(24)).default([]),
+  discountType: Joi.string().valid('percentage', 'fixed').required(),
+  discountValue: Joi.number().min(0).required()
+    .when('discountType', { is: 'percentage', then: Joi.number().max(100) }),
+  maxUses: Joi.number().integer().min(1).allow(null).optional(),
+  perEmailLimit: Joi.number().integer().min(1).allow(null).optional(),
+  minQuantity: Joi.number().integer().min(1).default(1),
+  validFrom: Joi.date().allow(null).optional(),
+  validUntil: Joi.date().allow(null).optional(),
+  isActive: Joi.boolean().default(true)
+});
+
+const updatePromoCodeSchema = Joi.object({
+  description: Joi.string().max(500).allow('').optional(),
+  ticketIds: Joi.array().items(Joi.string().hex().length(24)).optional(),
+  discountType: Joi.string().valid('percentage', 'fixed').optional(),
+  discountValue: Joi.number().min(0).optional(),
+  maxUses: Joi.number().integer().min(1).allow(null).optional(),
+  perEmailLimit: Joi.number().integer().min(1).allow(null).optional(),
+  minQuantity: Joi.number().integer().min(1).optional(),
+  validFrom: Joi.date().allow(null).optional(),
+  validUntil: Joi.date().allow(null).optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const validatePromoCodeSchema = Joi.object({
+  eventId: Joi.string().required(),
+  code: Joi.string().trim().max(50).required(),
+  email: Joi.string().email().optional(),
+  tickets: Joi.array().items(Joi.object({
+    ticketId: Joi.string().required(),
+    quantity: Joi.number().min(1).required()
+  })).min(1).required()
+});
+
+// Check the ticket IDs all belong to the event
+const ticketsBelongToEvent = async (ticketIds, eventId) => {
+  if (!ticketIds || ticketIds.length === 0) return true;
+  const count = await Ticket.countDocuments({ _id: { $in: ticketIds }, eventId });
+  return count === ticketIds.length;
+};
+
+// Load a promo code and make sure the current user manages its event
+const loadOwnedPromoCode = async (req, res) => {
+  const promoCode = await PromoCode.findById(req.params.id);
+
+  if (!promoCode) {
+    res.status(404).json({
+      success: false,
+      message: 'Promo code not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && promoCode.producerId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this promo code'
+    });
+    return null;
+  }
+
+  return promoCode;
+};
+
+// @desc    Create promo code
+// @route   POST /api/promo-codes
+// @access  Private (Producers only)
+router.post('/', protect, authorize('producer'), async (req, res) => {
+  try {
+    const { error, value } = createPromoCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const event = await Event.findById(value.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.producerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create promo codes for this event'
+      });
+    }
+
+    if (!(await ticketsBelongToEvent(value.ticketIds, value.eventId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more tickets do not belong to this event'
+      });
+    }
+
+    const existing = await PromoCode.findByCode(value.eventId, value.code);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promo code with this code already exists for this event'
+      });
+    }
+
+    const promoCode = await PromoCode.create({
+      ...value,
+      producerId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: promoCode
+    });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating promo code',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Check a promo code and preview the discount
+// @route   POST /api/promo-codes/validate
+// @access  Public
+router.post('/validate', async (req, res) => {
+  try {
+    const { error, value } = validatePromoCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { eventId, code, email, tickets } = value;
+
+    const promoCode = await PromoCode.findByCode(eventId, code);
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid promo code'
+      });
+    }
+
+    const ticketDocs = await Ticket.find({
+      _id: { $in: tickets.map(t => t.ticketId).filter(id => mongoose.Types.ObjectId.isValid(id)) },
+      eventId
+    });
+
+    const lines = tickets.map(({ ticketId, quantity }) => {
+      const ticket = ticketDocs.find(t => t._id.toString() === ticketId);
+      return {
+        ticketId: ticket ? ticket._id : null,
+        quantity,
+        amount: ticket ? ticket.price.amount * quantity : 0
+      };
+    });
+
+    const reason = await promoCode.getIneligibilityReason(lines, email);
+    if (reason) {
+      return res.status(400).json({
+        success: false,
+        message: reason
+      });
+    }
+
+    const discounts = promoCode.calculateLineDiscounts(lines);
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const discountAmount = discounts.reduce((sum, discount) => sum + discount, 0);
+
+    res.json({
+      success: true,
+      data: {
+        code: promoCode.code,
+        discountType: promoCode.discountType,
+        discountValue: promoCode.discountValue,
+        subtotal,
+        discountAmount,
+        totalAmount: Math.max(subtotal - discountAmount, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Validate promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating promo code',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get promo codes for an event
+// @route   GET /api/promo-codes/event/:eventId
+// @access  Private (Producer/Admin only)
+router.get('/event/:eventId', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (req.user.role === 'producer' && event.producerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view promo codes for this event'
+      });
+    }
+
+    const promoCodes = await PromoCode.find({ eventId: event._id })
+      .populate('ticketIds', 'title type price')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: promoCodes,
+      count: promoCodes.length
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promo codes',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get single promo code
+// @route   GET /api/promo-codes/:id
+// @access  Private (Producer/Admin only)
+router.get('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const promoCode = await loadOwnedPromoCode(req, res);
+    if (!promoCode) return;
+
+    await promoCode.populate('ticketIds', 'title type price');
+
+    res.json({
+      success: true,
+      data: promoCode
+    });
+  } catch (error) {
+    console.error('Get promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promo code',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update promo code
+// @route   PUT /api/promo-codes/:id
+// @access  Private (Producer only)
+router.put('/:id', protect, authorize('producer'), async (req, res) => {
+  try {
+    const { error, value } = updatePromoCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const promoCode = await loadOwnedPromoCode(req, res);
+    if (!promoCode) return;
+
+    if (value.ticketIds && !(await ticketsBelongToEvent(value.ticketIds, promoCode.eventId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more tickets do not belong to this event'
+      });
+    }
+
+    if (value.maxUses && value.maxUses < promoCode.usedCount) {
+      return res.status(400).json({
+        success: false,
+        message: `Maximum uses cannot be lower than the ${promoCode.usedCount} uses already made`
+      });
+    }
+
+    Object.assign(promoCode, value);
+    await promoCode.save();
+
+    res.json({
+      success: true,
+      data: promoCode
+    });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating promo code',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete promo code (deactivates codes that were already used)
+// @route   DELETE /api/promo-codes/:id
+// @access  Private (Producer only)
+router.delete('/:id', protect, authorize('producer'), async (req, res) => {
+  try {
+    const promoCode = await loadOwnedPromoCode(req, res);
+    if (!promoCode) return;
+
+    // Keep used codes so past bookings still reference them
+    if (promoCode.usedCount > 0) {
+      promoCode.isActive = false;
+      await promoCode.save();
+
+      return res.json({
+        success: true,
+        message: 'Promo code has been used and was deactivated instead of deleted',
+        data: promoCode
+      });
+    }
+
+    await PromoCode.findByIdAndDelete(promoCode._id);
+
+    res.json({
+      success: true,
+      message: 'Promo code deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting promo code',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get promo code usage report
+// @route   GET /api/promo-codes/:id/usage
+// @access  Private (Producer/Admin only)
+router.get('/:id/usage', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const promoCode = await loadOwnedPromoCode(req, res);
+    if (!promoCode) return;
+
+    const [summary] = await Attendee.aggregate([
+      { $match: { promoCodeId: promoCode._id, bookingStatus: { $ne: 'cancelled' } } },
+      {
+        $group: {
+          _id: null,
+          orders: { $addToSet: '$orderReference' },
+          bookings: { $sum: 1 },
+          ticketsSold: { $sum: '$ticketQuantity' },
+          totalDiscount: { $sum: '$discountAmount' },
+          revenue: { $sum: '$totalAmount' },
+          uniqueEmails: { $addToSet: '$email' }
+        }
+      }
+    ]);
+
+    const bookings = await Attendee.find({ promoCodeId: promoCode._id })
+      .select('bookingReference orderReference fullName email ticketTitle ticketQuantity totalAmount discountAmount bookingStatus registeredAt')
+      .sort({ registeredAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        code: promoCode.code,
+        usedCount: promoCode.usedCount,
+        maxUses: promoCode.maxUses,
+        remainingUses: promoCode.remainingUses,
+        summary: {
+          orders: summary ? summary.orders.length : 0,
+          bookings: summary ? summary.bookings : 0,
+          ticketsSold: summary ? summary.ticketsSold : 0,
+          totalDiscount: summary ? summary.totalDiscount : 0,
+          revenue: summary ? summary.revenue : 0,
+          uniqueCustomers: summary ? summary.uniqueEmails.length : 0
+        },
+        bookings
+      }
+    });
+  } catch (error) {
+    console.error('Get promo code usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promo code usage',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,239 @@
+const express = require('express');
+const Joi = require('joi');
+const RefundRequest = require('../models/RefundRequest');
+const Attendee = require('../models/Attendee');
+const Event = require('../models/Event');
+const refundService = require('../services/refundService');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const openRefundSchema = Joi.object({
+  attendeeId: Joi.string().hex().length(24).required(),
+  reason: Joi.string().trim().max(500).optional()
+});
+
+const approveRefundSchema = Joi.object({
+  amount: Joi.number().min(0).optional(),
+  note: Joi.string().trim().max(500).optional()
+});
+
+const rejectRefundSchema = Joi.object({
+  note: Joi.string().trim().max(500).optional()
+});
+
+// Check the current user manages the event (admins manage everything)
+const canManageEvent = (user, event) =>
+  user.role === 'admin' || event.producerId.toString() === user._id.toString();
+
+// Load a refund request the current user may decide on
+const loadManagedRequest = async (req, res) => {
+  const request = await RefundRequest.findById(req.params.id);
+  if (!request) {
+    res.status(404).json({
+      success: false,
+      message: 'Refund request not found'
+    });
+    return null;
+  }
+
+  const event = await Event.findById(request.eventId);
+  if (!event || !canManageEvent(req.user, event)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage refunds for this event'
+    });
+    return null;
+  }
+
+  return request;
+};
+
+// @desc    Open a refund request on behalf of an attendee
+// @route   POST /api/refunds
+// @access  Private (Producer/Admin only)
+router.post('/', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = openRefundSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendee = await Attendee.findById(value.attendeeId);
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendee not found'
+      });
+    }
+
+    const event = await Event.findById(attendee.eventId);
+    if (!event || !canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage refunds for this event'
+      });
+    }
+
+    const request = await refundService.openRequest(attendee, {
+      reason: value.reason,
+      requestedBy: req.user.role,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund request opened',
+      data: request
+    });
+  } catch (error) {
+    console.error('Open refund request error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error opening refund request',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get refund requests for an event
+// @route   GET /api/refunds/event/:eventId
+// @access  Private (Producer/Admin only)
+router.get('/event/:eventId', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view refunds for this event'
+      });
+    }
+
+    const filter = { eventId: event._id };
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [requests, total, summary] = await Promise.all([
+      RefundRequest.find(filter)
+        .populate('attendeeId', 'fullName email phone ticketTitle bookingStatus paymentStatus')
+        .populate('decidedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      RefundRequest.countDocuments(filter),
+      RefundRequest.aggregate([
+        { $match: { eventId: event._id } },
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+            tickets: { $sum: '$ticketQuantity' },
+            refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } }
+          }
+        }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: requests,
+      summary,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalRequests: total
+      }
+    });
+  } catch (error) {
+    console.error('Get refund requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching refund requests',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Approve a refund request and cancel the booking
+// @route   PUT /api/refunds/:id/approve
+// @access  Private (Producer/Admin only)
+router.put('/:id/approve', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = approveRefundSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const request = await loadManagedRequest(req, res);
+    if (!request) return;
+
+    const approved = await refundService.approve(request, req.user._id, value);
+
+    res.json({
+      success: true,
+      message: 'Refund approved and booking cancelled',
+      data: approved
+    });
+  } catch (error) {
+    console.error('Approve refund error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error approving refund',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Reject a refund request
+// @route   PUT /api/refunds/:id/reject
+// @access  Private (Producer/Admin only)
+router.put('/:id/reject', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = rejectRefundSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const request = await loadManagedRequest(req, res);
+    if (!request) return;
+
+    const rejected = await refundService.reject(request, req.user._id, value.note);
+
+    res.json({
+      success: true,
+      message: 'Refund request rejected',
+      data: rejected
+    });
+  } catch (error) {
+    console.error('Reject refund error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error rejecting refund',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
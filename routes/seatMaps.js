@@ -0,0 +1,116 @@
+const express = require('express');
+const Joi = require('joi');
+const SeatMap = require('../models/SeatMap');
+const Event = require('../models/Event');
+const seatingService = require('../services/seatingService');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const layoutKey = Joi.string().trim().pattern(/^[A-Za-z0-9_]{1,20}$/).message('"{#label}" may only contain letters, digits and underscores (max 20)');
+
+const seatSchema = Joi.object({
+  number: Joi.alternatives().try(Joi.string().trim().max(10), Joi.number().integer().min(0)).required(),
+  zone: layoutKey.required(),
+  x: Joi.number().optional(),
+  y: Joi.number().optional(),
+  accessible: Joi.boolean().default(false),
+  blocked: Joi.boolean().default(false)
+});
+
+const seatMapSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  zones: Joi.array().items(Joi.object({
+    key: layoutKey.required(),
+    name: Joi.string().trim().max(100).required(),
+    ticketId: Joi.string().hex().length(24).required(),
+    color: Joi.string().trim().max(20).optional()
+  })).min(1).unique('key').required(),
+  sections: Joi.array().items(Joi.object({
+    key: layoutKey.required(),
+    name: Joi.string().trim().max(100).required(),
+    rows: Joi.array().items(Joi.object({
+      label: layoutKey.required(),
+      seats: Joi.array().items(seatSchema).min(1).required()
+    })).min(1).unique('label').required()
+  })).min(1).unique('key').required()
+});
+
+// @desc    Get an event's seat map with live seat availability
+// @route   GET /api/seat-maps/event/:eventId
+// @access  Public
+router.get('/event/:eventId', async (req, res) => {
+  try {
+    const seatMap = await SeatMap.findOne({ eventId: req.params.eventId });
+    if (!seatMap) {
+      return res.status(404).json({
+        success: false,
+        message: 'This event has no seat map'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await seatingService.getMapWithAvailability(seatMap)
+    });
+  } catch (error) {
+    console.error('Get seat map error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching seat map'
+    });
+  }
+});
+
+// @desc    Create or replace an event's seat map
+// @route   PUT /api/seat-maps/event/:eventId
+// @access  Private (Producer/Admin only)
+router.put('/event/:eventId', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = seatMapSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && event.producerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage seating for this event'
+      });
+    }
+
+    // Seat numbers may be sent as numbers; keys are built from their text
+    value.sections.forEach(section => section.rows.forEach(row => row.seats.forEach(seat => {
+      seat.number = String(seat.number);
+    })));
+
+    const seatMap = await seatingService.saveSeatMap(event._id, value);
+
+    res.json({
+      success: true,
+      message: 'Seat map saved successfully',
+      data: await seatingService.getMapWithAvailability(seatMap)
+    });
+  } catch (error) {
+    console.error('Save seat map error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error saving seat map'
+    });
+  }
+});
+
+module.exports = router;
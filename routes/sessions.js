@@ -0,0 +1,303 @@
+const express = require('express');
+const Joi = require('joi');
+const Attendee = require('../models/Attendee');
+const Event = require('../models/Event');
+const EventSession = require('../models/EventSession');
+const sessionService = require('../services/sessionService');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const SESSION_TYPES = ['talk', 'keynote', 'workshop', 'panel', 'break', 'networking', 'other'];
+
+const createSessionSchema = Joi.object({
+  eventId: Joi.string().hex().length(24).required(),
+  title: Joi.string().trim().max(200).required(),
+  description: Joi.string().max(2000).allow('').optional(),
+  type: Joi.string().valid(...SESSION_TYPES).default('talk'),
+  startTime: Joi.date().required(),
+  endTime: Joi.date().greater(Joi.ref('startTime')).required(),
+  room: Joi.string().trim().max(100).allow('').optional(),
+  track: Joi.string().trim().max(100).allow('').optional(),
+  speakers: Joi.array().items(Joi.string().hex().length(24)).max(20).unique().default([]),
+  capacity: Joi.number().integer().min(1).allow(null).default(null)
+});
+
+const updateSessionSchema = Joi.object({
+  title: Joi.string().trim().max(200).optional(),
+  description: Joi.string().max(2000).allow('').optional(),
+  type: Joi.string().valid(...SESSION_TYPES).optional(),
+  startTime: Joi.date().optional(),
+  endTime: Joi.date().optional(),
+  room: Joi.string().trim().max(100).allow('').optional(),
+  track: Joi.string().trim().max(100).allow('').optional(),
+  speakers: Joi.array().items(Joi.string().hex().length(24)).max(20).unique().optional(),
+  capacity: Joi.number().integer().min(1).allow(null).optional()
+}).min(1);
+
+// Check the current user manages the event (admins manage everything)
+const canManageEvent = (user, event) =>
+  user.role === 'admin' || event.producerId.toString() === user._id.toString();
+
+// Load a session, and its event, the current user may manage
+const loadManagedSession = async (req, res) => {
+  const session = await EventSession.findById(req.params.id);
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+    return {};
+  }
+
+  const event = await Event.findById(session.eventId);
+  if (!event || !canManageEvent(req.user, event)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage the agenda of this event'
+    });
+    return {};
+  }
+
+  return { session, event };
+};
+
+// @desc    Get an event's full agenda, cancelled sessions included, with registration counts
+// @route   GET /api/sessions/event/:eventId/manage
+// @access  Private (Producer/Admin only)
+router.get('/event/:eventId/manage', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage the agenda of this event'
+      });
+    }
+
+    const sessions = await EventSession.find({ eventId: event._id })
+      .populate('speakers', 'name jobTitle company photo isActive')
+      .sort({ startTime: 1, room: 1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Get agenda error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agenda'
+    });
+  }
+});
+
+// @desc    Get the bookings registered for a session
+// @route   GET /api/sessions/:id/registrations
+// @access  Private (Producer/Admin only)
+router.get('/:id/registrations', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { session } = await loadManagedSession(req, res);
+    if (!session) return;
+
+    const attendees = await Attendee.find({
+      eventId: session.eventId,
+      'sessionRegistrations.sessionId': session._id
+    })
+      .select('fullName email phone bookingReference ticketQuantity bookingStatus sessionRegistrations')
+      .sort({ fullName: 1 });
+
+    res.json({
+      success: true,
+      count: attendees.length,
+      data: {
+        session: {
+          _id: session._id,
+          title: session.title,
+          capacity: session.capacity,
+          registeredCount: session.registeredCount,
+          remaining: session.remaining
+        },
+        registrations: attendees.map(attendee => {
+          const registration = attendee.sessionRegistrations.find(r => r.sessionId.equals(session._id));
+          return {
+            attendeeId: attendee._id,
+            fullName: attendee.fullName,
+            email: attendee.email,
+            phone: attendee.phone,
+            bookingReference: attendee.bookingReference,
+            seats: registration.seats,
+            registeredAt: registration.registeredAt
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get session registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching session registrations'
+    });
+  }
+});
+
+// @desc    Add a session to an event's agenda
+// @route   POST /api/sessions
+// @access  Private (Producer/Admin only)
+router.post('/', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = createSessionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const event = await Event.findById(value.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage the agenda of this event'
+      });
+    }
+
+    const scheduleViolation = sessionService.getScheduleViolation(event, value.startTime, value.endTime);
+    if (scheduleViolation) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleViolation
+      });
+    }
+
+    await sessionService.assertSpeakers(event, value.speakers);
+
+    const session = await EventSession.create(value);
+
+    res.status(201).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Create session error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating session'
+    });
+  }
+});
+
+// @desc    Update a session; capacity can't drop below the seats already registered
+// @route   PUT /api/sessions/:id
+// @access  Private (Producer/Admin only)
+router.put('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = updateSessionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { session, event } = await loadManagedSession(req, res);
+    if (!session) return;
+
+    const startTime = value.startTime || session.startTime;
+    const endTime = value.endTime || session.endTime;
+    if (endTime <= startTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    const scheduleViolation = sessionService.getScheduleViolation(event, startTime, endTime);
+    if (scheduleViolation) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleViolation
+      });
+    }
+
+    if (value.speakers) {
+      await sessionService.assertSpeakers(event, value.speakers);
+    }
+
+    // Conditional on registrations so far, so a concurrent registration can't overfill the new capacity
+    const filter = { _id: session._id };
+    if (value.capacity) {
+      filter.registeredCount = { $lte: value.capacity };
+    }
+
+    const updated = await EventSession.findOneAndUpdate(filter, { $set: value }, { new: true, runValidators: true });
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: `Capacity cannot be lower than the ${session.registeredCount} seats already registered`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Update session error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating session'
+    });
+  }
+});
+
+// @desc    Remove a session; ones with registrations are cancelled instead
+// @route   DELETE /api/sessions/:id
+// @access  Private (Producer/Admin only)
+router.delete('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { session } = await loadManagedSession(req, res);
+    if (!session) return;
+
+    // Conditional on there being no registrations, so one coming in meanwhile isn't lost
+    const { deletedCount } = await EventSession.deleteOne({ _id: session._id, registeredCount: 0 });
+    if (deletedCount === 0) {
+      await EventSession.updateOne({ _id: session._id }, { $set: { status: 'cancelled' } });
+      return res.json({
+        success: true,
+        message: 'Session has registrations, so it was cancelled instead of deleted'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting session'
+    });
+  }
+});
+
+module.exports = router;
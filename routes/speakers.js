@@ -0,0 +1,209 @@
+const express = require('express');
+const Joi = require('joi');
+const EventSession = require('../models/EventSession');
+const Speaker = require('../models/Speaker');
+const sessionService = require('../services/sessionService');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const linksSchema = Joi.object({
+  website: Joi.string().uri().allow('').optional(),
+  linkedin: Joi.string().uri().allow('').optional(),
+  twitter: Joi.string().uri().allow('').optional()
+});
+
+const createSpeakerSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  jobTitle: Joi.string().trim().max(100).allow('').optional(),
+  company: Joi.string().trim().max(100).allow('').optional(),
+  bio: Joi.string().max(2000).allow('').optional(),
+  photo: Joi.string().uri().allow('', null).optional(),
+  email: Joi.string().email().allow('').optional(),
+  links: linksSchema.optional()
+});
+
+const updateSpeakerSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  jobTitle: Joi.string().trim().max(100).allow('').optional(),
+  company: Joi.string().trim().max(100).allow('').optional(),
+  bio: Joi.string().max(2000).allow('').optional(),
+  photo: Joi.string().uri().allow('', null).optional(),
+  email: Joi.string().email().allow('').optional(),
+  links: linksSchema.optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+// Check the current user owns the speaker profile (admins manage everything)
+const canManageSpeaker = (user, speaker) =>
+  user.role === 'admin' || speaker.producerId.toString() === user._id.toString();
+
+// Load a speaker the current user may manage
+const loadManagedSpeaker = async (req, res) => {
+  const speaker = await Speaker.findById(req.params.id);
+  if (!speaker) {
+    res.status(404).json({
+      success: false,
+      message: 'Speaker not found'
+    });
+    return null;
+  }
+
+  if (!canManageSpeaker(req.user, speaker)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this speaker'
+    });
+    return null;
+  }
+
+  return speaker;
+};
+
+// @desc    Get the current producer's speakers
+// @route   GET /api/speakers/my-speakers
+// @access  Private (Producer only)
+router.get('/my-speakers', protect, authorize('producer'), async (req, res) => {
+  try {
+    const filter = { producerId: req.user._id };
+    if (req.query.includeInactive !== 'true') {
+      filter.isActive = true;
+    }
+
+    const speakers = await Speaker.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: speakers.length,
+      data: speakers
+    });
+  } catch (error) {
+    console.error('Get speakers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching speakers'
+    });
+  }
+});
+
+// @desc    Get a speaker's public profile and upcoming sessions
+// @route   GET /api/speakers/:id
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const profile = await sessionService.getSpeakerProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Speaker not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Get speaker error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching speaker'
+    });
+  }
+});
+
+// @desc    Create a speaker profile
+// @route   POST /api/speakers
+// @access  Private (Producer only)
+router.post('/', protect, authorize('producer'), async (req, res) => {
+  try {
+    const { error, value } = createSpeakerSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const speaker = await Speaker.create({ ...value, producerId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      data: speaker
+    });
+  } catch (error) {
+    console.error('Create speaker error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating speaker'
+    });
+  }
+});
+
+// @desc    Update a speaker profile
+// @route   PUT /api/speakers/:id
+// @access  Private (Producer/Admin only)
+router.put('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = updateSpeakerSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const speaker = await loadManagedSpeaker(req, res);
+    if (!speaker) return;
+
+    speaker.set(value);
+    await speaker.save();
+
+    res.json({
+      success: true,
+      data: speaker
+    });
+  } catch (error) {
+    console.error('Update speaker error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating speaker'
+    });
+  }
+});
+
+// @desc    Remove a speaker; ones assigned to sessions are retired instead
+// @route   DELETE /api/speakers/:id
+// @access  Private (Producer/Admin only)
+router.delete('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const speaker = await loadManagedSpeaker(req, res);
+    if (!speaker) return;
+
+    if (await EventSession.exists({ speakers: speaker._id })) {
+      await Speaker.updateOne({ _id: speaker._id }, { $set: { isActive: false } });
+      return res.json({
+        success: true,
+        message: 'Speaker is assigned to sessions, so the profile was retired instead of deleted'
+      });
+    }
+
+    await Speaker.deleteOne({ _id: speaker._id });
+
+    res.json({
+      success: true,
+      message: 'Speaker deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete speaker error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting speaker'
+    });
+  }
+});
+
+module.exports = router;
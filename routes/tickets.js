@@ -2,11 +2,25 @@ const express = require('express');
 const Joi = require('joi');
 const Ticket = require('../models/Ticket');
 const Event = require('../models/Event');
+const InventoryPool = require('../models/InventoryPool');
+const Attendee = require('../models/Attendee');
+const waitlistService = require('../services/waitlistService');
+const inventoryService = require('../services/inventoryService');
+const eventPermissionService = require('../services/eventPermissionService');
+const { releaseStaleInventory } = require('../services/ticketHoldSweeper');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Validation schemas
+const pricingTierSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  price: Joi.number().min(0).required(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+  maxSold: Joi.number().integer().min(1).optional()
+}).or('startDate', 'endDate', 'maxSold');
+
 const createTicketSchema = Joi.object({
   eventId: Joi.string().required(),
   eventName: Joi.string().required(),
@@ -14,24 +28,44 @@ const createTicketSchema = Joi.object({
   description: Joi.string().max(1000).optional(),
   type: Joi.string().max(100).required(), // Allow any custom ticket type
   price: Joi.object({
-    amount: Joi.number().min(0).required(),
+    // Pay-what-you-want tickets may give just a minimum and suggested amount
+    amount: Joi.number().min(0).when('...pricingMode', {
+      is: 'pay_what_you_want',
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    }),
     currency: Joi.string().valid('ILS', 'USD', 'EUR').default('ILS'),
     originalPrice: Joi.number().min(0).optional(),
-    discount: Joi.number().min(0).max(100).optional()
+    discount: Joi.number().min(0).max(100).optional(),
+    minimum: Joi.number().min(0).when('...pricingMode', {
+      is: 'pay_what_you_want',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    suggested: Joi.number().min(Joi.ref('minimum')).when('...pricingMode', {
+      is: 'pay_what_you_want',
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    })
   }).required(),
+  pricingMode: Joi.string().valid('fixed', 'pay_what_you_want').default('fixed'),
+  pricingTiers: Joi.array().items(pricingTierSchema).optional(),
   quantity: Joi.object({
     total: Joi.number().min(1).required(),
     available: Joi.number().min(1).required()
   }).required(),
+  // Shared capacity pool of the same event to also sell from
+  poolId: Joi.string().hex().length(24).allow(null).optional(),
   validity: Joi.object({
     startDate: Joi.date().required(),
     endDate: Joi.date().required()
   }).required(),
   sales: Joi.object({
     startDate: Joi.date().required(),
-    endDate: Joi.date().required(),
+    endDate: Joi.date().greater(Joi.ref('startDate')).required(),
     earlyBirdEndDate: Joi.date().optional(),
-    lastMinuteStartDate: Joi.date().optional()
+    lastMinuteStartDate: Joi.date().optional(),
+    autoPublish: Joi.boolean().default(true)
   }).required(),
   features: Joi.array().items(Joi.object({
     name: Joi.string().required(),
@@ -51,6 +85,9 @@ const createTicketSchema = Joi.object({
     allowed: Joi.boolean().default(true).optional(),
     deadline: Joi.number().min(0).default(7).optional(),
     fee: Joi.number().min(0).default(0).optional()
+  }).optional(),
+  transferPolicy: Joi.object({
+    allowed: Joi.boolean().default(true).optional()
   }).optional()
 });
 
@@ -62,12 +99,18 @@ const updateTicketSchema = Joi.object({
     amount: Joi.number().min(0).optional(),
     currency: Joi.string().valid('ILS', 'USD', 'EUR').optional(),
     originalPrice: Joi.number().min(0).optional(),
-    discount: Joi.number().min(0).max(100).optional()
+    discount: Joi.number().min(0).max(100).optional(),
+    minimum: Joi.number().min(0).optional(),
+    suggested: Joi.number().min(0).optional()
   }).optional(),
+  pricingMode: Joi.string().valid('fixed', 'pay_what_you_want').optional(),
+  pricingTiers: Joi.array().items(pricingTierSchema).optional(),
   quantity: Joi.object({
     total: Joi.number().min(1).optional(),
     available: Joi.number().min(1).optional()
   }).optional(),
+  // Move the ticket into a pool, or out of its pool with null
+  poolId: Joi.string().hex().length(24).allow(null).optional(),
   validity: Joi.object({
     startDate: Joi.date().optional(),
     endDate: Joi.date().optional()
@@ -76,7 +119,8 @@ const updateTicketSchema = Joi.object({
     startDate: Joi.date().optional(),
     endDate: Joi.date().optional(),
     earlyBirdEndDate: Joi.date().optional(),
-    lastMinuteStartDate: Joi.date().optional()
+    lastMinuteStartDate: Joi.date().optional(),
+    autoPublish: Joi.boolean().optional()
   }).optional(),
   features: Joi.array().items(Joi.object({
     name: Joi.string().required(),
@@ -96,6 +140,9 @@ const updateTicketSchema = Joi.object({
     allowed: Joi.boolean().optional(),
     deadline: Joi.number().min(0).optional(),
     fee: Joi.number().min(0).optional()
+  }).optional(),
+  transferPolicy: Joi.object({
+    allowed: Joi.boolean().optional()
   }).optional()
 });
 
@@ -125,7 +172,7 @@ router.post('/', protect, authorize('producer'), async (req, res) => {
       });
     }
 
-    if (event.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(event, req.user, 'tickets.manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to create tickets for this event'
@@ -153,14 +200,23 @@ router.post('/', protect, authorize('producer'), async (req, res) => {
       });
     }
 
-    // Create ticket
-    const ticket = await Ticket.create({
+    if (ticketData.poolId && !(await InventoryPool.exists({ _id: ticketData.poolId, eventId }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Inventory pool not found for this event'
+      });
+    }
+
+    // Create ticket; one whose sales window is already open goes straight on sale
+    const ticket = new Ticket({
       ...ticketData,
       eventId
     });
+    ticket.status = ticket.getScheduledStatus() || ticket.status;
+    await ticket.save();
 
     // Populate related data
-    await ticket.populate('eventId', 'name startDate endDate location');
+    await ticket.populate('eventId', 'name startDate endDate startsAt endsAt timezone location');
 
     res.status(201).json({
       success: true,
@@ -216,10 +272,8 @@ router.get('/', protect, async (req, res) => {
 
     // Filter by user role
     if (req.user.role === 'producer') {
-      // Filter tickets by events that belong to the producer
-      const Event = require('../models/Event');
-      const producerEvents = await Event.find({ producerId: req.user._id }).select('_id');
-      const eventIds = producerEvents.map(event => event._id);
+      // Filter tickets by events the producer runs or is on the team of
+      const eventIds = await eventPermissionService.getEventIds(req.user, 'event.view');
       filter.eventId = { $in: eventIds };
     }
 
@@ -229,7 +283,7 @@ router.get('/', protect, async (req, res) => {
 
     // Execute query with pagination
     const tickets = await Ticket.find(filter)
-      .populate('eventId', 'name startDate endDate location')
+      .populate('eventId', 'name startDate endDate startsAt endsAt timezone location')
       .sort(sort)
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -265,7 +319,7 @@ router.get('/', protect, async (req, res) => {
 router.get('/:id', protect, async (req, res) => {
   try {
     const ticket = await Ticket.findById(req.params.id)
-      .populate('eventId', 'name startDate endDate location description producerId');
+      .populate('eventId', 'name startDate endDate startsAt endsAt timezone location description producerId team');
 
     if (!ticket) {
       return res.status(404).json({
@@ -275,8 +329,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check if user is authorized to view this ticket
-    if (req.user.role !== 'admin' && 
-        ticket.eventId.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(ticket.eventId, req.user, 'event.view')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this ticket'
@@ -313,7 +366,7 @@ router.put('/:id', protect, authorize('producer'), async (req, res) => {
     }
 
     const ticket = await Ticket.findById(req.params.id)
-      .populate('eventId', 'producerId');
+      .populate('eventId', 'producerId team');
 
     if (!ticket) {
       return res.status(404).json({
@@ -323,19 +376,57 @@ router.put('/:id', protect, authorize('producer'), async (req, res) => {
     }
 
     // Check if user is authorized to update this ticket
-    if (ticket.eventId.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(ticket.eventId, req.user, 'tickets.manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this ticket'
       });
     }
 
-    // Update ticket
-    Object.assign(ticket, value);
+    // Merge quantity so sold/reserved counters survive the update
+    const { quantity, poolId, ...updates } = value;
+    const previousCapacity = ticket.quantity.available;
+    if (quantity) {
+      if (quantity.total !== undefined && quantity.available === undefined) {
+        // Raising the total without an explicit available count adds the difference to sale
+        ticket.quantity.available += quantity.total - ticket.quantity.total;
+      }
+      if (quantity.total !== undefined) ticket.quantity.total = quantity.total;
+      if (quantity.available !== undefined) ticket.quantity.available = quantity.available;
+
+      if (ticket.quantity.available < ticket.quantity.sold + ticket.quantity.reserved) {
+        return res.status(400).json({
+          success: false,
+          message: `Available quantity cannot be lower than the ${ticket.quantity.sold + ticket.quantity.reserved} tickets already sold or held`
+        });
+      }
+    }
+
+    // Update ticket; new sales dates can open or close sales straight away
+    Object.assign(ticket, updates);
+    if (updates.sales) {
+      const scheduled = ticket.getScheduledStatus();
+      if (scheduled === 'expired') {
+        ticket.metadata.expiredAt = new Date();
+      } else if (scheduled === 'active') {
+        ticket.metadata.expiredAt = undefined;
+      }
+      ticket.status = scheduled || ticket.status;
+    }
     await ticket.save();
 
+    // Moving between pools carries the sold and held tickets along
+    if (poolId !== undefined) {
+      await inventoryService.assignTicketToPool(ticket, poolId);
+    }
+
+    // Offer newly added capacity to the waitlist
+    if (ticket.quantity.available > previousCapacity || poolId !== undefined) {
+      await waitlistService.processQueue(ticket._id);
+    }
+
     // Populate related data
-    await ticket.populate('eventId', 'name startDate endDate location');
+    await ticket.populate('eventId', 'name startDate endDate startsAt endsAt timezone location');
 
     res.json({
       success: true,
@@ -343,9 +434,9 @@ router.put('/:id', protect, authorize('producer'), async (req, res) => {
     });
   } catch (error) {
     console.error('Update ticket error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error updating ticket',
+      message: error.statusCode ? error.message : 'Error updating ticket',
       error: error.message
     });
   }
@@ -357,7 +448,7 @@ router.put('/:id', protect, authorize('producer'), async (req, res) => {
 router.delete('/:id', protect, authorize('producer'), async (req, res) => {
   try {
     const ticket = await Ticket.findById(req.params.id)
-      .populate('eventId', 'producerId');
+      .populate('eventId', 'producerId team');
 
     if (!ticket) {
       return res.status(404).json({
@@ -367,7 +458,7 @@ router.delete('/:id', protect, authorize('producer'), async (req, res) => {
     }
 
     // Check if user is authorized to delete this ticket
-    if (ticket.eventId.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(ticket.eventId, req.user, 'tickets.manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this ticket'
@@ -382,6 +473,11 @@ router.delete('/:id', protect, authorize('producer'), async (req, res) => {
       });
     }
 
+    // Hand any held places back to the shared pool first
+    if (ticket.poolId) {
+      await inventoryService.assignTicketToPool(ticket, null);
+    }
+
     await Ticket.findByIdAndDelete(req.params.id);
 
     res.json({
@@ -400,12 +496,12 @@ router.delete('/:id', protect, authorize('producer'), async (req, res) => {
 
 // @desc    Get tickets by event
 // @route   GET /api/tickets/event/:eventId
-// @access  Public (for published events)
+// @access  Public
 router.get('/event/:eventId', async (req, res) => {
   try {
     const { eventId } = req.params;
 
-    // Check if event exists and is published
+    // Check if event exists
     const event = await Event.findById(eventId);
     if (!event) {
       return res.status(404).json({
@@ -414,22 +510,43 @@ router.get('/event/:eventId', async (req, res) => {
       });
     }
 
-    if (event.status !== 'published') {
+    // Drafts are still on sale to direct links; only rejected events are hidden
+    if (event.status === 'rejected') {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
       });
     }
 
-    // Get active tickets for the event
+    // Stale holds and unpaid checkouts shouldn't show as taken
+    await releaseStaleInventory(eventId);
+
+    // Get tickets that are on sale or sold out for the event
     const tickets = await Ticket.find({
       eventId,
-      isActive: true
-    }).select('name description price currency quantity soldQuantity maxPerOrder saleStartDate saleEndDate ticketType includes');
+      status: { $in: ['active', 'sold_out'] }
+    })
+      .select('title description type price pricingMode pricingTiers quantity poolId status sales restrictions features')
+      .sort({ 'price.amount': 1 });
+    const pools = await InventoryPool.find({ eventId });
+
+    // Quote with the same server-side pricing that registration charges
+    const data = [];
+    for (const ticket of tickets) {
+      const quote = ticket.quotePrice(1);
+      const pool = ticket.poolId ? pools.find(p => p._id.equals(ticket.poolId)) || null : null;
+      data.push({
+        ...ticket.toObject({ virtuals: true }),
+        effectivePrice: quote.unitPrice,
+        activePricingTier: quote.tier,
+        // Limited by the shared pool too, when the ticket draws from one
+        remainingQuantity: await ticket.getRemainingQuantity(pool)
+      });
+    }
 
     res.json({
       success: true,
-      data: tickets
+      data
     });
   } catch (error) {
     console.error('Get event tickets error:', error);
@@ -447,7 +564,7 @@ router.get('/event/:eventId', async (req, res) => {
 router.put('/:id/toggle-status', protect, authorize('producer'), async (req, res) => {
   try {
     const ticket = await Ticket.findById(req.params.id)
-      .populate('eventId', 'producerId');
+      .populate('eventId', 'producerId team');
 
     if (!ticket) {
       return res.status(404).json({
@@ -457,17 +574,24 @@ router.put('/:id/toggle-status', protect, authorize('producer'), async (req, res
     }
 
     // Check if user is authorized to update this ticket
-    if (ticket.eventId.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(ticket.eventId, req.user, 'tickets.manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this ticket'
       });
     }
 
-    // Toggle status between active and paused
+    // Toggle status between active and paused; tickets only go back on sale inside their sales window
     if (ticket.status === 'active') {
       ticket.status = 'paused';
     } else if (ticket.status === 'paused') {
+      const salesWindowViolation = ticket.getSalesWindowViolation();
+      if (salesWindowViolation) {
+        return res.status(400).json({
+          success: false,
+          message: salesWindowViolation
+        });
+      }
       ticket.status = 'active';
     } else {
       return res.status(400).json({
@@ -498,10 +622,8 @@ router.put('/:id/toggle-status', protect, authorize('producer'), async (req, res
 // @access  Private (Producer only)
 router.get('/stats/me', protect, authorize('producer'), async (req, res) => {
   try {
-    // Get events created by the producer
-    const Event = require('../models/Event');
-    const producerEvents = await Event.find({ producerId: req.user._id }).select('_id');
-    const eventIds = producerEvents.map(event => event._id);
+    // Events the producer runs, or can see the analytics of as a team member
+    const eventIds = await eventPermissionService.getEventIds(req.user, 'analytics.view');
 
     if (eventIds.length === 0) {
       return res.json({
@@ -572,7 +694,7 @@ router.get('/stats/me', protect, authorize('producer'), async (req, res) => {
 router.get('/:id/analytics', protect, authorize('producer'), async (req, res) => {
   try {
     const ticket = await Ticket.findById(req.params.id)
-      .populate('eventId', 'producerId');
+      .populate('eventId', 'producerId team');
 
     if (!ticket) {
       return res.status(404).json({
@@ -582,13 +704,38 @@ router.get('/:id/analytics', protect, authorize('producer'), async (req, res) =>
     }
 
     // Check if user is authorized to view analytics for this ticket
-    if (ticket.eventId.producerId.toString() !== req.user._id.toString()) {
+    if (!eventPermissionService.can(ticket.eventId, req.user, 'analytics.view')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view analytics for this ticket'
       });
     }
 
+    // What buyers actually paid, and donations and add-ons bought with these tickets, from confirmed bookings
+    const [paid] = await Attendee.aggregate([
+      { $match: { ticketId: ticket._id, bookingStatus: 'confirmed' } },
+      {
+        $group: {
+          _id: null,
+          tickets: { $sum: '$ticketQuantity' },
+          revenue: {
+            $sum: {
+              $subtract: [
+                '$totalAmount',
+                { $add: [{ $ifNull: ['$donationAmount', 0] }, { $ifNull: ['$addOnsAmount', 0] }] }
+              ]
+            }
+          },
+          addOnsRevenue: { $sum: { $ifNull: ['$addOnsAmount', 0] } },
+          donations: { $sum: { $ifNull: ['$donationAmount', 0] } },
+          donationCount: { $sum: { $cond: [{ $gt: ['$donationAmount', 0] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    // Pay-what-you-want revenue can only come from the bookings; fixed prices keep the list-price figure
+    const revenue = ticket.isPayWhatYouWant ? paid?.revenue || 0 : ticket.quantity.sold * ticket.price.amount;
+
     // Calculate analytics
     const analytics = {
       totalQuantity: ticket.quantity.total,
@@ -596,8 +743,17 @@ router.get('/:id/analytics', protect, authorize('producer'), async (req, res) =>
       soldQuantity: ticket.quantity.sold,
       reservedQuantity: ticket.quantity.reserved,
       soldPercentage: ((ticket.quantity.sold / ticket.quantity.total) * 100).toFixed(2),
-      revenue: ticket.quantity.sold * ticket.price.amount,
-      averagePrice: ticket.price.amount,
+      pricingMode: ticket.pricingMode,
+      revenue,
+      averagePrice: ticket.isPayWhatYouWant && paid?.tickets
+        ? Math.round((paid.revenue / paid.tickets) * 100) / 100
+        : ticket.price.amount,
+      // Donations are not ticket revenue
+      donations: {
+        total: paid?.donations || 0,
+        count: paid?.donationCount || 0
+      },
+      addOnsRevenue: paid?.addOnsRevenue || 0,
       discountAmount: ticket.price.originalPrice ? ticket.price.originalPrice - ticket.price.amount : 0,
       discountPercentage: ticket.price.originalPrice ? ((ticket.price.originalPrice - ticket.price.amount) / ticket.price.originalPrice * 100).toFixed(2) : 0
     };
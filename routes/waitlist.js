@@ -0,0 +1,440 @@
+const express = require('express');
+const Joi = require('joi');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const TicketHold = require('../models/TicketHold');
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const waitlistService = require('../services/waitlistService');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const joinWaitlistSchema = Joi.object({
+  eventId: Joi.string().required(),
+  ticketId: Joi.string().hex().length(24).required(),
+  fullName: Joi.string().min(2).max(100).required(),
+  email: Joi.string().email().required(),
+  phone: Joi.string().optional(),
+  quantity: Joi.number().integer().min(1).default(1)
+});
+
+const leaveWaitlistSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+// Check the current user manages the event (admins manage everything)
+const canManageEvent = (user, event) =>
+  user.role === 'admin' || event.producerId.toString() === user._id.toString();
+
+// Load a waitlist entry and its event for producer actions
+const loadManagedEntry = async (req, res) => {
+  const entry = await WaitlistEntry.findById(req.params.id);
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Waitlist entry not found'
+    });
+    return null;
+  }
+
+  const event = await Event.findById(entry.eventId);
+  if (!event || !canManageEvent(req.user, event)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this waitlist'
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+// Cancel an entry's outstanding offer and hand its tickets to the next in line
+const withdrawOffer = async (entry) => {
+  if (entry.status !== 'offered' || !entry.offer?.holdId) return;
+
+  const hold = await TicketHold.findById(entry.offer.holdId);
+  if (hold && await hold.release('released')) {
+    await waitlistService.handleReleasedHolds([hold]);
+  }
+};
+
+// @desc    Join the waitlist for a sold-out ticket type
+// @route   POST /api/waitlist
+// @access  Public
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = joinWaitlistSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { eventId, ticketId, quantity } = value;
+
+    const ticket = await Ticket.findById(ticketId);
+    if (!ticket || ticket.eventId.toString() !== eventId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found for this event'
+      });
+    }
+
+    if (['cancelled', 'expired'].includes(ticket.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Ticket ${ticket.title} is no longer on sale`
+      });
+    }
+
+    if (ticket.status === 'active' && await ticket.getRemainingQuantity() >= quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Tickets for ${ticket.title} are still available. Please book them directly.`
+      });
+    }
+
+    if (ticket.restrictions?.maxPerPerson && quantity > ticket.restrictions.maxPerPerson) {
+      return res.status(400).json({
+        success: false,
+        message: `Maximum ${ticket.restrictions.maxPerPerson} tickets allowed per person for ${ticket.title}`
+      });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      ticketId,
+      email: value.email.toLowerCase(),
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this ticket',
+        data: {
+          entryId: existing._id,
+          status: existing.status,
+          position: await WaitlistEntry.getPosition(existing)
+        }
+      });
+    }
+
+    const entry = await WaitlistEntry.create(value);
+
+    res.status(201).json({
+      success: true,
+      message: "You're on the waitlist. We'll email you if tickets become available.",
+      data: {
+        entryId: entry._id,
+        status: entry.status,
+        quantity: entry.quantity,
+        position: await WaitlistEntry.getPosition(entry)
+      }
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error joining waitlist',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Open a waitlist claim link
+// @route   GET /api/waitlist/claim/:token
+// @access  Public
+router.get('/claim/:token', async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      'offer.claimToken': WaitlistEntry.hashClaimToken(req.params.token)
+    })
+      .populate('eventId', 'name startDate endDate startsAt endsAt timezone location image')
+      .populate('ticketId', 'title type price description');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim link is invalid'
+      });
+    }
+
+    if (entry.status === 'claimed') {
+      return res.status(410).json({
+        success: false,
+        message: 'These tickets have already been claimed'
+      });
+    }
+
+    const hold = await TicketHold.findById(entry.offer.holdId);
+    if (entry.status !== 'offered' || !hold || hold.status !== 'active' || hold.isExpired) {
+      return res.status(410).json({
+        success: false,
+        message: 'This claim link has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        holdId: hold.holdReference,
+        expiresAt: hold.expiresAt,
+        event: entry.eventId,
+        ticket: entry.ticketId,
+        quantity: entry.quantity,
+        totalAmount: hold.totalAmount,
+        attendee: {
+          fullName: entry.fullName,
+          email: entry.email,
+          phone: entry.phone
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Open waitlist claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error opening claim link',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Leave the waitlist
+// @route   POST /api/waitlist/:id/leave
+// @access  Public
+router.post('/:id/leave', async (req, res) => {
+  try {
+    const { error, value } = leaveWaitlistSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry || entry.email !== value.email.toLowerCase()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Waitlist entry is already ${entry.status}`
+      });
+    }
+
+    await withdrawOffer(entry);
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'cancelled' } });
+
+    res.json({
+      success: true,
+      message: 'You have left the waitlist'
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error leaving waitlist',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the waitlist queue for an event
+// @route   GET /api/waitlist/event/:eventId
+// @access  Private (Producer/Admin only)
+router.get('/event/:eventId', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const { status, ticketId } = req.query;
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the waitlist for this event'
+      });
+    }
+
+    const filter = { eventId: event._id };
+    if (status) filter.status = status;
+    if (ticketId) filter.ticketId = ticketId;
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate('ticketId', 'title type quantity status')
+      .sort({ ticketId: 1, createdAt: 1 });
+
+    // Positions count only waiting entries, per ticket type
+    const positions = {};
+    const data = entries.map(entry => {
+      const key = entry.ticketId?._id?.toString() || 'unknown';
+      let position = null;
+      if (entry.status === 'waiting') {
+        positions[key] = (positions[key] || 0) + 1;
+        position = positions[key];
+      }
+      return { ...entry.toObject({ virtuals: true }), position };
+    });
+
+    const summary = await WaitlistEntry.aggregate([
+      { $match: { eventId: event._id } },
+      {
+        $group: {
+          _id: '$status',
+          entries: { $sum: 1 },
+          tickets: { $sum: '$quantity' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data,
+      summary,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Offer freed capacity to the waitlist now
+// @route   POST /api/waitlist/ticket/:ticketId/process
+// @access  Private (Producer/Admin only)
+router.post('/ticket/:ticketId/process', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.ticketId).populate('eventId', 'producerId');
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, ticket.eventId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this waitlist'
+      });
+    }
+
+    const offered = await waitlistService.processQueue(ticket._id);
+
+    res.json({
+      success: true,
+      message: `${offered.length} waitlist offer(s) sent`,
+      data: offered
+    });
+  } catch (error) {
+    console.error('Process waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing waitlist',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Offer tickets to a specific entry out of queue order
+// @route   POST /api/waitlist/:id/offer
+// @access  Private (Producer/Admin only)
+router.post('/:id/offer', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const entry = await loadManagedEntry(req, res);
+    if (!entry) return;
+
+    if (!['waiting', 'expired'].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot offer tickets to an entry that is ${entry.status}`
+      });
+    }
+
+    await Ticket.syncSoldOutStatus(entry.ticketId);
+    const ticket = await Ticket.findById(entry.ticketId);
+    if (!ticket || ticket.status !== 'active' || await ticket.getRemainingQuantity() < entry.quantity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not enough tickets available to make this offer'
+      });
+    }
+
+    const offered = await waitlistService.offerEntry(entry, ticket);
+    if (!offered) {
+      return res.status(409).json({
+        success: false,
+        message: 'Could not make the offer. Please try again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Offer sent',
+      data: offered
+    });
+  } catch (error) {
+    console.error('Offer waitlist entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error offering tickets',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Remove an entry from the waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private (Producer/Admin only)
+router.delete('/:id', protect, authorize('producer', 'admin'), async (req, res) => {
+  try {
+    const entry = await loadManagedEntry(req, res);
+    if (!entry) return;
+
+    if (['claimed', 'removed'].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot remove an entry that is ${entry.status}`
+      });
+    }
+
+    await withdrawOffer(entry);
+    await WaitlistEntry.updateOne(
+      { _id: entry._id },
+      { $set: { status: 'removed', removedAt: new Date(), removedBy: req.user._id } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Waitlist entry removed'
+    });
+  } catch (error) {
+    console.error('Remove waitlist entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing waitlist entry',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const timezoneService = require('../services/timezoneService');
+
+const BATCH_SIZE = 500;
+
+// Give events saved before timezone support a timezone and their UTC start and end
+// instants. Events without a timezone get DEFAULT_EVENT_TIMEZONE, the zone their times
+// were entered in. Safe to run more than once.
+const migrateEventTimezones = async () => {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pic_app');
+
+    console.log(`🕒 Default timezone: ${timezoneService.defaultTimezone}`);
+
+    const cursor = Event.find({ $or: [{ timezone: { $exists: false } }, { startsAt: { $exists: false } }] })
+      .select('startDate endDate startTime endTime timezone')
+      .lean()
+      .cursor();
+
+    let batch = [];
+    let updated = 0;
+    let skipped = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      // Raw updates, so validators meant for new events (e.g. start date in the future) don't reject past ones
+      await Event.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    };
+
+    for await (const event of cursor) {
+      const timezone = timezoneService.isValidTimezone(event.timezone) ? event.timezone : timezoneService.defaultTimezone;
+      const { startsAt, endsAt } = Event.getInstants({ ...event, timezone });
+
+      if (!startsAt) {
+        console.log(`⚠️  Skipping event ${event._id}: missing or unreadable dates/times`);
+        skipped += 1;
+        continue;
+      }
+
+      batch.push({
+        updateOne: {
+          filter: { _id: event._id },
+          update: { $set: { timezone, startsAt, endsAt } }
+        }
+      });
+
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+        console.log(`   ...${updated} events updated`);
+      }
+    }
+    await flush();
+
+    const seriesResult = await EventSeries.updateMany(
+      { timezone: { $exists: false } },
+      { $set: { timezone: timezoneService.defaultTimezone } }
+    );
+
+    console.log(`\n✅ Events updated: ${updated}`);
+    console.log(`⚠️  Events skipped: ${skipped}`);
+    console.log(`✅ Event series updated: ${seriesResult.modifiedCount}`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during event timezone migration:', error);
+    process.exit(1);
+  }
+};
+
+migrateEventTimezones();
@@ -0,0 +1,82 @@
+const AddOn = require('../models/AddOn');
+
+// Build an error the routes can answer with its status code
+const addOnError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class AddOnService {
+  // Check the add-ons asked for with one booking and price them.
+  // Returns the lines to store on the booking (see Attendee.addOns).
+  async buildLines(eventId, requests = []) {
+    if (requests.length === 0) {
+      return [];
+    }
+
+    const addOns = await AddOn.find({ _id: { $in: requests.map(r => r.addOnId) }, eventId });
+
+    return requests.map(({ addOnId, quantity }) => {
+      const addOn = addOns.find(a => a._id.toString() === addOnId.toString());
+      if (!addOn || !addOn.isActive) {
+        throw addOnError(`Add-on ${addOnId} is not available for this event`, 400);
+      }
+      if (quantity > addOn.maxPerBooking) {
+        throw addOnError(`Maximum ${addOn.maxPerBooking} ${addOn.name} allowed per booking`, 400);
+      }
+      if (quantity > addOn.remaining) {
+        throw addOnError(`Not enough ${addOn.name} left. Only ${addOn.remaining} remaining.`, 409);
+      }
+
+      return {
+        addOnId: addOn._id,
+        name: addOn.name,
+        category: addOn.category,
+        quantity,
+        unitPrice: addOn.price.amount,
+        amount: Math.round(addOn.price.amount * quantity * 100) / 100
+      };
+    });
+  }
+
+  // Total of a booking's add-on lines
+  getAmount(lines = []) {
+    return Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+  }
+
+  // Take stock for every line atomically, giving back what was taken if any runs out
+  async sellLines(lines = []) {
+    const sold = [];
+
+    for (const line of lines) {
+      const addOn = await AddOn.sellAtomically(line.addOnId, line.quantity);
+      if (!addOn) {
+        await this.returnLines(sold);
+        throw addOnError(`Not enough ${line.name} left. Please try again.`, 409);
+      }
+      sold.push(line);
+    }
+  }
+
+  // Put a booking's add-ons back in stock
+  async returnLines(lines = []) {
+    for (const line of lines) {
+      await AddOn.returnSoldAtomically(line.addOnId, line.quantity);
+    }
+  }
+
+  // What a booking bought and what is left to hand over, for the check-in view
+  summarize(attendee) {
+    return (attendee.addOns || []).map(line => ({
+      addOnId: line.addOnId,
+      name: line.name,
+      category: line.category,
+      quantity: line.quantity,
+      redeemedQuantity: line.redeemedQuantity || 0,
+      remaining: line.quantity - (line.redeemedQuantity || 0)
+    }));
+  }
+}
+
+module.exports = new AddOnService();
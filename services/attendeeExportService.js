@@ -0,0 +1,228 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Attendee = require('../models/Attendee');
+
+// Lets Excel detect UTF-8, so Hebrew and Arabic names open correctly
+const UTF8_BOM = '\uFEFF';
+
+// Build an error the routes can answer with its status code
+const exportError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatDate = (date) => (date ? date.toISOString() : 'N/A');
+
+// Every built-in column, in default order. `key` is what ?columns= selects by.
+const BASE_COLUMNS = [
+  { key: 'bookingReference', header: 'Booking Reference', width: 22, value: a => a.bookingReference },
+  { key: 'fullName', header: 'Full Name', width: 24, value: a => a.fullName },
+  { key: 'email', header: 'Email', width: 28, value: a => a.email },
+  { key: 'phone', header: 'Phone', width: 16, value: a => a.phone },
+  { key: 'age', header: 'Age', width: 8, value: a => a.age },
+  { key: 'gender', header: 'Gender', width: 12, value: a => a.gender },
+  { key: 'ticketType', header: 'Ticket Type', width: 20, value: a => a.ticketId?.title || a.ticketType },
+  { key: 'quantity', header: 'Quantity', width: 10, value: a => a.ticketQuantity },
+  { key: 'seats', header: 'Seats', width: 24, value: a => (a.seats?.length ? a.seatLabels.join(', ') : 'N/A') },
+  { key: 'price', header: 'Price', width: 10, value: a => a.ticketPrice },
+  { key: 'promoCode', header: 'Promo Code', width: 14, value: a => a.promoCode || 'None' },
+  { key: 'discount', header: 'Discount', width: 10, value: a => a.discountAmount || 0 },
+  { key: 'totalAmount', header: 'Total Amount', width: 12, value: a => a.totalAmount },
+  {
+    key: 'addOns',
+    header: 'Add-ons',
+    width: 30,
+    value: a => (a.addOns?.length
+      ? a.addOns.map(line => `${line.quantity} × ${line.name} (${line.redeemedQuantity || 0} redeemed)`).join('; ')
+      : 'N/A')
+  },
+  { key: 'addOnsAmount', header: 'Add-ons Amount', width: 12, value: a => a.addOnsAmount || 0 },
+  { key: 'donation', header: 'Donation', width: 10, value: a => a.donationAmount || 0 },
+  { key: 'bookingStatus', header: 'Booking Status', width: 14, value: a => a.bookingStatus },
+  { key: 'paymentStatus', header: 'Payment Status', width: 14, value: a => a.paymentStatus },
+  {
+    key: 'fraudReview',
+    header: 'Fraud Review',
+    width: 14,
+    value: a => (a.fraudReview?.flagged ? a.fraudReview.status : 'N/A')
+  },
+  { key: 'registeredAt', header: 'Registered At', width: 24, value: a => formatDate(a.registeredAt) },
+  { key: 'checkedIn', header: 'Checked In', width: 11, value: a => (a.checkedIn ? 'Yes' : 'No') },
+  {
+    key: 'admitted',
+    header: 'Admitted',
+    width: 10,
+    value: a => `${a.checkedIn && !a.admittedCount ? a.ticketQuantity : a.admittedCount || 0}/${a.ticketQuantity}`
+  },
+  { key: 'checkedInAt', header: 'Checked In At', width: 24, value: a => formatDate(a.checkedInAt) },
+  {
+    key: 'guests',
+    header: 'Guests',
+    width: 40,
+    value: a => (a.guests?.length
+      ? a.guests.map(guest => `${guest.fullName} <${guest.email}> (${guest.guestReference}${guest.checkedIn ? ', checked in' : ''})`).join('; ')
+      : 'N/A')
+  },
+  { key: 'specialRequirements', header: 'Special Requirements', width: 30, value: a => a.specialRequirements || 'None' },
+  {
+    key: 'transferredFrom',
+    header: 'Transferred From',
+    width: 40,
+    value: a => (a.previousHolders?.length
+      ? a.previousHolders.map(holder => `${holder.fullName} <${holder.email}> (${holder.bookingReference})`).join('; ')
+      : 'N/A')
+  }
+];
+
+// Columns shown when ?columns= is not given; the rest must be asked for
+const DEFAULT_HIDDEN = ['bookingStatus', 'paymentStatus'];
+
+// Format a registration answer for a spreadsheet cell
+const formatAnswer = (answer) => {
+  if (answer === undefined || answer === null || answer === '') return '';
+  if (Array.isArray(answer)) return answer.join(', ');
+  if (typeof answer === 'boolean') return answer ? 'Yes' : 'No';
+  if (answer instanceof Date) return answer.toISOString().slice(0, 10);
+  return answer;
+};
+
+// Quote a CSV field when needed, and stop spreadsheet apps running text that looks like a formula.
+// Phone numbers such as +972-50-1234567 carry no formula and are left alone.
+const escapeCsv = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().-]+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AttendeeExportService {
+  // Columns available for an event: the built-in ones, then its registration questions,
+  // then questions removed from the form that bookings still have answers for
+  async getColumns(event) {
+    const answerColumns = (event.registrationForm || []).map(field => ({ key: field.key, header: field.label }));
+
+    const answeredKeys = await Attendee.aggregate([
+      { $match: { eventId: new mongoose.Types.ObjectId(event._id), registrationAnswers: { $type: 'object' } } },
+      { $project: { keys: { $objectToArray: '$registrationAnswers' } } },
+      { $unwind: '$keys' },
+      { $group: { _id: '$keys.k' } },
+      { $sort: { _id: 1 } }
+    ]);
+    answeredKeys.forEach(({ _id: key }) => {
+      if (!answerColumns.some(column => column.key === key)) {
+        answerColumns.push({ key, header: key });
+      }
+    });
+
+    return [
+      ...BASE_COLUMNS.map(column => ({ ...column, hidden: DEFAULT_HIDDEN.includes(column.key) })),
+      ...answerColumns.map(({ key, header }) => ({
+        key: `answers.${key}`,
+        header,
+        width: 20,
+        value: a => formatAnswer(a.registrationAnswers?.[key])
+      }))
+    ];
+  }
+
+  // Pick columns by key, in the order asked for; all default columns when none are asked for
+  selectColumns(columns, keys) {
+    if (!keys?.length) {
+      return columns.filter(column => !column.hidden);
+    }
+
+    const unknown = keys.filter(key => !columns.some(column => column.key === key));
+    if (unknown.length > 0) {
+      throw exportError(`Unknown column(s): ${unknown.join(', ')}. Available: ${columns.map(c => c.key).join(', ')}`, 400);
+    }
+
+    return keys.map(key => columns.find(column => column.key === key));
+  }
+
+  // Query for the bookings to export. Only confirmed bookings unless another status (or "all") is asked for.
+  buildFilter(eventId, { status = 'confirmed', ticketType, ticketId, checkedIn } = {}) {
+    const filter = { eventId };
+
+    if (status !== 'all') {
+      filter.bookingStatus = status;
+    }
+
+    if (ticketType) {
+      filter.ticketType = ticketType;
+    }
+
+    if (ticketId) {
+      filter.ticketId = ticketId;
+    }
+
+    if (checkedIn === 'partial') {
+      filter.checkedIn = false;
+      filter.admittedCount = { $gt: 0 };
+    } else if (checkedIn !== undefined) {
+      filter.checkedIn = checkedIn === 'true';
+    }
+
+    return filter;
+  }
+
+  // Cursor over the bookings, newest first, so large events are never held in memory
+  openCursor(filter) {
+    return Attendee.find(filter)
+      .populate('ticketId', 'title type price')
+      .sort({ registeredAt: -1 })
+      .cursor();
+  }
+
+  async write(stream, chunk) {
+    if (!stream.write(chunk)) {
+      await once(stream, 'drain');
+    }
+  }
+
+  async streamCsv(res, cursor, columns) {
+    await this.write(res, UTF8_BOM + columns.map(column => escapeCsv(column.header)).join(',') + '\r\n');
+
+    for await (const attendee of cursor) {
+      await this.write(res, columns.map(column => escapeCsv(column.value(attendee))).join(',') + '\r\n');
+    }
+
+    res.end();
+  }
+
+  async streamXlsx(res, cursor, columns, { rightToLeft = false } = {}) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet('Attendees', {
+      views: [{ state: 'frozen', ySplit: 1, rightToLeft }]
+    });
+
+    worksheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: column.width }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const attendee of cursor) {
+      worksheet.addRow(columns.map(column => column.value(attendee))).commit();
+    }
+
+    await worksheet.commit();
+    await workbook.commit();
+  }
+
+  // Same shape as the original JSON export: { success, data: [{ <header>: value }], count }
+  async streamJson(res, cursor, columns) {
+    await this.write(res, '{"success":true,"data":[');
+
+    let count = 0;
+    for await (const attendee of cursor) {
+      const row = Object.fromEntries(columns.map(column => [column.header, column.value(attendee)]));
+      await this.write(res, (count > 0 ? ',' : '') + JSON.stringify(row));
+      count++;
+    }
+
+    res.end(`],"count":${count}}`);
+  }
+}
+
+module.exports = new AttendeeExportService();
@@ -0,0 +1,177 @@
+const jwt = require('jsonwebtoken');
+const Attendee = require('../models/Attendee');
+const AttendeeLoginLink = require('../models/AttendeeLoginLink');
+const Event = require('../models/Event');
+const inventoryService = require('./inventoryService');
+const emailService = require('./emailService');
+
+// Build an error the routes can answer with its status code
+const portalError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Booking fields an attendee never sees: staff notes, the check-in audit trail, earlier holders
+// and what the anti-fraud checks recorded
+const HIDDEN_BOOKING_FIELDS = ['notes', 'checkInLog', 'previousHolders', 'registrationIp', 'deviceFingerprint', 'fraudReview'];
+
+class AttendeePortalService {
+  constructor() {
+    // How long a magic link works, and how long the session it opens lasts
+    this.linkMinutes = parseInt(process.env.ATTENDEE_LINK_MINUTES) || 15;
+    this.sessionHours = parseInt(process.env.ATTENDEE_SESSION_HOURS) || 2;
+    // Links sent to one address per window, so the portal can't be used to flood an inbox
+    this.maxLinksPerWindow = 3;
+  }
+
+  // Email a magic link if the address holds any bookings. Callers answer the same way
+  // either way, so the response doesn't reveal who has booked.
+  async requestLink(email, requestedIp) {
+    const normalizedEmail = email.toLowerCase();
+
+    const hasBookings = await Attendee.exists({ email: normalizedEmail });
+    if (!hasBookings) {
+      return;
+    }
+
+    const recentLinks = await AttendeeLoginLink.countDocuments({
+      email: normalizedEmail,
+      createdAt: { $gt: new Date(Date.now() - this.linkMinutes * 60 * 1000) }
+    });
+    if (recentLinks >= this.maxLinksPerWindow) {
+      return;
+    }
+
+    const expiresAt = new Date(Date.now() + this.linkMinutes * 60 * 1000);
+    const token = await AttendeeLoginLink.issue(normalizedEmail, expiresAt, requestedIp);
+
+    const loginUrl = `${process.env.FRONTEND_URL}/my-bookings/login?token=${token}`;
+    await emailService.sendAttendeeLoginLinkEmail(normalizedEmail, loginUrl, expiresAt);
+  }
+
+  // Use up a magic link and open a portal session for its email
+  async signIn(token) {
+    const link = await AttendeeLoginLink.findOne({ tokenHash: AttendeeLoginLink.hashToken(token) });
+    if (!link || link.usedAt) {
+      throw portalError('Sign-in link is invalid or has already been used', 404);
+    }
+    if (link.expiresAt <= new Date()) {
+      throw portalError('This sign-in link has expired. Please request a new one.', 410);
+    }
+
+    // Two tabs opening the same link: only one gets a session
+    const consumed = await AttendeeLoginLink.consumeAtomically(token);
+    if (!consumed) {
+      throw portalError('Sign-in link is invalid or has already been used', 404);
+    }
+
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET environment variable is not configured');
+    }
+
+    const expiresAt = new Date(Date.now() + this.sessionHours * 60 * 60 * 1000);
+    const sessionToken = jwt.sign(
+      { email: consumed.email, scope: 'attendee_portal' },
+      process.env.JWT_SECRET,
+      { expiresIn: this.sessionHours * 60 * 60 }
+    );
+
+    return { token: sessionToken, email: consumed.email, expiresAt };
+  }
+
+  // Every booking held by an email, across events, newest first
+  listBookings(email) {
+    return Attendee.find({ email })
+      .select(HIDDEN_BOOKING_FIELDS.map(field => `-${field}`).join(' '))
+      .populate('eventId', 'name startDate endDate startsAt endsAt timezone location image status')
+      .populate('ticketId', 'title type price transferPolicy refundPolicy')
+      .sort({ registeredAt: -1 });
+  }
+
+  // One booking, only if the signed-in email holds it
+  async getBooking(email, bookingReference) {
+    const attendee = await Attendee.findOne({ bookingReference, email });
+    if (!attendee) {
+      throw portalError('Booking not found', 404);
+    }
+    return attendee;
+  }
+
+  // A booking as the attendee sees it
+  toPortalView(attendee) {
+    const booking = attendee.toJSON();
+    HIDDEN_BOOKING_FIELDS.forEach(field => delete booking[field]);
+    return booking;
+  }
+
+  // Update the holder's contact details. The email stays as it is: it is how they sign in,
+  // and moving a booking to someone else goes through a transfer.
+  async updateDetails(attendee, updates) {
+    if (attendee.bookingStatus === 'cancelled') {
+      throw portalError('Cancelled bookings cannot be changed', 400);
+    }
+
+    const updated = await Attendee.findOneAndUpdate(
+      { _id: attendee._id, bookingStatus: { $ne: 'cancelled' } },
+      { $set: { ...updates, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw portalError('Cancelled bookings cannot be changed', 409);
+    }
+    return updated;
+  }
+
+  // Reason an attendee can't cancel a booking themselves, or null.
+  // Paid bookings are cancelled by approving a refund request instead.
+  getCancelBlockingReason(attendee, event) {
+    if (attendee.bookingStatus === 'cancelled') return 'Booking is already cancelled';
+    if (attendee.paymentStatus === 'pending') return 'Bookings can be cancelled once payment is complete';
+    // Add-ons and donations are charged alongside the tickets but kept out of totalAmount
+    const charged = (attendee.totalAmount || 0) + (attendee.addOnsAmount || 0) + (attendee.donationAmount || 0);
+    if (attendee.paymentStatus === 'completed' && charged > 0) {
+      return 'Paid bookings are cancelled by requesting a refund';
+    }
+    if (attendee.admittedCount > 0 || attendee.checkedIn) return 'Checked-in bookings cannot be cancelled';
+    if (!event || event.getStartInstant() <= new Date()) return 'Bookings cannot be cancelled once the event has started';
+    return null;
+  }
+
+  // Cancel a booking and put its tickets back on sale. Any pending transfer is withdrawn.
+  async cancelBooking(attendee) {
+    const event = await Event.findById(attendee.eventId).select('startDate startsAt');
+
+    const blocking = this.getCancelBlockingReason(attendee, event);
+    if (blocking) {
+      throw portalError(blocking, 400);
+    }
+
+    // Only applies while the booking is still as checked above
+    const now = new Date();
+    const cancelled = await Attendee.findOneAndUpdate(
+      {
+        _id: attendee._id,
+        bookingStatus: attendee.bookingStatus,
+        paymentStatus: attendee.paymentStatus,
+        checkedIn: { $ne: true },
+        admittedCount: { $in: [0, null] }
+      },
+      {
+        $set: { bookingStatus: 'cancelled', cancelledAt: now, updatedAt: now },
+        $unset: { pendingTransfer: 1 }
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      throw portalError('Booking changed while it was being cancelled. Please try again.', 409);
+    }
+
+    await inventoryService.releaseBooking(cancelled);
+    return cancelled;
+  }
+}
+
+module.exports = new AttendeePortalService();
@@ -0,0 +1,24 @@
+// Local challenge verifier for development and tests. Nothing leaves the server:
+// the configured pass token verifies, anything else fails, so both paths of the
+// challenge flow can be exercised without a real CAPTCHA service. Never registered
+// in production (see FraudService).
+class StubChallengeVerifier {
+  constructor() {
+    this.name = 'stub';
+    this.passToken = process.env.STUB_CHALLENGE_PASS_TOKEN || 'stub-challenge-pass';
+  }
+
+  // What the client needs to render the challenge
+  getClientConfig() {
+    return { provider: this.name };
+  }
+
+  async verify(token) {
+    if (token === this.passToken) {
+      return { success: true };
+    }
+    return { success: false, reason: 'Challenge token was not accepted' };
+  }
+}
+
+module.exports = StubChallengeVerifier;
@@ -665,15 +665,19 @@ class EmailService {
     }
   }
 
+  // The day an event starts, in the event's own timezone
+  formatEventDate(event) {
+    const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+    if (event.startsAt) {
+      return new Date(event.startsAt).toLocaleDateString('en-US', { ...options, timeZone: event.timezone });
+    }
+    return new Date(event.startDate).toLocaleDateString('en-US', options);
+  }
+
   // EVENT EMAIL TEMPLATES
 
   getEventCreatedEmailTemplate(producerName, event) {
-    const eventDate = new Date(event.startDate).toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
+    const eventDate = this.formatEventDate(event);
     
     const content = `
       <div class="header">
@@ -729,12 +733,7 @@ class EmailService {
   }
 
   getEventInvitationEmailTemplate(supplierName, event, producer, service) {
-    const eventDate = new Date(event.startDate).toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
+    const eventDate = this.formatEventDate(event);
     
     const content = `
       <div class="header">
@@ -788,12 +787,7 @@ class EmailService {
   }
 
   getSupplierApprovedEventEmailTemplate(producerName, event, supplier, service) {
-    const eventDate = new Date(event.startDate).toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
+    const eventDate = this.formatEventDate(event);
     
     const content = `
       <div class="header">
@@ -847,12 +841,7 @@ class EmailService {
   }
 
   getSupplierRejectedEventEmailTemplate(producerName, event, supplier, service) {
-    const eventDate = new Date(event.startDate).toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
+    const eventDate = this.formatEventDate(event);
     
     const content = `
       <div class="header">
@@ -902,6 +891,498 @@ class EmailService {
     return this.getBaseEmailTemplate(content, 'Supplier Declined Your Event - PIC');
   }
 
+  // ATTENDEE EMAILS
+
+  // Send waitlist claim offer to attendee
+  async sendWaitlistOfferEmail(entry, event, ticket, claimUrl, expiresAt) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@pic.com',
+      to: entry.email,
+      subject: `Tickets Available: ${event.name} - PIC`,
+      html: this.getWaitlistOfferEmailTemplate(entry, event, ticket, claimUrl, expiresAt)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      
+      if (process.env.NODE_ENV !== 'production') {
+        console.log('Email preview URL:', nodemailer.getTestMessageUrl(info));
+      }
+      
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending waitlist offer email:', error);
+      throw new Error('Failed to send waitlist offer email');
+    }
+  }
+
+  getWaitlistOfferEmailTemplate(entry, event, ticket, claimUrl, expiresAt) {
+    const eventDate = this.formatEventDate(event);
+    const claimDeadline = new Date(expiresAt).toLocaleString('en-US', {
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    const content = `
+      <div class="header">
+        <h1>🎟️ Your Turn!</h1>
+        <p>Tickets you were waiting for are now available</p>
+      </div>
+      <div class="content">
+        <h2>Hi ${entry.fullName}!</h2>
+        
+        <div class="success-box">
+          <p style="margin: 0;"><strong>Good news!</strong> ${entry.quantity} × "${ticket.title}" for "${event.name}" ${entry.quantity > 1 ? 'are' : 'is'} now reserved for you.</p>
+        </div>
+        
+        <div class="info-box">
+          <h3 style="color: ${this.colors.primary}; margin-top: 0;">📅 Event Details</h3>
+          <p style="margin: 5px 0;"><strong>Event Name:</strong> ${event.name}</p>
+          <p style="margin: 5px 0;"><strong>Date:</strong> ${eventDate}</p>
+          <p style="margin: 5px 0;"><strong>Location:</strong> ${event.location.city}, ${event.location.address}</p>
+          <p style="margin: 5px 0;"><strong>Tickets:</strong> ${entry.quantity} × ${ticket.title}</p>
+        </div>
+        
+        <div class="warning-box">
+          <p style="margin: 0;"><strong>⏰ Claim before ${claimDeadline}.</strong> After that the tickets go to the next person on the waitlist.</p>
+        </div>
+        
+        <div style="text-align: center;">
+          <a href="${claimUrl}" class="button">Claim My Tickets</a>
+        </div>
+        
+        <p>If you no longer need these tickets, simply ignore this email.</p>
+      </div>
+      <div class="footer">
+        <p>© 2024 PIC Event Planning. All rights reserved.</p>
+        <p>This is an automated message, please do not reply to this email.</p>
+      </div>
+    `;
+    
+    return this.getBaseEmailTemplate(content, 'Tickets Available - PIC');
+  }
+
+  // Send booking confirmation with the PDF e-tickets attached
+  async sendTicketConfirmationEmail(attendees, event, attachments) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@pic.com',
+      to: attendees[0].email,
+      subject: `Your Tickets: ${event.name} - PIC`,
+      html: this.getTicketConfirmationEmailTemplate(attendees, event),
+      attachments
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+
+      if (process.env.NODE_ENV !== 'production') {
+        console.log('Email preview URL:', nodemailer.getTestMessageUrl(info));
+      }
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending ticket confirmation email:', error);
+      throw new Error('Failed to send ticket confirmation email');
+    }
+  }
+
+  getTicketConfirmationEmailTemplate(attendees, event) {
+    const eventDate = this.formatEventDate(event);
+    const bookings = attendees.map(attendee => `
+          <p style="margin: 5px 0;"><strong>${attendee.ticketQuantity} × ${attendee.ticketTitle}</strong>${attendee.seats?.length ? ` (seats: ${attendee.seatLabels.join(', ')})` : ''} - Booking reference: ${attendee.bookingReference}
+            (<a href="${process.env.BASE_URL}/api/attendees/booking/${attendee.bookingReference}/pdf">download PDF</a>)</p>${attendee.guests?.length ? `
+          <p style="margin: 0 0 5px 15px;">Guests: ${attendee.guests.map(guest => guest.fullName).join(', ')} - each guest has been emailed their own ticket</p>` : ''}${attendee.addOns?.length ? `
+          <p style="margin: 0 0 5px 15px;">Add-ons: ${attendee.addOns.map(line => `${line.quantity} × ${line.name}`).join(', ')} - collect them at the venue with your ticket</p>` : ''}`).join('');
+    const donation = attendees.reduce((sum, attendee) => sum + (attendee.donationAmount || 0), 0);
+
+    const content = `
+      <div class="header">
+        <h1>🎉 You're Going!</h1>
+        <p>Your tickets are attached to this email</p>
+      </div>
+      <div class="content">
+        <h2>Hi ${attendees[0].fullName}!</h2>
+
+        <div class="success-box">
+          <p style="margin: 0;"><strong>Your booking is confirmed.</strong> We've attached a PDF e-ticket for each booking below.</p>
+        </div>
+
+        <div class="info-box">
+          <h3 style="color: ${this.colors.primary}; margin-top: 0;">📅 Event Details</h3>
+          <p style="margin: 5px 0;"><strong>Event Name:</strong> ${event.name}</p>
+          <p style="margin: 5px 0;"><strong>Date:</strong> ${eventDate}</p>
+          <p style="margin: 5px 0;"><strong>Time:</strong> ${event.startTime} - ${event.endTime}</p>
+          <p style="margin: 5px 0;"><strong>Location:</strong> ${event.location.city}, ${event.location.address}</p>
+        </div>
+
+        <div class="info-box">
+          <h3 style="color: ${this.colors.primary}; margin-top: 0;">🎟️ Your Tickets</h3>
+          ${bookings}
+        </div>${donation > 0 ? `
+
+        <div class="success-box">
+          <p style="margin: 0;"><strong>Thank you for your donation of ${donation}.</strong> It is not part of your ticket price.</p>
+        </div>` : ''}
+
+        <div class="warning-box">
+          <p style="margin: 0;"><strong>Show the QR code on your ticket at the entrance.</strong> Each code can only be scanned once, so don't share it.</p>
+        </div>
+      </div>
+      <div class="footer">
+        <p>© 2024 PIC Event Planning. All rights reserved.</p>
+        <p>This is an automated message, please do not reply to this email.</p>
+      </div>
+    `;
+
+    return this.getBaseEmailTemplate(content, 'Your Tickets - PIC');
+  }
+
+  // Send a named guest their own e-ticket from a group booking
+  async sendGuestTicketEmail(guest, attendee, event, attachment) {
+    const eventDate = this.formatEventDate(event);
+
+    const content = `
+      <div class="header">
+        <h1>🎉 You're Going!</h1>
+        <p>${attendee.fullName} booked a ticket for you</p>
+      </div>
+      <div class="content">
+        <h2>Hi ${guest.fullName}!</h2>
+
+        <div class="info-box">
+          <h3 style="color: ${this.colors.primary}; margin-top: 0;">📅 Event Details</h3>
+          <p style="margin: 5px 0;"><strong>Event Name:</strong> ${event.name}</p>
+          <p style="margin: 5px 0;"><strong>Date:</strong> ${eventDate}</p>
+          <p style="margin: 5px 0;"><strong>Location:</strong> ${event.location.city}, ${event.location.address}</p>
+          <p style="margin: 5px 0;"><strong>Ticket:</strong> ${attendee.ticketTitle}${attendee.seats?.length ? ` (seat: ${attendee.getSeatLabels(guest).join(', ')})` : ''} - Reference: ${guest.guestReference}
+            (<a href="${process.env.BASE_URL}/api/attendees/booking/${guest.guestReference}/pdf">download PDF</a>)</p>
+        </div>
+
+        <div class="warning-box">
+          <p style="margin: 0;"><strong>Your personal e-ticket is attached.</strong> Show its QR code at the entrance - it admits one person.</p>
+        </div>
+      </div>
+      <div class="footer">
+        <p>© 2024 PIC Event Planning. All rights reserved.</p>
+        <p>This is an automated message, please do not reply to this email.</p>
+      </div>
+    `;
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@pic.com',
+      to: guest.email,
+      subject: `Your Ticket: ${event.name} - PIC`,
+      html: this.getBaseEmailTemplate(content, 'Your Ticket - PIC'),
+      attachments: [attachment]
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+
+      if (process.env.NODE_ENV !== 'production') {
+        console.log('Email preview URL:', nodemailer.getTestMessageUrl(info));
+      }
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending guest ticket email:', error);
+      throw new Error('Failed to send guest ticket email');
+    }
+  }
+
+  // Send ticket transfer offer to the recipient
+  async sendTransferOfferEmail(attendee, event, acceptUrl, expiresAt) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@pic.com',
+      to: attendee.pendingTransfer.recipientEmail,
+      subject: `${attendee.fullName} sent you tickets: ${event.name} - PIC`,
+      html: this.getTransferOfferEmailTemplate(attendee, event, acceptUrl, expiresAt)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+
+      if (process.env.NODE_ENV !== 'production') {
+        console.log('Email preview URL:', nodemailer.getTestMessageUrl(info));
+      }
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending transfer offer email:', error);
+      throw new Error('Failed to send transfer offer email');
+    }
+  }
+
+  getTransferOfferEmailTemplate(attendee, event, acceptUrl, expiresAt) {
+    const eventDate = this.formatEventDate(event);
+    const acceptDeadline = new Date(expiresAt).toLocaleString('en-US', {
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    const content = `
+      <div class="header">
+        <h1>🎁 Tickets For You</h1>
+        <p>${attendee.fullName} wants to give you their tickets</p>
+      </div>
+      <div class="content">
+        <h2>Hi ${attendee.pendingTransfer.recipientName}!</h2>
+
+        <div class="info-box">
+          <h3 style="color: ${this.colors.primary}; margin-top: 0;">📅 Event Details</h3>
+          <p style="margin: 5px 0;"><strong>Event Name:</strong> ${event.name}</p>
+          <p style="margin: 5px 0;"><strong>Date:</strong> ${eventDate}</p>
+          <p style="margin: 5px 0;"><strong>Location:</strong> ${event.location.city}, ${event.location.address}</p>
+          <p style="margin: 5px 0;"><strong>Tickets:</strong> ${attendee.ticketQuantity} × ${attendee.ticketTitle}</p>
+        </div>
+
+        <div class="warning-box">
+          <p style="margin: 0;"><strong>⏰ Accept before ${acceptDeadline}.</strong> Once you accept, you'll get new tickets in your name and the sender's tickets stop working.</p>
+        </div>
+
+        <div style="text-align: center;">
+          <a href="${acceptUrl}" class="button">Accept Tickets</a>
+        </div>
+
+        <p>If you weren't expecting this, simply ignore this email.</p>
+      </div>
+      <div class="footer">
+        <p>© 2024 PIC Event Planning. All rights reserved.</p>
+        <p>This is an automated message, please do not reply to this email.</p>
+      </div>
+    `;
+
+    return this.getBaseEmailTemplate(content, 'Ticket Transfer - PIC');
+  }
+
+  // Tell the previous holder their transfer went through
+  async sendTransferCompletedEmail(previousHolder, attendee, event) {
+    const content = `
+      <div class="header">
+        <h1>✅ Transfer Complete</h1>
+        <p>${event.name}</p>
+      </div>
+      <div class="content">
+        <h2>Hi ${previousHolder.fullName}!</h2>
+
+        <div class="success-box">
+          <p style="margin: 0;"><strong>${attendee.fullName} accepted your tickets.</strong> Booking ${previousHolder.bookingReference} and its QR code are no longer valid.</p>
+        </div>
+
+        <p>Thanks for passing your tickets on instead of letting them go to waste.</p>
+      </div>
+      <div class="footer">
+        <p>© 2024 PIC Event Planning. All rights reserved.</p>
+        <p>This is an automated message, please do not reply to this email.</p>
+      </div>
+    `;
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@pic.com',
+      to: previousHolder.email,
+      subject: `Your Tickets Were Transferred: ${event.name} - PIC`,
+      html: this.getBaseEmailTemplate(content, 'Transfer Complete - PIC')
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+
+      if (process.env.NODE_ENV !== 'production') {
+        console.log('Email preview URL:', nodemailer.getTestMessageUrl(info));
+      }
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending transfer completed email:', error);
+      throw new Error('Failed to send transfer completed email');
+    }
+  }
+
+  // Send refund decision to attendee
+  async sendRefundStatusEmail(request, event) {
+    const approved = request.status === 'approved';
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@pic.com',
+      to: request.email,
+      subject: `Refund ${approved ? 'Approved' : 'Declined'}: ${event.name} - PIC`,
+      html: this.getRefundStatusEmailTemplate(request, event)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+
+      if (process.env.NODE_ENV !== 'production') {
+        console.log('Email preview URL:', nodemailer.getTestMessageUrl(info));
+      }
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending refund status email:', error);
+      throw new Error('Failed to send refund status email');
+    }
+  }
+
+  getRefundStatusEmailTemplate(request, event) {
+    const approved = request.status === 'approved';
+
+    const content = `
+      <div class="header">
+        <h1>${approved ? '💸 Refund Approved' : 'Refund Request Update'}</h1>
+        <p>${event.name}</p>
+      </div>
+      <div class="content">
+        ${approved ? `
+        <div class="success-box">
+          <p style="margin: 0;"><strong>Your refund has been approved.</strong> Booking ${request.bookingReference} has been cancelled and its tickets are no longer valid.</p>
+        </div>
+        ` : `
+        <div class="warning-box">
+          <p style="margin: 0;"><strong>Your refund request was declined.</strong> Booking ${request.bookingReference} is still valid for the event.</p>
+        </div>
+        `}
+
+        <div class="info-box">
+          <h3 style="color: ${this.colors.primary}; margin-top: 0;">🧾 Refund Details</h3>
+          <p style="margin: 5px 0;"><strong>Booking Reference:</strong> ${request.bookingReference}</p>
+          <p style="margin: 5px 0;"><strong>Tickets:</strong> ${request.ticketQuantity}</p>
+          <p style="margin: 5px 0;"><strong>Amount Paid:</strong> ${request.paidAmount}</p>
+          ${approved ? `<p style="margin: 5px 0;"><strong>Amount Refunded:</strong> ${request.refundedAmount}</p>` : ''}
+          ${request.decisionNote ? `<p style="margin: 5px 0;"><strong>Note from the organizer:</strong> ${request.decisionNote}</p>` : ''}
+        </div>
+
+        <p>If you have any questions, please contact the event organizer.</p>
+      </div>
+      <div class="footer">
+        <p>© 2024 PIC Event Planning. All rights reserved.</p>
+        <p>This is an automated message, please do not reply to this email.</p>
+      </div>
+    `;
+
+    return this.getBaseEmailTemplate(content, 'Refund Update - PIC');
+  }
+
+  // Send an attendee their sign-in link for the booking portal
+  async sendAttendeeLoginLinkEmail(email, loginUrl, expiresAt) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@pic.com',
+      to: email,
+      subject: 'Your sign-in link to manage your bookings - PIC',
+      html: this.getAttendeeLoginLinkEmailTemplate(loginUrl, expiresAt)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+
+      if (process.env.NODE_ENV !== 'production') {
+        console.log('Email preview URL:', nodemailer.getTestMessageUrl(info));
+      }
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending attendee sign-in email:', error);
+      throw new Error('Failed to send sign-in email');
+    }
+  }
+
+  getAttendeeLoginLinkEmailTemplate(loginUrl, expiresAt) {
+    const validUntil = new Date(expiresAt).toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    const content = `
+      <div class="header">
+        <h1>🔑 Manage Your Bookings</h1>
+        <p>Your sign-in link</p>
+      </div>
+      <div class="content">
+        <p>Use the button below to see all your bookings, download your tickets, update your details, or request a refund or transfer.</p>
+
+        <div style="text-align: center;">
+          <a href="${loginUrl}" class="button">Sign In</a>
+        </div>
+
+        <div class="warning-box">
+          <p style="margin: 0;"><strong>⏰ This link works once and expires at ${validUntil}.</strong> Don't forward it: anyone with the link can manage your bookings.</p>
+        </div>
+
+        <p>If you didn't ask to sign in, simply ignore this email.</p>
+      </div>
+      <div class="footer">
+        <p>© 2024 PIC Event Planning. All rights reserved.</p>
+        <p>This is an automated message, please do not reply to this email.</p>
+      </div>
+    `;
+
+    return this.getBaseEmailTemplate(content, 'Sign In - PIC');
+  }
+
+  // Send an invitation to join an event's team
+  async sendEventTeamInvitationEmail(invitee, event, inviter, role) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@pic.com',
+      to: invitee.email,
+      subject: `You're invited to the team of ${event.name} - PIC`,
+      html: this.getEventTeamInvitationEmailTemplate(invitee.name, event, inviter, role)
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+
+      if (process.env.NODE_ENV !== 'production') {
+        console.log('Email preview URL:', nodemailer.getTestMessageUrl(info));
+      }
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending event team invitation email:', error);
+      throw new Error('Failed to send event team invitation email');
+    }
+  }
+
+  getEventTeamInvitationEmailTemplate(inviteeName, event, inviter, role) {
+    const eventDate = this.formatEventDate(event);
+    const roles = {
+      co_producer: 'Co-producer: manage the event, tickets, suppliers and attendees',
+      box_office: 'Box office: check attendees in at the door',
+      viewer: 'Viewer: see the event and its sales analytics'
+    };
+
+    const content = `
+      <div class="header">
+        <h1>🤝 Join the Event Team</h1>
+        <p>You've been invited to help run an event</p>
+      </div>
+      <div class="content">
+        <h2>Hi ${inviteeName}!</h2>
+
+        <p><strong>${inviter.name}</strong> has invited you to the team of <strong>${event.name}</strong>.</p>
+
+        <div class="info-box">
+          <p style="margin: 5px 0;"><strong>Event Name:</strong> ${event.name}</p>
+          <p style="margin: 5px 0;"><strong>Date:</strong> ${eventDate}</p>
+          <p style="margin: 5px 0;"><strong>Your role:</strong> ${roles[role]}</p>
+        </div>
+
+        <div style="text-align: center;">
+          <a href="${process.env.FRONTEND_URL}/producer/team-invitations" class="button">View Invitation</a>
+        </div>
+
+        <p>If you weren't expecting this invitation, you can simply decline it.</p>
+      </div>
+      <div class="footer">
+        <p>© 2024 PIC Event Planning. All rights reserved.</p>
+        <p>This is an automated message, please do not reply to this email.</p>
+      </div>
+    `;
+
+    return this.getBaseEmailTemplate(content, 'Event Team Invitation - PIC');
+  }
+
   // Test email configuration
   async testConnection() {
     try {
@@ -1,50 +1,57 @@
 const cron =   require("node-cron")
 const Event =   require("../models/Event.js") // Adjust path
 const emailService = require("./emailService.js") // Adjust path
+const timezoneService = require("./timezoneService.js")
+
+const NOTIFY_HOUR = 8
+const DAY_MS = 24 * 60 * 60 * 1000
 
 /**
- * Helper function to check if a date is today (ignoring time)
+ * Helper function to check if an instant falls on today's date in a timezone
  */
-function isToday(date) {
-  const today = new Date();
-  const target = new Date(date);
-  return (
-    today.getFullYear() === target.getFullYear() &&
-    today.getMonth() === target.getMonth() &&
-    today.getDate() === target.getDate()
-  );
+function isToday(instant, timezone, now = new Date()) {
+  return timezoneService.getLocalDate(instant, timezone) === timezoneService.getLocalDate(now, timezone);
 }
 
 /**
- * CRON job: Runs every day at 8 AM
+ * CRON job: Runs every hour and notifies about events starting today once it is
+ * 8 AM in the event's own timezone
  */
-cron.schedule("0 8 * * *", async () => {
-  console.log("🔔 Running daily event start notification job...");
+cron.schedule("0 * * * *", async () => {
+  console.log("🔔 Running event start notification job...");
 
   try {
-    // Get all events whose startDate is today
-    const events = await Event.find({
-      startDate: {
-        $gte: new Date(new Date().setHours(0, 0, 0, 0)),
-        $lte: new Date(new Date().setHours(23, 59, 59, 999)),
+    const now = new Date();
+
+    // Candidates start within a day either side of today in any timezone
+    const candidates = await Event.find({
+      startsAt: {
+        $gte: new Date(now.getTime() - DAY_MS),
+        $lte: new Date(now.getTime() + 2 * DAY_MS),
       },
     })
       .populate("producerId", "email name")
       .populate("supplierId", "email name");
 
+    const events = candidates.filter(
+      (event) =>
+        timezoneService.getLocalParts(now, event.timezone).hour === NOTIFY_HOUR &&
+        isToday(event.startsAt, event.timezone, now)
+    );
+
     if (!events.length) {
       console.log("No events starting today.");
       return;
     }
 
     for (const event of events) {
-      const { eventName, producerId, supplierId, startDate } = event;
+      const { name: eventName, producerId, supplierId, startsAt, timezone } = event;
 
       const subject = `Event "${eventName}" starts today!`;
       const message = `
         Hello,
 
-        This is a reminder that your event "${eventName}" is starting today (${new Date(startDate).toLocaleDateString()}).
+        This is a reminder that your event "${eventName}" is starting today (${new Date(startsAt).toLocaleDateString("en-US", { timeZone: timezone })}).
 
         Please ensure all preparations are complete.
 
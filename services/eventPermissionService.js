@@ -0,0 +1,66 @@
+const Event = require('../models/Event');
+
+// What each event team role may do. The event's producer and admins may do everything.
+const ROLE_PERMISSIONS = {
+  co_producer: [
+    'event.view', 'event.edit', 'suppliers.manage', 'tickets.manage', 'attendees.view',
+    'attendees.checkIn', 'attendees.manage', 'attendees.export', 'analytics.view'
+  ],
+  box_office: ['event.view', 'attendees.view', 'attendees.checkIn'],
+  viewer: ['event.view', 'analytics.view']
+};
+
+// Every permission, including the owner-only ones no team role has
+const ALL_PERMISSIONS = [...new Set([...Object.values(ROLE_PERMISSIONS).flat(), 'event.delete', 'team.manage'])];
+
+const TEAM_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Works on populated references and bare ids alike
+const idOf = value => (value?._id || value)?.toString();
+
+class EventPermissionService {
+  constructor() {
+    this.teamRoles = TEAM_ROLES;
+  }
+
+  // The user's role on an event: 'admin', 'owner', an accepted team role, or null.
+  // The event needs producerId and team loaded.
+  getRole(event, user) {
+    if (!event || !user) return null;
+    if (user.role === 'admin') return 'admin';
+    if (idOf(event.producerId) === idOf(user._id)) return 'owner';
+
+    const member = (event.team || []).find(m => idOf(m.userId) === idOf(user._id) && m.status === 'active');
+    return member ? member.role : null;
+  }
+
+  getPermissions(event, user) {
+    const role = this.getRole(event, user);
+    if (role === 'admin' || role === 'owner') return ALL_PERMISSIONS;
+    return ROLE_PERMISSIONS[role] || [];
+  }
+
+  can(event, user, permission) {
+    return this.getPermissions(event, user).includes(permission);
+  }
+
+  // Query filter for the events a user has a permission on (admins are not limited)
+  getEventFilter(user, permission) {
+    if (user.role === 'admin') return {};
+
+    const roles = TEAM_ROLES.filter(role => ROLE_PERMISSIONS[role].includes(permission));
+    return {
+      $or: [
+        { producerId: user._id },
+        { team: { $elemMatch: { userId: user._id, status: 'active', role: { $in: roles } } } }
+      ]
+    };
+  }
+
+  async getEventIds(user, permission) {
+    const events = await Event.find(this.getEventFilter(user, permission)).select('_id');
+    return events.map(event => event._id);
+  }
+}
+
+module.exports = new EventPermissionService();
@@ -0,0 +1,320 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const Ticket = require('../models/Ticket');
+const TicketHold = require('../models/TicketHold');
+const Attendee = require('../models/Attendee');
+const timezoneService = require('./timezoneService');
+
+// Build an error the routes can answer with its status code
+const seriesError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event fields every occurrence shares; "all future occurrences" edits carry these over
+const SHARED_FIELDS = [
+  'name', 'description', 'image', 'startTime', 'endTime', 'timezone', 'location', 'language',
+  'category', 'requiredServices', 'isPublic', 'donations', 'antiFraud', 'tags', 'bankDetails'
+];
+
+// Shared fields the series keeps in its template
+const TEMPLATE_FIELDS = ['description', 'image', 'category', 'language', 'location', 'requiredServices', 'tags'];
+
+// Shared fields that move an occurrence's start and end instants
+const SCHEDULE_FIELDS = ['startTime', 'endTime', 'timezone'];
+
+// Bookings that still hold tickets keep an occurrence from being removed
+const ACTIVE_BOOKING_STATUSES = ['confirmed', 'pending'];
+
+// Recurrences step through calendar days in the event's timezone. Each day is kept as
+// UTC midnight of that date, the same date-only form startDate uses, so UTC day
+// arithmetic on it is calendar arithmetic.
+const toCalendarDate = (date, timezone) => new Date(`${timezoneService.getCalendarDate(date, timezone)}T00:00:00.000Z`);
+
+// "YYYY-MM-DD" of such a calendar date
+const dateKey = date => new Date(date).toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const toTemplateSupplier = supplier => ({
+  supplierId: supplier.supplierId,
+  serviceId: supplier.serviceId,
+  selectedPackageId: supplier.selectedPackageId,
+  packageDetails: supplier.packageDetails,
+  requestedPrice: supplier.requestedPrice,
+  notes: supplier.notes,
+  priority: supplier.priority
+});
+
+class EventSeriesService {
+  constructor() {
+    // Most occurrences one series may have; longer runs can continue as a new series
+    this.maxOccurrences = parseInt(process.env.EVENT_SERIES_MAX_OCCURRENCES) || 100;
+  }
+
+  // Every date a recurrence could fall on from firstStartDate onwards, in order
+  *recurrenceCandidates(recurrence, first) {
+    const { frequency, interval = 1 } = recurrence;
+
+    if (frequency === 'daily') {
+      for (let date = first; ; date = addDays(date, interval)) {
+        yield date;
+      }
+    }
+
+    if (frequency === 'weekly') {
+      const days = recurrence.daysOfWeek?.length
+        ? [...new Set(recurrence.daysOfWeek)].sort((a, b) => a - b)
+        : [first.getUTCDay()];
+      // Weeks start on Sunday, like daysOfWeek
+      for (let week = addDays(first, -first.getUTCDay()); ; week = addDays(week, 7 * interval)) {
+        for (const day of days) {
+          const date = addDays(week, day);
+          if (date >= first) yield date;
+        }
+      }
+    }
+
+    // Monthly: the same day of the month, skipping months without that day
+    for (let month = 0; ; month += interval) {
+      const date = new Date(Date.UTC(
+        first.getUTCFullYear(), first.getUTCMonth() + month, first.getUTCDate(),
+        first.getUTCHours(), first.getUTCMinutes(), first.getUTCSeconds(), first.getUTCMilliseconds()
+      ));
+      if (date.getUTCDate() === first.getUTCDate()) yield date;
+    }
+  }
+
+  // Start dates of a recurrence beginning at firstStartDate, as { index, startDate } with
+  // skipped dates left out. `index` counts skipped dates too, so it never shifts. Week
+  // days, the until date and exceptions are local calendar days in `timezone`.
+  getOccurrenceDates(recurrence, firstStartDate, timezone = timezoneService.defaultTimezone) {
+    const { count, until, exceptions = [] } = recurrence;
+    const lastDay = until ? timezoneService.getCalendarDate(until, timezone) : null;
+    const skipped = new Set(exceptions.map(date => timezoneService.getCalendarDate(date, timezone)));
+
+    const dates = [];
+    for (const date of this.recurrenceCandidates(recurrence, toCalendarDate(firstStartDate, timezone))) {
+      if ((count && dates.length >= count) || (lastDay && dateKey(date) > lastDay)) break;
+      if (dates.length >= this.maxOccurrences) {
+        throw seriesError(`A series can have at most ${this.maxOccurrences} occurrences`, 400);
+      }
+      dates.push(date);
+    }
+
+    return dates
+      .map((startDate, index) => ({ index, startDate }))
+      .filter(({ startDate }) => !skipped.has(dateKey(startDate)));
+  }
+
+  // Create a series and all of its occurrences from event creation input. Each occurrence
+  // gets its own copy of the ticket types, on sale from now until that occurrence ends.
+  async createSeries({ eventData, tickets = [], recurrence }) {
+    const occurrences = this.getOccurrenceDates(
+      recurrence,
+      eventData.startDate,
+      eventData.timezone || timezoneService.defaultTimezone
+    );
+    if (occurrences.length === 0) {
+      throw seriesError('The recurrence does not produce any occurrences', 400);
+    }
+
+    const firstStartDate = new Date(eventData.startDate);
+    const durationDays = Math.max(0, Math.round((new Date(eventData.endDate) - firstStartDate) / DAY_MS));
+
+    const template = {};
+    for (const field of TEMPLATE_FIELDS) {
+      if (eventData[field] !== undefined) template[field] = eventData[field];
+    }
+    template.suppliers = (eventData.suppliers || []).map(toTemplateSupplier);
+
+    const series = await EventSeries.create({
+      name: eventData.name,
+      producerId: eventData.producerId,
+      recurrence,
+      firstStartDate,
+      durationDays,
+      startTime: eventData.startTime,
+      endTime: eventData.endTime,
+      timezone: eventData.timezone,
+      template
+    });
+
+    const created = [];
+    try {
+      for (const { index, startDate } of occurrences) {
+        const event = await Event.create({
+          ...eventData,
+          startDate,
+          endDate: addDays(startDate, durationDays),
+          series: { seriesId: series._id, index, originalStartDate: startDate }
+        });
+        created.push(event);
+
+        if (tickets.length > 0) {
+          // Sales dates given for the series would mean the same instant for every occurrence
+          await Ticket.insertMany(tickets.map(ticket =>
+            Ticket.buildForEvent(event, { ...ticket, sales: undefined })
+          ));
+        }
+      }
+    } catch (error) {
+      const eventIds = created.map(event => event._id);
+      await Ticket.deleteMany({ eventId: { $in: eventIds } });
+      await Event.deleteMany({ _id: { $in: eventIds } });
+      await EventSeries.deleteOne({ _id: series._id });
+      throw error;
+    }
+
+    return { series, occurrences: created };
+  }
+
+  // Occurrences after this one that have not ended yet
+  getFutureOccurrences(event) {
+    return Event.find({
+      'series.seriesId': event.series.seriesId,
+      'series.index': { $gt: event.series.index },
+      endsAt: { $gte: new Date() },
+      status: { $ne: 'completed' }
+    }).sort({ startDate: 1 });
+  }
+
+  // Record that an occurrence was edited on its own
+  async markException(event) {
+    if (!event.series?.seriesId || event.series.isException) {
+      return event;
+    }
+    await Event.updateOne({ _id: event._id }, { $set: { 'series.isException': true } });
+    event.series.isException = true;
+    return event;
+  }
+
+  // Carry an edit made to one occurrence over to every later occurrence and the series
+  // template. `fields` are the fields the edit changed; supplier requests it added are
+  // added to the later occurrences too. Dates and tickets stay per occurrence.
+  async applyToFutureOccurrences(event, fields, addedSuppliers = []) {
+    const shared = fields.filter(field => SHARED_FIELDS.includes(field));
+    const values = event.toObject({ virtuals: false });
+
+    const update = { 'metadata.updatedAt': new Date() };
+    for (const field of shared) {
+      update[field] = values[field];
+    }
+    // The password is already hashed on the edited occurrence, so copy the hash as is
+    if (fields.includes('password')) {
+      const withPassword = await Event.findById(event._id).select('+password');
+      update.password = withPassword.password;
+    }
+
+    const futures = await this.getFutureOccurrences(event);
+    if (futures.length > 0) {
+      await Event.updateMany({ _id: { $in: futures.map(future => future._id) } }, { $set: update });
+    }
+
+    // updateMany skips the save hook, so recompute the instants of each later occurrence here
+    if (futures.length > 0 && shared.some(field => SCHEDULE_FIELDS.includes(field))) {
+      await Event.bulkWrite(futures.map(future => ({
+        updateOne: {
+          filter: { _id: future._id },
+          update: { $set: Event.getInstants({ ...future.toObject({ virtuals: false }), ...update }) }
+        }
+      })));
+    }
+
+    for (const future of addedSuppliers.length > 0 ? futures : []) {
+      const occurrence = await Event.findById(future._id);
+      for (const supplier of addedSuppliers) {
+        // Occurrences that already requested this service keep their own request
+        const alreadyRequested = occurrence.suppliers.some(existing =>
+          existing.supplierId.toString() === supplier.supplierId.toString() &&
+          existing.serviceId.toString() === supplier.serviceId.toString());
+        if (alreadyRequested) continue;
+
+        await occurrence.addSupplierWithDetails(supplier.supplierId, supplier.serviceId, {
+          requestedPrice: supplier.requestedPrice,
+          notes: supplier.notes,
+          priority: supplier.priority,
+          selectedPackageId: supplier.selectedPackageId,
+          packageDetails: supplier.packageDetails
+        });
+      }
+    }
+
+    const seriesUpdate = {};
+    for (const field of shared) {
+      if (TEMPLATE_FIELDS.includes(field)) seriesUpdate[`template.${field}`] = values[field];
+      if (['name', ...SCHEDULE_FIELDS].includes(field)) seriesUpdate[field] = values[field];
+    }
+    if (addedSuppliers.length > 0) {
+      seriesUpdate['template.suppliers'] = event.suppliers.map(toTemplateSupplier);
+    }
+    if (Object.keys(seriesUpdate).length > 0) {
+      await EventSeries.updateOne({ _id: event.series.seriesId }, { $set: seriesUpdate });
+    }
+
+    return futures.length;
+  }
+
+  // Active bookings and unexpired holds on an occurrence
+  async countActiveBookings(eventId) {
+    const [bookings, holds] = await Promise.all([
+      Attendee.countDocuments({ eventId, bookingStatus: { $in: ACTIVE_BOOKING_STATUSES } }),
+      TicketHold.countDocuments({ eventId, status: 'active', expiresAt: { $gt: new Date() } })
+    ]);
+    return bookings + holds;
+  }
+
+  async removeOccurrence(event) {
+    await Ticket.deleteMany({ eventId: event._id });
+    await Event.deleteOne({ _id: event._id });
+  }
+
+  // Take one occurrence out of the series. Occurrences people have booked are kept until
+  // their bookings are cancelled or refunded.
+  async skipOccurrence(series, event) {
+    if (!event.series?.seriesId?.equals(series._id)) {
+      throw seriesError('Event is not an occurrence of this series', 404);
+    }
+
+    if (await this.countActiveBookings(event._id) > 0) {
+      throw seriesError('This occurrence has bookings. Cancel or refund them before removing it from the series.', 409);
+    }
+
+    await this.removeOccurrence(event);
+    await EventSeries.updateOne(
+      { _id: series._id },
+      { $addToSet: { 'recurrence.exceptions': event.series.originalStartDate } }
+    );
+  }
+
+  // End a series: remove its upcoming occurrences, except those people have booked
+  async endSeries(series) {
+    const upcoming = await Event.find({
+      'series.seriesId': series._id,
+      startsAt: { $gt: new Date() }
+    }).select('name startDate startsAt series');
+
+    const kept = [];
+    let removed = 0;
+    for (const event of upcoming) {
+      const bookings = await this.countActiveBookings(event._id);
+      if (bookings > 0) {
+        kept.push({ _id: event._id, name: event.name, startDate: event.startDate, bookings });
+        continue;
+      }
+      await this.removeOccurrence(event);
+      removed += 1;
+    }
+
+    series.status = 'ended';
+    series.endedAt = new Date();
+    await series.save();
+
+    return { removed, kept };
+  }
+}
+
+module.exports = new EventSeriesService();
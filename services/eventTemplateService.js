@@ -0,0 +1,228 @@
+const Event = require('../models/Event');
+const EventTemplate = require('../models/EventTemplate');
+const Ticket = require('../models/Ticket');
+const timezoneService = require('./timezoneService');
+
+// Build an error the routes can answer with its status code
+const templateError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event setup a duplicate or template carries over; dates, status, sales and attendee
+// data stay with the original event
+const SETUP_FIELDS = [
+  'description', 'image', 'category', 'language', 'location', 'requiredServices',
+  'timezone', 'isPublic', 'donations', 'antiFraud', 'registrationForm', 'tags'
+];
+
+// Supplier requests that were turned down or withdrawn are not asked again
+const INACTIVE_SUPPLIER_STATUSES = ['cancelled', 'rejected'];
+
+// Drop empty values, which the event creation schema would reject
+const compact = object => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+// "7:00 PM" style times as "19:00", the format event creation accepts
+const toTime24 = time => {
+  const parsed = timezoneService.parseTime(time);
+  if (!parsed) return time;
+  return `${String(parsed.hours).padStart(2, '0')}:${String(parsed.minutes).padStart(2, '0')}`;
+};
+
+const withoutId = ({ _id, ...rest }) => compact(rest);
+
+const shiftDate = (date, shift) => (date ? new Date(new Date(date).getTime() + shift) : undefined);
+
+const toSupplierRequest = supplier => compact({
+  supplierId: supplier.supplierId,
+  serviceId: supplier.serviceId,
+  selectedPackageId: supplier.selectedPackageId,
+  packageDetails: supplier.packageDetails,
+  requestedPrice: supplier.requestedPrice,
+  notes: supplier.notes,
+  priority: supplier.priority
+});
+
+// A ticket type (as a plain object) in the shape event creation accepts. With a date shift
+// (duplicates) dated pricing tiers move along with the event; without one (templates) only
+// sold-count tiers stay.
+const toTicketInput = (ticket, shift = null) => compact({
+  title: ticket.title,
+  description: ticket.description,
+  type: ticket.type,
+  price: { amount: ticket.price.amount, currency: ticket.price.currency },
+  pricingTiers: (ticket.pricingTiers || [])
+    .filter(tier => shift !== null || tier.maxSold)
+    .map(tier => compact({
+      name: tier.name,
+      price: tier.price,
+      maxSold: tier.maxSold,
+      startDate: shift !== null ? shiftDate(tier.startDate, shift) : undefined,
+      endDate: shift !== null ? shiftDate(tier.endDate, shift) : undefined
+    })),
+  quantity: ticket.quantity.total,
+  restrictions: ticket.restrictions,
+  transferPolicy: { allowed: ticket.transferPolicy?.allowed !== false }
+});
+
+class EventTemplateService {
+  getActiveSupplierRequests(event) {
+    return (event.suppliers || [])
+      .filter(supplier => !INACTIVE_SUPPLIER_STATUSES.includes(supplier.status))
+      .map(toSupplierRequest);
+  }
+
+  getSellableTickets(eventId) {
+    return Ticket.find({ eventId, status: { $ne: 'cancelled' } }).sort({ createdAt: 1 });
+  }
+
+  // Copy an event to new dates: its setup, ticket types and supplier requests, with a
+  // fresh status, no sales and no attendees. Ticket types go on sale from now until the
+  // new event ends; capacity pools and seat maps are not copied.
+  async duplicateEvent(source, { startDate, endDate, name, password }) {
+    const values = source.toObject({ virtuals: false });
+    const shift = new Date(startDate).getTime() - new Date(source.startDate).getTime();
+
+    if (!values.isPublic && !password) {
+      throw templateError('A password is required to duplicate a private event', 400);
+    }
+
+    const eventData = {
+      name: name || `${source.name} (copy)`,
+      producerId: source.producerId,
+      startDate,
+      endDate: endDate || shiftDate(source.endDate, shift),
+      startTime: toTime24(source.startTime),
+      endTime: toTime24(source.endTime),
+      bankDetails: values.bankDetails,
+      password,
+      suppliers: this.getActiveSupplierRequests(values).map(supplier => ({ ...supplier, status: 'pending' })),
+      ticketInfo: {
+        availableTickets: 0,
+        soldTickets: 0,
+        reservedTickets: 0,
+        priceRange: { min: 0, max: 0 },
+        isFree: true
+      }
+    };
+    for (const field of SETUP_FIELDS) {
+      if (values[field] !== undefined) eventData[field] = values[field];
+    }
+
+    const event = await Event.create(eventData);
+    try {
+      const tickets = await this.getSellableTickets(source._id);
+      if (tickets.length > 0) {
+        await Ticket.insertMany(tickets.map(ticket => {
+          const values = ticket.toObject();
+          return Ticket.buildForEvent(event, {
+            ...toTicketInput(values, shift),
+            price: values.price,
+            pricingMode: values.pricingMode,
+            refundPolicy: values.refundPolicy
+          });
+        }));
+        await event.updateTicketInfo();
+      }
+    } catch (error) {
+      await Ticket.deleteMany({ eventId: event._id });
+      await Event.deleteOne({ _id: event._id });
+      throw error;
+    }
+
+    return event;
+  }
+
+  // The template content of an event, for saving it as a template
+  async captureEvent(event) {
+    const values = event.toObject({ virtuals: false });
+    const durationDays = Math.max(0, Math.round((new Date(values.endDate) - new Date(values.startDate)) / DAY_MS));
+
+    const setup = { startTime: toTime24(values.startTime), endTime: toTime24(values.endTime), durationDays };
+    for (const field of SETUP_FIELDS) {
+      if (values[field] !== undefined) setup[field] = values[field];
+    }
+
+    const tickets = await this.getSellableTickets(event._id);
+
+    return {
+      sourceEventId: event._id,
+      event: setup,
+      tickets: tickets.map(ticket => toTicketInput(ticket.toObject())),
+      suppliers: this.getActiveSupplierRequests(values)
+    };
+  }
+
+  // A template the producer owns; admins may use any
+  async getUsableTemplate(templateId, user) {
+    const template = await EventTemplate.findById(templateId);
+    if (!template || (user.role !== 'admin' && !template.producerId.equals(user._id))) {
+      throw templateError('Event template not found', 404);
+    }
+    return template;
+  }
+
+  // Event creation input from a template, with the fields given in eventData taking
+  // precedence. Without an end date the event lasts as many days as the template's.
+  applyTemplate(template, eventData) {
+    const { event: setup, tickets, suppliers } = template.toObject();
+
+    const input = compact({
+      description: setup.description,
+      image: setup.image,
+      category: setup.category,
+      language: setup.language,
+      location: setup.location,
+      requiredServices: setup.requiredServices?.length ? setup.requiredServices : undefined,
+      startTime: setup.startTime,
+      endTime: setup.endTime,
+      timezone: setup.timezone,
+      isPublic: setup.isPublic,
+      donations: setup.donations,
+      antiFraud: setup.antiFraud,
+      tags: setup.tags?.length ? setup.tags : undefined,
+      tickets: tickets.length
+        ? tickets.map(({ _id, pricingTiers, ...ticket }) => compact({
+          ...ticket,
+          pricingTiers: pricingTiers.map(withoutId)
+        }))
+        : undefined,
+      suppliers: suppliers.length
+        ? suppliers.map(supplier => ({
+          supplierId: supplier.supplierId.toString(),
+          services: [compact({
+            serviceId: supplier.serviceId.toString(),
+            selectedPackageId: supplier.selectedPackageId?.toString(),
+            packageDetails: supplier.packageDetails,
+            requestedPrice: supplier.requestedPrice,
+            notes: supplier.notes,
+            priority: supplier.priority
+          })]
+        }))
+        : undefined
+    });
+
+    const merged = { ...input, ...eventData };
+    if (merged.startDate && !merged.endDate) {
+      const startDate = new Date(merged.startDate);
+      if (!isNaN(startDate)) {
+        merged.endDate = new Date(startDate.getTime() + (setup.durationDays || 0) * DAY_MS);
+      }
+    }
+    return merged;
+  }
+
+  async recordUse(template) {
+    await EventTemplate.updateOne(
+      { _id: template._id },
+      { $inc: { timesUsed: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+  }
+}
+
+module.exports = new EventTemplateService();
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Attendee = require('../models/Attendee');
+const RegistrationAttempt = require('../models/RegistrationAttempt');
+const StubChallengeVerifier = require('./challengeVerifiers/stubVerifier');
+
+// Build an error the routes can answer with its status code
+const fraudError = (message, statusCode, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Bookings that still hold tickets count towards purchase limits
+const ACTIVE_BOOKING_STATUSES = ['confirmed', 'pending'];
+
+// Challenge verifiers implement:
+//   verify(token, { ip }) -> { success, reason? }
+//   getClientConfig()     -> what the client needs to render the challenge (provider, site key...)
+class FraudService {
+  constructor() {
+    this.verifiers = {};
+    const isProduction = process.env.NODE_ENV === 'production';
+
+    // The stub passes a token anyone can read, so it can't guard real checkouts
+    if (!isProduction) {
+      this.registerVerifier(new StubChallengeVerifier());
+    }
+
+    this.defaultVerifier = process.env.CHALLENGE_PROVIDER || (isProduction ? null : 'stub');
+    if (isProduction && !this.verifiers[this.defaultVerifier]) {
+      console.error('❌ CHALLENGE_PROVIDER is not set to a configured challenge provider; challenged checkouts will fail');
+    }
+    // Velocity window, and how many checkout attempts from one IP or device within it
+    // require a challenge or are refused outright
+    this.windowMinutes = parseInt(process.env.FRAUD_VELOCITY_WINDOW_MINUTES) || 10;
+    this.challengeAfterAttempts = parseInt(process.env.FRAUD_CHALLENGE_AFTER_ATTEMPTS) || 10;
+    this.blockAfterAttempts = parseInt(process.env.FRAUD_BLOCK_AFTER_ATTEMPTS) || 30;
+    // Different buyer emails one IP or device may use within the window before it looks like scalping
+    this.maxEmailsPerSource = parseInt(process.env.FRAUD_MAX_EMAILS_PER_SOURCE) || 3;
+  }
+
+  registerVerifier(verifier) {
+    this.verifiers[verifier.name] = verifier;
+  }
+
+  getVerifier(name = this.defaultVerifier) {
+    const verifier = this.verifiers[name];
+    if (!verifier) {
+      throw fraudError(`Challenge provider "${name}" is not configured`, 500);
+    }
+    return verifier;
+  }
+
+  // Where a public checkout request comes from
+  getRequestContext(req, challengeToken) {
+    const deviceFingerprint = req.get('X-Device-Fingerprint');
+    return {
+      ip: req.ip,
+      deviceFingerprint: deviceFingerprint ? deviceFingerprint.trim().slice(0, 200) : undefined,
+      challengeToken
+    };
+  }
+
+  // Tickets an email, phone or device already holds for an event, optionally for one ticket type
+  async countTicketsHeld(eventId, match, ticketId = null) {
+    const [result] = await Attendee.aggregate([
+      {
+        $match: {
+          eventId: new mongoose.Types.ObjectId(eventId),
+          bookingStatus: { $in: ACTIVE_BOOKING_STATUSES },
+          ...(ticketId && { ticketId: new mongoose.Types.ObjectId(ticketId) }),
+          ...match
+        }
+      },
+      { $group: { _id: null, tickets: { $sum: '$ticketQuantity' } } }
+    ]);
+    return result?.tickets || 0;
+  }
+
+  // Event-wide limits by email, phone and device; returns the problem or null
+  async getPurchaseLimitViolation(event, { email, phone, deviceFingerprint }, quantity) {
+    const limits = event.antiFraud || {};
+    const checks = [
+      { limit: limits.maxTicketsPerEmail, value: email, match: { email }, label: 'email address' },
+      { limit: limits.maxTicketsPerPhone, value: phone, match: { phone }, label: 'phone number' },
+      { limit: limits.maxTicketsPerDevice, value: deviceFingerprint, match: { deviceFingerprint }, label: 'device' }
+    ];
+
+    for (const { limit, value, match, label } of checks) {
+      if (!limit || !value) continue;
+
+      const held = await this.countTicketsHeld(event._id, match);
+      if (held + quantity > limit) {
+        return held > 0
+          ? `Purchase limit reached: maximum ${limit} tickets per ${label} for this event (${held} already booked)`
+          : `Purchase limit reached: maximum ${limit} tickets per ${label} for this event`;
+      }
+    }
+    return null;
+  }
+
+  // restrictions.maxPerPerson across every booking a person (by email or phone) holds; returns the problem or null
+  async getMaxPerPersonViolation(eventId, lines, { email, phone }) {
+    const person = [email && { email }, phone && { phone }].filter(Boolean);
+    if (person.length === 0) {
+      return null;
+    }
+
+    // The same ticket type can appear on several lines of one checkout
+    const byTicket = new Map();
+    for (const { ticket, quantity } of lines) {
+      if (!ticket?.restrictions?.maxPerPerson) continue;
+      const key = ticket._id.toString();
+      byTicket.set(key, { ticket, quantity: (byTicket.get(key)?.quantity || 0) + quantity });
+    }
+
+    for (const { ticket, quantity } of byTicket.values()) {
+      const max = ticket.restrictions.maxPerPerson;
+      const held = await this.countTicketsHeld(eventId, { $or: person }, ticket._id);
+      if (held + quantity > max) {
+        return held > 0
+          ? `Maximum ${max} tickets allowed per person for ${ticket.title}. You already have ${held}.`
+          : `Maximum ${max} tickets allowed per person for ${ticket.title}`;
+      }
+    }
+    return null;
+  }
+
+  // Recent attempts from the same IP or device, and the buyer emails they used
+  async getVelocity({ ip, deviceFingerprint }) {
+    const sources = [ip && { ip }, deviceFingerprint && { deviceFingerprint }].filter(Boolean);
+    if (sources.length === 0) {
+      return { attempts: 0, emails: [] };
+    }
+
+    const since = new Date(Date.now() - this.windowMinutes * 60 * 1000);
+    const [result] = await RegistrationAttempt.aggregate([
+      { $match: { createdAt: { $gt: since }, $or: sources } },
+      { $group: { _id: null, attempts: { $sum: 1 }, emails: { $addToSet: '$email' } } }
+    ]);
+
+    return {
+      attempts: result?.attempts || 0,
+      emails: (result?.emails || []).filter(Boolean)
+    };
+  }
+
+  async verifyChallenge(token, ip) {
+    const result = await this.getVerifier().verify(token, { ip });
+    return Boolean(result?.success);
+  }
+
+  // Screen a public checkout before any inventory is taken. Throws when the checkout is
+  // refused or needs a challenge first; otherwise returns what to record on the bookings.
+  // `lines` are { ticket, quantity } with ticket null for embedded ticket types.
+  // `screened` is the outcome a hold already got: its velocity check, challenge and recorded
+  // attempt stand, so only the purchase limits are checked again now the buyer is known.
+  async screenCheckout({ event, lines, email, phone, context, screened = null }) {
+    const { ip, deviceFingerprint, challengeToken } = context;
+    const normalizedEmail = email?.toLowerCase();
+    const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+    if (screened) {
+      const limitViolation = await this.getLimitViolation(event, lines, quantity, {
+        email: normalizedEmail,
+        phone,
+        deviceFingerprint: screened.deviceFingerprint
+      });
+      if (limitViolation) {
+        throw fraudError(limitViolation, 400);
+      }
+      return this.toScreening(screened.registrationIp, screened.deviceFingerprint, screened.fraudReasons || []);
+    }
+
+    const recordAttempt = outcome => RegistrationAttempt.create({
+      eventId: event._id,
+      ip,
+      deviceFingerprint,
+      email: normalizedEmail,
+      phone,
+      ticketQuantity: quantity,
+      outcome
+    });
+
+    const velocity = await this.getVelocity({ ip, deviceFingerprint });
+    const emailCount = velocity.emails.length +
+      (normalizedEmail && !velocity.emails.includes(normalizedEmail) ? 1 : 0);
+
+    if (velocity.attempts + 1 > this.blockAfterAttempts) {
+      await recordAttempt('blocked');
+      throw fraudError('Too many booking attempts. Please try again later.', 429);
+    }
+
+    const reasons = [];
+    if (velocity.attempts + 1 > this.challengeAfterAttempts) {
+      reasons.push(`${velocity.attempts + 1} checkout attempts from the same IP or device within ${this.windowMinutes} minutes`);
+    }
+    if (emailCount > this.maxEmailsPerSource) {
+      reasons.push(`${emailCount} different emails used from the same IP or device within ${this.windowMinutes} minutes`);
+    }
+
+    const limitViolation = await this.getLimitViolation(event, lines, quantity, {
+      email: normalizedEmail,
+      phone,
+      deviceFingerprint
+    });
+    if (limitViolation) {
+      await recordAttempt('blocked');
+      throw fraudError(limitViolation, 400);
+    }
+
+    // Suspicious checkouts, and every checkout for events that ask for it, must pass a challenge
+    if (reasons.length > 0 || event.antiFraud?.requireChallenge) {
+      const verifier = this.getVerifier();
+      if (!challengeToken) {
+        await recordAttempt('challenged');
+        throw fraudError('Please complete the verification challenge to continue', 428, {
+          challenge: verifier.getClientConfig()
+        });
+      }
+
+      if (!(await this.verifyChallenge(challengeToken, ip))) {
+        await recordAttempt('challenged');
+        throw fraudError('Verification challenge failed. Please try again.', 403, {
+          challenge: verifier.getClientConfig()
+        });
+      }
+    }
+
+    await recordAttempt('allowed');
+
+    return this.toScreening(ip, deviceFingerprint, reasons);
+  }
+
+  // The event's purchase limits, then restrictions.maxPerPerson; returns the problem or null
+  async getLimitViolation(event, lines, quantity, { email, phone, deviceFingerprint }) {
+    return await this.getPurchaseLimitViolation(event, { email, phone, deviceFingerprint }, quantity) ||
+      await this.getMaxPerPersonViolation(event._id, lines, { email, phone });
+  }
+
+  // What to record on the bookings of a checkout that got through
+  toScreening(ip, deviceFingerprint, reasons) {
+    return {
+      registrationIp: ip,
+      deviceFingerprint,
+      // Passing the challenge lets the checkout through, but the organizer still gets to review it
+      fraudReview: reasons.length > 0
+        ? { flagged: true, reasons, status: 'pending' }
+        : undefined
+    };
+  }
+}
+
+module.exports = new FraudService();
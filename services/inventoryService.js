@@ -0,0 +1,205 @@
+const Attendee = require('../models/Attendee');
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const Seat = require('../models/Seat');
+const InventoryPool = require('../models/InventoryPool');
+const PromoCode = require('../models/PromoCode');
+const waitlistService = require('./waitlistService');
+const addOnService = require('./addOnService');
+const sessionService = require('./sessionService');
+
+// Build an error the routes can answer with its status code
+const inventoryError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class InventoryService {
+  // Put a booking's tickets (with reserved seats, add-ons and session places) back on sale and keep the event counters in step
+  async releaseBooking(attendee) {
+    const eventId = attendee.eventId?._id || attendee.eventId;
+    const ticketId = attendee.ticketId?._id || attendee.ticketId;
+
+    await this.releasePromoRedemption(attendee);
+
+    if (attendee.seats?.length) {
+      await Seat.releaseForAttendee(attendee._id);
+    }
+
+    if (attendee.addOns?.length) {
+      await addOnService.returnLines(attendee.addOns);
+    }
+
+    if (attendee.sessionRegistrations?.length) {
+      await sessionService.releaseRegistrations(attendee);
+    }
+
+    if (ticketId) {
+      const ticket = await Ticket.returnSoldAtomically(ticketId, attendee.ticketQuantity);
+      await Ticket.syncSoldOutStatus(ticketId);
+      await Event.findById(eventId).then(event => event?.updateTicketInfo());
+
+      // Offer the freed tickets to the next people on the waitlist
+      await this.processWaitlists(ticket || { _id: ticketId });
+      return;
+    }
+
+    // Embedded ticket types only have the event's manual counter
+    await Event.updateOne(
+      { _id: eventId, 'ticketInfo.soldTickets': { $gte: attendee.ticketQuantity } },
+      { $inc: { 'ticketInfo.soldTickets': -attendee.ticketQuantity } }
+    );
+  }
+
+  // Give back the promo code use of a booking's checkout once none of its bookings are
+  // still live. A code is redeemed once per checkout, so it is only released once.
+  async releasePromoRedemption(attendee) {
+    if (!attendee.promoCodeId || !attendee.orderReference) return;
+
+    const order = { orderReference: attendee.orderReference, promoCodeId: attendee.promoCodeId };
+    const stillLive = await Attendee.exists({
+      ...order,
+      _id: { $ne: attendee._id },
+      bookingStatus: { $in: ['pending', 'confirmed'] }
+    });
+    if (stillLive) return;
+
+    const { modifiedCount } = await Attendee.updateMany(
+      { ...order, promoReleasedAt: { $exists: false } },
+      { $set: { promoReleasedAt: new Date() } }
+    );
+    if (modifiedCount > 0) {
+      await PromoCode.releaseRedemption(attendee.promoCodeId);
+    }
+  }
+
+  // Run the waitlist of a ticket type, or of every type sharing its pool
+  async processWaitlists(ticket) {
+    const ticketIds = ticket.poolId
+      ? (await Ticket.find({ poolId: ticket.poolId }).select('_id')).map(t => t._id)
+      : [ticket._id];
+
+    for (const ticketId of ticketIds) {
+      await waitlistService.processQueue(ticketId);
+    }
+  }
+
+  // A pool with the live totals of the ticket types drawing from it
+  async getPoolSummary(pool) {
+    const tickets = await Ticket.find({ poolId: pool._id }).select('title type quantity status');
+
+    return {
+      ...pool.toObject({ virtuals: true }),
+      tickets: tickets.map(ticket => ({
+        _id: ticket._id,
+        title: ticket.title,
+        type: ticket.type,
+        status: ticket.status,
+        allocation: ticket.quantity.available,
+        sold: ticket.quantity.sold,
+        reserved: ticket.quantity.reserved,
+        remaining: Math.min(ticket.remainingQuantity, pool.remaining)
+      }))
+    };
+  }
+
+  // Move a ticket type into a pool (or out of any pool with poolId null), carrying its
+  // sold and held tickets with it. The new pool must have room for them.
+  async assignTicketToPool(ticket, poolId) {
+    const currentPoolId = ticket.poolId || null;
+    if (String(currentPoolId) === String(poolId)) {
+      return ticket;
+    }
+
+    const { sold = 0, reserved = 0 } = ticket.quantity;
+    let pool = null;
+
+    if (poolId) {
+      pool = await InventoryPool.findOne({ _id: poolId, eventId: ticket.eventId?._id || ticket.eventId });
+      if (!pool) {
+        throw inventoryError('Inventory pool not found for this event', 404);
+      }
+
+      const taken = await InventoryPool.findOneAndUpdate(
+        { _id: pool._id, $expr: { $gte: [{ $subtract: ['$capacity', { $add: ['$sold', '$reserved'] }] }, sold + reserved] } },
+        { $inc: { sold, reserved } },
+        { new: true }
+      );
+      if (!taken) {
+        throw inventoryError(`${pool.name} doesn't have room for the ${sold + reserved} ${ticket.title} tickets already sold or held`, 409);
+      }
+    }
+
+    // Only move while the counters carried over are still the ticket's
+    const moved = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, poolId: currentPoolId, 'quantity.sold': sold, 'quantity.reserved': reserved },
+      { $set: { poolId: poolId || null } },
+      { new: true }
+    );
+
+    if (!moved) {
+      if (pool) {
+        await InventoryPool.updateOne({ _id: pool._id }, { $inc: { sold: -sold, reserved: -reserved } });
+      }
+      throw inventoryError(`${ticket.title} was sold while it was being moved. Please try again.`, 409);
+    }
+
+    if (currentPoolId) {
+      await InventoryPool.updateOne({ _id: currentPoolId }, { $inc: { sold: -sold, reserved: -reserved } });
+      // Types left behind may have room again
+      await this.syncPool(currentPoolId);
+    }
+
+    await Ticket.syncSoldOutStatus(moved._id);
+    await Event.findById(moved.eventId).then(event => event?.updateTicketInfo());
+
+    ticket.poolId = moved.poolId;
+    return moved;
+  }
+
+  // Change a pool's capacity; it can't drop below what is already sold or held
+  async resizePool(pool, capacity) {
+    const resized = await InventoryPool.resizeAtomically(pool._id, capacity);
+    if (!resized) {
+      const current = await InventoryPool.findById(pool._id);
+      throw inventoryError(`Capacity cannot be lower than the ${current.sold + current.reserved} tickets already sold or held`, 400);
+    }
+
+    await this.syncPool(resized._id);
+    if (capacity > pool.capacity) {
+      const ticket = await Ticket.findOne({ poolId: resized._id }).select('poolId');
+      if (ticket) {
+        await this.processWaitlists(ticket);
+      }
+    }
+
+    return resized;
+  }
+
+  // Take every ticket type out of a pool and delete it
+  async deletePool(pool) {
+    await Ticket.updateMany({ poolId: pool._id }, { $set: { poolId: null } });
+    await InventoryPool.deleteOne({ _id: pool._id });
+
+    const tickets = await Ticket.find({ eventId: pool.eventId }).select('_id');
+    for (const ticket of tickets) {
+      await Ticket.syncSoldOutStatus(ticket._id);
+    }
+    await Event.findById(pool.eventId).then(event => event?.updateTicketInfo());
+  }
+
+  // Re-derive sold-out status of a pool's ticket types and the event counters
+  async syncPool(poolId) {
+    const pool = await InventoryPool.findById(poolId);
+    if (!pool) return;
+
+    const ticket = await Ticket.findOne({ poolId }).select('_id');
+    if (ticket) {
+      await Ticket.syncSoldOutStatus(ticket._id);
+    }
+    await Event.findById(pool.eventId).then(event => event?.updateTicketInfo());
+  }
+}
+
+module.exports = new InventoryService();
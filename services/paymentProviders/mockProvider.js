@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// Local sandbox gateway. Nothing leaves the server: intents are accepted as-is,
+// captures and refunds always succeed, and buildWebhook produces signed events
+// exactly as a real provider would deliver them, for tests and local checkout.
+// Never registered in production (see PaymentService). Without MOCK_PAYMENT_WEBHOOK_SECRET
+// each process signs with its own random secret, so only it can build valid webhooks.
+class MockPaymentProvider {
+  constructor() {
+    this.name = 'mock';
+    this.webhookSecret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+    this.signatureHeader = 'x-mock-signature';
+  }
+
+  generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  async createIntent({ amount, currency, reference }) {
+    const providerPaymentId = this.generateId('mock_pi');
+    return {
+      providerPaymentId,
+      clientSecret: `${providerPaymentId}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      checkoutUrl: `${process.env.FRONTEND_URL}/checkout/mock?payment=${providerPaymentId}&reference=${reference}&amount=${amount}&currency=${currency}`,
+      status: 'requires_payment'
+    };
+  }
+
+  async capture(providerPaymentId, amount) {
+    return { status: 'succeeded', amount };
+  }
+
+  async refund(providerPaymentId, amount) {
+    return { providerRefundId: this.generateId('mock_re'), status: 'succeeded', amount };
+  }
+
+  async cancel() {
+    return { status: 'cancelled' };
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  // Build a signed webhook delivery: { body, headers }
+  buildWebhook({ type, providerPaymentId, amount, failureReason }) {
+    const body = JSON.stringify({
+      id: this.generateId('mock_evt'),
+      type,
+      data: { providerPaymentId, amount, failureReason },
+      createdAt: new Date().toISOString()
+    });
+    return { body, headers: { [this.signatureHeader]: this.sign(body) } };
+  }
+
+  // Verify a webhook delivery and normalize it to { id, type, providerPaymentId, amount, failureReason }.
+  // Returns null when the signature does not match.
+  parseWebhook(rawBody, headers) {
+    const signature = headers[this.signatureHeader];
+    if (!rawBody || typeof signature !== 'string') return null;
+
+    const expected = Buffer.from(this.sign(rawBody));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    return {
+      id: event.id,
+      type: event.type,
+      providerPaymentId: event.data?.providerPaymentId,
+      amount: event.data?.amount,
+      failureReason: event.data?.failureReason
+    };
+  }
+}
+
+module.exports = MockPaymentProvider;
@@ -0,0 +1,289 @@
+const Payment = require('../models/Payment');
+const Attendee = require('../models/Attendee');
+const inventoryService = require('./inventoryService');
+const ticketPdfService = require('./ticketPdfService');
+const MockPaymentProvider = require('./paymentProviders/mockProvider');
+
+// Build an error the routes can answer with its status code
+const paymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Payment providers implement:
+//   createIntent({ amount, currency, reference, email }) -> { providerPaymentId, clientSecret, checkoutUrl, status }
+//   capture(providerPaymentId, amount)                   -> { status: 'succeeded' | 'failed', failureReason? }
+//   refund(providerPaymentId, amount)                    -> { providerRefundId, status }
+//   cancel(providerPaymentId)                            -> { status }
+//   parseWebhook(rawBody, headers)                       -> { id, type, providerPaymentId, amount, failureReason } | null
+// Webhook types: payment.authorized, payment.succeeded, payment.failed
+class PaymentService {
+  constructor() {
+    this.providers = {};
+    const isProduction = process.env.NODE_ENV === 'production';
+
+    // The sandbox gateway confirms anything it is told to, so it can't take real orders
+    if (!isProduction) {
+      this.registerProvider(new MockPaymentProvider());
+    }
+
+    this.defaultProvider = process.env.PAYMENT_PROVIDER || (isProduction ? null : 'mock');
+    if (isProduction && !this.providers[this.defaultProvider]) {
+      console.error('❌ PAYMENT_PROVIDER is not set to a configured payment provider; paid checkouts will fail');
+    }
+    // How long a buyer has to pay before the booked tickets go back on sale
+    this.timeoutMinutes = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 30;
+  }
+
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  hasProvider(name) {
+    return Boolean(this.providers[name]);
+  }
+
+  getProvider(name = this.defaultProvider) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw paymentError(`Payment provider "${name}" is not configured`, 500);
+    }
+    return provider;
+  }
+
+  // Start paying for a checkout's pending bookings
+  async createPayment({ orderReference, eventId, attendees, amount, currency = 'ILS', email }) {
+    const provider = this.getProvider();
+    const intent = await provider.createIntent({ amount, currency, reference: orderReference, email });
+
+    return Payment.create({
+      orderReference,
+      eventId,
+      attendeeIds: attendees.map(a => a._id),
+      email,
+      amount,
+      currency,
+      provider: provider.name,
+      providerPaymentId: intent.providerPaymentId,
+      clientSecret: intent.clientSecret,
+      checkoutUrl: intent.checkoutUrl,
+      status: intent.status || 'requires_payment',
+      expiresAt: new Date(Date.now() + this.timeoutMinutes * 60 * 1000)
+    });
+  }
+
+  // Verify and apply a provider webhook. Returns false for bad signatures.
+  async handleWebhook(providerName, rawBody, headers) {
+    const event = this.getProvider(providerName).parseWebhook(rawBody, headers);
+    if (!event) {
+      return false;
+    }
+
+    await this.handleProviderEvent(providerName, event);
+    return true;
+  }
+
+  // Apply a normalized provider event once; redeliveries of the same event id are ignored
+  async handleProviderEvent(providerName, event) {
+    const payment = await Payment.findOneAndUpdate(
+      { provider: providerName, providerPaymentId: event.providerPaymentId, processedEvents: { $ne: event.id } },
+      { $push: { processedEvents: event.id } },
+      { new: true }
+    );
+
+    if (!payment) {
+      return null;
+    }
+
+    switch (event.type) {
+      case 'payment.authorized':
+        return this.capture(payment, event.amount);
+      case 'payment.succeeded':
+        return this.markSucceeded(payment, event.amount);
+      case 'payment.failed':
+        return this.markFailed(payment, 'failed', event.failureReason || 'Payment was declined');
+      default:
+        console.log(`Ignoring ${providerName} payment event ${event.type}`);
+        return payment;
+    }
+  }
+
+  // Whether the provider reported the order's amount (compared in minor units)
+  matchesAmount(payment, amount) {
+    return Math.round(Number(amount) * 100) === Math.round(payment.amount * 100);
+  }
+
+  // Capture an authorized payment, if the provider authorized the order's amount
+  async capture(payment, amount) {
+    if (!this.matchesAmount(payment, amount)) {
+      const failed = await this.markFailed(payment, 'failed', `Authorized amount ${amount} does not match the order amount ${payment.amount}`);
+      if (failed) {
+        await this.cancelWithProvider(payment);
+      }
+      return failed;
+    }
+
+    const authorized = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'requires_payment' },
+      { $set: { status: 'authorized', authorizedAt: new Date() } },
+      { new: true }
+    );
+    if (!authorized) {
+      return this.refundLatePayment(payment);
+    }
+
+    const result = await this.getProvider(payment.provider).capture(payment.providerPaymentId, payment.amount);
+    if (result.status !== 'succeeded') {
+      return this.markFailed(authorized, 'failed', result.failureReason || 'Payment could not be captured');
+    }
+
+    return this.markSucceeded(authorized, payment.amount);
+  }
+
+  // Confirm the bookings behind a paid payment and send their e-tickets. A payment of the
+  // wrong amount fails the order, and whatever was paid is refunded.
+  async markSucceeded(payment, amount) {
+    if (!this.matchesAmount(payment, amount)) {
+      const failed = await this.markFailed(payment, 'failed', `Paid amount ${amount} does not match the order amount ${payment.amount}`);
+      if (failed && Number(amount) > 0) {
+        console.warn(`Refunding mismatched payment ${payment.providerPaymentId} for order ${payment.orderReference}`);
+        return this.refund(failed, Number(amount), { reason: 'Paid amount did not match the order', force: true });
+      }
+      return failed;
+    }
+
+    const succeeded = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['requires_payment', 'authorized'] } },
+      { $set: { status: 'succeeded', capturedAt: new Date() } },
+      { new: true }
+    );
+    if (!succeeded) {
+      return this.refundLatePayment(payment);
+    }
+
+    await Attendee.updateMany(
+      { _id: { $in: succeeded.attendeeIds }, paymentStatus: 'pending', bookingStatus: 'pending' },
+      { $set: { paymentStatus: 'completed', bookingStatus: 'confirmed', updatedAt: new Date() } }
+    );
+
+    const attendees = await Attendee.find({ _id: { $in: succeeded.attendeeIds }, bookingStatus: 'confirmed' });
+    if (attendees.length > 0) {
+      await ticketPdfService.sendETickets(attendees);
+    }
+
+    return succeeded;
+  }
+
+  // Fail or expire a payment: cancel its bookings and put their tickets back on sale
+  async markFailed(payment, status, reason) {
+    const failed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['requires_payment', 'authorized'] } },
+      { $set: { status, failureReason: reason } },
+      { new: true }
+    );
+    if (!failed) {
+      return null;
+    }
+
+    await this.releaseUnpaidBookings(failed.attendeeIds);
+    return failed;
+  }
+
+  // Cancel bookings still waiting on payment, putting their tickets (and promo redemption) back
+  async releaseUnpaidBookings(attendeeIds) {
+    const attendees = await Attendee.find({ _id: { $in: attendeeIds }, paymentStatus: 'pending', bookingStatus: 'pending' });
+    const now = new Date();
+
+    for (const attendee of attendees) {
+      const cancelled = await Attendee.findOneAndUpdate(
+        { _id: attendee._id, paymentStatus: 'pending', bookingStatus: 'pending' },
+        { $set: { paymentStatus: 'failed', bookingStatus: 'cancelled', cancelledAt: now, updatedAt: now } }
+      );
+      if (cancelled) {
+        await inventoryService.releaseBooking(cancelled);
+      }
+    }
+  }
+
+  // Money arrived after the payment expired or failed and its tickets were released: give it back
+  async refundLatePayment(payment) {
+    const current = await Payment.findById(payment._id);
+    if (!current || !['failed', 'expired'].includes(current.status) || current.refundedAmount > 0) {
+      return current;
+    }
+
+    console.warn(`Refunding late payment ${current.providerPaymentId} for expired order ${current.orderReference}`);
+    return this.refund(current, current.amount, { reason: 'Payment completed after the order expired', force: true });
+  }
+
+  // Refund part or all of a payment through its provider
+  async refund(payment, amount, { refundRequestId = null, reason = null, force = false } = {}) {
+    if (!force && amount > payment.refundableAmount) {
+      throw paymentError(`Only ${payment.refundableAmount} can be refunded on this payment`, 400);
+    }
+
+    const result = await this.getProvider(payment.provider).refund(payment.providerPaymentId, amount);
+    if (result.status !== 'succeeded') {
+      throw paymentError('Payment provider declined the refund', 502);
+    }
+
+    const refundedAmount = (payment.refundedAmount || 0) + amount;
+    const update = {
+      $inc: { refundedAmount: amount },
+      $push: { refunds: { amount, providerRefundId: result.providerRefundId, refundRequestId, reason } }
+    };
+    if (!force) {
+      update.$set = { status: refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded' };
+    }
+
+    return Payment.findByIdAndUpdate(payment._id, update, { new: true });
+  }
+
+  // Refund a booking's share of its order's payment. Bookings without a
+  // provider payment (free, or taken before payments existed) need no money moved.
+  async refundBooking(attendee, amount, refundRequestId) {
+    if (!attendee.orderReference || amount <= 0) {
+      return null;
+    }
+
+    const payment = await Payment.findOne({ orderReference: attendee.orderReference });
+    if (!payment) {
+      return null;
+    }
+
+    return this.refund(payment, amount, { refundRequestId, reason: `Refund for booking ${attendee.bookingReference}` });
+  }
+
+  // Cancel payments nobody completed in time and release their tickets (optionally for a single event)
+  async expireStalePayments(eventId = null) {
+    const filter = { status: 'requires_payment', expiresAt: { $lte: new Date() } };
+    if (eventId) {
+      filter.eventId = eventId;
+    }
+
+    const stale = await Payment.find(filter).limit(200);
+    const expired = [];
+
+    for (const payment of stale) {
+      const result = await this.markFailed(payment, 'expired', 'Payment was not completed in time');
+      if (!result) continue;
+
+      await this.cancelWithProvider(payment);
+      expired.push(result);
+    }
+
+    return expired;
+  }
+
+  // Cancel a payment with its provider; the order is already failed on our side either way
+  async cancelWithProvider(payment) {
+    try {
+      await this.getProvider(payment.provider).cancel(payment.providerPaymentId);
+    } catch (error) {
+      console.error(`Failed to cancel payment ${payment.providerPaymentId}:`, error);
+    }
+  }
+}
+
+module.exports = new PaymentService();
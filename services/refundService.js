@@ -0,0 +1,175 @@
+const Attendee = require('../models/Attendee');
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const RefundRequest = require('../models/RefundRequest');
+const inventoryService = require('./inventoryService');
+const paymentService = require('./paymentService');
+const emailService = require('./emailService');
+
+// Build an error the routes can answer with its status code
+const refundError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class RefundService {
+  // Work out what a booking would get back under its ticket's refund policy. Its add-ons
+  // go back on sale with the tickets, so what was paid for them is refunded too.
+  // Embedded ticket types have no Ticket document, so they get the default policy.
+  async quote(attendee, at = new Date()) {
+    const event = await Event.findById(attendee.eventId).select('startDate startsAt');
+    if (!event) {
+      throw refundError('Event not found', 404);
+    }
+
+    const ticket = (attendee.ticketId && await Ticket.findById(attendee.ticketId)) ||
+      new Ticket({ eventId: attendee.eventId });
+
+    const paidAmount = Math.round(((attendee.totalAmount || 0) + (attendee.addOnsAmount || 0)) * 100) / 100;
+    return ticket.calculateRefund(paidAmount, attendee.ticketQuantity, event.getStartInstant(), at);
+  }
+
+  // Reason a booking can't be refunded at all, regardless of policy, or null
+  getBlockingReason(attendee) {
+    if (attendee.paymentStatus === 'refunded') return 'Booking has already been refunded';
+    if (attendee.paymentStatus !== 'completed') return 'Only paid bookings can be refunded';
+    if (attendee.admittedCount > 0 || attendee.checkedIn) return 'Checked-in bookings cannot be refunded';
+    return null;
+  }
+
+  // Open a refund request. Attendees are held to the refund policy; staff may open
+  // a request outside it and set the amount when approving.
+  async openRequest(attendee, { reason, requestedBy = 'attendee', userId = null }) {
+    const blocking = this.getBlockingReason(attendee);
+    if (blocking) {
+      throw refundError(blocking, 400);
+    }
+
+    // The money belongs to whoever paid, so refunds of transferred bookings go through staff
+    if (requestedBy === 'attendee' && attendee.previousHolders?.length) {
+      throw refundError('Transferred bookings can only be refunded by the organizer', 400);
+    }
+
+    const quote = await this.quote(attendee);
+    if (requestedBy === 'attendee' && !quote.eligible) {
+      throw refundError(quote.reason, 400);
+    }
+
+    try {
+      return await RefundRequest.create({
+        attendeeId: attendee._id,
+        eventId: attendee.eventId,
+        ticketId: attendee.ticketId,
+        bookingReference: attendee.bookingReference,
+        email: attendee.email,
+        ticketQuantity: attendee.ticketQuantity,
+        reason,
+        requestedBy,
+        requestedByUser: userId,
+        paidAmount: quote.paidAmount,
+        feeAmount: quote.feeAmount,
+        refundableAmount: quote.refundableAmount,
+        refundDeadline: quote.refundDeadline
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw refundError('A refund request for this booking is already pending', 409);
+      }
+      throw error;
+    }
+  }
+
+  // Approve a pending request: refund the booking, cancel it and release its tickets.
+  // `amount` overrides the policy amount, up to what was paid.
+  async approve(request, userId, { amount, note } = {}) {
+    const refundedAmount = amount ?? request.refundableAmount;
+    if (refundedAmount > request.paidAmount) {
+      throw refundError(`Refund cannot exceed the ${request.paidAmount} paid`, 400);
+    }
+
+    const decided = await RefundRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'approved', refundedAmount, decidedBy: userId, decidedAt: new Date(), decisionNote: note } },
+      { new: true }
+    );
+    if (!decided) {
+      throw refundError('Refund request has already been decided', 409);
+    }
+
+    // Returns the booking as it was, so we know whether its tickets were still held
+    const now = new Date();
+    const previous = await Attendee.findOneAndUpdate(
+      { _id: request.attendeeId, paymentStatus: 'completed', admittedCount: { $in: [0, null] }, checkedIn: { $ne: true } },
+      {
+        $set: {
+          paymentStatus: 'refunded',
+          refundedAt: now,
+          refundAmount: refundedAmount,
+          bookingStatus: 'cancelled',
+          updatedAt: now
+        }
+      }
+    );
+
+    const reopenRequest = () => RefundRequest.updateOne(
+      { _id: decided._id },
+      { $set: { status: 'pending' }, $unset: { refundedAmount: 1, decidedBy: 1, decidedAt: 1, decisionNote: 1 } }
+    );
+
+    if (!previous) {
+      await reopenRequest();
+      throw refundError('Booking can no longer be refunded', 409);
+    }
+
+    // Move the money last, putting the booking back as it was if the provider refuses
+    try {
+      await paymentService.refundBooking(previous, refundedAmount, decided._id);
+    } catch (error) {
+      await Attendee.updateOne(
+        { _id: previous._id },
+        {
+          $set: { paymentStatus: previous.paymentStatus, bookingStatus: previous.bookingStatus },
+          $unset: { refundedAt: 1, refundAmount: 1 }
+        }
+      );
+      await reopenRequest();
+      throw error;
+    }
+
+    if (previous.bookingStatus !== 'cancelled') {
+      await Attendee.updateOne({ _id: previous._id }, { $set: { cancelledAt: now } });
+      await inventoryService.releaseBooking(previous);
+    }
+
+    await this.notify(decided);
+    return decided;
+  }
+
+  // Reject a pending request
+  async reject(request, userId, note) {
+    const decided = await RefundRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'rejected', decidedBy: userId, decidedAt: new Date(), decisionNote: note } },
+      { new: true }
+    );
+    if (!decided) {
+      throw refundError('Refund request has already been decided', 409);
+    }
+
+    await this.notify(decided);
+    return decided;
+  }
+
+  // Tell the attendee the outcome; a failed email never undoes the decision
+  async notify(request) {
+    try {
+      const event = await Event.findById(request.eventId);
+      await emailService.sendRefundStatusEmail(request, event);
+    } catch (error) {
+      console.error(`Failed to send refund email for request ${request._id}:`, error);
+    }
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,161 @@
+const SeatMap = require('../models/SeatMap');
+const Seat = require('../models/Seat');
+const Ticket = require('../models/Ticket');
+
+// Build an error the routes can answer with its status code
+const seatingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class SeatingService {
+  // Check a buyer's seat choice for one ticket type and return the Seat documents, in the order chosen.
+  // Seated ticket types need seats; general-admission ones must not have any.
+  async validateSelection(seatMap, ticket, seatKeys = []) {
+    const seated = Boolean(ticket && seatMap?.isSeatedTicket(ticket._id));
+
+    if (!seated) {
+      if (seatKeys.length > 0) {
+        throw seatingError(`${ticket?.title || 'This ticket'} is general admission, so seats can't be chosen`, 400);
+      }
+      return [];
+    }
+
+    if (seatKeys.length === 0) {
+      throw seatingError(`Choose your seats for ${ticket.title}`, 400);
+    }
+
+    const seats = await Seat.find({ eventId: seatMap.eventId, seatKey: { $in: seatKeys } });
+
+    return seatKeys.map(seatKey => {
+      const seat = seats.find(s => s.seatKey === seatKey);
+      if (!seat) {
+        throw seatingError(`Seat ${seatKey} does not exist`, 400);
+      }
+      if (!seat.ticketId?.equals(ticket._id)) {
+        throw seatingError(`Seat ${seatKey} is not sold as ${ticket.title}`, 400);
+      }
+      if (seat.status !== 'available') {
+        throw seatingError(`Seat ${seatKey} is no longer available. Please choose another seat.`, 409);
+      }
+      return seat;
+    });
+  }
+
+  // Seat records to store on a booking
+  toBookingSeats(seats) {
+    return seats.map(seat => ({
+      seatId: seat._id,
+      seatKey: seat.seatKey,
+      section: seat.section,
+      row: seat.row,
+      number: seat.number
+    }));
+  }
+
+  // Create or replace an event's seat map and bring its seats in line
+  async saveSeatMap(eventId, layout) {
+    const ticketIds = layout.zones.map(zone => zone.ticketId);
+    const tickets = await Ticket.find({ _id: { $in: ticketIds }, eventId }).select('_id');
+    if (tickets.length !== new Set(ticketIds.map(String)).size) {
+      throw seatingError('Every zone must use a ticket type of this event', 400);
+    }
+
+    const zoneKeys = new Set(layout.zones.map(zone => zone.key));
+    const seatKeys = new Set();
+    for (const section of layout.sections) {
+      for (const row of section.rows) {
+        for (const seat of row.seats) {
+          if (!zoneKeys.has(seat.zone)) {
+            throw seatingError(`Seat ${row.label}-${seat.number} in ${section.name} uses unknown zone "${seat.zone}"`, 400);
+          }
+          const seatKey = SeatMap.buildSeatKey(section.key, row.label, seat.number);
+          if (seatKeys.has(seatKey)) {
+            throw seatingError(`Seat ${seatKey} appears more than once`, 400);
+          }
+          seatKeys.add(seatKey);
+        }
+      }
+    }
+
+    const seatMap = await SeatMap.findOne({ eventId }) || new SeatMap({ eventId });
+    seatMap.set({ name: layout.name, zones: layout.zones, sections: layout.sections });
+    await seatMap.validate();
+    await seatMap.syncSeats();
+    await seatMap.save();
+
+    return seatMap;
+  }
+
+  // The map as drawn, with every seat's live status and each zone's current price and free seats.
+  // Holds past their expiry count as available: the next checkout releases them.
+  async getMapWithAvailability(seatMap) {
+    const [seats, tickets] = await Promise.all([
+      Seat.find({ eventId: seatMap.eventId }).select('seatKey status heldUntil'),
+      Ticket.find({ _id: { $in: seatMap.zones.map(zone => zone.ticketId) } })
+    ]);
+
+    const now = new Date();
+    const statusByKey = new Map(seats.map(seat => [
+      seat.seatKey,
+      seat.status === 'held' && seat.heldUntil <= now ? 'available' : seat.status
+    ]));
+
+    const summary = {};
+    seatMap.zones.forEach(zone => {
+      summary[zone.key] = { total: 0, available: 0, held: 0, sold: 0, blocked: 0 };
+    });
+
+    const sections = seatMap.sections.map(section => ({
+      key: section.key,
+      name: section.name,
+      rows: section.rows.map(row => ({
+        label: row.label,
+        seats: row.seats.map(seat => {
+          const seatKey = SeatMap.buildSeatKey(section.key, row.label, seat.number);
+          const status = statusByKey.get(seatKey) || 'available';
+          const counts = summary[seat.zone];
+          if (counts) {
+            counts.total++;
+            counts[status]++;
+          }
+          return {
+            seatKey,
+            number: seat.number,
+            zone: seat.zone,
+            x: seat.x,
+            y: seat.y,
+            accessible: seat.accessible,
+            status
+          };
+        })
+      }))
+    }));
+
+    const zones = seatMap.zones.map(zone => {
+      const ticket = tickets.find(t => t._id.equals(zone.ticketId));
+      return {
+        key: zone.key,
+        name: zone.name,
+        color: zone.color,
+        ticketId: zone.ticketId,
+        ticketTitle: ticket?.title,
+        price: ticket ? ticket.quotePrice(1).unitPrice : null,
+        currency: ticket?.price?.currency,
+        ...summary[zone.key]
+      };
+    });
+
+    return {
+      eventId: seatMap.eventId,
+      name: seatMap.name,
+      zones,
+      sections,
+      totalSeats: seatMap.totalSeats,
+      availableSeats: zones.reduce((sum, zone) => sum + zone.available, 0)
+    };
+  }
+}
+
+module.exports = new SeatingService();
@@ -0,0 +1,181 @@
+const Attendee = require('../models/Attendee');
+const EventSession = require('../models/EventSession');
+const Speaker = require('../models/Speaker');
+const timezoneService = require('./timezoneService');
+
+// Build an error the routes can answer with its status code
+const sessionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Speaker fields shown publicly with the agenda
+const SPEAKER_PUBLIC_FIELDS = 'name jobTitle company bio photo links';
+
+class SessionService {
+  // Sessions have to take place during the event (any time on its first to last day,
+  // as those days fall in the event's timezone)
+  getScheduleViolation(event, startTime, endTime) {
+    const timezone = event.timezone || timezoneService.defaultTimezone;
+    const firstDay = timezoneService.getCalendarDate(event.startDate, timezone);
+    // An overnight event ends the day after its end date
+    const lastDay = [
+      timezoneService.getCalendarDate(event.endDate, timezone),
+      event.endsAt && timezoneService.getLocalDate(event.endsAt, timezone)
+    ].filter(Boolean).sort().pop();
+
+    // A session may run up to midnight at the end of the last day
+    const lastMoment = new Date(new Date(endTime).getTime() - 1);
+    if (timezoneService.getLocalDate(startTime, timezone) < firstDay ||
+      timezoneService.getLocalDate(lastMoment, timezone) > lastDay) {
+      return 'Session must take place between the event start and end dates';
+    }
+    return null;
+  }
+
+  // Check every speaker exists and belongs to the event's producer
+  async assertSpeakers(event, speakerIds = []) {
+    if (speakerIds.length === 0) {
+      return;
+    }
+
+    const unique = [...new Set(speakerIds.map(String))];
+    const found = await Speaker.countDocuments({ _id: { $in: unique }, producerId: event.producerId });
+    if (found !== unique.length) {
+      throw sessionError('One or more speakers not found', 400);
+    }
+  }
+
+  // The event's public agenda: scheduled sessions in time order with their speakers
+  async getAgenda(eventId) {
+    const sessions = await EventSession.find({ eventId, status: 'scheduled' })
+      .populate('speakers', SPEAKER_PUBLIC_FIELDS)
+      .sort({ startTime: 1, room: 1 });
+
+    const distinct = field => [...new Set(sessions.map(session => session[field]).filter(Boolean))].sort();
+
+    return {
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        title: session.title,
+        description: session.description,
+        type: session.type,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        room: session.room,
+        track: session.track,
+        speakers: session.speakers,
+        capacity: session.capacity,
+        remaining: session.remaining,
+        isRegistrable: session.isRegistrable
+      })),
+      tracks: distinct('track'),
+      rooms: distinct('room')
+    };
+  }
+
+  // A speaker's public profile with their upcoming sessions; null for unknown or retired speakers
+  async getSpeakerProfile(speakerId) {
+    const speaker = await Speaker.findOne({ _id: speakerId, isActive: true }).select(SPEAKER_PUBLIC_FIELDS);
+    if (!speaker) {
+      return null;
+    }
+
+    const sessions = await EventSession.find({
+      speakers: speaker._id,
+      status: 'scheduled',
+      endTime: { $gte: new Date() }
+    })
+      .populate('eventId', 'name startDate endDate startsAt endsAt timezone location isPublic')
+      .select('eventId title type startTime endTime room track')
+      .sort({ startTime: 1 });
+
+    return {
+      ...speaker.toObject(),
+      sessions: sessions.filter(session => session.eventId?.isPublic)
+    };
+  }
+
+  // Register a booking for a session, one seat per admission on the booking
+  async register(attendee, sessionId) {
+    if (attendee.bookingStatus !== 'confirmed') {
+      throw sessionError('Only confirmed bookings can register for sessions', 400);
+    }
+
+    const session = await EventSession.findOne({ _id: sessionId, eventId: attendee.eventId });
+    if (!session) {
+      throw sessionError('Session not found for this event', 404);
+    }
+    if (!session.isRegistrable) {
+      throw sessionError('This session is not open for registration', 400);
+    }
+
+    const registeredIds = (attendee.sessionRegistrations || []).map(r => r.sessionId.toString());
+    if (registeredIds.includes(session._id.toString())) {
+      throw sessionError('This booking is already registered for the session', 409);
+    }
+
+    const clash = await EventSession.findOne({ _id: { $in: registeredIds }, status: 'scheduled' })
+      .where('startTime').lt(session.endTime)
+      .where('endTime').gt(session.startTime)
+      .select('title startTime endTime');
+    if (clash) {
+      throw sessionError(`This session overlaps with "${clash.title}", which the booking is registered for`, 409);
+    }
+
+    const seats = attendee.ticketQuantity;
+    const taken = await EventSession.registerAtomically(session._id, seats);
+    if (!taken) {
+      throw sessionError(
+        session.remaining > 0
+          ? `Not enough seats left in this session. Only ${session.remaining} remaining.`
+          : 'This session is full',
+        409
+      );
+    }
+
+    // Conditional on the booking state, so a concurrent cancel or double registration loses
+    const updated = await Attendee.findOneAndUpdate(
+      { _id: attendee._id, bookingStatus: 'confirmed', 'sessionRegistrations.sessionId': { $ne: session._id } },
+      { $push: { sessionRegistrations: { sessionId: session._id, seats, registeredAt: new Date() } } },
+      { new: true }
+    );
+    if (!updated) {
+      await EventSession.releaseAtomically(session._id, seats);
+      throw sessionError('The booking changed while registering. Please try again.', 409);
+    }
+
+    return updated;
+  }
+
+  // Drop a booking's registration for a session and free its seats
+  async unregister(attendee, sessionId) {
+    const before = await Attendee.findOneAndUpdate(
+      { _id: attendee._id, 'sessionRegistrations.sessionId': sessionId },
+      { $pull: { sessionRegistrations: { sessionId } } }
+    );
+    if (!before) {
+      throw sessionError('This booking is not registered for the session', 404);
+    }
+
+    const registration = before.sessionRegistrations.find(r => r.sessionId.toString() === sessionId.toString());
+    await EventSession.releaseAtomically(sessionId, registration.seats);
+
+    return Attendee.findById(attendee._id);
+  }
+
+  // Free every session seat a booking holds, e.g. when it is cancelled
+  async releaseRegistrations(attendee) {
+    const before = await Attendee.findOneAndUpdate(
+      { _id: attendee._id, 'sessionRegistrations.0': { $exists: true } },
+      { $set: { sessionRegistrations: [] } }
+    );
+
+    for (const registration of before?.sessionRegistrations || []) {
+      await EventSession.releaseAtomically(registration.sessionId, registration.seats);
+    }
+  }
+}
+
+module.exports = new SessionService();
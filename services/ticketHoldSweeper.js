@@ -0,0 +1,55 @@
+const cron = require("node-cron");
+const TicketHold = require("../models/TicketHold.js");
+const waitlistService = require("./waitlistService.js");
+const paymentService = require("./paymentService.js");
+
+/**
+ * Releases every checkout hold whose expiry has passed (optionally for a single event)
+ */
+async function sweepExpiredHolds(eventId = null) {
+  try {
+    const released = await TicketHold.releaseExpired(eventId);
+    if (released.length > 0) {
+      console.log(`🎟️ Released ${released.length} expired ticket hold(s)`);
+      await waitlistService.handleReleasedHolds(released);
+    }
+  } catch (err) {
+    console.error("❌ Error releasing expired ticket holds:", err);
+  }
+}
+
+/**
+ * Cancels unpaid checkouts whose payment window has passed and releases their tickets
+ * (optionally for a single event)
+ */
+async function sweepExpiredPayments(eventId = null) {
+  try {
+    const expired = await paymentService.expireStalePayments(eventId);
+    if (expired.length > 0) {
+      console.log(`💳 Expired ${expired.length} unpaid checkout(s)`);
+    }
+  } catch (err) {
+    console.error("❌ Error expiring unpaid checkouts:", err);
+  }
+}
+
+/**
+ * Releases an event's expired holds and unpaid checkouts before its availability is read.
+ * The cron job below does this every minute, but it doesn't run on serverless deploys.
+ */
+async function releaseStaleInventory(eventId) {
+  await sweepExpiredHolds(eventId);
+  await sweepExpiredPayments(eventId);
+}
+
+/**
+ * CRON job: Runs every minute
+ */
+function startTicketHoldSweeper() {
+  return cron.schedule("* * * * *", async () => {
+    await sweepExpiredHolds();
+    await sweepExpiredPayments();
+  });
+}
+
+module.exports = { startTicketHoldSweeper, sweepExpiredHolds, sweepExpiredPayments, releaseStaleInventory };
@@ -0,0 +1,360 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const bidiFactory = require('bidi-js');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const emailService = require('./emailService');
+
+const bidi = bidiFactory();
+
+// DejaVu Sans covers Latin, Hebrew and Arabic, so one font family serves every event language
+const FONTS = {
+  regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+  bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf')
+};
+
+const RTL_LANGUAGES = ['he', 'ar'];
+const RTL_CHARS = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+const LOCALES = {
+  he: 'he-IL',
+  en: 'en-US',
+  ar: 'ar'
+};
+
+const LABELS = {
+  en: {
+    eTicket: 'E-Ticket',
+    date: 'Date',
+    time: 'Time',
+    location: 'Location',
+    ticket: 'Ticket',
+    quantity: 'Admits',
+    attendee: 'Attendee',
+    bookedBy: 'Booked by',
+    seats: 'Seats',
+    addOns: 'Add-ons',
+    bookingReference: 'Booking reference',
+    total: 'Total paid',
+    free: 'Free',
+    footer: 'Present this QR code at the entrance. Do not share it - each code can only be scanned once.'
+  },
+  he: {
+    eTicket: 'כרטיס אלקטרוני',
+    date: 'תאריך',
+    time: 'שעה',
+    location: 'מיקום',
+    ticket: 'כרטיס',
+    quantity: 'מספר נכנסים',
+    attendee: 'משתתף',
+    bookedBy: 'הוזמן על ידי',
+    seats: 'מושבים',
+    addOns: 'תוספות',
+    bookingReference: 'מספר הזמנה',
+    total: 'סה"כ שולם',
+    free: 'חינם',
+    footer: 'יש להציג את קוד ה-QR בכניסה. אין לשתף אותו - ניתן לסרוק כל קוד פעם אחת בלבד.'
+  },
+  ar: {
+    eTicket: 'تذكرة إلكترونية',
+    date: 'التاريخ',
+    time: 'الوقت',
+    location: 'الموقع',
+    ticket: 'التذكرة',
+    quantity: 'عدد الداخلين',
+    attendee: 'المشارك',
+    bookedBy: 'حجز بواسطة',
+    seats: 'المقاعد',
+    addOns: 'الإضافات',
+    bookingReference: 'رقم الحجز',
+    total: 'المبلغ المدفوع',
+    free: 'مجاني',
+    footer: 'يرجى إبراز رمز QR عند المدخل. لا تشاركه - يمكن مسح كل رمز مرة واحدة فقط.'
+  }
+};
+
+class TicketPdfService {
+  constructor() {
+    // Same palette as the emails
+    this.colors = {
+      primary: '#031760',
+      primaryLight: '#31A7FF',
+      accent: '#FF4553',
+      text: '#031760',
+      muted: '#6D7280',
+      border: '#E5E7EB',
+      white: '#FFFFFF'
+    };
+  }
+
+  // Split a line into directional runs in visual (left-to-right) order.
+  // fontkit reverses any run written in an RTL script on its own, so RTL runs stay in logical order.
+  getVisualRuns(text, isRtl) {
+    const { levels } = bidi.getEmbeddingLevels(text, isRtl ? 'rtl' : 'ltr');
+
+    const runs = [];
+    for (let i = 0; i < text.length; i++) {
+      const last = runs[runs.length - 1];
+      if (last && last.level === levels[i]) {
+        last.text += text[i];
+      } else {
+        runs.push({ level: levels[i], text: text[i] });
+      }
+    }
+
+    // Rule L2: from the highest level down to the lowest odd level, reverse every sequence at or above it
+    const maxLevel = Math.max(0, ...runs.map(run => run.level));
+    const minOddLevel = Math.min(...runs.map(run => (run.level % 2 ? run.level : run.level + 1)));
+    for (let level = maxLevel; level >= minOddLevel; level--) {
+      for (let i = 0; i < runs.length; i++) {
+        if (runs[i].level < level) continue;
+        let end = i;
+        while (end + 1 < runs.length && runs[end + 1].level >= level) end++;
+        runs.splice(i, end - i + 1, ...runs.slice(i, end + 1).reverse());
+        i = end;
+      }
+    }
+
+    // fontkit neither mirrors brackets nor reverses neutral-only RTL runs (e.g. " - "), so do both here
+    return runs.map(run => {
+      if (run.level % 2 === 0) return { text: run.text };
+      const chars = Array.from(run.text).map(char => bidi.getMirroredCharacter(char) || char);
+      return { text: RTL_CHARS.test(run.text) ? chars.join('') : chars.reverse().join('') };
+    });
+  }
+
+  // Break text into lines that fit the width, by words in logical order
+  wrapText(doc, text, width) {
+    const lines = [];
+    let current = '';
+
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && doc.widthOfString(candidate) > width) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    });
+
+    if (current) lines.push(current);
+    return lines;
+  }
+
+  // Draw text aligned to the reading direction, wrapping as needed. Returns the y below the text.
+  drawText(doc, text, { x, y, width, size = 12, font = 'regular', color, isRtl, align, lineGap = 4 }) {
+    doc.font(font).fontSize(size).fillColor(color || this.colors.text);
+
+    const lineHeight = doc.currentLineHeight() + lineGap;
+    const alignment = align || (isRtl ? 'right' : 'left');
+
+    const lines = this.wrapText(doc, text, width);
+    lines.forEach((line, index) => {
+      const runs = this.getVisualRuns(line, isRtl);
+      const lineWidth = runs.reduce((sum, run) => sum + doc.widthOfString(run.text), 0);
+
+      let cursor = x;
+      if (alignment === 'right') cursor = x + width - lineWidth;
+      if (alignment === 'center') cursor = x + (width - lineWidth) / 2;
+
+      runs.forEach(run => {
+        doc.text(run.text, cursor, y + index * lineHeight, { lineBreak: false });
+        cursor += doc.widthOfString(run.text);
+      });
+    });
+
+    return y + lines.length * lineHeight;
+  }
+
+  formatDate(date, language, timeZone) {
+    if (!date) return '';
+    return new Intl.DateTimeFormat(LOCALES[language], {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone
+    }).format(new Date(date));
+  }
+
+  formatAmount(amount, currency, language) {
+    if (!amount) return LABELS[language].free;
+    return new Intl.NumberFormat(LOCALES[language], {
+      style: 'currency',
+      currency: currency || 'ILS'
+    }).format(amount);
+  }
+
+  // Load the ticket artwork from uploads or a URL; PDFKit only embeds PNG and JPEG
+  async loadTicketImage(ticket) {
+    if (!ticket?.imageForPdf) return null;
+
+    try {
+      if (ticket.imageForPdf.startsWith('http')) {
+        const response = await fetch(ticket.imageForPdf, { signal: AbortSignal.timeout(5000) });
+        if (!response.ok) return null;
+        return Buffer.from(await response.arrayBuffer());
+      }
+
+      const filePath = path.join(__dirname, '..', 'uploads', path.basename(ticket.imageForPdf));
+      return await fs.promises.readFile(filePath);
+    } catch (error) {
+      console.error(`Failed to load PDF image for ticket ${ticket._id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Generate the PDF e-ticket for one booking. Resolves to a Buffer.
+  async generateTicketPdf(attendee, event, ticket = null, guest = null) {
+    const language = LABELS[event.language] ? event.language : 'he';
+    const labels = LABELS[language];
+    const isRtl = RTL_LANGUAGES.includes(language);
+
+    if (!attendee.qrCode) {
+      attendee.qrCode = attendee.generateQrPayload();
+    }
+
+    // A guest's ticket admits just them, under their own reference and QR code
+    const reference = guest ? guest.guestReference : attendee.bookingReference;
+    const qrImage = await QRCode.toBuffer(guest ? guest.qrCode : attendee.qrCode, { errorCorrectionLevel: 'M', margin: 1, width: 360 });
+    const ticketImage = await this.loadTicketImage(ticket);
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 40,
+      info: {
+        Title: `${event.name} - ${reference}`,
+        Author: 'PIC'
+      }
+    });
+
+    doc.registerFont('regular', FONTS.regular);
+    doc.registerFont('bold', FONTS.bold);
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const left = doc.page.margins.left;
+    const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 90).fill(this.colors.primary);
+    this.drawText(doc, 'PIC', {
+      x: left, y: 30, width: contentWidth, size: 28, font: 'bold', color: this.colors.white, isRtl
+    });
+    this.drawText(doc, labels.eTicket, {
+      x: left, y: 40, width: contentWidth, size: 14, color: this.colors.white, isRtl, align: isRtl ? 'left' : 'right'
+    });
+
+    let y = 115;
+
+    if (ticketImage) {
+      try {
+        doc.image(ticketImage, left, y, { fit: [contentWidth, 150], align: 'center' });
+        y += 165;
+      } catch (error) {
+        console.error(`Skipping unsupported PDF image for ticket ${ticket._id}:`, error.message);
+      }
+    }
+
+    y = this.drawText(doc, event.name, { x: left, y, width: contentWidth, size: 22, font: 'bold', isRtl });
+    doc.rect(left, y + 4, contentWidth, 2).fill(this.colors.accent);
+    y += 20;
+
+    // Details on the reading-start side, QR code on the other
+    const qrSize = 180;
+    const detailsWidth = contentWidth - qrSize - 30;
+    const detailsX = isRtl ? left + qrSize + 30 : left;
+    const qrX = isRtl ? left : left + contentWidth - qrSize;
+    const qrY = y;
+
+    const times = [event.startTime, event.endTime].filter(Boolean).join(' - ');
+    const rows = [
+      [labels.date, event.startsAt
+        ? this.formatDate(event.startsAt, language, event.timezone)
+        : this.formatDate(event.startDate, language)],
+      [labels.time, times],
+      [labels.location, [event.location?.address, event.location?.city].filter(Boolean).join(', ')],
+      [labels.ticket, ticket?.title || attendee.ticketTitle],
+      [labels.quantity, guest ? '1' : String(attendee.ticketQuantity)],
+      [labels.seats, attendee.getSeatLabels(guest).join(', ')],
+      [labels.addOns, !guest && (attendee.addOns || []).map(line => `${line.quantity} × ${line.name}`).join(', ')],
+      [labels.attendee, guest ? guest.fullName : attendee.fullName],
+      [labels.bookedBy, guest && attendee.fullName],
+      [labels.bookingReference, reference],
+      [labels.total, !guest && this.formatAmount(attendee.totalAmount, ticket?.price?.currency, language)]
+    ].filter(([, value]) => value);
+
+    rows.forEach(([label, value]) => {
+      y = this.drawText(doc, label, { x: detailsX, y, width: detailsWidth, size: 9, color: this.colors.muted, isRtl, lineGap: 2 });
+      y = this.drawText(doc, value, { x: detailsX, y, width: detailsWidth, size: 13, font: 'bold', isRtl }) + 8;
+    });
+
+    doc.roundedRect(qrX - 8, qrY - 8, qrSize + 16, qrSize + 16, 8).lineWidth(1).stroke(this.colors.border);
+    doc.image(qrImage, qrX, qrY, { width: qrSize, height: qrSize });
+    this.drawText(doc, reference, {
+      x: qrX, y: qrY + qrSize + 14, width: qrSize, size: 10, color: this.colors.muted, isRtl, align: 'center'
+    });
+
+    // Footer
+    const footerY = Math.max(y, qrY + qrSize + 40) + 20;
+    doc.moveTo(left, footerY).lineTo(left + contentWidth, footerY).lineWidth(1).stroke(this.colors.border);
+    this.drawText(doc, labels.footer, {
+      x: left, y: footerY + 14, width: contentWidth, size: 10, color: this.colors.muted, isRtl
+    });
+
+    doc.end();
+    return finished;
+  }
+
+  // Email the buyer a PDF e-ticket for each booking. Failures are logged, never surfaced to the buyer.
+  async sendETickets(attendees) {
+    try {
+      const event = await Event.findById(attendees[0].eventId);
+      const tickets = await Ticket.find({ _id: { $in: attendees.map(a => a.ticketId).filter(Boolean) } });
+
+      const attachments = [];
+      for (const attendee of attendees) {
+        const ticket = tickets.find(t => t._id.equals(attendee.ticketId));
+        attachments.push({
+          filename: `ticket-${attendee.bookingReference}.pdf`,
+          content: await this.generateTicketPdf(attendee, event, ticket),
+          contentType: 'application/pdf'
+        });
+
+        if (attendee.guests?.length) {
+          await this.sendGuestETickets(attendee, event, ticket);
+        }
+      }
+
+      await emailService.sendTicketConfirmationEmail(attendees, event, attachments);
+    } catch (error) {
+      console.error(`Failed to deliver e-tickets for order ${attendees[0]?.orderReference}:`, error);
+    }
+  }
+
+  // Email each named guest on a group booking their own e-ticket. One failed guest never stops the rest.
+  async sendGuestETickets(attendee, event, ticket = null) {
+    for (const guest of attendee.guests) {
+      try {
+        const attachment = {
+          filename: `ticket-${guest.guestReference}.pdf`,
+          content: await this.generateTicketPdf(attendee, event, ticket, guest),
+          contentType: 'application/pdf'
+        };
+        await emailService.sendGuestTicketEmail(guest, attendee, event, attachment);
+      } catch (error) {
+        console.error(`Failed to deliver e-ticket to guest ${guest.guestReference}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new TicketPdfService();
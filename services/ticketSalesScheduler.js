@@ -0,0 +1,29 @@
+const cron = require("node-cron");
+const Ticket = require("../models/Ticket.js");
+
+/**
+ * Opens and closes ticket sales at each ticket's configured sales dates
+ * (draft → active at sales.startDate, → expired at sales.endDate)
+ */
+async function applySalesSchedules() {
+  try {
+    const changed = await Ticket.applySalesSchedule();
+    if (changed.length === 0) return;
+
+    const closed = changed.filter((ticket) => ticket.status === "expired").length;
+    console.log(`🗓️ Ticket sales schedule: opened ${changed.length - closed}, closed ${closed}`);
+  } catch (err) {
+    console.error("❌ Error applying ticket sales schedules:", err);
+  }
+}
+
+/**
+ * CRON job: Runs every minute
+ */
+function startTicketSalesScheduler() {
+  return cron.schedule("* * * * *", async () => {
+    await applySalesSchedules();
+  });
+}
+
+module.exports = { startTicketSalesScheduler, applySalesSchedules };
@@ -0,0 +1,130 @@
+// Conversions between an event's local wall-clock time in its IANA timezone and UTC
+// instants, using the timezone data built into Intl
+const TIME_24H = /^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/;
+const TIME_12H = /^(0?[1-9]|1[0-2]):([0-5][0-9])\s?(AM|PM|am|pm)$/;
+
+const pad = value => String(value).padStart(2, '0');
+
+class TimezoneService {
+  constructor() {
+    this.defaultTimezone = process.env.DEFAULT_EVENT_TIMEZONE || 'Asia/Jerusalem';
+    this.formatters = new Map();
+  }
+
+  isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getFormatter(timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }));
+    }
+    return this.formatters.get(timezone);
+  }
+
+  // Wall-clock parts of an instant in a timezone
+  getLocalParts(instant, timezone) {
+    const parts = {};
+    for (const { type, value } of this.getFormatter(timezone).formatToParts(new Date(instant))) {
+      if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return parts;
+  }
+
+  // Minutes the timezone is ahead of UTC at an instant
+  getOffsetMinutes(instant, timezone) {
+    const { year, month, day, hour, minute, second } = this.getLocalParts(instant, timezone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    const time = new Date(instant).getTime();
+    return Math.round((asUtc - (time - (time % 1000))) / 60000);
+  }
+
+  // "HH:MM" or "HH:MM AM/PM" as { hours, minutes }, or null
+  parseTime(time) {
+    const match24 = TIME_24H.exec(time || '');
+    if (match24) {
+      return { hours: parseInt(match24[1], 10), minutes: parseInt(match24[2], 10) };
+    }
+
+    const match12 = TIME_12H.exec(time || '');
+    if (match12) {
+      const hours = parseInt(match12[1], 10) % 12 + (match12[3].toLowerCase() === 'pm' ? 12 : 0);
+      return { hours, minutes: parseInt(match12[2], 10) };
+    }
+    return null;
+  }
+
+  // The calendar day a date field means. Date-only values ("2026-11-02") arrive as UTC
+  // midnight and mean that day; anything else is read in the event's timezone.
+  getCalendarDay(date, timezone) {
+    const value = new Date(date);
+    if (value.getUTCHours() === 0 && value.getUTCMinutes() === 0 &&
+      value.getUTCSeconds() === 0 && value.getUTCMilliseconds() === 0) {
+      return { year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() };
+    }
+    const { year, month, day } = this.getLocalParts(value, timezone);
+    return { year, month, day };
+  }
+
+  // getCalendarDay as "YYYY-MM-DD"
+  getCalendarDate(date, timezone) {
+    const { year, month, day } = this.getCalendarDay(date, timezone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+
+  // UTC instant of a local date and time in a timezone. Times skipped by a DST change move
+  // forward by the gap; repeated times resolve to the first of the two.
+  toUtc({ year, month, day }, { hours, minutes }, timezone) {
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    const firstGuess = wallClock - this.getOffsetMinutes(wallClock, timezone) * 60000;
+    const offset = this.getOffsetMinutes(firstGuess, timezone);
+    const instant = wallClock - offset * 60000;
+
+    // In a DST gap the offset changes again at the result; the first guess is past the gap
+    if (this.getOffsetMinutes(instant, timezone) !== offset) {
+      return new Date(Math.max(instant, firstGuess));
+    }
+    return new Date(instant);
+  }
+
+  // "YYYY-MM-DD" of an instant in a timezone
+  getLocalDate(instant, timezone) {
+    const { year, month, day } = this.getLocalParts(instant, timezone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+
+  // An instant as the event shows it: local date, time and offset plus the UTC instant
+  describe(instant, timezone) {
+    const { year, month, day, hour, minute } = this.getLocalParts(instant, timezone);
+    const offset = this.getOffsetMinutes(instant, timezone);
+    const sign = offset < 0 ? '-' : '+';
+    const utcOffset = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+
+    return {
+      date: `${year}-${pad(month)}-${pad(day)}`,
+      time: `${pad(hour)}:${pad(minute)}`,
+      local: `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}${utcOffset}`,
+      utcOffset,
+      utc: new Date(instant).toISOString()
+    };
+  }
+}
+
+module.exports = new TimezoneService();
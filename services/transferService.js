@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Attendee = require('../models/Attendee');
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const emailService = require('./emailService');
+const ticketPdfService = require('./ticketPdfService');
+
+// Build an error the routes can answer with its status code
+const transferError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class TransferService {
+  constructor() {
+    // How long a recipient has to accept, capped at the event start
+    this.acceptHours = parseInt(process.env.TRANSFER_ACCEPT_HOURS) || 48;
+  }
+
+  // Reason a booking can't change hands right now, or null
+  getBlockingReason(attendee, ticket, event) {
+    if (attendee.bookingStatus !== 'confirmed') return 'Only confirmed bookings can be transferred';
+    if (attendee.paymentStatus !== 'completed') return 'Bookings can be transferred once payment is complete';
+    if (attendee.admittedCount > 0 || attendee.checkedIn) return 'Checked-in bookings cannot be transferred';
+    if (ticket?.transferPolicy?.allowed === false) return 'Tickets of this type cannot be transferred';
+    if (attendee.guests?.length) return 'Group bookings with named guests cannot be transferred';
+    if (!event || event.getStartInstant() <= new Date()) return 'Transfers close when the event starts';
+    return null;
+  }
+
+  async loadContext(attendee) {
+    const [event, ticket] = await Promise.all([
+      Event.findById(attendee.eventId),
+      attendee.ticketId ? Ticket.findById(attendee.ticketId) : null
+    ]);
+    return { event, ticket };
+  }
+
+  // Offer the booking to someone else. Starting a new transfer replaces any pending one.
+  async startTransfer(attendee, { fullName, email }) {
+    const { event, ticket } = await this.loadContext(attendee);
+
+    const blocking = this.getBlockingReason(attendee, ticket, event);
+    if (blocking) {
+      throw transferError(blocking, 400);
+    }
+
+    if (email.toLowerCase() === attendee.email) {
+      throw transferError('You already hold this booking', 400);
+    }
+
+    const expiresAt = new Date(Math.min(
+      Date.now() + this.acceptHours * 60 * 60 * 1000,
+      event.getStartInstant().getTime()
+    ));
+
+    attendee.pendingTransfer = {
+      recipientName: fullName,
+      recipientEmail: email,
+      requestedAt: new Date(),
+      expiresAt
+    };
+    const token = attendee.createTransferToken();
+    await attendee.save();
+
+    try {
+      const acceptUrl = `${process.env.FRONTEND_URL}/transfers/accept?token=${token}`;
+      await emailService.sendTransferOfferEmail(attendee, event, acceptUrl, expiresAt);
+    } catch (error) {
+      console.error(`Failed to send transfer offer email for booking ${attendee.bookingReference}:`, error);
+    }
+
+    return attendee;
+  }
+
+  // Withdraw a pending transfer; returns false if there was none
+  async cancelTransfer(attendee) {
+    const result = await Attendee.updateOne(
+      { _id: attendee._id, 'pendingTransfer.recipientEmail': { $exists: true } },
+      { $unset: { pendingTransfer: 1 } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Find the booking behind a transfer link, or throw if the link is unusable
+  async findByToken(token) {
+    const attendee = await Attendee.findOne({ 'pendingTransfer.tokenHash': Attendee.hashTransferToken(token) })
+      .select('+pendingTransfer.tokenHash');
+
+    if (!attendee) {
+      throw transferError('Transfer link is invalid or has already been used', 404);
+    }
+
+    if (attendee.pendingTransfer.expiresAt <= new Date()) {
+      throw transferError('This transfer link has expired', 410);
+    }
+
+    return attendee;
+  }
+
+  // Hand the booking to the recipient: new holder details, new booking reference
+  // and QR code, with the previous holder kept in the chain
+  async acceptTransfer(token, { fullName, phone, age, gender }) {
+    const attendee = await this.findByToken(token);
+    const { event, ticket } = await this.loadContext(attendee);
+
+    const blocking = this.getBlockingReason(attendee, ticket, event);
+    if (blocking) {
+      throw transferError(blocking, 409);
+    }
+
+    const ageLimit = ticket?.restrictions?.ageLimit;
+    if (ageLimit?.min && age < ageLimit.min) {
+      throw transferError(`Minimum age requirement for ${ticket.title} is ${ageLimit.min} years`, 400);
+    }
+    if (ageLimit?.max && age > ageLimit.max) {
+      throw transferError(`Maximum age limit for ${ticket.title} is ${ageLimit.max} years`, 400);
+    }
+
+    const bookingReference = await Attendee.generateBookingReference();
+    const now = new Date();
+
+    // Only applies while the link, booking status and quantity are unchanged
+    const updated = await Attendee.findOneAndUpdate(
+      {
+        _id: attendee._id,
+        'pendingTransfer.tokenHash': attendee.pendingTransfer.tokenHash,
+        'pendingTransfer.expiresAt': { $gt: now },
+        bookingStatus: 'confirmed',
+        paymentStatus: 'completed',
+        ticketQuantity: attendee.ticketQuantity,
+        checkedIn: { $ne: true },
+        admittedCount: { $in: [0, null] }
+      },
+      [
+        {
+          $set: {
+            previousHolders: {
+              $concatArrays: [
+                { $ifNull: ['$previousHolders', []] },
+                [{
+                  _id: new mongoose.Types.ObjectId(),
+                  fullName: '$fullName',
+                  email: '$email',
+                  phone: '$phone',
+                  bookingReference: '$bookingReference',
+                  transferredAt: now
+                }]
+              ]
+            },
+            fullName: { $literal: fullName },
+            email: { $literal: attendee.pendingTransfer.recipientEmail },
+            phone: { $literal: phone },
+            age: { $literal: age },
+            gender: { $literal: gender },
+            bookingReference: { $literal: bookingReference },
+            qrCode: { $literal: Attendee.buildQrPayload(bookingReference, attendee.eventId, attendee.ticketQuantity) },
+            updatedAt: now
+          }
+        },
+        { $unset: 'pendingTransfer' }
+      ],
+      { new: true }
+    );
+
+    if (!updated) {
+      throw transferError('This booking changed before the transfer completed. Ask the holder to send a new link.', 409);
+    }
+
+    await ticketPdfService.sendETickets([updated]);
+
+    try {
+      const previousHolder = updated.previousHolders[updated.previousHolders.length - 1];
+      await emailService.sendTransferCompletedEmail(previousHolder, updated, event);
+    } catch (error) {
+      console.error(`Failed to send transfer completed email for booking ${updated.bookingReference}:`, error);
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new TransferService();
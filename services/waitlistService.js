@@ -0,0 +1,129 @@
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const TicketHold = require('../models/TicketHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const emailService = require('./emailService');
+
+class WaitlistService {
+  constructor() {
+    // How long a waitlist claim link keeps the offered tickets on hold
+    this.claimMinutes = parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 60;
+  }
+
+  // Offer freed capacity to waiting entries, strictly in queue order.
+  // Stops at the first entry whose quantity does not fit, so nobody is skipped.
+  async processQueue(ticketId) {
+    await Ticket.syncSoldOutStatus(ticketId);
+
+    const offered = [];
+
+    for (;;) {
+      const ticket = await Ticket.findById(ticketId);
+      if (!ticket || ticket.status !== 'active') break;
+
+      const next = await WaitlistEntry.findOne({ ticketId, status: 'waiting' }).sort({ createdAt: 1 });
+      if (!next || next.quantity > await ticket.getRemainingQuantity()) break;
+
+      const entry = await this.offerEntry(next, ticket);
+      if (!entry) break;
+
+      offered.push(entry);
+    }
+
+    return offered;
+  }
+
+  // Hold tickets for one entry and email the claim link.
+  // Returns null if the entry was taken by a concurrent run or inventory ran out.
+  async offerEntry(entry, ticket) {
+    // Claim the entry first so two queue runs can't offer it twice
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: { $in: ['waiting', 'expired'] } },
+      { $set: { status: 'offered', 'offer.offeredAt': new Date() }, $inc: { offerCount: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return null;
+    }
+
+    let hold;
+    try {
+      const quote = ticket.quotePrice(claimed.quantity);
+      hold = await TicketHold.placeHold({
+        eventId: claimed.eventId,
+        items: [{
+          ticketId: ticket._id,
+          ticketType: ticket.type,
+          ticketTitle: ticket.title,
+          quantity: claimed.quantity,
+          unitPrice: quote.unitPrice,
+          amount: quote.total,
+          priceTier: quote.tier
+        }],
+        email: claimed.email,
+        expiresInMinutes: this.claimMinutes,
+        waitlistEntryId: claimed._id
+      });
+    } catch (error) {
+      await WaitlistEntry.updateOne(
+        { _id: claimed._id },
+        { $set: { status: entry.status }, $inc: { offerCount: -1 } }
+      );
+      if (error.statusCode === 409) {
+        return null;
+      }
+      throw error;
+    }
+
+    const token = claimed.createClaimToken();
+    claimed.offer.holdId = hold._id;
+    claimed.offer.holdReference = hold.holdReference;
+    claimed.offer.expiresAt = hold.expiresAt;
+    await claimed.save();
+
+    try {
+      const event = await Event.findById(claimed.eventId);
+      const claimUrl = `${process.env.FRONTEND_URL}/waitlist/claim?token=${token}`;
+      await emailService.sendWaitlistOfferEmail(claimed, event, ticket, claimUrl, hold.expiresAt);
+    } catch (error) {
+      console.error(`Failed to send waitlist offer email for entry ${claimed._id}:`, error);
+    }
+
+    return claimed;
+  }
+
+  // Expire the offers behind released holds and move their queues along
+  async handleReleasedHolds(holds) {
+    const ticketIds = new Set();
+
+    for (const hold of holds) {
+      if (hold.waitlistEntryId) {
+        await WaitlistEntry.updateOne(
+          { _id: hold.waitlistEntryId, status: 'offered' },
+          { $set: { status: 'expired' } }
+        );
+      }
+      hold.items.forEach(item => ticketIds.add(item.ticketId.toString()));
+    }
+
+    for (const ticketId of ticketIds) {
+      const hasWaiting = await WaitlistEntry.exists({ ticketId, status: 'waiting' });
+      if (hasWaiting) {
+        await this.processQueue(ticketId);
+      }
+    }
+  }
+
+  // Mark the waitlist entry behind a confirmed hold as claimed
+  async markClaimed(hold) {
+    if (!hold.waitlistEntryId) return;
+
+    await WaitlistEntry.updateOne(
+      { _id: hold.waitlistEntryId, status: 'offered' },
+      { $set: { status: 'claimed', claimedAt: new Date() } }
+    );
+  }
+}
+
+module.exports = new WaitlistService();